@@ -0,0 +1,150 @@
+// Waste Analytics Page
+import { supabase } from './config.js';
+import { requireAuth } from './auth.js';
+import { showToast, categoryLabel } from './utils.js';
+import { t, translatePage } from './i18n.js';
+import { loadActiveHousehold } from './household.js';
+import { buildWasteReport, toLocalDate } from './waste-analytics.js';
+import { renderBarChart, renderLineChart, renderRankingChart } from './charts.js';
+
+const USED_COLOR = '#22c55e';
+const WASTED_COLOR = '#ef4444';
+const TREND_COLOR = '#667eea';
+
+let currentUser = null;
+let household = null;
+let items = [];
+
+// Initialize Analytics Page
+async function init() {
+    currentUser = await requireAuth();
+    if (!currentUser) return;
+
+    translatePage();
+    document.querySelector('.analytics-container').style.display = 'block';
+
+    try {
+        household = await loadActiveHousehold(currentUser.id);
+    } catch (error) {
+        console.error('Error loading household:', error);
+        showToast(t('toast.householdLoadFailed'), 'error');
+        return;
+    }
+    document.getElementById('householdName').textContent = household.name;
+
+    setupEventListeners();
+    await loadItems();
+}
+
+// Load every item of the household, active and archived; the Trash is left out
+async function loadItems() {
+    try {
+        const { data, error } = await supabase
+            .from('expiry_items')
+            .select('id, name, category, expiry_date, opened_at, use_within_days, status, status_changed_at, updated_at')
+            .eq('household_id', household.id)
+            .is('deleted_at', null);
+
+        if (error) throw error;
+
+        items = data;
+        renderReport();
+    } catch (error) {
+        console.error('Error loading analytics:', error);
+        showToast(t('analytics.loadFailed'), 'error');
+    }
+}
+
+// Date range picked in the header, as YYYY-MM-DD
+function getRange() {
+    const preset = document.getElementById('rangePreset').value;
+
+    if (preset === 'custom') {
+        return {
+            from: document.getElementById('rangeFrom').value || null,
+            to: document.getElementById('rangeTo').value || toLocalDate(new Date())
+        };
+    }
+
+    return rangeForPreset(preset);
+}
+
+// Last N whole months (counting the current one), or all time
+function rangeForPreset(preset) {
+    const today = toLocalDate(new Date());
+    if (preset === 'all') return { from: null, to: today };
+
+    const [year, month] = today.split('-').map(Number);
+    const start = new Date(Date.UTC(year, month - Number(preset), 1));
+    return { from: start.toISOString().split('T')[0], to: today };
+}
+
+// Draw the summary and charts for the selected range
+function renderReport() {
+    const range = getRange();
+    if (range.from && range.from > range.to) {
+        showToast(t('analytics.rangeInvalid'), 'error');
+        return;
+    }
+
+    const report = buildWasteReport(items, range);
+    const labels = report.months.map(month => month.label);
+
+    document.getElementById('usedTotal').textContent = report.totals.used;
+    document.getElementById('wastedTotal').textContent = report.totals.wasted;
+    document.getElementById('wasteRate').textContent = report.totals.wasteRate === null ? '-' : `${report.totals.wasteRate}%`;
+    document.getElementById('averageDays').textContent = report.averageDaysBeforeExpiry === null ? '-' : report.averageDaysBeforeExpiry;
+
+    renderBarChart(document.getElementById('monthlyChart'), labels, [
+        { name: t('analytics.seriesUsed'), color: USED_COLOR, values: report.months.map(month => month.used) },
+        { name: t('analytics.seriesWasted'), color: WASTED_COLOR, values: report.months.map(month => month.wasted) }
+    ]);
+
+    const trendSeries = [{ name: t('analytics.wasteRate'), color: WASTED_COLOR, values: report.months.map(month => month.wasteRate) }];
+    if (report.trend) {
+        trendSeries.push({ name: t('analytics.seriesTrend'), color: TREND_COLOR, values: report.trend.map(value => Math.round(value)), dashed: true });
+    }
+    renderLineChart(document.getElementById('trendChart'), labels, trendSeries, { max: 100, suffix: '%' });
+    document.getElementById('trendCaption').textContent = describeTrend(report.trend);
+
+    const categoryChart = document.getElementById('categoryChart');
+    if (report.categories.length === 0) {
+        categoryChart.innerHTML = `<p class="chart-empty">${t('analytics.noWaste')}</p>`;
+    } else {
+        renderRankingChart(
+            categoryChart,
+            report.categories.slice(0, 8).map(({ category, wasted }) => ({ label: categoryLabel(category), value: wasted })),
+            WASTED_COLOR
+        );
+    }
+}
+
+// Summarise the trend line in words
+function describeTrend(trend) {
+    if (!trend) return t('analytics.trendNone');
+
+    const change = Math.round(trend[trend.length - 1] - trend[0]);
+    if (change <= -2) return t('analytics.trendBetter', { count: -change });
+    if (change >= 2) return t('analytics.trendWorse', { count: change });
+    return t('analytics.trendSteady');
+}
+
+// Setup Event Listeners
+function setupEventListeners() {
+    document.getElementById('rangePreset').addEventListener('change', (e) => {
+        const custom = e.target.value === 'custom';
+        document.getElementById('rangeCustom').style.display = custom ? 'flex' : 'none';
+
+        if (custom && !document.getElementById('rangeTo').value) {
+            const { from, to } = rangeForPreset('6');
+            document.getElementById('rangeFrom').value = from;
+            document.getElementById('rangeTo').value = to;
+        }
+        renderReport();
+    });
+
+    document.getElementById('rangeFrom').addEventListener('change', renderReport);
+    document.getElementById('rangeTo').addEventListener('change', renderReport);
+}
+
+init();
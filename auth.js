@@ -1,6 +1,9 @@
 // Authentication Logic
 import { supabase } from './config.js';
 import { showToast, isValidEmail, getPasswordStrength } from './utils.js';
+import { t, translatePage } from './i18n.js';
+
+const MIN_PASSWORD_LENGTH = 8;
 
 // Check if user is already logged in
 async function checkAuthStatus() {
@@ -12,6 +15,11 @@ async function checkAuthStatus() {
     }
 }
 
+// Login and signup pages follow the saved or browser language
+if (document.querySelector('.auth-form')) {
+    translatePage();
+}
+
 // Login Form Handler
 if (document.getElementById('loginForm')) {
     const loginForm = document.getElementById('loginForm');
@@ -26,7 +34,7 @@ if (document.getElementById('loginForm')) {
 
         // Validate email
         if (!isValidEmail(email)) {
-            errorMessage.textContent = 'Please enter a valid email address';
+            errorMessage.textContent = t('auth.invalidEmail');
             errorMessage.style.display = 'block';
             return;
         }
@@ -46,14 +54,14 @@ if (document.getElementById('loginForm')) {
 
             // Check if email is verified
             if (!data.user.email_confirmed_at) {
-                errorMessage.textContent = 'Please verify your email before logging in';
+                errorMessage.textContent = t('auth.verifyFirst');
                 errorMessage.style.display = 'block';
                 loginBtn.classList.remove('loading');
                 loginBtn.disabled = false;
                 return;
             }
 
-            showToast('Login successful!', 'success');
+            showToast(t('auth.loginSuccess'), 'success');
 
             // Redirect to dashboard
             setTimeout(() => {
@@ -62,7 +70,7 @@ if (document.getElementById('loginForm')) {
 
         } catch (error) {
             console.error('Login error:', error);
-            errorMessage.textContent = error.message || 'Invalid email or password';
+            errorMessage.textContent = error.message || t('auth.loginFailed');
             errorMessage.style.display = 'block';
             loginBtn.classList.remove('loading');
             loginBtn.disabled = false;
@@ -118,25 +126,25 @@ if (document.getElementById('signupForm')) {
 
         // Validate inputs
         if (!name) {
-            errorMessage.textContent = 'Please enter your name';
+            errorMessage.textContent = t('auth.nameMissing');
             errorMessage.style.display = 'block';
             return;
         }
 
         if (!isValidEmail(email)) {
-            errorMessage.textContent = 'Please enter a valid email address';
+            errorMessage.textContent = t('auth.invalidEmail');
             errorMessage.style.display = 'block';
             return;
         }
 
-        if (password.length < 8) {
-            errorMessage.textContent = 'Password must be at least 8 characters';
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            errorMessage.textContent = t('auth.passwordTooShort', { count: MIN_PASSWORD_LENGTH });
             errorMessage.style.display = 'block';
             return;
         }
 
         if (password !== confirmPassword) {
-            errorMessage.textContent = 'Passwords do not match';
+            errorMessage.textContent = t('auth.passwordMismatch');
             errorMessage.style.display = 'block';
             return;
         }
@@ -162,12 +170,12 @@ if (document.getElementById('signupForm')) {
             if (error) throw error;
 
             // Show success message
-            successMessage.textContent = 'Account created! Please check your email to verify your account.';
+            successMessage.textContent = t('auth.accountCreated');
             successMessage.style.display = 'block';
             signupForm.reset();
             passwordStrengthEl.style.display = 'none';
 
-            showToast('Verification email sent!', 'success');
+            showToast(t('auth.verificationSent'), 'success');
 
             // Redirect to login after 3 seconds
             setTimeout(() => {
@@ -176,7 +184,7 @@ if (document.getElementById('signupForm')) {
 
         } catch (error) {
             console.error('Signup error:', error);
-            errorMessage.textContent = error.message || 'Failed to create account';
+            errorMessage.textContent = error.message || t('auth.signupFailed');
             errorMessage.style.display = 'block';
         } finally {
             signupBtn.classList.remove('loading');
@@ -194,11 +202,11 @@ export async function logout() {
         const { error } = await supabase.auth.signOut();
         if (error) throw error;
 
-        showToast('Logged out successfully', 'success');
+        showToast(t('auth.loggedOut'), 'success');
         window.location.href = 'login.html';
     } catch (error) {
         console.error('Logout error:', error);
-        showToast('Failed to logout', 'error');
+        showToast(t('auth.logoutFailed'), 'error');
     }
 }
 
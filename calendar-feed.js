@@ -0,0 +1,56 @@
+// Calendar Feed - secret subscription links served by the calendar-feed Edge Function
+import { supabase, SUPABASE_URL } from './config.js';
+
+/**
+ * Subscription URL for a feed token
+ */
+export function calendarFeedUrl(token) {
+    return `${SUPABASE_URL}/functions/v1/calendar-feed?token=${token}`;
+}
+
+// 32 random bytes as hex
+function generateToken() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * A user's feed token, or null if they have not created a link
+ */
+export async function loadCalendarFeed(userId) {
+    const { data, error } = await supabase
+        .from('calendar_feeds')
+        .select('token')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data?.token || null;
+}
+
+/**
+ * Create a feed link, or replace it so the old link stops working.
+ * Returns the new token.
+ */
+export async function resetCalendarFeed(userId) {
+    const token = generateToken();
+
+    const { error } = await supabase
+        .from('calendar_feeds')
+        .upsert({ user_id: userId, token, created_at: new Date().toISOString() }, { onConflict: 'user_id' });
+
+    if (error) throw error;
+    return token;
+}
+
+/**
+ * Turn the feed off
+ */
+export async function deleteCalendarFeed(userId) {
+    const { error } = await supabase
+        .from('calendar_feeds')
+        .delete()
+        .eq('user_id', userId);
+
+    if (error) throw error;
+}
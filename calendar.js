@@ -0,0 +1,70 @@
+// Calendar View - month and week grids of days for the dashboard calendar
+import { addDays, formatDateOnly } from './supabase/functions/_shared/dates.js';
+
+/**
+ * Calendar layouts
+ */
+export const CALENDAR_MODES = {
+    month: 'Month',
+    week: 'Week'
+};
+
+/**
+ * Column headings in a locale, e.g. "Mon" to "Sun"; weeks start on Monday
+ */
+export function weekdayNames(locale = 'en-GB') {
+    // 2024-01-01 was a Monday
+    return Array.from({ length: 7 }, (_, index) => formatDateOnly(addDays('2024-01-01', index), { weekday: 'short' }, locale));
+}
+
+// Monday on or before a YYYY-MM-DD date
+function startOfWeek(date) {
+    const weekday = (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+    return addDays(date, -weekday);
+}
+
+// Last day of the month a YYYY-MM-DD date falls in
+function endOfMonth(date) {
+    const [year, month] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month, 0)).toISOString().split('T')[0];
+}
+
+/**
+ * Days shown for the period containing the anchor date, in whole weeks.
+ * A month grid is padded with days from the months either side,
+ * which are marked as outside the period.
+ */
+export function calendarDays(mode, anchor) {
+    const monthStart = `${anchor.slice(0, 7)}-01`;
+    const first = startOfWeek(mode === 'week' ? anchor : monthStart);
+    const last = mode === 'week' ? addDays(first, 6) : addDays(startOfWeek(endOfMonth(anchor)), 6);
+
+    const days = [];
+    for (let date = first; date <= last; date = addDays(date, 1)) {
+        days.push({ date, inPeriod: mode === 'week' || date.slice(0, 7) === anchor.slice(0, 7) });
+    }
+    return days;
+}
+
+/**
+ * Move the anchor date one period forwards (step 1) or backwards (step -1).
+ * Months always land on the 1st, so short months are never skipped.
+ */
+export function shiftAnchor(mode, anchor, step) {
+    if (mode === 'week') return addDays(anchor, step * 7);
+
+    const [year, month] = anchor.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1 + step, 1)).toISOString().split('T')[0];
+}
+
+/**
+ * Heading for the period in a locale, e.g. "October 2026" or "12 Oct - 18 Oct 2026"
+ */
+export function periodTitle(mode, anchor, locale = 'en-GB') {
+    const format = (date, options) => formatDateOnly(date, options, locale);
+
+    if (mode === 'month') return format(anchor, { month: 'long', year: 'numeric' });
+
+    const first = startOfWeek(anchor);
+    return `${format(first, { day: 'numeric', month: 'short' })} - ${format(addDays(first, 6), { day: 'numeric', month: 'short', year: 'numeric' })}`;
+}
@@ -0,0 +1,115 @@
+// Item Categories - a household's categories with their colors, icons and expiry badge windows
+import { supabase } from './config.js';
+import { isNetworkError } from './item-store.js';
+import { DEFAULT_EXPIRY_THRESHOLDS } from './utils.js';
+import { t } from './i18n.js';
+
+const CATEGORY_CACHE_KEY = 'expiryTracker.categories';
+
+/**
+ * Icons offered for categories
+ */
+export const CATEGORY_ICONS = ['🥛', '🧀', '🥚', '🥕', '🍎', '🥩', '🐟', '🍞', '🥫', '🍝', '🥤', '🍷', '🧊', '💊', '🧴', '🐾', '🍼', '📦'];
+
+// The household's categories as last loaded, for looking up colors and thresholds
+let categories = [];
+
+/**
+ * Load a household's categories, oldest first.
+ * The last copy is kept in localStorage so the dashboard still opens offline.
+ */
+export async function loadCategories(householdId) {
+    const cacheKey = `${CATEGORY_CACHE_KEY}.${householdId}`;
+
+    try {
+        const { data, error } = await supabase
+            .from('categories')
+            .select('id, name, color, icon, soon_days, warning_days')
+            .eq('household_id', householdId)
+            .order('created_at', { ascending: true })
+            .order('name', { ascending: true });
+
+        if (error) throw error;
+
+        localStorage.setItem(cacheKey, JSON.stringify(data));
+        categories = data;
+    } catch (error) {
+        const cached = localStorage.getItem(cacheKey);
+        if (!isNetworkError(error) || !cached) throw error;
+        categories = JSON.parse(cached);
+    }
+
+    return categories;
+}
+
+/**
+ * Names of the loaded categories, in order
+ */
+export function categoryNames() {
+    return categories.map(category => category.name);
+}
+
+/**
+ * The loaded category with a name, or null for names the household has not defined
+ */
+export function findCategory(name) {
+    return categories.find(category => category.name === name) || null;
+}
+
+/**
+ * Badge windows for items of a category; unknown categories use the defaults
+ */
+export function expiryThresholds(name) {
+    const category = findCategory(name);
+    if (!category) return DEFAULT_EXPIRY_THRESHOLDS;
+    return { soon_days: category.soon_days, warning_days: category.warning_days };
+}
+
+// Supabase error for a duplicate name -> readable message
+function duplicateNameError(error, name) {
+    if (error.code === '23505') return new Error(t('household.categoryExists', { name }));
+    return error;
+}
+
+/**
+ * Add a category to a household
+ */
+export async function createCategory(householdId, category) {
+    const { error } = await supabase
+        .from('categories')
+        .insert({ household_id: householdId, ...category });
+
+    if (error) throw duplicateNameError(error, category.name);
+}
+
+/**
+ * Change a category. A new name is carried over to every item, shopping entry and setting that uses it.
+ */
+export async function updateCategory(categoryId, changes) {
+    const { error } = await supabase
+        .from('categories')
+        .update(changes)
+        .eq('id', categoryId);
+
+    if (error) throw duplicateNameError(error, changes.name);
+}
+
+/**
+ * Delete a category. Its items are kept without a category.
+ */
+export async function deleteCategory(categoryId) {
+    const { error } = await supabase
+        .from('categories')
+        .delete()
+        .eq('id', categoryId);
+
+    if (error) throw error;
+}
+
+/**
+ * Move every item of one category into another and delete the first
+ */
+export async function mergeCategories(sourceId, targetId) {
+    const { error } = await supabase.rpc('merge_categories', { source_id: sourceId, target_id: targetId });
+    if (error) throw error;
+}
@@ -0,0 +1,157 @@
+// Charts - small SVG bar and line charts drawn without any external library
+import { escapeHtml } from './utils.js';
+
+const WIDTH = 640;
+const HEIGHT = 260;
+const PADDING = { top: 16, right: 16, bottom: 40, left: 40 };
+
+/**
+ * Round a maximum up to a tidy axis limit (1, 2, 5, 10, 20, 50, ...)
+ */
+function niceMax(value) {
+    if (value <= 0) return 1;
+    const magnitude = 10 ** Math.floor(Math.log10(value));
+    const step = [1, 2, 5, 10].find(multiple => multiple * magnitude >= value);
+    return step * magnitude;
+}
+
+/**
+ * Horizontal grid lines and y-axis labels
+ */
+function drawAxis(max, suffix = '') {
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+    return [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+        const y = PADDING.top + plotHeight * (1 - fraction);
+        const label = Math.round(max * fraction * 10) / 10;
+        return `
+            <line class="chart-grid" x1="${PADDING.left}" x2="${WIDTH - PADDING.right}" y1="${y}" y2="${y}" />
+            <text class="chart-axis" x="${PADDING.left - 8}" y="${y + 4}" text-anchor="end">${label}${suffix}</text>
+        `;
+    }).join('');
+}
+
+/**
+ * X-axis labels, thinned out so they never overlap
+ */
+function drawLabels(labels, xFor) {
+    const every = Math.ceil(labels.length / 8);
+
+    return labels.map((label, index) => (index % every === 0 ? `
+        <text class="chart-axis" x="${xFor(index)}" y="${HEIGHT - PADDING.bottom + 18}" text-anchor="middle">${escapeHtml(label)}</text>
+    ` : '')).join('');
+}
+
+function drawLegend(series) {
+    return `
+        <div class="chart-legend">
+            ${series.map(({ name, color, dashed }) => `
+                <span><i style="background: ${color};${dashed ? ' opacity: 0.6;' : ''}"></i>${escapeHtml(name)}</span>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Grouped vertical bar chart.
+ * series is [{ name, color, values }] with one value per label.
+ */
+export function renderBarChart(container, labels, series) {
+    const plotWidth = WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+    const max = niceMax(Math.max(0, ...series.flatMap(s => s.values)));
+
+    const groupWidth = plotWidth / Math.max(labels.length, 1);
+    const barWidth = Math.min(28, (groupWidth * 0.7) / series.length);
+    const xFor = index => PADDING.left + groupWidth * (index + 0.5);
+
+    const bars = labels.map((label, index) => series.map(({ name, color, values }, s) => {
+        const height = (values[index] / max) * plotHeight;
+        const x = xFor(index) - (barWidth * series.length) / 2 + barWidth * s;
+        return `
+            <rect x="${x}" y="${PADDING.top + plotHeight - height}" width="${barWidth - 2}" height="${height}" rx="3" fill="${color}">
+                <title>${escapeHtml(`${label} - ${name}: ${values[index]}`)}</title>
+            </rect>
+        `;
+    }).join('')).join('');
+
+    container.innerHTML = `
+        <svg class="chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img">
+            ${drawAxis(max)}
+            ${bars}
+            ${drawLabels(labels, xFor)}
+        </svg>
+        ${drawLegend(series)}
+    `;
+}
+
+/**
+ * Line chart. Null values leave a gap in the line.
+ * series is [{ name, color, values, dashed }] with one value per label.
+ */
+export function renderLineChart(container, labels, series, { max: fixedMax, suffix = '' } = {}) {
+    const plotWidth = WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+    const values = series.flatMap(s => s.values).filter(value => value !== null);
+    const max = fixedMax || niceMax(Math.max(0, ...values));
+
+    const xFor = index => PADDING.left + (labels.length > 1 ? (plotWidth * index) / (labels.length - 1) : plotWidth / 2);
+    const yFor = value => PADDING.top + plotHeight * (1 - value / max);
+
+    const lines = series.map(({ name, color, values: points, dashed }) => {
+        // Split the line wherever a value is missing
+        const segments = [];
+        let current = [];
+        points.forEach((value, index) => {
+            if (value === null) {
+                if (current.length) segments.push(current);
+                current = [];
+            } else {
+                current.push(`${xFor(index)},${yFor(value)}`);
+            }
+        });
+        if (current.length) segments.push(current);
+
+        const dots = dashed ? '' : points.map((value, index) => (value === null ? '' : `
+            <circle cx="${xFor(index)}" cy="${yFor(value)}" r="4" fill="${color}">
+                <title>${escapeHtml(`${labels[index]} - ${name}: ${value}${suffix}`)}</title>
+            </circle>
+        `)).join('');
+
+        return segments.map(segment => `
+            <polyline points="${segment.join(' ')}" fill="none" stroke="${color}" stroke-width="2.5"
+                ${dashed ? 'stroke-dasharray="6 6" opacity="0.6"' : ''} />
+        `).join('') + dots;
+    }).join('');
+
+    container.innerHTML = `
+        <svg class="chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img">
+            ${drawAxis(max, suffix)}
+            ${lines}
+            ${drawLabels(labels, xFor)}
+        </svg>
+        ${drawLegend(series)}
+    `;
+}
+
+/**
+ * Ranked horizontal bars, e.g. the categories that waste the most.
+ * rows is [{ label, value }]
+ */
+export function renderRankingChart(container, rows, color) {
+    const max = Math.max(1, ...rows.map(row => row.value));
+
+    container.innerHTML = `
+        <div class="ranking-chart">
+            ${rows.map(({ label, value }) => `
+                <div class="ranking-row">
+                    <span class="ranking-label">${escapeHtml(label)}</span>
+                    <div class="ranking-track">
+                        <div class="ranking-bar" style="width: ${(value / max) * 100}%; background: ${color};"></div>
+                    </div>
+                    <span class="ranking-value">${value}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
@@ -7,15 +7,137 @@ import {
     getExpiryStatus,
     compressImage,
     showToast,
-    generateUniqueFilename
+    generateUniqueFilename,
+    escapeHtml,
+    debounce,
+    downloadFile,
+    categoryLabel,
+    statusLabel,
+    isActiveItem,
+    isTrashedItem,
+    todayDate,
+    getTimeZone,
+    setTimeZone,
+    CURRENCIES,
+    USE_WITHIN_DEFAULTS,
+    formatMoney,
+    itemValue,
+    totalValue,
+    formatTotals
 } from './utils.js';
-import { initNotifications } from './notifications.js';
+import { initNotifications, loadReminderRules } from './notifications.js';
+import { isCameraScanSupported, startScanner, stopScanner } from './scanner.js';
+import {
+    normalizeBarcode,
+    lookupProduct,
+    suggestExpiryDate,
+    syncLearnedProducts,
+    rememberProduct
+} from './product-lookup.js';
+import {
+    getItems,
+    getSyncStates,
+    refreshFromServer,
+    addItem,
+    updateItem,
+    removeItem,
+    bulkUpdateItems,
+    bulkRemoveItems,
+    applyRemoteChange,
+    flushOutbox,
+    retryMutation,
+    discardMutation,
+    isNetworkError
+} from './item-store.js';
+import { loadActiveHousehold, canEdit } from './household.js';
+import {
+    EXPIRY_WINDOWS,
+    createDefaultFilters,
+    hasActiveFilters,
+    applyFilters,
+    applySidebarFilter,
+    loadFilters,
+    saveFilters
+} from './item-filters.js';
+import {
+    ITEM_FIELDS,
+    DELIMITERS,
+    DATE_FORMATS,
+    parseDelimited,
+    detectDelimiter,
+    toDelimited,
+    guessColumnMapping,
+    detectDateFormat,
+    mapRow,
+    itemsToRows
+} from './spreadsheet.js';
+import {
+    DUPLICATE_STRATEGIES,
+    validateRow,
+    reviewImport,
+    planImport,
+    parseJsonBackup,
+    buildJsonBackup
+} from './item-import.js';
+import {
+    getLots,
+    createLot,
+    lotChanges,
+    mergeLots,
+    consumeFefo,
+    shiftLots,
+    setLotQuantity
+} from './lots.js';
+import { loadLocations, freezerExtensionDays, freezeChanges } from './storage-locations.js';
+import { loadCategories, categoryNames, findCategory, expiryThresholds } from './categories.js';
+import {
+    COLLECTION_FILTER_PREFIX,
+    compileQuery,
+    loadCollections,
+    getCollections,
+    findCollection,
+    matchesCollection,
+    createCollection,
+    updateCollection,
+    deleteCollection
+} from './smart-collections.js';
+import { parseTags, allTags } from './tags.js';
+import { effectiveExpiryDate } from './supabase/functions/_shared/reminders.js';
+import { addDays, daysBetween, toDateIn } from './supabase/functions/_shared/dates.js';
+import { buildCalendar } from './supabase/functions/_shared/ical.js';
+import { weekdayNames, calendarDays, shiftAnchor, periodTitle } from './calendar.js';
+import { loadItemHistory, describeChanges, versionChanges } from './item-history.js';
+import { t, getLanguage, setLanguage, translatePage, formatNumber, getLocale } from './i18n.js';
 
 let currentUser = null;
+let household = null;
+let locations = [];
 let items = [];
-let currentFilter = 'all';
+let syncStates = new Map();
+let filters = createDefaultFilters();
 let editingItemId = null;
 let realtimeChannel = null;
+let scannedBarcode = null;
+let importSheet = null;
+let importReview = null;
+let view = 'grid';
+let calendarMode = 'month';
+let calendarAnchor = null;
+let selecting = false;
+let selectedIds = new Set();
+let lastSelectedId = null;
+let historyItemId = null;
+let itemHistory = [];
+let formTags = [];
+let editingCollectionId = null;
+
+const CURRENCY_STORAGE_KEY = 'expiryTracker.currency';
+const VIEW_STORAGE_KEY = 'expiryTracker.view';
+
+// Fonts for PDF text the built-in Helvetica has no glyphs for, served from /fonts (see README)
+const PDF_FONTS = {
+    hi: { name: 'NotoSansDevanagari', file: 'NotoSansDevanagari-Regular.ttf' }
+};
 
 // Initialize Dashboard
 async function init() {
@@ -26,9 +148,60 @@ async function init() {
     document.querySelector('.dashboard-container').style.display = 'flex';
 
     await loadUserProfile();
+    translatePage();
+
+    try {
+        household = await loadActiveHousehold(currentUser.id);
+    } catch (error) {
+        console.error('Error loading household:', error);
+        showToast(t('toast.householdLoadFailed'), 'error');
+        return;
+    }
+    applyHouseholdRole();
+
+    try {
+        locations = await loadLocations(household.id);
+    } catch (error) {
+        console.error('Error loading storage locations:', error);
+    }
+    renderLocationOptions();
+
+    try {
+        await loadCategories(household.id);
+    } catch (error) {
+        console.error('Error loading categories:', error);
+    }
+    renderCategoryOptions();
+
+    try {
+        await loadCollections(household.id, locations);
+    } catch (error) {
+        console.error('Error loading smart collections:', error);
+    }
+
+    filters = loadFilters(currentUser.id);
+    if (!locations.some(location => location.id === filters.location)) filters.location = '';
+    if (filters.sidebar.startsWith(COLLECTION_FILTER_PREFIX) &&
+        !findCollection(filters.sidebar.slice(COLLECTION_FILTER_PREFIX.length))) filters.sidebar = 'all';
+    filters.categories = filters.categories.filter(category => findCategory(category));
+    view = localStorage.getItem(VIEW_STORAGE_KEY) || 'grid';
+    calendarAnchor = todayDate();
+    renderFilterControls();
+
+    document.getElementById('itemCurrency').innerHTML = CURRENCIES.map(currency => `
+        <option value="${currency}">${currency}</option>
+    `).join('');
+
     await loadItems();
     setupRealtimeSync();
     setupEventListeners();
+    syncLearnedProducts(currentUser.id);
+
+    // Opened from a notification click, or to restock from the shopping list
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('item')) focusItem(params.get('item'));
+    if (params.has('restock') && canEdit(household.role)) openRestockModal(params);
+
     await initNotifications();
 }
 
@@ -43,7 +216,9 @@ async function loadUserProfile() {
 
         if (error) throw error;
 
-        document.getElementById('userName').textContent = profile.name || 'User';
+        setTimeZone(profile.timezone);
+        setLanguage(profile.language);
+        document.getElementById('userName').textContent = profile.name || t('common.user');
         document.getElementById('userEmail').textContent = currentUser.email;
 
         const avatarEl = document.getElementById('userAvatar');
@@ -57,23 +232,55 @@ async function loadUserProfile() {
     }
 }
 
-// Load Items from Database
+// Show the household name and hide editing controls from viewers
+function applyHouseholdRole() {
+    document.querySelector('.dashboard-header .subtitle').textContent = household.name;
+
+    const editable = canEdit(household.role);
+    document.getElementById('addItemBtn').style.display = editable ? '' : 'none';
+    document.getElementById('importBtn').style.display = editable ? '' : 'none';
+    document.getElementById('addCollectionBtn').style.display = editable ? '' : 'none';
+    document.querySelectorAll('#bulkBar .bulk-edit').forEach(element => {
+        element.style.display = editable ? '' : 'none';
+    });
+}
+
+// Load Items - show the offline cache first, then sync with the server
 async function loadItems() {
     try {
-        const { data, error } = await supabase
-            .from('expiry_items')
-            .select('*')
-            .eq('user_id', currentUser.id)
-            .order('expiry_date', { ascending: true });
-
-        if (error) throw error;
+        await refreshView();
 
-        items = data || [];
-        renderItems();
-        updateCounts();
+        await flushOutbox(currentUser.id);
+        await refreshFromServer(household.id);
+        await refreshView();
     } catch (error) {
+        if (isNetworkError(error)) {
+            showToast(t('toast.offlineItems'), 'info');
+            return;
+        }
         console.error('Error loading items:', error);
-        showToast('Failed to load items', 'error');
+        showToast(t('toast.itemsLoadFailed'), 'error');
+    }
+}
+
+// Rebuild the item list from the offline store and re-render
+async function refreshView() {
+    items = await getItems(currentUser.id, household.id);
+    syncStates = await getSyncStates(currentUser.id);
+    renderItems();
+    updateCounts();
+}
+
+// Replay queued changes and report anything the server rejected
+async function syncOutbox() {
+    try {
+        const { failed } = await flushOutbox(currentUser.id);
+        if (failed > 0) {
+            showToast(t('toast.syncFailed', { count: failed }), 'error');
+        }
+        await refreshView();
+    } catch (error) {
+        console.error('Error syncing changes:', error);
     }
 }
 
@@ -87,39 +294,73 @@ function setupRealtimeSync() {
                 event: '*',
                 schema: 'public',
                 table: 'expiry_items',
-                filter: `user_id=eq.${currentUser.id}`
+                filter: `household_id=eq.${household.id}`
             },
             (payload) => {
                 handleRealtimeChange(payload);
             }
         )
+        .on(
+            'postgres_changes',
+            {
+                event: '*',
+                schema: 'public',
+                table: 'smart_collections',
+                filter: `household_id=eq.${household.id}`
+            },
+            () => {
+                refreshCollections();
+            }
+        )
         .subscribe();
 }
 
-// Handle Real-time Changes
-function handleRealtimeChange(payload) {
+// Reload the collections after someone in the household added, changed or deleted one
+async function refreshCollections() {
+    try {
+        await loadCollections(household.id, locations);
+    } catch (error) {
+        console.error('Error loading smart collections:', error);
+        return;
+    }
+
+    if (filters.sidebar.startsWith(COLLECTION_FILTER_PREFIX) &&
+        !findCollection(filters.sidebar.slice(COLLECTION_FILTER_PREFIX.length))) {
+        filters.sidebar = 'all';
+        renderFilterControls();
+        applyFilterChange();
+        return;
+    }
+    renderItems();
+    updateCounts();
+}
+
+// Handle Real-time Changes - changes to items already in the Trash
+// (including purging them) are applied quietly
+async function handleRealtimeChange(payload) {
     const { eventType, new: newRecord, old: oldRecord } = payload;
+    const known = items.find(item => item.id === (newRecord?.id || oldRecord?.id));
+    const wasTrashed = Boolean(known && isTrashedItem(known));
+    const isTrashed = Boolean(newRecord && isTrashedItem(newRecord));
+
+    await applyRemoteChange(payload);
 
     switch (eventType) {
         case 'INSERT':
-            items.push(newRecord);
-            showToast('New item added', 'success');
+            if (!isTrashed) showToast(t('realtime.added'), 'success');
             break;
         case 'UPDATE':
-            const updateIndex = items.findIndex(item => item.id === newRecord.id);
-            if (updateIndex !== -1) {
-                items[updateIndex] = newRecord;
-                showToast('Item updated', 'info');
-            }
+            if (!known || (wasTrashed && isTrashed)) break;
+            if (isTrashed) showToast(t('realtime.trashed'), 'info');
+            else if (wasTrashed) showToast(t('realtime.restored'), 'info');
+            else showToast(t('realtime.updated'), 'info');
             break;
         case 'DELETE':
-            items = items.filter(item => item.id !== oldRecord.id);
-            showToast('Item deleted', 'info');
+            if (!wasTrashed) showToast(t('realtime.deleted'), 'info');
             break;
     }
 
-    renderItems();
-    updateCounts();
+    await refreshView();
 }
 
 // Render Items
@@ -127,25 +368,52 @@ function renderItems() {
     const grid = document.getElementById('itemsGrid');
     const emptyState = document.getElementById('emptyState');
 
-    let filteredItems = items;
-
-    // Apply filter
-    if (currentFilter === 'soon') {
-        filteredItems = items.filter(item => {
-            const days = daysUntilExpiry(item.expiry_date);
-            return days >= 0 && days <= 7;
-        });
-    } else if (currentFilter === 'expired') {
-        filteredItems = items.filter(item => daysUntilExpiry(item.expiry_date) < 0);
+    document.querySelectorAll('#viewToggle [data-view]').forEach(button => {
+        button.classList.toggle('active', button.dataset.view === view);
+    });
+    document.getElementById('calendarView').style.display = view === 'calendar' ? 'block' : 'none';
+    if (view === 'calendar') {
+        grid.style.display = 'none';
+        emptyState.style.display = 'none';
+        renderCalendar();
+        return;
     }
 
+    const filteredItems = getVisibleItems();
+
+    // Items hidden by a filter change drop out of the selection
+    const visibleIds = new Set(filteredItems.map(item => item.id));
+    selectedIds = new Set([...selectedIds].filter(id => visibleIds.has(id)));
+    renderSelection();
+
     if (filteredItems.length === 0) {
+        const inArchive = filters.sidebar === 'archive' || filters.sidebar === 'trash';
+        const hasItems = applySidebarFilter(items, filters.sidebar).length > 0;
+
+        let title = t('empty.title');
+        let message = t('empty.message');
+        if (hasItems) {
+            title = t('empty.noMatchTitle');
+            message = t('empty.noMatchMessage');
+        } else if (filters.sidebar === 'trash') {
+            title = t('empty.trashTitle');
+            message = t('empty.trashMessage', { count: household.trash_retention_days });
+        } else if (inArchive) {
+            title = t('empty.archiveTitle');
+            message = t('empty.archiveMessage');
+        }
+
+        document.getElementById('emptyTitle').textContent = title;
+        document.getElementById('emptyMessage').textContent = message;
+        emptyState.querySelector('.btn').style.display = !hasItems && !inArchive && canEdit(household.role) ? '' : 'none';
+
         grid.style.display = 'none';
         emptyState.style.display = 'flex';
         return;
     }
 
     grid.style.display = 'grid';
+    grid.classList.toggle('selecting', selecting);
     emptyState.style.display = 'none';
 
     grid.innerHTML = filteredItems.map(item => createItemCard(item)).join('');
@@ -154,28 +422,60 @@ function renderItems() {
     filteredItems.forEach(item => {
         const card = document.querySelector(`[data-item-id="${item.id}"]`);
         if (card) {
+            card.querySelector('.history-btn').addEventListener('click', () => openHistory(item));
             card.querySelector('.edit-btn')?.addEventListener('click', () => editItem(item));
-            card.querySelector('.delete-btn')?.addEventListener('click', () => deleteItem(item.id));
+            card.querySelector('.delete-btn')?.addEventListener('click', () => deleteItem(item));
+            card.querySelector('.restore-btn')?.addEventListener('click', () => restoreItem(item));
+            card.querySelector('.purge-btn')?.addEventListener('click', () => purgeItem(item));
+            card.querySelector('.use-btn')?.addEventListener('click', () => useOne(item));
+            card.querySelector('.freeze-btn')?.addEventListener('click', () => moveToFreezer(item));
+            card.querySelectorAll('.status-btn').forEach(button => {
+                button.addEventListener('click', () => setItemStatus(item, button.dataset.status));
+            });
+            card.querySelector('.sync-retry-btn')?.addEventListener('click', () => retrySync(item.id));
+            card.querySelector('.sync-discard-btn')?.addEventListener('click', () => discardSync(item.id));
         }
     });
 }
 
 // Create Item Card HTML
 function createItemCard(item) {
-    const status = getExpiryStatus(item.expiry_date);
+    const trashed = isTrashedItem(item);
+    const active = isActiveItem(item) && !trashed;
+    const lots = getLots(item);
+    // The earliest-expiring lot decides the badge, or the opened date if that is sooner
+    const expiryDate = effectiveExpiryDate({ ...item, expiry_date: lots[0].expiry_date });
+    let status = { status: 'archived', label: trashed ? t('card.inTrash') : statusLabel(item.status) };
+    if (active) status = getExpiryStatus(expiryDate, expiryThresholds(item.category));
     const imageUrl = item.image_url || 'https://via.placeholder.com/300x200?text=No+Image';
+    const sync = syncStates.get(item.id);
+    const location = locations.find(l => l.id === item.location_id);
+    const canFreeze = active && !location?.is_freezer && locations.some(l => l.is_freezer);
 
     return `
-        <div class="item-card" data-item-id="${item.id}">
+        <div class="item-card${active ? '' : ' archived'}${sync ? ` sync-${sync.state}` : ''}${selectedIds.has(item.id) ? ' selected' : ''}" data-item-id="${item.id}">
+            ${sync ? createSyncBanner(sync) : ''}
+            ${selecting ? `
+            <span class="select-check">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
+                    <polyline points="20 6 9 17 4 12"/>
+                </svg>
+            </span>
+            ` : ''}
             <div class="item-image">
-                <img src="${imageUrl}" alt="${item.name}">
+                <img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(item.name)}">
                 <span class="badge badge-${status.status}">${status.label}</span>
             </div>
             <div class="item-content">
                 <div class="item-header">
-                    <h3>${item.name}</h3>
-                    ${item.category ? `<span class="category-tag">${item.category}</span>` : ''}
+                    <h3>${escapeHtml(item.name)}</h3>
+                    ${item.category ? createCategoryTag(item.category) : ''}
                 </div>
+                ${item.tags?.length ? `
+                <div class="item-tags">
+                    ${item.tags.map(tag => `<span class="tag-pill">${escapeHtml(tag)}</span>`).join('')}
+                </div>
+                ` : ''}
                 <div class="item-details">
                     <div class="detail-row">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -184,8 +484,66 @@ function createItemCard(item) {
                             <line x1="8" y1="2" x2="8" y2="6"/>
                             <line x1="3" y1="10" x2="21" y2="10"/>
                         </svg>
-                        <span>Expires: ${formatDate(item.expiry_date)}</span>
+                        <span>${t('card.expires', { date: formatDate(expiryDate) })}</span>
+                    </div>
+                    ${item.opened_at ? `
+                    <div class="detail-row">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
+                            <path d="M7 11V7a5 5 0 0 1 9.9-1"/>
+                        </svg>
+                        <span>${describeOpened(item)}</span>
+                    </div>
+                    ` : ''}
+                    ${item.original_expiry_date && item.original_expiry_date !== item.expiry_date ? `
+                    <div class="detail-row">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="12" y1="2" x2="12" y2="22"/>
+                            <line x1="2" y1="12" x2="22" y2="12"/>
+                            <line x1="4.93" y1="4.93" x2="19.07" y2="19.07"/>
+                            <line x1="19.07" y1="4.93" x2="4.93" y2="19.07"/>
+                        </svg>
+                        <span>${t('card.printedDate', { date: formatDate(item.original_expiry_date) })}</span>
+                    </div>
+                    ` : ''}
+                    ${active && lots.length > 1 ? `
+                    <div class="detail-row lot-summary">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polygon points="12 2 2 7 12 12 22 7 12 2"/>
+                            <polyline points="2 17 12 22 22 17"/>
+                            <polyline points="2 12 12 17 22 12"/>
+                        </svg>
+                        <span>${lots.map((lot, index) => `
+                            <span class="${index === 0 ? 'lot-next' : ''}">${lot.quantity} × ${formatDate(lot.expiry_date)}</span>
+                        `).join(' · ')}</span>
                     </div>
+                    ` : ''}
+                    ${location ? `
+                    <div class="detail-row">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"/>
+                            <circle cx="12" cy="10" r="3"/>
+                        </svg>
+                        <span>${escapeHtml(location.name)}</span>
+                    </div>
+                    ` : ''}
+                    ${trashed ? `
+                    <div class="detail-row">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="3 6 5 6 21 6"/>
+                            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                        </svg>
+                        <span>${describeTrashed(item)}</span>
+                    </div>
+                    ` : ''}
+                    ${!active && !trashed && item.status_changed_at ? `
+                    <div class="detail-row">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="20 6 9 17 4 12"/>
+                        </svg>
+                        <span>${statusLabel(item.status)}: ${formatDate(item.status_changed_at)}</span>
+                    </div>
+                    ` : ''}
                     ${item.quantity > 1 ? `
                     <div class="detail-row">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -196,7 +554,18 @@ function createItemCard(item) {
                             <line x1="3" y1="12" x2="3.01" y2="12"/>
                             <line x1="3" y1="18" x2="3.01" y2="18"/>
                         </svg>
-                        <span>Quantity: ${item.quantity}</span>
+                        <span>${t('card.quantity', { count: item.quantity })}</span>
+                    </div>
+                    ` : ''}
+                    ${itemValue(item) !== null ? `
+                    <div class="detail-row">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="12" y1="1" x2="12" y2="23"/>
+                            <path d="M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6"/>
+                        </svg>
+                        <span>${item.quantity > 1
+                            ? t('card.priceEach', { price: formatMoney(item.unit_price, item.currency), total: formatMoney(itemValue(item), item.currency) })
+                            : formatMoney(item.unit_price, item.currency)}</span>
                     </div>
                     ` : ''}
                     ${item.notes ? `
@@ -208,234 +577,1555 @@ function createItemCard(item) {
                             <line x1="16" y1="17" x2="8" y2="17"/>
                             <line x1="10" y1="9" x2="8" y2="9"/>
                         </svg>
-                        <span>${item.notes}</span>
+                        <span>${escapeHtml(item.notes)}</span>
                     </div>
                     ` : ''}
+                    ${createItemByline(item)}
                 </div>
                 <div class="item-actions">
-                    <button class="btn-icon edit-btn" title="Edit">
+                    <button class="btn-icon history-btn" title="${t('card.history')}">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <circle cx="12" cy="12" r="10"/>
+                            <polyline points="12 6 12 12 16 14"/>
+                        </svg>
+                    </button>
+                    ${canEdit(household.role) && trashed ? `
+                    <button class="btn-icon restore-btn" title="${t('card.restoreFromTrash')}">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="1 4 1 10 7 10"/>
+                            <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"/>
+                        </svg>
+                    </button>
+                    <button class="btn-icon purge-btn" title="${t('card.deleteForever')}">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="3 6 5 6 21 6"/>
+                            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                            <line x1="10" y1="11" x2="10" y2="17"/>
+                            <line x1="14" y1="11" x2="14" y2="17"/>
+                        </svg>
+                    </button>
+                    ` : ''}
+                    ${canEdit(household.role) && !trashed ? `
+                    ${active && item.quantity > 1 ? `
+                    <button class="btn-icon use-btn" title="${t('card.useOne')}">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <circle cx="12" cy="12" r="10"/>
+                            <line x1="8" y1="12" x2="16" y2="12"/>
+                        </svg>
+                    </button>
+                    ` : ''}
+                    ${canFreeze ? `
+                    <button class="btn-icon freeze-btn" title="${t('card.freeze')}">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="12" y1="2" x2="12" y2="22"/>
+                            <line x1="2" y1="12" x2="22" y2="12"/>
+                            <line x1="4.93" y1="4.93" x2="19.07" y2="19.07"/>
+                            <line x1="19.07" y1="4.93" x2="4.93" y2="19.07"/>
+                        </svg>
+                    </button>
+                    ` : ''}
+                    ${active ? createLifecycleButtons() : `
+                    <button class="btn-icon status-btn" data-status="active" title="${t('card.restoreActive')}">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="1 4 1 10 7 10"/>
+                            <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"/>
+                        </svg>
+                    </button>
+                    `}
+                    <button class="btn-icon edit-btn" title="${t('card.edit')}">
                         <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
                             <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
                         </svg>
                     </button>
-                    <button class="btn-icon delete-btn" title="Delete">
+                    <button class="btn-icon delete-btn" title="${t('card.moveToTrash')}">
                         <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <polyline points="3 6 5 6 21 6"/>
                             <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
                         </svg>
                     </button>
+                    ` : ''}
                 </div>
             </div>
         </div>
     `;
 }
 
-// Update Counts
-function updateCounts() {
-    const allCount = items.length;
-    const soonCount = items.filter(item => {
-        const days = daysUntilExpiry(item.expiry_date);
-        return days >= 0 && days <= 7;
-    }).length;
-    const expiredCount = items.filter(item => daysUntilExpiry(item.expiry_date) < 0).length;
+// Buttons that move an active item to the archive
+function createLifecycleButtons() {
+    return `
+        <button class="btn-icon status-btn status-consumed" data-status="consumed" title="${t('card.markConsumed')}">
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <polyline points="20 6 9 17 4 12"/>
+            </svg>
+        </button>
+        <button class="btn-icon status-btn status-discarded" data-status="discarded" title="${t('card.markDiscarded')}">
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <circle cx="12" cy="12" r="10"/>
+                <line x1="4.93" y1="4.93" x2="19.07" y2="19.07"/>
+            </svg>
+        </button>
+        <button class="btn-icon status-btn status-donated" data-status="donated" title="${t('card.markDonated')}">
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/>
+            </svg>
+        </button>
+    `;
+}
+
+// "Deleted Oct 12, 2026 · removed for good in 24 days"
+function describeTrashed(item) {
+    const deletedOn = toDateIn(item.deleted_at, getTimeZone());
+    const daysLeft = daysUntilExpiry(addDays(deletedOn, household.trash_retention_days));
 
-    document.getElementById('allCount').textContent = allCount;
-    document.getElementById('soonCount').textContent = soonCount;
-    document.getElementById('expiredCount').textContent = expiredCount;
+    let removal = t('card.purgeIn', { count: daysLeft });
+    if (daysLeft <= 0) removal = t('card.purgeToday');
+    else if (daysLeft === 1) removal = t('card.purgeTomorrow');
+
+    return `${t('card.deletedOn', { date: formatDate(item.deleted_at) })} · ${removal}`;
 }
 
-// Setup Event Listeners
-function setupEventListeners() {
-    // Navigation filter
-    document.querySelectorAll('.nav-item').forEach(item => {
-        item.addEventListener('click', (e) => {
-            e.preventDefault();
-            document.querySelectorAll('.nav-item').forEach(nav => nav.classList.remove('active'));
-            item.classList.add('active');
-            currentFilter = item.dataset.filter;
-            renderItems();
-        });
-    });
+// "Opened 3 days ago · use within 5 days"
+function describeOpened(item) {
+    const days = -daysUntilExpiry(item.opened_at);
+    let opened = t('card.openedDaysAgo', { count: days });
+    if (days <= 0) opened = t('card.openedToday');
+    else if (days === 1) opened = t('card.openedYesterday');
 
-    // Add item button
-    document.getElementById('addItemBtn').addEventListener('click', openAddModal);
+    return item.use_within_days ? `${opened} · ${t('card.useWithin', { count: item.use_within_days })}` : opened;
+}
 
-    // Modal controls
-    document.getElementById('closeModal').addEventListener('click', closeModal);
-    document.getElementById('cancelBtn').addEventListener('click', closeModal);
-    document.getElementById('itemModal').addEventListener('click', (e) => {
-        if (e.target.id === 'itemModal') closeModal();
-    });
+// Create "added by / edited by" row for shared households
+function createItemByline(item) {
+    if (household.members.size < 2) return '';
 
-    // Form submission
-    document.getElementById('itemForm').addEventListener('submit', saveItem);
+    let byline = t('card.addedBy', { name: memberName(item.user_id) });
+    if (item.updated_by && item.updated_at !== item.created_at) {
+        byline += ` · ${t('card.editedBy', { name: memberName(item.updated_by) })}`;
+    }
 
-    // Image upload
-    document.getElementById('uploadImageBtn').addEventListener('click', () => {
-        document.getElementById('itemImage').click();
-    });
-    document.getElementById('itemImage').addEventListener('change', handleImageSelect);
+    return `
+        <div class="detail-row item-byline">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"/>
+                <circle cx="12" cy="7" r="4"/>
+            </svg>
+            <span>${escapeHtml(byline)}</span>
+        </div>
+    `;
+}
 
-    // QR Scanner
-    document.getElementById('scanQRBtn').addEventListener('click', scanQRCode);
+// Display name of a household member
+function memberName(userId) {
+    if (userId === currentUser.id) return t('member.you');
+    return household.members.get(userId)?.name || t('member.former');
+}
 
-    // Import/Export
-    document.getElementById('importBtn').addEventListener('click', importData);
-    document.getElementById('exportBtn').addEventListener('click', exportData);
-    document.getElementById('importFile').addEventListener('change', handleImport);
+// Create Sync State Banner HTML
+function createSyncBanner(sync) {
+    if (sync.state === 'failed') {
+        return `
+            <div class="sync-banner sync-banner-failed" title="${escapeHtml(sync.error || '')}">
+                <span>${t('sync.failed')}</span>
+                <button class="btn btn-secondary btn-sm sync-retry-btn">${t('sync.retry')}</button>
+                <button class="btn btn-secondary btn-sm sync-discard-btn">${t('sync.discard')}</button>
+            </div>
+        `;
+    }
+    return `
+        <div class="sync-banner sync-banner-pending">
+            <span>${t('sync.pending')}</span>
+        </div>
+    `;
+}
 
-    // Logout
-    document.getElementById('logoutBtn').addEventListener('click', logout);
+// Render the month or week calendar; items sit on the date they have to be used by
+function renderCalendar() {
+    const itemsByDate = Map.groupBy(getVisibleItems(), item => effectiveExpiryDate(item));
+    const editable = canEdit(household.role);
+    const today = todayDate();
 
-    // User profile toggle
-    document.getElementById('userProfile').addEventListener('click', () => {
-        document.getElementById('profileMenu').classList.toggle('active');
+    document.getElementById('calendarTitle').textContent = periodTitle(calendarMode, calendarAnchor, getLocale());
+    document.querySelectorAll('#calendarModeToggle [data-mode]').forEach(button => {
+        button.classList.toggle('active', button.dataset.mode === calendarMode);
     });
+    document.getElementById('calendarHint').style.display = editable ? '' : 'none';
+
+    const grid = document.getElementById('calendarGrid');
+    grid.className = `calendar-grid calendar-${calendarMode}`;
+    grid.innerHTML = `
+        ${weekdayNames(getLocale()).map(weekday => `<div class="calendar-weekday">${weekday}</div>`).join('')}
+        ${calendarDays(calendarMode, calendarAnchor).map(day => `
+            <div class="calendar-day${day.inPeriod ? '' : ' outside'}${day.date === today ? ' today' : ''}" data-date="${day.date}">
+                <span class="calendar-date">${Number(day.date.slice(8))}</span>
+                ${(itemsByDate.get(day.date) || []).map(item => createCalendarItem(item, editable)).join('')}
+            </div>
+        `).join('')}
+    `;
 }
 
-// Open Add Modal
-function openAddModal() {
-    editingItemId = null;
-    document.getElementById('modalTitle').textContent = 'Add New Item';
-    document.getElementById('itemForm').reset();
-    document.getElementById('imagePreview').innerHTML = '';
-    document.getElementById('itemModal').classList.add('active');
+// Create Calendar Item HTML - coloured like the card badges. Opened items
+// follow their opened date, so only their printed date can be edited.
+function createCalendarItem(item, editable) {
+    const active = isActiveItem(item) && !isTrashedItem(item);
+    const status = active ? getExpiryStatus(effectiveExpiryDate(item), expiryThresholds(item.category)).status : 'archived';
+    const opened = effectiveExpiryDate(item) !== item.expiry_date;
+    const draggable = editable && active && !opened;
+
+    let title = item.name;
+    if (opened) title = t('calendar.openedTitle', { name: item.name });
+    else if (draggable) title = t('calendar.dragTitle', { name: item.name });
+
+    return `
+        <div class="calendar-item calendar-${status}" data-calendar-item="${item.id}" draggable="${draggable}" title="${escapeHtml(title)}">
+            ${escapeHtml(item.name)}${item.quantity > 1 ? ` <span class="calendar-quantity">×${formatNumber(item.quantity)}</span>` : ''}
+        </div>
+    `;
 }
 
-// Edit Item
-function editItem(item) {
-    editingItemId = item.id;
-    document.getElementById('modalTitle').textContent = 'Edit Item';
-    document.getElementById('itemId').value = item.id;
-    document.getElementById('itemName').value = item.name;
-    document.getElementById('itemCategory').value = item.category || '';
-    document.getElementById('itemQuantity').value = item.quantity;
-    document.getElementById('itemExpiryDate').value = item.expiry_date;
-    document.getElementById('itemNotes').value = item.notes || '';
+// Turn selection mode on or off; the selection starts empty either way
+function setSelecting(on) {
+    selecting = on;
+    selectedIds = new Set();
+    lastSelectedId = null;
+    document.getElementById('selectModeBtn').classList.toggle('active', on);
+    renderItems();
+}
 
-    if (item.image_url) {
-        document.getElementById('imagePreview').innerHTML = `
-            <img src="${item.image_url}" alt="Preview">
-        `;
+// Select or unselect a card. With shift, every card between the last
+// clicked one and this one is selected.
+function toggleSelection(itemId, range) {
+    const visibleIds = getVisibleItems().map(item => item.id);
+
+    if (range && visibleIds.includes(lastSelectedId)) {
+        const [from, to] = [visibleIds.indexOf(lastSelectedId), visibleIds.indexOf(itemId)].sort((a, b) => a - b);
+        visibleIds.slice(from, to + 1).forEach(id => selectedIds.add(id));
+    } else if (selectedIds.has(itemId)) {
+        selectedIds.delete(itemId);
+    } else {
+        selectedIds.add(itemId);
     }
 
-    document.getElementById('itemModal').classList.add('active');
+    lastSelectedId = itemId;
+    renderSelection();
 }
 
-// Close Modal
-function closeModal() {
-    document.getElementById('itemModal').classList.remove('active');
-    editingItemId = null;
+// Sync the selected cards and the bulk action bar with the selection
+function renderSelection() {
+    document.querySelectorAll('#itemsGrid .item-card').forEach(card => {
+        card.classList.toggle('selected', selectedIds.has(card.dataset.itemId));
+    });
+
+    const visibleCount = getVisibleItems().length;
+    const inTrash = filters.sidebar === 'trash';
+    document.getElementById('bulkBar').classList.toggle('active', selecting);
+    document.getElementById('bulkBar').classList.toggle('in-trash', inTrash);
+    document.getElementById('bulkDeleteBtn').textContent = inTrash ? t('bulk.deleteForever') : t('bulk.delete');
+    document.getElementById('selectedCount').textContent = t('bulk.selected', { count: selectedIds.size });
+    document.getElementById('selectAllBtn').textContent = t('bulk.selectAll', { count: visibleCount });
+    document.getElementById('selectAllBtn').disabled = selectedIds.size === visibleCount;
+    document.querySelectorAll('#bulkBar .bulk-actions button:not(#bulkDoneBtn)').forEach(button => {
+        button.disabled = selectedIds.size === 0;
+    });
 }
 
-// Handle Image Selection
-function handleImageSelect(e) {
-    const file = e.target.files[0];
-    if (!file) return;
+// Selected items, in the order they are shown
+function getSelectedItems() {
+    return getVisibleItems().filter(item => selectedIds.has(item.id));
+}
 
-    const reader = new FileReader();
-    reader.onload = (event) => {
-        document.getElementById('imagePreview').innerHTML = `
-            <img src="${event.target.result}" alt="Preview">
-        `;
-    };
-    reader.readAsDataURL(file);
+// "1 item", "3 items"
+function itemCount(count) {
+    return t('common.items', { count });
 }
 
-// Save Item
-async function saveItem(e) {
-    e.preventDefault();
+// Items that pass the sidebar filter, search and filter bar
+function getVisibleItems() {
+    return applySidebarFilter(applyFilters(items, filters), filters.sidebar);
+}
 
-    const saveBtn = document.getElementById('saveBtn');
-    saveBtn.classList.add('loading');
-    saveBtn.disabled = true;
+// Update Counts - each sidebar count respects the search and filter bar;
+// only the archive counts consumed, discarded and donated items
+function updateCounts() {
+    const matchingItems = applyFilters(items, filters);
 
-    try {
-        const itemData = {
-            name: document.getElementById('itemName').value.trim(),
-            category: document.getElementById('itemCategory').value,
-            quantity: parseInt(document.getElementById('itemQuantity').value),
-            expiry_date: document.getElementById('itemExpiryDate').value,
-            notes: document.getElementById('itemNotes').value.trim(),
-            user_id: currentUser.id
-        };
+    document.getElementById('allCount').textContent = applySidebarFilter(matchingItems, 'all').length;
+    document.getElementById('soonCount').textContent = applySidebarFilter(matchingItems, 'soon').length;
+    document.getElementById('expiredCount').textContent = applySidebarFilter(matchingItems, 'expired').length;
+    document.getElementById('archiveCount').textContent = applySidebarFilter(matchingItems, 'archive').length;
+    document.getElementById('trashCount').textContent = applySidebarFilter(matchingItems, 'trash').length;
 
-        // Upload image if selected
-        const imageFile = document.getElementById('itemImage').files[0];
-        if (imageFile) {
-            const compressedImage = await compressImage(imageFile);
+    renderCollectionNav(matchingItems);
+    renderLocationNav();
+}
+
+// Sidebar list of smart collections; each count follows the search and filter bar
+function renderCollectionNav(matchingItems) {
+    const editable = canEdit(household.role);
+    const collections = getCollections();
+    document.getElementById('collectionSection').style.display = collections.length || editable ? '' : 'none';
+
+    document.getElementById('collectionNav').innerHTML = collections.map(collection => {
+        const value = COLLECTION_FILTER_PREFIX + collection.id;
+        return `
+            <a href="#" class="nav-item ${filters.sidebar === value ? 'active' : ''} ${collection.error ? 'invalid' : ''}"
+                data-collection="${collection.id}" title="${escapeHtml(collection.error || collection.query)}">
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polygon points="22 3 2 3 10 12.46 10 19 14 21 14 12.46 22 3" />
+                </svg>
+                <span>${escapeHtml(collection.name)}</span>
+                ${editable ? `<span class="collection-edit" role="button" title="${t('collections.edit')}">✎</span>` : ''}
+                <span class="count">${applySidebarFilter(matchingItems, value).length}</span>
+            </a>
+        `;
+    }).join('');
+}
+
+// Sidebar list of storage locations; each count follows the other filters
+function renderLocationNav() {
+    document.getElementById('locationSection').style.display = locations.length ? '' : 'none';
+
+    const candidates = applySidebarFilter(applyFilters(items, { ...filters, location: '' }), filters.sidebar);
+
+    document.getElementById('locationNav').innerHTML = locations.map(location => `
+        <a href="#" class="nav-item ${filters.location === location.id ? 'active' : ''}" data-location="${location.id}">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z" />
+                <circle cx="12" cy="10" r="3" />
+            </svg>
+            <span>${escapeHtml(location.name)}</span>
+            <span class="count">${candidates.filter(item => item.location_id === location.id).length}</span>
+        </a>
+    `).join('');
+}
+
+// Fill the location picker of the item form
+function renderLocationOptions() {
+    document.getElementById('itemLocation').innerHTML = `
+        <option value="">${t('form.noLocation')}</option>
+        ${locations.map(location => `<option value="${location.id}">${escapeHtml(location.name)}</option>`).join('')}
+    `;
+}
+
+// Fill the category pickers of the item form and the bulk bar from the household's categories
+function renderCategoryOptions() {
+    const options = categoryNames().map(name => `
+        <option value="${escapeHtml(name)}">${escapeHtml(categoryLabel(name))}</option>
+    `).join('');
+
+    document.getElementById('itemCategory').innerHTML = `<option value="">${t('form.selectCategory')}</option>${options}`;
+    document.getElementById('bulkCategory').innerHTML = options;
+}
+
+// Select a category in the item form, adding it to the picker if the household no longer has it
+function setFormCategory(category) {
+    const select = document.getElementById('itemCategory');
+    if (category && ![...select.options].some(option => option.value === category)) {
+        select.add(new Option(categoryLabel(category), category));
+    }
+    select.value = category || '';
+}
+
+// Category tag in the category's color, with its icon
+function createCategoryTag(name) {
+    const category = findCategory(name);
+    const style = category ? ` style="--category-color: ${category.color}"` : '';
+
+    return `<span class="category-tag"${style}>${category ? `${escapeHtml(category.icon)} ` : ''}${escapeHtml(categoryLabel(name))}</span>`;
+}
+
+// Sync the search box, chips and ranges with the current filter state
+function renderFilterControls() {
+    document.getElementById('searchInput').value = filters.search;
+    document.getElementById('expiresFrom').value = filters.expiresFrom;
+    document.getElementById('expiresTo').value = filters.expiresTo;
+    document.getElementById('minQuantity').value = filters.minQuantity;
+    document.getElementById('maxQuantity').value = filters.maxQuantity;
+
+    document.getElementById('categoryChips').innerHTML = categoryNames().map(category => `
+        <button class="chip ${filters.categories.includes(category) ? 'active' : ''}" data-category="${escapeHtml(category)}">${escapeHtml(categoryLabel(category))}</button>
+    `).join('');
+
+    document.getElementById('expiryChips').innerHTML = EXPIRY_WINDOWS.map(window => `
+        <button class="chip ${filters.windows.includes(window.value) ? 'active' : ''}" data-window="${window.value}">${t(`window.${window.value}`)}</button>
+    `).join('');
+
+    document.querySelectorAll('.nav-item[data-filter]').forEach(nav => {
+        nav.classList.toggle('active', nav.dataset.filter === filters.sidebar);
+    });
+
+    document.getElementById('clearFiltersBtn').disabled = !hasActiveFilters(filters);
+}
+
+// Save the filter state and re-render the list
+function applyFilterChange() {
+    saveFilters(currentUser.id, filters);
+    document.getElementById('clearFiltersBtn').disabled = !hasActiveFilters(filters);
+    renderItems();
+    updateCounts();
+}
+
+// Add or remove a value from a chip group
+function toggleChip(values, value) {
+    return values.includes(value) ? values.filter(v => v !== value) : [...values, value];
+}
+
+// Setup Event Listeners
+function setupEventListeners() {
+    // Navigation filter
+    document.querySelectorAll('.nav-item[data-filter]').forEach(item => {
+        item.addEventListener('click', (e) => {
+            e.preventDefault();
+            document.querySelectorAll('.nav-item[data-filter]').forEach(nav => nav.classList.remove('active'));
+            item.classList.add('active');
+            filters.sidebar = item.dataset.filter;
+            applyFilterChange();
+        });
+    });
+
+    // Smart collections; the pencil opens a collection for editing
+    document.getElementById('collectionNav').addEventListener('click', (e) => {
+        const item = e.target.closest('.nav-item');
+        if (!item) return;
+        e.preventDefault();
+        if (e.target.closest('.collection-edit')) {
+            openCollectionModal(findCollection(item.dataset.collection));
+            return;
+        }
+        document.querySelectorAll('.nav-item[data-filter]').forEach(nav => nav.classList.remove('active'));
+        filters.sidebar = COLLECTION_FILTER_PREFIX + item.dataset.collection;
+        applyFilterChange();
+    });
+    document.getElementById('addCollectionBtn').addEventListener('click', () => openCollectionModal(null));
+
+    // Location filter; clicking the selected location shows every location again
+    document.getElementById('locationNav').addEventListener('click', (e) => {
+        const item = e.target.closest('.nav-item');
+        if (!item) return;
+        e.preventDefault();
+        filters.location = filters.location === item.dataset.location ? '' : item.dataset.location;
+        applyFilterChange();
+    });
+
+    // Search & filters
+    document.getElementById('searchInput').addEventListener('input', debounce((e) => {
+        filters.search = e.target.value;
+        applyFilterChange();
+    }, 200));
+
+    document.getElementById('categoryChips').addEventListener('click', (e) => {
+        const chip = e.target.closest('.chip');
+        if (!chip) return;
+        chip.classList.toggle('active');
+        filters.categories = toggleChip(filters.categories, chip.dataset.category);
+        applyFilterChange();
+    });
+
+    document.getElementById('expiryChips').addEventListener('click', (e) => {
+        const chip = e.target.closest('.chip');
+        if (!chip) return;
+        chip.classList.toggle('active');
+        filters.windows = toggleChip(filters.windows, chip.dataset.window);
+        applyFilterChange();
+    });
+
+    ['expiresFrom', 'expiresTo', 'minQuantity', 'maxQuantity'].forEach(id => {
+        document.getElementById(id).addEventListener('change', (e) => {
+            filters[id] = e.target.value;
+            applyFilterChange();
+        });
+    });
+
+    document.getElementById('clearFiltersBtn').addEventListener('click', () => {
+        filters = { ...createDefaultFilters(), sidebar: filters.sidebar, location: filters.location };
+        renderFilterControls();
+        applyFilterChange();
+    });
+
+    // Grid or calendar view; selecting only works on the grid
+    document.getElementById('viewToggle').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-view]');
+        if (!button) return;
+        view = button.dataset.view;
+        localStorage.setItem(VIEW_STORAGE_KEY, view);
+        if (selecting) setSelecting(false);
+        renderItems();
+    });
+
+    // Selection mode and bulk actions
+    document.getElementById('selectModeBtn').addEventListener('click', () => {
+        if (view === 'calendar') {
+            view = 'grid';
+            localStorage.setItem(VIEW_STORAGE_KEY, view);
+        }
+        setSelecting(!selecting);
+    });
+    document.getElementById('itemsGrid').addEventListener('click', (e) => {
+        const card = e.target.closest('.item-card');
+        if (!selecting || !card || e.target.closest('button')) return;
+        toggleSelection(card.dataset.itemId, e.shiftKey);
+    });
+    document.getElementById('selectAllBtn').addEventListener('click', () => {
+        selectedIds = new Set(getVisibleItems().map(item => item.id));
+        renderSelection();
+    });
+    document.getElementById('clearSelectionBtn').addEventListener('click', () => {
+        selectedIds = new Set();
+        lastSelectedId = null;
+        renderSelection();
+    });
+    document.getElementById('bulkDoneBtn').addEventListener('click', () => setSelecting(false));
+    document.getElementById('bulkCategoryBtn').addEventListener('click', bulkSetCategory);
+    document.getElementById('bulkShiftBtn').addEventListener('click', bulkShiftExpiry);
+    document.getElementById('bulkQuantityBtn').addEventListener('click', bulkSetQuantity);
+    document.getElementById('bulkExportBtn').addEventListener('click', () => exportSpreadsheet('csv', getSelectedItems()));
+    document.getElementById('bulkDeleteBtn').addEventListener('click', bulkDelete);
+    document.getElementById('bulkRestoreBtn').addEventListener('click', bulkRestore);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && selecting && !document.querySelector('.modal-overlay.active')) setSelecting(false);
+    });
+
+    // Calendar navigation
+    document.getElementById('calendarPrevBtn').addEventListener('click', () => {
+        calendarAnchor = shiftAnchor(calendarMode, calendarAnchor, -1);
+        renderCalendar();
+    });
+    document.getElementById('calendarNextBtn').addEventListener('click', () => {
+        calendarAnchor = shiftAnchor(calendarMode, calendarAnchor, 1);
+        renderCalendar();
+    });
+    document.getElementById('calendarTodayBtn').addEventListener('click', () => {
+        calendarAnchor = todayDate();
+        renderCalendar();
+    });
+    document.getElementById('calendarModeToggle').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-mode]');
+        if (!button) return;
+        calendarMode = button.dataset.mode;
+        renderCalendar();
+    });
+
+    // Calendar items open the edit form and can be dragged to another day
+    const calendarGrid = document.getElementById('calendarGrid');
+    calendarGrid.addEventListener('click', (e) => {
+        const element = e.target.closest('[data-calendar-item]');
+        const item = element && items.find(i => i.id === element.dataset.calendarItem);
+        if (item && canEdit(household.role)) editItem(item);
+    });
+    calendarGrid.addEventListener('dragstart', (e) => {
+        const element = e.target.closest('[data-calendar-item]');
+        if (!element) return;
+        e.dataTransfer.setData('text/plain', element.dataset.calendarItem);
+        e.dataTransfer.effectAllowed = 'move';
+    });
+    calendarGrid.addEventListener('dragover', (e) => {
+        const day = e.target.closest('.calendar-day');
+        if (!day) return;
+        e.preventDefault();
+        calendarGrid.querySelectorAll('.drop-target').forEach(cell => cell.classList.remove('drop-target'));
+        day.classList.add('drop-target');
+    });
+    calendarGrid.addEventListener('dragleave', (e) => {
+        if (!calendarGrid.contains(e.relatedTarget)) {
+            calendarGrid.querySelectorAll('.drop-target').forEach(cell => cell.classList.remove('drop-target'));
+        }
+    });
+    calendarGrid.addEventListener('drop', (e) => {
+        const day = e.target.closest('.calendar-day');
+        const item = items.find(i => i.id === e.dataTransfer.getData('text/plain'));
+        if (!day || !item) return;
+        e.preventDefault();
+        day.classList.remove('drop-target');
+        rescheduleItem(item, day.dataset.date);
+    });
+
+    // Add item button
+    document.getElementById('addItemBtn').addEventListener('click', openAddModal);
+
+    // Modal controls
+    document.getElementById('closeModal').addEventListener('click', closeModal);
+    document.getElementById('cancelBtn').addEventListener('click', closeModal);
+    document.getElementById('itemModal').addEventListener('click', (e) => {
+        if (e.target.id === 'itemModal') closeModal();
+    });
+    document.getElementById('closeHistoryModal').addEventListener('click', closeHistory);
+    document.getElementById('historyModal').addEventListener('click', (e) => {
+        if (e.target.id === 'historyModal') closeHistory();
+    });
+    document.getElementById('closeCollectionModal').addEventListener('click', closeCollectionModal);
+    document.getElementById('cancelCollectionBtn').addEventListener('click', closeCollectionModal);
+    document.getElementById('collectionModal').addEventListener('click', (e) => {
+        if (e.target.id === 'collectionModal') closeCollectionModal();
+    });
+    document.getElementById('collectionQuery').addEventListener('input', debounce(renderCollectionPreview, 200));
+    document.getElementById('collectionForm').addEventListener('submit', saveCollection);
+    document.getElementById('deleteCollectionBtn').addEventListener('click', removeCollection);
+
+    // Form submission
+    document.getElementById('itemForm').addEventListener('submit', saveItem);
+
+    // Tags: Enter or a comma adds what was typed, Backspace in the empty box removes the last tag
+    const tagInput = document.getElementById('itemTagInput');
+    tagInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            addFormTags(tagInput.value);
+        } else if (e.key === 'Backspace' && !tagInput.value && formTags.length) {
+            setFormTags(formTags.slice(0, -1));
+        }
+    });
+    // Picking a suggestion adds it straight away
+    tagInput.addEventListener('input', (e) => {
+        if (!e.inputType || e.inputType === 'insertReplacementText') addFormTags(tagInput.value);
+    });
+    document.getElementById('itemTagChips').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-remove-tag]');
+        if (button) setFormTags(formTags.filter(tag => tag !== button.dataset.removeTag));
+    });
+
+    // Suggest how long an opened item keeps, until the user enters their own
+    document.getElementById('itemOpenedAt').addEventListener('change', suggestUseWithin);
+    document.getElementById('itemCategory').addEventListener('change', suggestUseWithin);
+    document.getElementById('itemUseWithin').addEventListener('input', (e) => {
+        delete e.target.dataset.suggested;
+    });
+
+    // Lots
+    document.getElementById('addLotBtn').addEventListener('click', () => {
+        renderLotRows([...readLotRows(), { id: '', quantity: 1, expiry_date: '' }]);
+        [...document.querySelectorAll('#lotList .lot-expiry')].pop().focus();
+    });
+    document.getElementById('lotList').addEventListener('click', (e) => {
+        const button = e.target.closest('.remove-lot-btn');
+        if (!button) return;
+        const lots = readLotRows();
+        lots.splice(Number(button.dataset.index), 1);
+        renderLotRows(lots);
+    });
+
+    // Image upload
+    document.getElementById('uploadImageBtn').addEventListener('click', () => {
+        document.getElementById('itemImage').click();
+    });
+    document.getElementById('itemImage').addEventListener('change', handleImageSelect);
+
+    // Barcode/QR Scanner
+    document.getElementById('scanQRBtn').addEventListener('click', scanQRCode);
+    document.getElementById('closeScannerBtn').addEventListener('click', closeScanner);
+    document.getElementById('barcodeLookupBtn').addEventListener('click', () => {
+        applyBarcode(document.getElementById('barcodeInput').value);
+    });
+    document.getElementById('barcodeInput').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            applyBarcode(e.target.value);
+        }
+    });
+
+    // Import/Export
+    document.getElementById('importBtn').addEventListener('click', importData);
+    document.getElementById('importFile').addEventListener('change', handleImport);
+    document.getElementById('exportBtn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        document.getElementById('exportMenu').classList.toggle('active');
+    });
+    document.getElementById('exportMenu').addEventListener('click', (e) => {
+        const option = e.target.closest('[data-format]');
+        if (!option) return;
+        document.getElementById('exportMenu').classList.remove('active');
+        if (option.dataset.format === 'pdf') exportData();
+        else if (option.dataset.format === 'json') exportJsonBackup();
+        else if (option.dataset.format === 'ics') exportCalendar();
+        else exportSpreadsheet(option.dataset.format);
+    });
+    document.addEventListener('click', () => {
+        document.getElementById('exportMenu').classList.remove('active');
+    });
+
+    // Import wizard
+    document.getElementById('closeImportModal').addEventListener('click', closeImportModal);
+    document.getElementById('cancelImportBtn').addEventListener('click', closeImportModal);
+    document.getElementById('cancelReviewBtn').addEventListener('click', closeImportModal);
+    document.getElementById('reviewImportBtn').addEventListener('click', reviewSpreadsheetImport);
+    document.getElementById('backImportBtn').addEventListener('click', () => showImportStep('mapping'));
+    document.getElementById('duplicateStrategy').addEventListener('change', renderImportReview);
+    document.getElementById('confirmImportBtn').addEventListener('click', confirmImport);
+    document.getElementById('importDelimiter').addEventListener('change', (e) => {
+        importSheet.delimiter = e.target.value;
+        parseImportSheet();
+    });
+    document.getElementById('importHasHeader').addEventListener('change', parseImportSheet);
+    document.getElementById('importDateFormat').addEventListener('change', (e) => {
+        importSheet.dateFormat = e.target.value || null;
+        renderImportPreview();
+    });
+
+    // Logout
+    document.getElementById('logoutBtn').addEventListener('click', logout);
+
+    // Notification clicks while the dashboard is already open
+    navigator.serviceWorker?.addEventListener('message', (e) => {
+        if (e.data?.type === 'open-item') focusItem(e.data.itemId);
+    });
+
+    // Replay queued changes when the connection comes back
+    window.addEventListener('online', syncOutbox);
+    setInterval(syncOutbox, 30 * 1000);
+
+    // User profile toggle
+    document.getElementById('userProfile').addEventListener('click', () => {
+        document.getElementById('profileMenu').classList.toggle('active');
+    });
+}
+
+// Scroll to and highlight an item card
+function focusItem(itemId) {
+    const item = items.find(i => i.id === itemId);
+    if (!item) {
+        showToast(t('toast.itemGone'), 'info');
+        return;
+    }
+
+    if (view === 'calendar') {
+        view = 'grid';
+        renderItems();
+    }
+
+    // Clear any filters hiding the item
+    if (!document.querySelector(`[data-item-id="${itemId}"]`)) {
+        filters = { ...createDefaultFilters(), sidebar: isTrashedItem(item) ? 'trash' : isActiveItem(item) ? 'all' : 'archive' };
+        renderFilterControls();
+        applyFilterChange();
+    }
+
+    const card = document.querySelector(`[data-item-id="${itemId}"]`);
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    card.classList.add('highlight');
+    setTimeout(() => card.classList.remove('highlight'), 3000);
+}
+
+// Open Add Modal
+function openAddModal() {
+    editingItemId = null;
+    scannedBarcode = null;
+    document.getElementById('modalTitle').textContent = t('form.addTitle');
+    document.getElementById('itemForm').reset();
+    document.getElementById('itemCurrency').value = localStorage.getItem(CURRENCY_STORAGE_KEY) || CURRENCIES[0];
+    renderLotRows([{ id: '', quantity: 1, expiry_date: '' }]);
+    delete document.getElementById('itemUseWithin').dataset.suggested;
+    setFormTags([]);
+    document.getElementById('imagePreview').innerHTML = '';
+    document.getElementById('itemModal').classList.add('active');
+}
+
+// Open the add form filled in from a shopping list entry
+function openRestockModal(params) {
+    openAddModal();
+    document.getElementById('itemName').value = params.get('name') || '';
+    setFormCategory(params.get('category'));
+    document.getElementById('itemQuantity').value = parseInt(params.get('quantity')) || 1;
+
+    // Reloading the page should not open the form again
+    window.history.replaceState(null, '', window.location.pathname);
+}
+
+// Edit Item
+function editItem(item) {
+    editingItemId = item.id;
+    scannedBarcode = null;
+    document.getElementById('modalTitle').textContent = t('form.editTitle');
+    document.getElementById('itemId').value = item.id;
+    document.getElementById('itemName').value = item.name;
+    setFormCategory(item.category);
+    document.getElementById('itemLocation').value = item.location_id || '';
+    renderLotRows(getLots(item));
+    document.getElementById('itemOpenedAt').value = item.opened_at || '';
+    document.getElementById('itemUseWithin').value = item.use_within_days || '';
+    document.getElementById('itemMinQuantity').value = item.min_quantity || '';
+    delete document.getElementById('itemUseWithin').dataset.suggested;
+    document.getElementById('itemNotes').value = item.notes || '';
+    document.getElementById('itemTagInput').value = '';
+    setFormTags(item.tags || []);
+    document.getElementById('itemUnitPrice').value = item.unit_price ?? '';
+    document.getElementById('itemCurrency').value = item.currency || localStorage.getItem(CURRENCY_STORAGE_KEY) || CURRENCIES[0];
+
+    if (item.image_url) {
+        document.getElementById('imagePreview').innerHTML = `
+            <img src="${escapeHtml(item.image_url)}" alt="Preview">
+        `;
+    }
+
+    document.getElementById('itemModal').classList.add('active');
+}
+
+// Show the form's tags as removable chips and suggest the household's other tags
+function setFormTags(tags) {
+    formTags = tags;
+
+    document.getElementById('itemTagChips').innerHTML = formTags.map(tag => `
+        <span class="tag-chip">
+            ${escapeHtml(tag)}
+            <button type="button" data-remove-tag="${escapeHtml(tag)}" aria-label="${escapeHtml(t('form.removeTag', { tag }))}">×</button>
+        </span>
+    `).join('');
+
+    document.getElementById('tagSuggestions').innerHTML = allTags(items)
+        .filter(tag => !formTags.includes(tag))
+        .map(tag => `<option value="${escapeHtml(tag)}"></option>`)
+        .join('');
+}
+
+// Add what was typed in the tag box; several tags can be separated with commas
+function addFormTags(value) {
+    setFormTags(parseTags([...formTags, ...parseTags(value)]));
+    document.getElementById('itemTagInput').value = '';
+}
+
+// Render the lot rows of the item form. The first row keeps the
+// itemQuantity/itemExpiryDate ids the scanner fills in.
+function renderLotRows(lots) {
+    document.getElementById('lotList').innerHTML = lots.map((lot, index) => `
+        <div class="lot-row" data-lot-id="${lot.id}">
+            <input type="number" ${index === 0 ? 'id="itemQuantity"' : ''} class="lot-quantity" min="1"
+                value="${lot.quantity}" aria-label="${t('form.quantity')}">
+            <input type="date" ${index === 0 ? 'id="itemExpiryDate"' : ''} class="lot-expiry"
+                value="${lot.expiry_date}" required aria-label="${t('form.expiryDate')}">
+            ${lots.length > 1 ? `
+            <button type="button" class="btn-icon remove-lot-btn" data-index="${index}" title="${t('form.removeLot')}">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="6" x2="6" y2="18"/>
+                    <line x1="6" y1="6" x2="18" y2="18"/>
+                </svg>
+            </button>
+            ` : ''}
+        </div>
+    `).join('');
+}
+
+// Lots as currently entered in the item form
+function readLotRows() {
+    return [...document.querySelectorAll('#lotList .lot-row')].map(row => ({
+        id: row.dataset.lotId,
+        quantity: parseInt(row.querySelector('.lot-quantity').value) || 1,
+        expiry_date: row.querySelector('.lot-expiry').value
+    }));
+}
+
+// Fill in the category's usual "use within" days once an opened date is set
+function suggestUseWithin() {
+    const useWithin = document.getElementById('itemUseWithin');
+    const openedAt = document.getElementById('itemOpenedAt').value;
+    if (!openedAt || (useWithin.value && !useWithin.dataset.suggested)) return;
+
+    const days = USE_WITHIN_DEFAULTS[document.getElementById('itemCategory').value];
+    if (!days) return;
+
+    useWithin.value = days;
+    useWithin.dataset.suggested = 'true';
+}
+
+// Active item with the same name, so new stock can join it as a lot
+function findActiveProduct(name) {
+    const key = name.toLowerCase();
+    return items.find(item => isActiveItem(item) && !isTrashedItem(item) && item.name.trim().toLowerCase() === key);
+}
+
+// Close Modal
+function closeModal() {
+    closeScanner();
+    document.getElementById('itemModal').classList.remove('active');
+    editingItemId = null;
+}
+
+// Handle Image Selection
+function handleImageSelect(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+        document.getElementById('imagePreview').innerHTML = `
+            <img src="${event.target.result}" alt="Preview">
+        `;
+    };
+    reader.readAsDataURL(file);
+}
+
+// Save Item
+async function saveItem(e) {
+    e.preventDefault();
+
+    const saveBtn = document.getElementById('saveBtn');
+    saveBtn.classList.add('loading');
+    saveBtn.disabled = true;
+
+    try {
+        const lots = readLotRows().map(lot => (lot.id ? lot : createLot(lot.quantity, lot.expiry_date)));
+        const itemData = {
+            name: document.getElementById('itemName').value.trim(),
+            category: document.getElementById('itemCategory').value,
+            location_id: document.getElementById('itemLocation').value || null,
+            ...lotChanges(lots),
+            opened_at: document.getElementById('itemOpenedAt').value || null,
+            use_within_days: parseInt(document.getElementById('itemUseWithin').value) || null,
+            min_quantity: parseInt(document.getElementById('itemMinQuantity').value) || null,
+            notes: document.getElementById('itemNotes').value.trim(),
+            // A tag still being typed is kept too
+            tags: parseTags([...formTags, ...parseTags(document.getElementById('itemTagInput').value)]),
+            unit_price: null,
+            currency: null,
+            updated_by: currentUser.id
+        };
+
+        // Price is optional; the currency is only stored alongside a price
+        const unitPrice = document.getElementById('itemUnitPrice').value;
+        if (unitPrice !== '') {
+            itemData.unit_price = Number(unitPrice);
+            itemData.currency = document.getElementById('itemCurrency').value;
+            localStorage.setItem(CURRENCY_STORAGE_KEY, itemData.currency);
+        }
+
+        // New stock of a product already in the list can be added to it as a lot
+        const existing = !editingItemId && findActiveProduct(itemData.name);
+        const addAsLot = existing && confirm(t('confirm.addAsLot', { name: existing.name }));
+
+        // Upload image if selected
+        const imageFile = document.getElementById('itemImage').files[0];
+        if (imageFile && !addAsLot) {
+            if (!navigator.onLine) {
+                throw new Error(t('form.imageOffline'));
+            }
+
+            const compressedImage = await compressImage(imageFile);
             const filename = generateUniqueFilename(imageFile.name);
             const filePath = `${currentUser.id}/${filename}`;
 
-            const { error: uploadError } = await supabase.storage
-                .from('items')
-                .upload(filePath, compressedImage);
+            const { error: uploadError } = await supabase.storage
+                .from('items')
+                .upload(filePath, compressedImage);
+
+            if (uploadError) {
+                if (uploadError.message.includes('Bucket not found')) {
+                    throw new Error('Storage bucket "items" not found. Please create it in your Supabase dashboard.');
+                }
+                throw new Error(`Image upload failed: ${uploadError.message}`);
+            }
+
+            const { data: { publicUrl } } = supabase.storage
+                .from('items')
+                .getPublicUrl(filePath);
+
+            itemData.image_url = publicUrl;
+        }
+
+        // Editing an item can be undone by putting back the values it had before
+        const edited = editingItemId && items.find(item => item.id === editingItemId);
+        const undoChanges = edited ? [undoChange(edited, itemData)] : null;
+
+        if (editingItemId) {
+            // Update existing item
+            await updateItem(currentUser.id, household.id, editingItemId, itemData);
+        } else if (addAsLot) {
+            await updateItem(currentUser.id, household.id, existing.id, {
+                ...lotChanges(mergeLots(getLots(existing), itemData.lots)),
+                tags: parseTags([...(existing.tags || []), ...itemData.tags]),
+                updated_by: currentUser.id
+            });
+        } else {
+            // Insert new item
+            await addItem(currentUser.id, household.id, itemData);
+        }
+
+        // Remember the scanned code so the next scan fills the form instantly
+        if (scannedBarcode) {
+            await rememberProduct(currentUser.id, scannedBarcode, {
+                name: itemData.name,
+                category: itemData.category,
+                expiryDate: itemData.expiry_date
+            });
+        }
+
+        closeModal();
+        await refreshView();
+
+        if (!navigator.onLine) {
+            showToast(t('toast.savedOffline'), 'info');
+        } else if (undoChanges) {
+            showUndoToast(t('toast.saved', { name: itemData.name }), undoChanges);
+        }
+        await syncOutbox();
+    } catch (error) {
+        console.error('Error saving item:', error);
+        showToast(error.message || t('toast.saveFailed'), 'error');
+    } finally {
+        saveBtn.classList.remove('loading');
+        saveBtn.disabled = false;
+    }
+}
+
+// Move an item to the archive as consumed, discarded or donated, or restore it
+async function setItemStatus(item, status) {
+    const changes = {
+        status,
+        status_changed_at: status === 'active' ? null : new Date().toISOString(),
+        updated_by: currentUser.id
+    };
+
+    try {
+        await updateItem(currentUser.id, household.id, item.id, changes);
+        await refreshView();
+
+        showUndoToast(
+            status === 'active' ? t('toast.restored', { name: item.name }) : t(`toast.marked.${status}`, { name: item.name }),
+            [undoChange(item, changes)]
+        );
+        await syncOutbox();
+    } catch (error) {
+        console.error('Error updating item status:', error);
+        showToast(t('toast.updateFailed'), 'error');
+    }
+}
+
+// Use up one unit, taking it from the lot that expires first
+async function useOne(item) {
+    const { lots, used } = consumeFefo(getLots(item), 1);
+    const changes = { ...lotChanges(lots), updated_by: currentUser.id };
+
+    try {
+        await updateItem(currentUser.id, household.id, item.id, changes);
+        await refreshView();
+
+        showUndoToast(t('toast.usedOne', { name: item.name, date: formatDate(used[0].expiry_date) }), [undoChange(item, changes)]);
+        await syncOutbox();
+    } catch (error) {
+        console.error('Error using item:', error);
+        showToast(t('toast.updateFailed'), 'error');
+    }
+}
+
+// Move an item into the freezer, extending its expiry by the category's freezer extension
+async function moveToFreezer(item) {
+    const freezer = locations.find(location => location.is_freezer);
+    const days = freezerExtensionDays(household.freezer_extensions, item.category);
+    const changes = freezeChanges(item, freezer.id, days);
+
+    try {
+        await updateItem(currentUser.id, household.id, item.id, {
+            ...changes,
+            updated_by: currentUser.id
+        });
+        await refreshView();
+
+        showUndoToast(
+            days
+                ? t('toast.frozen', { name: item.name, freezer: freezer.name, date: formatDate(changes.expiry_date) })
+                : t('toast.frozenNoExtension', { name: item.name, freezer: freezer.name }),
+            [undoChange(item, changes)]
+        );
+        await syncOutbox();
+    } catch (error) {
+        console.error('Error moving item to the freezer:', error);
+        showToast(t('toast.updateFailed'), 'error');
+    }
+}
+
+// Move an item to another day from the calendar. Every lot moves by the
+// same number of days, so the item lands on the day it was dropped on.
+async function rescheduleItem(item, date) {
+    const shift = daysBetween(item.expiry_date, date);
+    if (shift === 0) return;
+
+    const changes = { ...lotChanges(shiftLots(getLots(item), shift)), updated_by: currentUser.id };
+
+    try {
+        await updateItem(currentUser.id, household.id, item.id, changes);
+        await refreshView();
+
+        showUndoToast(t('toast.rescheduled', { name: item.name, date: formatDate(date) }), [undoChange(item, changes)]);
+        await syncOutbox();
+    } catch (error) {
+        console.error('Error rescheduling item:', error);
+        showToast(t('toast.updateFailed'), 'error');
+    }
+}
+
+// Move an item to the Trash; the toast offers to undo it
+async function deleteItem(item) {
+    const changes = { deleted_at: new Date().toISOString(), updated_by: currentUser.id };
+
+    try {
+        await updateItem(currentUser.id, household.id, item.id, changes);
+        await refreshView();
+
+        showUndoToast(t('toast.trashed', { name: item.name }), [undoChange(item, changes)]);
+        await syncOutbox();
+    } catch (error) {
+        console.error('Error deleting item:', error);
+        showToast(t('toast.deleteFailed'), 'error');
+    }
+}
+
+// Take an item back out of the Trash
+async function restoreItem(item) {
+    try {
+        await updateItem(currentUser.id, household.id, item.id, { deleted_at: null, updated_by: currentUser.id });
+        await refreshView();
+
+        showToast(t('toast.restored', { name: item.name }), 'success');
+        await syncOutbox();
+    } catch (error) {
+        console.error('Error restoring item:', error);
+        showToast(t('toast.restoreFailed'), 'error');
+    }
+}
+
+// Delete an item in the Trash for good
+async function purgeItem(item) {
+    if (!confirm(t('confirm.deleteForever', { name: item.name }))) return;
 
-            if (uploadError) {
-                if (uploadError.message.includes('Bucket not found')) {
-                    throw new Error('Storage bucket "items" not found. Please create it in your Supabase dashboard.');
-                }
-                throw new Error(`Image upload failed: ${uploadError.message}`);
-            }
+    try {
+        await removeItem(currentUser.id, household.id, item.id);
+        await refreshView();
+        await syncOutbox();
+    } catch (error) {
+        console.error('Error deleting item:', error);
+        showToast(t('toast.deleteFailed'), 'error');
+    }
+}
 
-            const { data: { publicUrl } } = supabase.storage
-                .from('items')
-                .getPublicUrl(filePath);
+// The values a change overwrites, so it can be undone. Items saved before
+// lots existed get their single lot back, which restores the date too.
+function undoChange(item, changes) {
+    const previous = { id: item.id };
+    Object.keys(changes)
+        .filter(key => key !== 'updated_by')
+        .forEach(key => {
+            previous[key] = key === 'lots' ? getLots(item) : item[key] ?? null;
+        });
+    return previous;
+}
 
-            itemData.image_url = publicUrl;
+// Success toast with an Undo button that queues the previous values back
+function showUndoToast(message, undoChanges) {
+    showToast(message, 'success', { label: t('toast.undo'), onClick: () => undo(undoChanges) });
+}
+
+async function undo(undoChanges) {
+    try {
+        if (undoChanges.length === 1) {
+            const { id, ...changes } = undoChanges[0];
+            await updateItem(currentUser.id, household.id, id, { ...changes, updated_by: currentUser.id });
+        } else {
+            await bulkUpdateItems(currentUser.id, household.id, undoChanges);
         }
+        await refreshView();
 
-        if (editingItemId) {
-            // Update existing item
-            const { error } = await supabase
-                .from('expiry_items')
-                .update(itemData)
-                .eq('id', editingItemId);
+        showToast(t('toast.undone'), 'info');
+        await syncOutbox();
+    } catch (error) {
+        console.error('Error undoing change:', error);
+        showToast(t('toast.undoFailed'), 'error');
+    }
+}
 
-            if (error) throw error;
-        } else {
-            // Insert new item
-            const { error } = await supabase
-                .from('expiry_items')
-                .insert([itemData]);
+// Item History
+
+// Open the timeline of changes made to an item
+async function openHistory(item) {
+    historyItemId = item.id;
+    document.getElementById('historyTitle').textContent = t('history.titleFor', { name: item.name });
+    document.getElementById('historyTimeline').innerHTML = `<li class="history-empty">${t('common.loading')}</li>`;
+    document.getElementById('historyModal').classList.add('active');
+
+    try {
+        itemHistory = await loadItemHistory(item.id);
+        renderHistory();
+    } catch (error) {
+        console.error('Error loading item history:', error);
+        showToast(navigator.onLine ? t('history.loadFailed') : t('history.offline'), 'error');
+        closeHistory();
+    }
+}
+
+function closeHistory() {
+    document.getElementById('historyModal').classList.remove('active');
+    historyItemId = null;
+    itemHistory = [];
+}
+
+// Render the timeline, newest first; editors can go back to any earlier version
+function renderHistory() {
+    const item = items.find(i => i.id === historyItemId);
+    const timeline = document.getElementById('historyTimeline');
+    // Entries that only touched unlabelled columns are still used when reverting, but not listed
+    const entries = itemHistory.filter(entry => entry.action === 'created' || describeChanges(entry).length);
+
+    if (!entries.length) {
+        timeline.innerHTML = `<li class="history-empty">${t('history.empty')}</li>`;
+        return;
+    }
+
+    timeline.innerHTML = entries.map((entry, index) => `
+        <li class="history-entry">
+            <div class="history-meta">
+                <span>${escapeHtml(describeHistoryEntry(entry))}</span>
+                <time datetime="${entry.changed_at}">${new Date(entry.changed_at).toLocaleString(getLocale(), { dateStyle: 'medium', timeStyle: 'short', timeZone: getTimeZone() })}</time>
+            </div>
+            ${entry.action === 'updated' ? `
+            <ul class="history-changes">
+                ${describeChanges(entry).map(change => `
+                <li>
+                    <span class="history-field">${change.label}</span>
+                    <span class="history-old">${escapeHtml(describeHistoryValue(change.field, change.old))}</span>
+                    <span class="history-arrow">→</span>
+                    <span class="history-new">${escapeHtml(describeHistoryValue(change.field, change.new))}</span>
+                </li>
+                `).join('')}
+            </ul>
+            ` : ''}
+            ${item && index > 0 && canEdit(household.role) ? `
+            <button type="button" class="btn btn-secondary btn-sm revert-btn" data-entry-id="${entry.id}">${t('history.revert')}</button>
+            ` : ''}
+        </li>
+    `).join('');
+
+    timeline.querySelectorAll('.revert-btn').forEach(button => {
+        button.addEventListener('click', () => revertToVersion(item, button.dataset.entryId));
+    });
+}
+
+// "Changed by Priya", "Added automatically"
+function describeHistoryEntry(entry) {
+    const action = entry.action === 'created' ? 'added' : 'changed';
+    if (!entry.changed_by) return t(`history.${action}Automatically`);
+    return t(`history.${action}By`, { name: memberName(entry.changed_by) });
+}
+
+// Readable form of a recorded column value
+function describeHistoryValue(field, value) {
+    if (field === 'deleted_at') return value ? t('history.inTrash') : t('history.notInTrash');
+    if (value === null || value === undefined || value === '') return t('history.none');
+
+    switch (field) {
+        case 'expiry_date':
+        case 'original_expiry_date':
+        case 'opened_at':
+            return formatDate(value);
+        case 'tags':
+            return value.length ? value.join(', ') : t('history.none');
+        case 'lots':
+            return value.map(lot => `${formatNumber(lot.quantity)} × ${formatDate(lot.expiry_date)}`).join(', ');
+        case 'location_id':
+            return locations.find(location => location.id === value)?.name || t('history.removedLocation');
+        case 'category':
+            return categoryLabel(value);
+        case 'status':
+            return statusLabel(value);
+        case 'image_url':
+            return t('history.photo');
+        case 'quantity':
+        case 'min_quantity':
+        case 'use_within_days':
+        case 'unit_price':
+            return formatNumber(value);
+        default:
+            return String(value);
+    }
+}
+
+// Put an item back the way it was right after a history entry
+async function revertToVersion(item, entryId) {
+    const changes = versionChanges(item, itemHistory, entryId);
+    if (!changes) {
+        showToast(t('history.alreadyMatches', { name: item.name }), 'info');
+        return;
+    }
+
+    try {
+        await updateItem(currentUser.id, household.id, item.id, { ...changes, updated_by: currentUser.id });
+        closeHistory();
+        await refreshView();
+
+        showUndoToast(t('history.reverted', { name: item.name }), [undoChange(item, changes)]);
+        await syncOutbox();
+    } catch (error) {
+        console.error('Error reverting item:', error);
+        showToast(t('history.revertFailed'), 'error');
+    }
+}
+
+// Smart Collections
+
+// Open the collection form, empty for a new collection
+function openCollectionModal(collection) {
+    editingCollectionId = collection?.id || null;
+    document.getElementById('collectionTitle').textContent = t(collection ? 'collections.edit' : 'collections.new');
+    document.getElementById('collectionName').value = collection?.name || '';
+    document.getElementById('collectionQuery').value = collection?.query || '';
+    document.getElementById('deleteCollectionBtn').style.display = collection ? '' : 'none';
+    renderCollectionPreview();
+    document.getElementById('collectionModal').classList.add('active');
+}
 
-            if (error) throw error;
+function closeCollectionModal() {
+    document.getElementById('collectionModal').classList.remove('active');
+    editingCollectionId = null;
+}
+
+// Check the query as it is typed: how many items it finds, or what is wrong with it
+function renderCollectionPreview() {
+    const query = document.getElementById('collectionQuery').value.trim();
+    const preview = document.getElementById('collectionPreview');
+    preview.classList.remove('error');
+
+    if (!query) {
+        preview.textContent = '';
+        return;
+    }
+
+    try {
+        const draft = { matches: compileQuery(query) };
+        const count = applySidebarFilter(items, 'all').filter(item => matchesCollection(draft, item)).length;
+        preview.textContent = t('collections.matching', { count });
+    } catch (error) {
+        preview.textContent = error.message;
+        preview.classList.add('error');
+    }
+}
+
+async function saveCollection(e) {
+    e.preventDefault();
+
+    const collection = {
+        name: document.getElementById('collectionName').value.trim(),
+        query: document.getElementById('collectionQuery').value.trim()
+    };
+
+    try {
+        compileQuery(collection.query);
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+
+    const saveBtn = document.getElementById('saveCollectionBtn');
+    saveBtn.classList.add('loading');
+    saveBtn.disabled = true;
+
+    try {
+        let collectionId = editingCollectionId;
+        if (collectionId) {
+            await updateCollection(collectionId, collection);
+        } else {
+            collectionId = await createCollection(household.id, currentUser.id, collection);
         }
 
-        closeModal();
-        // Real-time will handle the update
+        await loadCollections(household.id, locations);
+        closeCollectionModal();
+
+        // Show the collection that was just saved
+        filters.sidebar = COLLECTION_FILTER_PREFIX + collectionId;
+        renderFilterControls();
+        applyFilterChange();
+        showToast(t('collections.saved', { name: collection.name }), 'success');
     } catch (error) {
-        console.error('Error saving item:', error);
-        showToast(error.message || 'Failed to save item', 'error');
+        console.error('Error saving smart collection:', error);
+        showToast(error.message || t('collections.saveFailed'), 'error');
     } finally {
         saveBtn.classList.remove('loading');
         saveBtn.disabled = false;
     }
 }
 
-// Delete Item
-async function deleteItem(itemId) {
-    if (!confirm('Are you sure you want to delete this item?')) return;
+async function removeCollection() {
+    const collection = findCollection(editingCollectionId);
+    if (!collection || !confirm(t('collections.confirmDelete', { name: collection.name }))) return;
 
     try {
-        const { error } = await supabase
-            .from('expiry_items')
-            .delete()
-            .eq('id', itemId);
+        await deleteCollection(collection.id);
+        await loadCollections(household.id, locations);
+        closeCollectionModal();
 
-        if (error) throw error;
-        // Real-time will handle the update
+        if (filters.sidebar === COLLECTION_FILTER_PREFIX + collection.id) {
+            filters.sidebar = 'all';
+            renderFilterControls();
+        }
+        applyFilterChange();
+        showToast(t('collections.deleted', { name: collection.name }), 'success');
     } catch (error) {
-        console.error('Error deleting item:', error);
-        showToast('Failed to delete item', 'error');
+        console.error('Error deleting smart collection:', error);
+        showToast(t('collections.deleteFailed'), 'error');
+    }
+}
+
+// Queue one change per selected item as a single batched update
+async function applyBulkChange(buildChange, summary) {
+    const selected = getSelectedItems();
+    const changes = selected.map(item => ({ id: item.id, ...buildChange(item) }));
+
+    try {
+        await bulkUpdateItems(currentUser.id, household.id, changes);
+        await refreshView();
+
+        showUndoToast(summary(itemCount(selected.length)), selected.map((item, index) => undoChange(item, changes[index])));
+        await syncOutbox();
+    } catch (error) {
+        console.error('Error updating items:', error);
+        showToast(t('toast.bulkUpdateFailed'), 'error');
+    }
+}
+
+// Move the selected items to another category
+function bulkSetCategory() {
+    const category = document.getElementById('bulkCategory').value;
+    applyBulkChange(() => ({ category }), count => t('bulk.categorySet', { items: count, category: categoryLabel(category) }));
+}
+
+// Move the expiry dates of the selected items, lot by lot
+function bulkShiftExpiry() {
+    const days = Number(document.getElementById('bulkShiftDays').value);
+    if (!Number.isInteger(days) || days === 0) {
+        showToast(t('bulk.shiftInvalid'), 'error');
+        return;
+    }
+
+    applyBulkChange(
+        item => lotChanges(shiftLots(getLots(item), days)),
+        count => t(days > 0 ? 'bulk.shiftedLater' : 'bulk.shiftedEarlier', { items: count, count: Math.abs(days) })
+    );
+}
+
+// Set the quantity of the selected items; units come off the earliest lots first
+function bulkSetQuantity() {
+    const quantity = Number(document.getElementById('bulkQuantity').value);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+        showToast(t('bulk.quantityInvalid'), 'error');
+        return;
+    }
+
+    applyBulkChange(
+        item => lotChanges(setLotQuantity(getLots(item), quantity)),
+        count => t('bulk.quantitySet', { items: count, quantity })
+    );
+}
+
+// Move the selected items to the Trash; in the Trash, delete them for good
+function bulkDelete() {
+    if (filters.sidebar !== 'trash') {
+        const deletedAt = new Date().toISOString();
+        applyBulkChange(() => ({ deleted_at: deletedAt }), count => t('bulk.trashed', { items: count }));
+        return;
+    }
+
+    bulkPurge();
+}
+
+// Take the selected items back out of the Trash
+function bulkRestore() {
+    applyBulkChange(() => ({ deleted_at: null }), count => t('bulk.restored', { items: count }));
+}
+
+// Delete the selected items in the Trash for good, after a single confirmation
+async function bulkPurge() {
+    const selected = getSelectedItems();
+    if (!confirm(t('confirm.deleteForever', { name: itemCount(selected.length) }))) return;
+
+    try {
+        await bulkRemoveItems(currentUser.id, household.id, selected.map(item => item.id));
+        selectedIds = new Set();
+        await refreshView();
+
+        showToast(t('bulk.deleted', { items: itemCount(selected.length) }), 'success');
+        await syncOutbox();
+    } catch (error) {
+        console.error('Error deleting items:', error);
+        showToast(t('toast.bulkDeleteFailed'), 'error');
     }
 }
 
-// QR Code Scanner (placeholder - requires camera library)
-function scanQRCode() {
-    showToast('QR Scanner feature coming soon!', 'info');
-    // TODO: Implement QR scanner using a library like html5-qrcode
+// Retry a change the server rejected
+async function retrySync(itemId) {
+    const sync = syncStates.get(itemId);
+    if (!sync) return;
+
+    await retryMutation(sync.seq);
+    await syncOutbox();
+}
+
+// Throw away a change the server rejected
+async function discardSync(itemId) {
+    const sync = syncStates.get(itemId);
+    if (!sync) return;
+
+    if (!confirm(t('confirm.discardChange'))) return;
+
+    await discardMutation(sync.seq);
+    await refreshView();
+}
+
+// Barcode/QR Code Scanner
+async function scanQRCode() {
+    const hint = document.getElementById('scannerHint');
+    document.getElementById('scannerPanel').style.display = 'flex';
+
+    if (!isCameraScanSupported()) {
+        hint.textContent = t('scanner.noCamera');
+        document.getElementById('barcodeInput').focus();
+        return;
+    }
+
+    hint.textContent = t('scanner.hint');
+
+    try {
+        await startScanner('scannerView', applyScannedCode);
+    } catch (error) {
+        console.error('Error starting scanner:', error);
+        hint.textContent = t('scanner.cameraFailed');
+        document.getElementById('barcodeInput').focus();
+    }
+}
+
+// Close Scanner Panel
+function closeScanner() {
+    stopScanner();
+    document.getElementById('scannerPanel').style.display = 'none';
+    document.getElementById('barcodeInput').value = '';
+}
+
+// Camera decodes: a code that isn't a product barcode, such as a QR code with a
+// link, only updates the hint so the camera keeps scanning for the right one
+function applyScannedCode(rawCode) {
+    if (!normalizeBarcode(rawCode)) {
+        document.getElementById('scannerHint').textContent = t('scanner.invalid');
+        return false;
+    }
+
+    applyBarcode(rawCode);
+    return true;
+}
+
+// Fill the item form from a scanned or typed code
+function applyBarcode(rawCode) {
+    const gtin = normalizeBarcode(rawCode);
+    if (!gtin) {
+        showToast(t('scanner.invalid'), 'error');
+        return;
+    }
+
+    scannedBarcode = gtin;
+    const product = lookupProduct(gtin);
+    closeScanner();
+
+    if (!product) {
+        showToast(t('scanner.unknown'), 'info');
+        document.getElementById('itemName').focus();
+        return;
+    }
+
+    document.getElementById('itemName').value = product.name;
+    setFormCategory(product.category);
+    document.getElementById('itemExpiryDate').value = suggestExpiryDate(product);
+    showToast(t('scanner.found', { name: product.name }), 'success');
 }
 
 // Export Data as PDF
@@ -443,6 +2133,7 @@ async function exportData() {
     try {
         const { jsPDF } = window.jspdf;
         const doc = new jsPDF();
+        const font = await loadPdfFont(doc);
 
         // Get user profile data
         const { data: profile } = await supabase
@@ -451,7 +2142,7 @@ async function exportData() {
             .eq('id', currentUser.id)
             .single();
 
-        const userName = profile?.name || 'User';
+        const userName = profile?.name || t('common.user');
         const userEmail = currentUser.email;
 
         // PDF Styling
@@ -464,67 +2155,76 @@ async function exportData() {
         doc.rect(0, 0, 210, 35, 'F');
         doc.setTextColor(255, 255, 255);
         doc.setFontSize(24);
-        doc.setFont('helvetica', 'bold');
+        doc.setFont(font, 'bold');
         doc.text('ExpiryTracker', 105, 15, { align: 'center' });
         doc.setFontSize(12);
-        doc.setFont('helvetica', 'normal');
-        doc.text('Expiry Date Management System', 105, 25, { align: 'center' });
+        doc.setFont(font, 'normal');
+        doc.text(t('pdf.subtitle'), 105, 25, { align: 'center' });
 
         // Date
-        const currentDate = new Date().toLocaleDateString('en-US', {
+        const currentDate = formatDate(todayDate(), {
             year: 'numeric',
             month: 'long',
             day: 'numeric'
         });
         doc.setTextColor(...grayColor);
         doc.setFontSize(10);
-        doc.text(`Generated on: ${currentDate}`, 14, 45);
+        doc.text(t('pdf.generatedOn', { date: currentDate }), 14, 45);
 
         // User Details Section
         doc.setTextColor(0, 0, 0);
         doc.setFontSize(14);
-        doc.setFont('helvetica', 'bold');
-        doc.text('User Information', 14, 55);
+        doc.setFont(font, 'bold');
+        doc.text(t('pdf.userInfo'), 14, 55);
 
         doc.setFontSize(11);
-        doc.setFont('helvetica', 'normal');
+        doc.setFont(font, 'normal');
         doc.setTextColor(...grayColor);
-        doc.text(`Name: ${userName}`, 14, 63);
-        doc.text(`Email: ${userEmail}`, 14, 70);
+        doc.text(t('pdf.name', { name: userName }), 14, 63);
+        doc.text(t('pdf.email', { email: userEmail }), 14, 70);
+        doc.text(t('pdf.household', { household: household.name }), 14, 77);
 
         // Items Section
         doc.setTextColor(0, 0, 0);
         doc.setFontSize(14);
-        doc.setFont('helvetica', 'bold');
-        doc.text('Items List', 14, 82);
+        doc.setFont(font, 'bold');
+        doc.text(t('pdf.itemsList'), 14, 89);
 
         // Prepare table data
-        const tableData = items.map(item => {
-            const days = daysUntilExpiry(item.expiry_date);
-            const status = days < 0 ? 'Expired' : days === 0 ? 'Today' : days <= 7 ? `${days} days` : `${days} days`;
+        const activeItems = items.filter(item => isActiveItem(item) && !isTrashedItem(item));
+        const tableData = activeItems.map(item => {
+            const expiryDate = effectiveExpiryDate(item);
+            const days = daysUntilExpiry(expiryDate);
+            const status = days < 0 ? t('pdf.expired') : days === 0 ? t('pdf.today') : t('pdf.days', { count: days });
             const isExpired = days < 0;
+            const value = itemValue(item);
 
             return {
                 name: item.name,
-                category: item.category || '-',
-                quantity: item.quantity.toString(),
-                expiryDate: formatDate(item.expiry_date),
+                category: item.category ? categoryLabel(item.category) : '-',
+                quantity: formatNumber(item.quantity),
+                expiryDate: expiryDate !== item.expiry_date ? t('pdf.opened', { date: formatDate(expiryDate) }) : formatDate(expiryDate),
                 status: status,
+                cost: value === null ? '-' : formatMoney(value, item.currency, 'code'),
                 isExpired: isExpired
             };
         });
 
         // Create table
         doc.autoTable({
-            startY: 88,
-            head: [['Item Name', 'Category', 'Qty', 'Expiry Date', 'Status']],
+            startY: 95,
+            head: [[t('pdf.itemName'), t('pdf.category'), t('pdf.qty'), t('pdf.expiryDate'), t('pdf.status'), t('pdf.cost')]],
             body: tableData.map(row => [
                 row.name,
                 row.category,
                 row.quantity,
                 row.expiryDate,
-                row.status
+                row.status,
+                row.cost
             ]),
+            styles: {
+                font
+            },
             headStyles: {
                 fillColor: primaryColor,
                 textColor: [255, 255, 255],
@@ -536,11 +2236,12 @@ async function exportData() {
                 cellPadding: 3
             },
             columnStyles: {
-                0: { cellWidth: 50 },
-                1: { cellWidth: 35 },
-                2: { cellWidth: 15, halign: 'center' },
-                3: { cellWidth: 40 },
-                4: { cellWidth: 35, halign: 'center' }
+                0: { cellWidth: 45 },
+                1: { cellWidth: 28 },
+                2: { cellWidth: 12, halign: 'center' },
+                3: { cellWidth: 32 },
+                4: { cellWidth: 25, halign: 'center' },
+                5: { cellWidth: 33, halign: 'right' }
             },
             didParseCell: function (data) {
                 // Color expired items in red
@@ -559,6 +2260,41 @@ async function exportData() {
             }
         });
 
+        // Summary
+        const expiringThisWeek = activeItems.filter(item => {
+            const days = daysUntilExpiry(effectiveExpiryDate(item));
+            return days >= 0 && days <= 7;
+        });
+        const expired = activeItems.filter(item => daysUntilExpiry(effectiveExpiryDate(item)) < 0);
+        const summary = [
+            [t('pdf.items'), formatNumber(activeItems.length)],
+            [t('pdf.inventoryValue'), formatTotals(totalValue(activeItems), 'code')],
+            [t('pdf.expiringWeek'), formatTotals(totalValue(expiringThisWeek), 'code')],
+            [t('pdf.expiredValue'), formatTotals(totalValue(expired), 'code')]
+        ];
+
+        let summaryY = doc.lastAutoTable.finalY + 12;
+        if (summaryY + summary.length * 7 + 10 > doc.internal.pageSize.getHeight() - 20) {
+            doc.addPage();
+            summaryY = 20;
+        }
+
+        doc.setTextColor(0, 0, 0);
+        doc.setFontSize(14);
+        doc.setFont(font, 'bold');
+        doc.text(t('pdf.summary'), 14, summaryY);
+
+        doc.setFontSize(10);
+        summary.forEach(([label, value], index) => {
+            const y = summaryY + 8 + index * 7;
+            doc.setFont(font, 'normal');
+            doc.setTextColor(...grayColor);
+            doc.text(label, 14, y);
+            doc.setFont(font, 'bold');
+            doc.setTextColor(0, 0, 0);
+            doc.text(value, 196, y, { align: 'right' });
+        });
+
         // Footer
         const pageCount = doc.internal.getNumberOfPages();
         for (let i = 1; i <= pageCount; i++) {
@@ -566,13 +2302,13 @@ async function exportData() {
             doc.setFontSize(8);
             doc.setTextColor(...grayColor);
             doc.text(
-                `Page ${i} of ${pageCount}`,
+                t('pdf.page', { page: i, count: pageCount }),
                 doc.internal.pageSize.getWidth() / 2,
                 doc.internal.pageSize.getHeight() - 10,
                 { align: 'center' }
             );
             doc.text(
-                'ExpiryTracker - Track your expiry dates efficiently',
+                t('pdf.footer'),
                 doc.internal.pageSize.getWidth() / 2,
                 doc.internal.pageSize.getHeight() - 5,
                 { align: 'center' }
@@ -580,13 +2316,40 @@ async function exportData() {
         }
 
         // Save PDF
-        const filename = `ExpiryTracker_${userName.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}.pdf`;
+        const filename = `ExpiryTracker_${userName.replace(/\s+/g, '_')}_${todayDate()}.pdf`;
         doc.save(filename);
 
-        showToast('PDF exported successfully', 'success');
+        showToast(t('pdf.done'), 'success');
     } catch (error) {
         console.error('Error exporting PDF:', error);
-        showToast('Failed to export PDF', 'error');
+        showToast(t('pdf.failed'), 'error');
+    }
+}
+
+// Register the font the PDF needs for the current language and return its name.
+// Falls back to Helvetica, with a warning, if the font file cannot be fetched.
+async function loadPdfFont(doc) {
+    const pdfFont = PDF_FONTS[getLanguage()];
+    if (!pdfFont) return 'helvetica';
+
+    try {
+        const response = await fetch(`fonts/${pdfFont.file}`);
+        if (!response.ok) throw new Error(`Font request failed with ${response.status}`);
+
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+
+        doc.addFileToVFS(pdfFont.file, btoa(binary));
+        doc.addFont(pdfFont.file, pdfFont.name, 'normal');
+        doc.addFont(pdfFont.file, pdfFont.name, 'bold');
+        return pdfFont.name;
+    } catch (error) {
+        console.error('Error loading PDF font:', error);
+        showToast(t('pdf.fontMissing'), 'info');
+        return 'helvetica';
     }
 }
 
@@ -595,39 +2358,318 @@ function importData() {
     document.getElementById('importFile').click();
 }
 
-// Handle Import
+// Export the items currently shown, or a selection of them, as CSV or TSV
+function exportSpreadsheet(format, exportItems = getVisibleItems()) {
+    const delimiter = format === 'tsv' ? '\t' : ',';
+    const type = format === 'tsv' ? 'text/tab-separated-values' : 'text/csv';
+
+    const filename = `ExpiryTracker_${todayDate()}.${format}`;
+    downloadFile(toDelimited(itemsToRows(exportItems), delimiter), filename, `${type};charset=utf-8`);
+
+    showToast(t('export.spreadsheetDone', { count: exportItems.length, format: format.toUpperCase() }), 'success');
+}
+
+// Export the visible active items as an iCalendar file; alarms follow the user's reminder rules
+async function exportCalendar() {
+    const calendarItems = getVisibleItems().filter(item => isActiveItem(item) && !isTrashedItem(item));
+    const rules = await loadReminderRules(currentUser.id);
+
+    const filename = `ExpiryTracker_${todayDate()}.ics`;
+    const calendar = buildCalendar(calendarItems, rules, {
+        name: t('export.calendarName', { household: household.name }),
+        language: getLanguage(),
+        categoryLabel
+    });
+    downloadFile(calendar, filename, 'text/calendar;charset=utf-8');
+
+    showToast(t('export.calendarDone', { count: calendarItems.length }), 'success');
+}
+
+// Export every item as a JSON backup that the importer can read back
+function exportJsonBackup() {
+    const filename = `ExpiryTracker_${todayDate()}.json`;
+    downloadFile(buildJsonBackup(items, household.name), filename, 'application/json');
+
+    showToast(t('export.jsonDone', { count: items.length }), 'success');
+}
+
+// Handle Import - JSON backups go straight to review, spreadsheets open the wizard
 async function handleImport(e) {
     const file = e.target.files[0];
     if (!file) return;
+    e.target.value = '';
+
+    const text = await file.text();
 
+    if (!file.name.toLowerCase().endsWith('.json')) {
+        openImportWizard(file.name, text);
+        return;
+    }
+
+    let rows;
     try {
-        const text = await file.text();
-        const importedItems = JSON.parse(text);
+        rows = parseJsonBackup(text);
+    } catch (error) {
+        console.error('Error reading backup:', error);
+        showToast(error instanceof SyntaxError ? t('import.notJson') : error.message, 'error');
+        return;
+    }
 
-        if (!Array.isArray(importedItems)) {
-            throw new Error('Invalid data format');
-        }
+    importSheet = null;
+    document.getElementById('importFileName').textContent = file.name;
+    openImportReview(rows);
+    document.getElementById('importModal').classList.add('active');
+}
 
-        // Insert imported items
-        const itemsToInsert = importedItems.map(item => ({
-            name: item.name,
-            category: item.category,
-            quantity: item.quantity || 1,
-            expiry_date: item.expiry_date,
-            notes: item.notes,
-            user_id: currentUser.id
-        }));
+// Open the import wizard for a CSV/TSV file
+function openImportWizard(fileName, text) {
+    importSheet = {
+        fileName,
+        text,
+        delimiter: detectDelimiter(text),
+        rows: [],
+        mapping: {},
+        dateFormat: null,
+        dateAmbiguous: false
+    };
 
-        const { error } = await supabase
-            .from('expiry_items')
-            .insert(itemsToInsert);
+    document.getElementById('importFileName').textContent = fileName;
+    document.getElementById('importHasHeader').checked = true;
+    document.getElementById('importDelimiter').innerHTML = DELIMITERS.map(({ value, name }) => `
+        <option value="${value}" ${value === importSheet.delimiter ? 'selected' : ''}>${t(`import.separator.${name}`)}</option>
+    `).join('');
 
-        if (error) throw error;
+    parseImportSheet();
+    showImportStep('mapping');
+    document.getElementById('importModal').classList.add('active');
+}
+
+function closeImportModal() {
+    document.getElementById('importModal').classList.remove('active');
+    importSheet = null;
+    importReview = null;
+}
+
+function showImportStep(step) {
+    document.getElementById('importMappingStep').style.display = step === 'mapping' ? '' : 'none';
+    document.getElementById('importReviewStep').style.display = step === 'review' ? '' : 'none';
+}
+
+// Rows of the sheet that hold items (everything below the header, if any)
+function getImportRows() {
+    return document.getElementById('importHasHeader').checked ? importSheet.rows.slice(1) : importSheet.rows;
+}
+
+// Split the file with the chosen delimiter and guess the column mapping
+function parseImportSheet() {
+    importSheet.rows = parseDelimited(importSheet.text, importSheet.delimiter);
+
+    const hasHeader = document.getElementById('importHasHeader').checked;
+    const firstRow = importSheet.rows[0] || [];
+    const headers = hasHeader ? firstRow : firstRow.map((_, index) => t('import.column', { number: index + 1 }));
+
+    importSheet.mapping = hasHeader
+        ? guessColumnMapping(firstRow)
+        : Object.fromEntries(ITEM_FIELDS.map(({ key }) => [key, -1]));
+
+    document.getElementById('columnMapping').innerHTML = ITEM_FIELDS.map(({ key, required }) => `
+        <label>
+            ${t(`import.field.${key}`)}${required ? ' *' : ''}
+            <select data-field="${key}">
+                <option value="-1">${t('import.notImported')}</option>
+                ${headers.map((header, index) => `
+                    <option value="${index}" ${importSheet.mapping[key] === index ? 'selected' : ''}>${escapeHtml(header || t('import.column', { number: index + 1 }))}</option>
+                `).join('')}
+            </select>
+        </label>
+    `).join('');
+
+    document.querySelectorAll('#columnMapping select').forEach(select => {
+        select.addEventListener('change', () => {
+            importSheet.mapping[select.dataset.field] = Number(select.value);
+            updateImportDateFormat();
+        });
+    });
+
+    updateImportDateFormat();
+}
+
+// Detect the date order from the mapped expiry column; ask when it cannot be told
+function updateImportDateFormat() {
+    const column = importSheet.mapping.expiry_date;
+    const values = column >= 0 ? getImportRows().map(row => row[column] || '') : [];
+    const { format, ambiguous } = detectDateFormat(values);
+
+    const group = document.getElementById('importDateFormatGroup');
+    const select = document.getElementById('importDateFormat');
+    const hint = document.getElementById('importDateHint');
+
+    group.style.display = format || ambiguous ? '' : 'none';
+    importSheet.dateFormat = format;
+    importSheet.dateAmbiguous = ambiguous;
+
+    select.innerHTML = `
+        ${ambiguous ? `<option value="">${t('import.chooseDateFormat')}</option>` : ''}
+        ${DATE_FORMATS.map(value => `
+            <option value="${value}" ${value === format ? 'selected' : ''}>${t(`import.order.${value}`)}</option>
+        `).join('')}
+    `;
+
+    hint.textContent = ambiguous
+        ? t('import.dateAmbiguous')
+        : t('import.dateDetected');
+    hint.classList.toggle('warning', ambiguous);
+
+    renderImportPreview();
+}
+
+// Show the first few rows as they will be imported
+function renderImportPreview() {
+    const rows = getImportRows();
+    const previewRows = rows.slice(0, 5).map(row => validateRow(mapRow(row, importSheet.mapping, importSheet.dateFormat)));
+
+    document.getElementById('importPreview').innerHTML = `
+        <table>
+            <thead>
+                <tr>${ITEM_FIELDS.map(({ key }) => `<th>${t(`import.field.${key}`)}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${previewRows.map(({ item, errors }) => `
+                    <tr>
+                        ${ITEM_FIELDS.map(({ key }) => {
+                            const invalid = errors.some(error => error.field === key);
+                            const value = key === 'expiry_date' && !invalid ? formatDate(item[key]) : item[key];
+                            return `<td class="${invalid ? 'invalid' : ''}">${escapeHtml(invalid ? t('import.invalid') : value)}</td>`;
+                        }).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <div class="import-preview-note">${t('import.showing', { shown: previewRows.length, count: rows.length })}</div>
+    `;
+}
+
+// Move from column mapping to the row-by-row review
+function reviewSpreadsheetImport() {
+    const { mapping } = importSheet;
+
+    if (mapping.name < 0 || mapping.expiry_date < 0) {
+        showToast(t('import.mapRequired'), 'error');
+        return;
+    }
+
+    if (importSheet.dateAmbiguous && !importSheet.dateFormat) {
+        showToast(t('import.dateFormatRequired'), 'error');
+        return;
+    }
+
+    openImportReview(getImportRows().map(row => mapRow(row, mapping, importSheet.dateFormat)));
+}
+
+// Validate every row and check for duplicates before anything is written
+function openImportReview(rawRows) {
+    importReview = { entries: reviewImport(rawRows, items) };
+
+    document.getElementById('duplicateStrategy').innerHTML = DUPLICATE_STRATEGIES.map(value => `
+        <option value="${value}">${t(`import.strategy.${value}`)}</option>
+    `).join('');
+    document.getElementById('backImportBtn').style.display = importSheet ? '' : 'none';
+
+    renderImportReview();
+    showImportStep('review');
+}
+
+// Spreadsheet rows are numbered as they appear in the file
+function importRowLabel(row) {
+    const offset = importSheet && document.getElementById('importHasHeader').checked ? 1 : 0;
+    return row + offset;
+}
+
+function renderImportReview() {
+    const { entries } = importReview;
+    const plan = planImport(entries, document.getElementById('duplicateStrategy').value);
+    const duplicates = entries.filter(entry => entry.duplicateOf || entry.duplicateRow).length;
+    const writes = plan.add.length + plan.update.length;
+
+    document.getElementById('importSummary').innerHTML = `
+        <span>${t('import.rows', { count: entries.length })}</span>
+        <span class="${plan.invalid ? 'summary-error' : ''}">${t('import.withErrors', { count: plan.invalid })}</span>
+        <span class="${duplicates ? 'summary-warning' : ''}">${t('import.likelyDuplicates', { count: duplicates })}</span>
+        <span>${t('import.plan', { add: plan.add.length, update: plan.update.length, skip: plan.skipped })}</span>
+    `;
+
+    document.getElementById('importReview').innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>${t('import.row')}</th>
+                    <th>${t('import.field.name')}</th>
+                    <th>${t('import.field.expiry_date')}</th>
+                    <th>${t('import.qty')}</th>
+                    <th>${t('import.status')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${entries.map(entry => `
+                    <tr class="${entry.errors.length ? 'row-error' : ''}">
+                        <td>${importRowLabel(entry.row)}</td>
+                        <td>${escapeHtml(entry.item.name)}</td>
+                        <td>${escapeHtml(entry.item.expiry_date)}</td>
+                        <td>${escapeHtml(entry.item.quantity)}</td>
+                        <td>${importRowStatus(entry)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    const confirmBtn = document.getElementById('confirmImportBtn');
+    confirmBtn.textContent = t('import.submit', { count: writes });
+    confirmBtn.disabled = writes === 0;
+}
+
+function importRowStatus(entry) {
+    if (entry.errors.length) {
+        return `<span class="status-error">${entry.errors.map(error => escapeHtml(error.message)).join('<br>')}</span>`;
+    }
+    if (entry.duplicateOf) {
+        return `<span class="status-warning">${t('import.duplicateOfItem')}</span>`;
+    }
+    if (entry.duplicateRow) {
+        return `<span class="status-warning">${t('import.duplicateOfRow', { row: importRowLabel(entry.duplicateRow) })}</span>`;
+    }
+    return `<span class="status-ok">${t('import.ready')}</span>`;
+}
+
+// Write the reviewed rows using the chosen duplicate strategy
+async function confirmImport() {
+    const plan = planImport(importReview.entries, document.getElementById('duplicateStrategy').value);
+
+    const confirmBtn = document.getElementById('confirmImportBtn');
+    confirmBtn.disabled = true;
+
+    try {
+        for (const item of plan.add) {
+            await addItem(currentUser.id, household.id, { ...item, updated_by: currentUser.id });
+        }
+        for (const { id, item } of plan.update) {
+            await updateItem(currentUser.id, household.id, id, { ...item, updated_by: currentUser.id });
+        }
+
+        closeImportModal();
+        await refreshView();
+
+        const parts = [t('import.doneNew', { count: plan.add.length })];
+        if (plan.update.length) parts.push(t('import.doneOverwrote', { count: plan.update.length }));
+        if (plan.skipped) parts.push(t('import.doneSkipped', { count: plan.skipped }));
+        if (plan.invalid) parts.push(t('import.doneInvalid', { count: plan.invalid }));
+        showToast(parts.join(', '), 'success');
 
-        showToast(`Imported ${itemsToInsert.length} items successfully`, 'success');
+        await syncOutbox();
     } catch (error) {
         console.error('Error importing data:', error);
-        showToast('Failed to import data', 'error');
+        showToast(t('import.failed'), 'error');
+        confirmBtn.disabled = false;
     }
 }
 
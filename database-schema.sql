@@ -216,3 +216,1361 @@ CREATE POLICY "Avatars are publicly accessible"
 CREATE INDEX IF NOT EXISTS idx_expiry_items_user_id ON expiry_items(user_id);
 CREATE INDEX IF NOT EXISTS idx_expiry_items_expiry_date ON expiry_items(expiry_date);
 CREATE INDEX IF NOT EXISTS idx_expiry_items_created_at ON expiry_items(created_at);
+
+-- Barcode Products Table
+-- Remembers the product details a user saved for a scanned barcode
+CREATE TABLE IF NOT EXISTS barcode_products (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    gtin TEXT NOT NULL,
+    name TEXT NOT NULL,
+    category TEXT,
+    shelf_life_days INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, gtin)
+);
+
+ALTER TABLE barcode_products ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own barcodes"
+    ON barcode_products FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own barcodes"
+    ON barcode_products FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own barcodes"
+    ON barcode_products FOR UPDATE
+    USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_barcode_products_updated_at
+    BEFORE UPDATE ON barcode_products
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Push Subscriptions Table
+-- One row per device that receives Web Push reminders
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    endpoint TEXT NOT NULL UNIQUE,
+    p256dh TEXT NOT NULL,
+    auth TEXT NOT NULL,
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE push_subscriptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own push subscriptions"
+    ON push_subscriptions FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own push subscriptions"
+    ON push_subscriptions FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own push subscriptions"
+    ON push_subscriptions FOR UPDATE
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own push subscriptions"
+    ON push_subscriptions FOR DELETE
+    USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_push_subscriptions_updated_at
+    BEFORE UPDATE ON push_subscriptions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user_id ON push_subscriptions(user_id);
+
+-- Reminder Log Table
+-- Written by the send-expiry-reminders function so each reminder is sent once
+CREATE TABLE IF NOT EXISTS reminder_log (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    item_id UUID REFERENCES expiry_items(id) ON DELETE CASCADE NOT NULL,
+    expiry_date DATE NOT NULL,
+    days_before INTEGER NOT NULL,
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, item_id, expiry_date, days_before)
+);
+
+ALTER TABLE reminder_log ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own reminder log"
+    ON reminder_log FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Reminder Schedule
+-- Note: Enable the pg_cron and pg_net extensions and deploy the
+-- send-expiry-reminders function first, then uncomment and run:
+
+/*
+SELECT cron.schedule(
+    'send-expiry-reminders',
+    '0 * * * *',
+    $$
+    SELECT net.http_post(
+        url := 'https://<project-ref>.supabase.co/functions/v1/send-expiry-reminders',
+        headers := jsonb_build_object('Authorization', 'Bearer <service-role-key>')
+    );
+    $$
+);
+*/
+
+-- Reminder Rules Table
+-- One row per user: lead times, per-category overrides, delivery time and quiet hours
+CREATE TABLE IF NOT EXISTS reminder_rules (
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE PRIMARY KEY,
+    lead_days INTEGER[] NOT NULL DEFAULT '{7,3,0}',
+    category_lead_days JSONB NOT NULL DEFAULT '{}',
+    delivery_time TIME NOT NULL DEFAULT '09:00',
+    quiet_start TIME,
+    quiet_end TIME,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE reminder_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own reminder rules"
+    ON reminder_rules FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own reminder rules"
+    ON reminder_rules FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own reminder rules"
+    ON reminder_rules FOR UPDATE
+    USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_reminder_rules_updated_at
+    BEFORE UPDATE ON reminder_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Households
+-- Items belong to a household; every user starts with a personal one
+CREATE TABLE IF NOT EXISTS households (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    name TEXT NOT NULL,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS household_members (
+    household_id UUID REFERENCES households(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    role TEXT NOT NULL DEFAULT 'editor' CHECK (role IN ('owner', 'editor', 'viewer')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (household_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS household_invites (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    household_id UUID REFERENCES households(id) ON DELETE CASCADE NOT NULL,
+    email TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'editor' CHECK (role IN ('editor', 'viewer')),
+    invited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (household_id, email)
+);
+
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS active_household_id UUID REFERENCES households(id) ON DELETE SET NULL;
+ALTER TABLE expiry_items ADD COLUMN IF NOT EXISTS household_id UUID REFERENCES households(id) ON DELETE CASCADE;
+ALTER TABLE expiry_items ADD COLUMN IF NOT EXISTS updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_expiry_items_household_id ON expiry_items(household_id);
+CREATE INDEX IF NOT EXISTS idx_household_members_user_id ON household_members(user_id);
+
+CREATE TRIGGER update_households_updated_at
+    BEFORE UPDATE ON households
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Current user's role in a household (NULL if not a member).
+-- SECURITY DEFINER so policies can use it without recursing into household_members.
+CREATE OR REPLACE FUNCTION public.household_role(hid UUID)
+RETURNS TEXT AS $$
+    SELECT role FROM public.household_members
+    WHERE household_id = hid AND user_id = auth.uid();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Whether the current user shares a household with another user
+CREATE OR REPLACE FUNCTION public.shares_household(other_user UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1
+        FROM public.household_members mine
+        JOIN public.household_members theirs ON theirs.household_id = mine.household_id
+        WHERE mine.user_id = auth.uid() AND theirs.user_id = other_user
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Whether the current user's email address is invited to a household
+CREATE OR REPLACE FUNCTION public.invited_to_household(hid UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.household_invites
+        WHERE household_id = hid AND lower(email) = lower(auth.jwt() ->> 'email')
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Create a household owned by a user and make it their active one
+CREATE OR REPLACE FUNCTION public.create_owned_household(owner_id UUID, household_name TEXT)
+RETURNS UUID AS $$
+DECLARE
+    new_household_id UUID;
+BEGIN
+    INSERT INTO public.households (name, created_by)
+    VALUES (household_name, owner_id)
+    RETURNING id INTO new_household_id;
+
+    INSERT INTO public.household_members (household_id, user_id, role)
+    VALUES (new_household_id, owner_id, 'owner');
+
+    UPDATE public.profiles SET active_household_id = new_household_id WHERE id = owner_id;
+
+    RETURN new_household_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Create a household for the signed-in user
+CREATE OR REPLACE FUNCTION public.create_household(household_name TEXT)
+RETURNS UUID AS $$
+    SELECT public.create_owned_household(auth.uid(), household_name);
+$$ LANGUAGE sql SECURITY DEFINER SET search_path = public;
+
+-- Clients create households through create_household only
+REVOKE EXECUTE ON FUNCTION public.create_owned_household(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Accept an invite sent to the signed-in user's email address
+CREATE OR REPLACE FUNCTION public.accept_household_invite(invite_id UUID)
+RETURNS UUID AS $$
+DECLARE
+    invite public.household_invites;
+BEGIN
+    SELECT * INTO invite FROM public.household_invites
+    WHERE id = invite_id AND lower(email) = lower(auth.jwt() ->> 'email');
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invite not found';
+    END IF;
+
+    INSERT INTO public.household_members (household_id, user_id, role)
+    VALUES (invite.household_id, auth.uid(), invite.role)
+    ON CONFLICT (household_id, user_id) DO NOTHING;
+
+    DELETE FROM public.household_invites WHERE id = invite.id;
+    UPDATE public.profiles SET active_household_id = invite.household_id WHERE id = auth.uid();
+
+    RETURN invite.household_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- New users get a personal household alongside their profile
+CREATE OR REPLACE FUNCTION public.handle_new_user()
+RETURNS TRIGGER AS $$
+DECLARE
+    user_name TEXT := COALESCE(NEW.raw_user_meta_data->>'name', 'User');
+BEGIN
+    INSERT INTO public.profiles (id, name, avatar_url)
+    VALUES (NEW.id, user_name, NULL);
+
+    PERFORM public.create_owned_household(NEW.id, user_name || '''s Household');
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Existing users: create their personal household and move their items into it
+DO $$
+DECLARE
+    profile RECORD;
+    personal_household_id UUID;
+BEGIN
+    FOR profile IN SELECT id, name FROM public.profiles WHERE active_household_id IS NULL LOOP
+        personal_household_id := public.create_owned_household(profile.id, profile.name || '''s Household');
+        UPDATE public.expiry_items SET household_id = personal_household_id
+        WHERE user_id = profile.id AND household_id IS NULL;
+    END LOOP;
+END $$;
+
+ALTER TABLE expiry_items ALTER COLUMN household_id SET NOT NULL;
+
+-- Record who last edited an item
+CREATE OR REPLACE FUNCTION public.set_item_editor()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_by = COALESCE(auth.uid(), NEW.updated_by);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_expiry_items_editor ON expiry_items;
+CREATE TRIGGER set_expiry_items_editor
+    BEFORE INSERT OR UPDATE ON expiry_items
+    FOR EACH ROW EXECUTE FUNCTION public.set_item_editor();
+
+-- Household Policies
+ALTER TABLE households ENABLE ROW LEVEL SECURITY;
+ALTER TABLE household_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE household_invites ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Members can view their households"
+    ON households FOR SELECT
+    USING (public.household_role(id) IS NOT NULL);
+
+-- So an invite can show which household sent it
+CREATE POLICY "Invitees can view households that invited them"
+    ON households FOR SELECT
+    USING (public.invited_to_household(id));
+
+CREATE POLICY "Owners can update their households"
+    ON households FOR UPDATE
+    USING (public.household_role(id) = 'owner');
+
+CREATE POLICY "Owners can delete their households"
+    ON households FOR DELETE
+    USING (public.household_role(id) = 'owner');
+
+CREATE POLICY "Members can view fellow members"
+    ON household_members FOR SELECT
+    USING (public.household_role(household_id) IS NOT NULL);
+
+CREATE POLICY "Owners can change member roles"
+    ON household_members FOR UPDATE
+    USING (public.household_role(household_id) = 'owner');
+
+CREATE POLICY "Owners can remove members and members can leave"
+    ON household_members FOR DELETE
+    USING (public.household_role(household_id) = 'owner' OR auth.uid() = user_id);
+
+CREATE POLICY "Owners and invitees can view invites"
+    ON household_invites FOR SELECT
+    USING (
+        public.household_role(household_id) = 'owner' OR
+        lower(email) = lower(auth.jwt() ->> 'email')
+    );
+
+CREATE POLICY "Owners can send invites"
+    ON household_invites FOR INSERT
+    WITH CHECK (public.household_role(household_id) = 'owner' AND auth.uid() = invited_by);
+
+CREATE POLICY "Owners can cancel and invitees can decline invites"
+    ON household_invites FOR DELETE
+    USING (
+        public.household_role(household_id) = 'owner' OR
+        lower(email) = lower(auth.jwt() ->> 'email')
+    );
+
+CREATE POLICY "Household members can view each other's profiles"
+    ON profiles FOR SELECT
+    USING (public.shares_household(id));
+
+-- Items are shared by the household: everyone can view, owners and editors can change
+DROP POLICY IF EXISTS "Users can view their own items" ON expiry_items;
+DROP POLICY IF EXISTS "Users can insert their own items" ON expiry_items;
+DROP POLICY IF EXISTS "Users can update their own items" ON expiry_items;
+DROP POLICY IF EXISTS "Users can delete their own items" ON expiry_items;
+
+CREATE POLICY "Household members can view items"
+    ON expiry_items FOR SELECT
+    USING (public.household_role(household_id) IS NOT NULL);
+
+CREATE POLICY "Household editors can insert items"
+    ON expiry_items FOR INSERT
+    WITH CHECK (
+        auth.uid() = user_id AND
+        public.household_role(household_id) IN ('owner', 'editor')
+    );
+
+CREATE POLICY "Household editors can update items"
+    ON expiry_items FOR UPDATE
+    USING (public.household_role(household_id) IN ('owner', 'editor'))
+    WITH CHECK (public.household_role(household_id) IN ('owner', 'editor'));
+
+CREATE POLICY "Household editors can delete items"
+    ON expiry_items FOR DELETE
+    USING (public.household_role(household_id) IN ('owner', 'editor'));
+
+-- Item Lifecycle
+-- Items are marked consumed, discarded or donated instead of being deleted,
+-- so the archive keeps a record of what was eaten and what was wasted
+ALTER TABLE expiry_items ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'consumed', 'discarded', 'donated'));
+ALTER TABLE expiry_items ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_expiry_items_household_status ON expiry_items(household_id, status);
+
+-- Item Prices
+-- Optional unit price so reports can show what stock is worth and what was lost
+ALTER TABLE expiry_items ADD COLUMN IF NOT EXISTS unit_price NUMERIC(10, 2) CHECK (unit_price >= 0);
+ALTER TABLE expiry_items ADD COLUMN IF NOT EXISTS currency TEXT CHECK (currency ~ '^[A-Z]{3}$');
+
+-- Item Lots
+-- One product bought on different days is kept as lots, each with its own
+-- quantity and expiry date. expiry_date and quantity mirror the earliest lot
+-- and the total so reminders, filters and reports keep working unchanged.
+ALTER TABLE expiry_items ADD COLUMN IF NOT EXISTS lots JSONB NOT NULL DEFAULT '[]'::jsonb
+    CHECK (jsonb_typeof(lots) = 'array');
+
+CREATE OR REPLACE FUNCTION public.sync_item_lots()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF jsonb_array_length(NEW.lots) > 0 THEN
+        SELECT MIN((lot ->> 'expiry_date')::DATE), SUM((lot ->> 'quantity')::INTEGER)
+        INTO NEW.expiry_date, NEW.quantity
+        FROM jsonb_array_elements(NEW.lots) AS lot;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sync_expiry_items_lots ON expiry_items;
+CREATE TRIGGER sync_expiry_items_lots
+    BEFORE INSERT OR UPDATE ON expiry_items
+    FOR EACH ROW EXECUTE FUNCTION public.sync_item_lots();
+
+-- Storage Locations
+-- Each household names the places it keeps items (fridge, freezer, pantry, ...).
+-- Moving an item into a freezer adds the household's per-category freezer
+-- extension to its expiry date; the printed date is kept in original_expiry_date.
+CREATE TABLE IF NOT EXISTS storage_locations (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    household_id UUID REFERENCES households(id) ON DELETE CASCADE NOT NULL,
+    name TEXT NOT NULL,
+    is_freezer BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (household_id, name)
+);
+
+ALTER TABLE households ADD COLUMN IF NOT EXISTS freezer_extensions JSONB NOT NULL
+    DEFAULT '{"Dairy": 30, "Vegetables": 240, "Fruits": 240, "Meat": 90, "Pantry": 90, "Other": 30}'::jsonb;
+ALTER TABLE expiry_items ADD COLUMN IF NOT EXISTS location_id UUID REFERENCES storage_locations(id) ON DELETE SET NULL;
+ALTER TABLE expiry_items ADD COLUMN IF NOT EXISTS original_expiry_date DATE;
+
+CREATE INDEX IF NOT EXISTS idx_storage_locations_household_id ON storage_locations(household_id);
+CREATE INDEX IF NOT EXISTS idx_expiry_items_location_id ON expiry_items(location_id);
+
+ALTER TABLE storage_locations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Household members can view locations"
+    ON storage_locations FOR SELECT
+    USING (public.household_role(household_id) IS NOT NULL);
+
+CREATE POLICY "Household editors can add locations"
+    ON storage_locations FOR INSERT
+    WITH CHECK (public.household_role(household_id) IN ('owner', 'editor'));
+
+CREATE POLICY "Household editors can update locations"
+    ON storage_locations FOR UPDATE
+    USING (public.household_role(household_id) IN ('owner', 'editor'))
+    WITH CHECK (public.household_role(household_id) IN ('owner', 'editor'));
+
+CREATE POLICY "Household editors can delete locations"
+    ON storage_locations FOR DELETE
+    USING (public.household_role(household_id) IN ('owner', 'editor'));
+
+-- New households start with the usual places
+CREATE OR REPLACE FUNCTION public.create_default_locations()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO public.storage_locations (household_id, name, is_freezer)
+    VALUES
+        (NEW.id, 'Fridge', FALSE),
+        (NEW.id, 'Freezer', TRUE),
+        (NEW.id, 'Pantry', FALSE),
+        (NEW.id, 'Medicine Cabinet', FALSE);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS create_household_locations ON households;
+CREATE TRIGGER create_household_locations
+    AFTER INSERT ON households
+    FOR EACH ROW EXECUTE FUNCTION public.create_default_locations();
+
+-- Existing households get the same defaults
+INSERT INTO storage_locations (household_id, name, is_freezer)
+SELECT households.id, defaults.name, defaults.is_freezer
+FROM households
+CROSS JOIN (VALUES ('Fridge', FALSE), ('Freezer', TRUE), ('Pantry', FALSE), ('Medicine Cabinet', FALSE))
+    AS defaults (name, is_freezer)
+WHERE NOT EXISTS (SELECT 1 FROM storage_locations WHERE storage_locations.household_id = households.id);
+
+-- Opened Items
+-- Once opened, many items must be used within a few days whatever the printed
+-- date says. The effective expiry date is the earlier of the two.
+ALTER TABLE expiry_items ADD COLUMN IF NOT EXISTS opened_at DATE;
+ALTER TABLE expiry_items ADD COLUMN IF NOT EXISTS use_within_days INTEGER CHECK (use_within_days > 0);
+ALTER TABLE expiry_items ADD COLUMN IF NOT EXISTS effective_expiry_date DATE
+    GENERATED ALWAYS AS (LEAST(expiry_date, opened_at + use_within_days)) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_expiry_items_effective_expiry_date ON expiry_items(effective_expiry_date);
+
+-- Shopping List
+-- Filled automatically when a tracked item is used up, deleted, expires or
+-- drops below its minimum quantity, and by hand. Only one open entry per name;
+-- bought entries are kept so an expired item is not listed again.
+CREATE TABLE IF NOT EXISTS shopping_list_items (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    household_id UUID REFERENCES households(id) ON DELETE CASCADE NOT NULL,
+    item_id UUID REFERENCES expiry_items(id) ON DELETE SET NULL,
+    name TEXT NOT NULL,
+    category TEXT,
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+    source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'used_up', 'expired', 'low_stock')),
+    added_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    bought_at TIMESTAMP WITH TIME ZONE,
+    bought_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE expiry_items ADD COLUMN IF NOT EXISTS min_quantity INTEGER CHECK (min_quantity > 0);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shopping_list_open_name
+    ON shopping_list_items(household_id, lower(name)) WHERE bought_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_shopping_list_item_id ON shopping_list_items(item_id);
+
+ALTER TABLE shopping_list_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Household members can view the shopping list"
+    ON shopping_list_items FOR SELECT
+    USING (public.household_role(household_id) IS NOT NULL);
+
+CREATE POLICY "Household editors can add to the shopping list"
+    ON shopping_list_items FOR INSERT
+    WITH CHECK (public.household_role(household_id) IN ('owner', 'editor'));
+
+CREATE POLICY "Household editors can update the shopping list"
+    ON shopping_list_items FOR UPDATE
+    USING (public.household_role(household_id) IN ('owner', 'editor'))
+    WITH CHECK (public.household_role(household_id) IN ('owner', 'editor'));
+
+CREATE POLICY "Household editors can remove from the shopping list"
+    ON shopping_list_items FOR DELETE
+    USING (public.household_role(household_id) IN ('owner', 'editor'));
+
+-- Put an item on the shopping list unless it is already there; returns whether it was added
+CREATE OR REPLACE FUNCTION public.add_to_shopping_list(item public.expiry_items, reason TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    INSERT INTO public.shopping_list_items (household_id, item_id, name, category, quantity, source, added_by)
+    VALUES (
+        item.household_id, item.id, item.name, item.category,
+        GREATEST(COALESCE(item.min_quantity, 1), 1), reason, auth.uid()
+    )
+    ON CONFLICT DO NOTHING;
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the triggers and add_expired_to_shopping_list add entries this way
+REVOKE EXECUTE ON FUNCTION public.add_to_shopping_list(public.expiry_items, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Used up (consumed or discarded) or below its minimum quantity
+CREATE OR REPLACE FUNCTION public.queue_restock_on_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.status = 'active' AND NEW.status IN ('consumed', 'discarded') THEN
+        PERFORM public.add_to_shopping_list(NEW, 'used_up');
+    ELSIF NEW.status = 'active' AND NEW.quantity < NEW.min_quantity
+        AND NOT COALESCE(OLD.quantity < OLD.min_quantity, FALSE) THEN
+        PERFORM public.add_to_shopping_list(NEW, 'low_stock');
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Deleted while still in use; skipped when the whole household is being deleted
+CREATE OR REPLACE FUNCTION public.queue_restock_on_delete()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.status = 'active' AND EXISTS (SELECT 1 FROM public.households WHERE id = OLD.household_id) THEN
+        PERFORM public.add_to_shopping_list(OLD, 'used_up');
+    END IF;
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS queue_restock_on_update ON expiry_items;
+CREATE TRIGGER queue_restock_on_update
+    AFTER UPDATE ON expiry_items
+    FOR EACH ROW EXECUTE FUNCTION public.queue_restock_on_update();
+
+DROP TRIGGER IF EXISTS queue_restock_on_delete ON expiry_items;
+CREATE TRIGGER queue_restock_on_delete
+    AFTER DELETE ON expiry_items
+    FOR EACH ROW EXECUTE FUNCTION public.queue_restock_on_delete();
+
+-- Expired items are picked up when the shopping list is opened, with "today"
+-- read in the time zone on the opening member's profile. Items in the Trash
+-- and items that have ever been on the list are not added again.
+CREATE OR REPLACE FUNCTION public.add_expired_to_shopping_list(hid UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    item public.expiry_items;
+    added INTEGER := 0;
+    today DATE;
+BEGIN
+    IF public.household_role(hid) IS NULL THEN
+        RAISE EXCEPTION 'Not a member of this household';
+    END IF;
+
+    SELECT (NOW() AT TIME ZONE COALESCE(profile.timezone, 'UTC'))::date INTO today
+    FROM public.profiles AS profile
+    WHERE profile.id = auth.uid();
+
+    FOR item IN
+        SELECT * FROM public.expiry_items
+        WHERE household_id = hid
+          AND status = 'active'
+          AND deleted_at IS NULL
+          AND effective_expiry_date < COALESCE(today, CURRENT_DATE)
+          AND NOT EXISTS (SELECT 1 FROM public.shopping_list_items WHERE item_id = expiry_items.id)
+    LOOP
+        IF public.add_to_shopping_list(item, 'expired') THEN
+            added := added + 1;
+        END IF;
+    END LOOP;
+
+    RETURN added;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Calendar Feeds
+-- One secret token per user; the calendar-feed function serves their
+-- household items as an iCalendar subscription to anyone holding the link
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE PRIMARY KEY,
+    token TEXT NOT NULL UNIQUE CHECK (length(token) >= 32),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE calendar_feeds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own calendar feed"
+    ON calendar_feeds FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own calendar feed"
+    ON calendar_feeds FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own calendar feed"
+    ON calendar_feeds FOR UPDATE
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own calendar feed"
+    ON calendar_feeds FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- Trash
+-- Deleting an item moves it to the Trash by setting deleted_at; it can be
+-- restored until it is older than the household's retention period, when
+-- purge_trash() removes it for good
+ALTER TABLE expiry_items ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE households ADD COLUMN IF NOT EXISTS trash_retention_days INTEGER NOT NULL DEFAULT 30
+    CHECK (trash_retention_days BETWEEN 1 AND 365);
+
+CREATE INDEX IF NOT EXISTS idx_expiry_items_deleted_at ON expiry_items(deleted_at) WHERE deleted_at IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION public.purge_trash()
+RETURNS INTEGER AS $$
+DECLARE
+    purged INTEGER;
+BEGIN
+    DELETE FROM public.expiry_items AS item
+    USING public.households AS household
+    WHERE item.household_id = household.id
+      AND item.deleted_at < NOW() - make_interval(days => household.trash_retention_days);
+
+    GET DIAGNOSTICS purged = ROW_COUNT;
+    RETURN purged;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the scheduled purge empties the Trash for every household
+REVOKE EXECUTE ON FUNCTION public.purge_trash() FROM PUBLIC, anon, authenticated;
+
+-- Bulk Item Updates
+-- Applies per-item changes from a dashboard bulk action in one request and one transaction.
+-- Runs with the caller's rights, so the household policies still decide which rows change.
+-- Expiry date and quantity follow the lots, so only category, lots and deleted_at
+-- (moving items to the Trash and back) are accepted.
+CREATE OR REPLACE FUNCTION public.bulk_update_items(changes JSONB)
+RETURNS SETOF public.expiry_items AS $$
+    UPDATE public.expiry_items AS item
+    SET category = CASE WHEN c.change ? 'category' THEN c.change->>'category' ELSE item.category END,
+        lots = COALESCE(c.change->'lots', item.lots),
+        deleted_at = CASE WHEN c.change ? 'deleted_at' THEN (c.change->>'deleted_at')::TIMESTAMPTZ ELSE item.deleted_at END
+    FROM jsonb_array_elements(changes) AS c(change)
+    WHERE item.id = (c.change->>'id')::UUID
+    RETURNING item.*;
+$$ LANGUAGE sql;
+
+-- Moving an item to the Trash restocks it like deleting it used to;
+-- purging it later does not add it again
+CREATE OR REPLACE FUNCTION public.queue_restock_on_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.deleted_at IS NOT NULL THEN
+        IF OLD.deleted_at IS NULL AND NEW.status = 'active' THEN
+            PERFORM public.add_to_shopping_list(NEW, 'used_up');
+        END IF;
+    ELSIF OLD.status = 'active' AND NEW.status IN ('consumed', 'discarded') THEN
+        PERFORM public.add_to_shopping_list(NEW, 'used_up');
+    ELSIF NEW.status = 'active' AND NEW.quantity < NEW.min_quantity
+        AND NOT COALESCE(OLD.quantity < OLD.min_quantity, FALSE) THEN
+        PERFORM public.add_to_shopping_list(NEW, 'low_stock');
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.queue_restock_on_delete()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.status = 'active' AND OLD.deleted_at IS NULL
+        AND EXISTS (SELECT 1 FROM public.households WHERE id = OLD.household_id) THEN
+        PERFORM public.add_to_shopping_list(OLD, 'used_up');
+    END IF;
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Trash Purge Schedule
+-- Note: Enable the pg_cron extension, then uncomment and run:
+
+/*
+SELECT cron.schedule(
+    'purge-trash',
+    '30 3 * * *',
+    $$ SELECT public.purge_trash(); $$
+);
+*/
+
+-- Item History
+-- One row per insert or update of an item, written by a trigger so every client is covered.
+-- changes maps each column that changed to its old and new value: {"expiry_date": {"old": ..., "new": ...}}
+CREATE TABLE IF NOT EXISTS item_history (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    item_id UUID REFERENCES expiry_items(id) ON DELETE CASCADE NOT NULL,
+    household_id UUID REFERENCES households(id) ON DELETE CASCADE NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('created', 'updated')),
+    changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+    changed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_history_item_id ON item_history(item_id, changed_at DESC);
+
+ALTER TABLE item_history ENABLE ROW LEVEL SECURITY;
+
+-- Read-only for members; rows are only ever written by the trigger below
+CREATE POLICY "Members can view item history"
+    ON item_history FOR SELECT
+    USING (public.household_role(household_id) IS NOT NULL);
+
+-- Bookkeeping columns are left out: they change on every write and say nothing new
+CREATE OR REPLACE FUNCTION public.record_item_history()
+RETURNS TRIGGER AS $$
+DECLARE
+    diff JSONB;
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        INSERT INTO public.item_history (item_id, household_id, action, changed_by)
+        VALUES (NEW.id, NEW.household_id, 'created', COALESCE(auth.uid(), NEW.updated_by, NEW.user_id));
+        RETURN NEW;
+    END IF;
+
+    SELECT COALESCE(jsonb_object_agg(after.key, jsonb_build_object('old', before.value, 'new', after.value)), '{}'::jsonb)
+    INTO diff
+    FROM jsonb_each(to_jsonb(NEW)) AS after
+    JOIN jsonb_each(to_jsonb(OLD)) AS before ON before.key = after.key
+    WHERE after.value IS DISTINCT FROM before.value
+      AND after.key NOT IN ('updated_at', 'updated_by', 'effective_expiry_date');
+
+    IF diff <> '{}'::jsonb THEN
+        INSERT INTO public.item_history (item_id, household_id, action, changes, changed_by)
+        VALUES (NEW.id, NEW.household_id, 'updated', diff, COALESCE(auth.uid(), NEW.updated_by));
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS record_expiry_items_history ON expiry_items;
+CREATE TRIGGER record_expiry_items_history
+    AFTER INSERT OR UPDATE ON expiry_items
+    FOR EACH ROW EXECUTE FUNCTION public.record_item_history();
+
+-- Profile Time Zone
+-- Expiry dates are calendar days; which day is "today" and when reminders arrive depend on this zone.
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS timezone TEXT;
+
+-- Profile Language
+-- Language of the dashboard, dates, numbers and the PDF report; NULL follows the browser
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS language TEXT CHECK (language IN ('en', 'hi', 'es'));
+
+-- Item Categories
+-- Each household keeps its own categories, each with a color, an icon and
+-- the windows its expiry badges use: "soon" within soon_days, "warning" within warning_days.
+-- Items, shopping entries and per-category settings refer to a category by name,
+-- so renaming, merging or deleting one updates everything that uses it.
+CREATE TABLE IF NOT EXISTS categories (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    household_id UUID REFERENCES households(id) ON DELETE CASCADE NOT NULL,
+    name TEXT NOT NULL CHECK (length(trim(name)) > 0),
+    color TEXT NOT NULL DEFAULT '#94a3b8' CHECK (color ~ '^#[0-9a-fA-F]{6}$'),
+    icon TEXT NOT NULL DEFAULT '📦',
+    soon_days INTEGER NOT NULL DEFAULT 7 CHECK (soon_days BETWEEN 1 AND 3650),
+    warning_days INTEGER NOT NULL DEFAULT 30 CHECK (warning_days BETWEEN 1 AND 3650),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (household_id, name),
+    CHECK (warning_days >= soon_days)
+);
+
+CREATE INDEX IF NOT EXISTS idx_categories_household_id ON categories(household_id);
+
+ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Household members can view categories"
+    ON categories FOR SELECT
+    USING (public.household_role(household_id) IS NOT NULL);
+
+CREATE POLICY "Household editors can add categories"
+    ON categories FOR INSERT
+    WITH CHECK (public.household_role(household_id) IN ('owner', 'editor'));
+
+CREATE POLICY "Household editors can update categories"
+    ON categories FOR UPDATE
+    USING (public.household_role(household_id) IN ('owner', 'editor'))
+    WITH CHECK (public.household_role(household_id) IN ('owner', 'editor'));
+
+CREATE POLICY "Household editors can delete categories"
+    ON categories FOR DELETE
+    USING (public.household_role(household_id) IN ('owner', 'editor'));
+
+-- Move everything filed under one category name to another (NULL clears it):
+-- the household's items and shopping entries, its freezer extensions and
+-- its members' reminder overrides. A setting already kept for the new name wins.
+CREATE OR REPLACE FUNCTION public.move_category_references(p_household_id UUID, old_name TEXT, new_name TEXT)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE public.expiry_items SET category = new_name
+    WHERE household_id = p_household_id AND category = old_name;
+
+    UPDATE public.shopping_list_items SET category = new_name
+    WHERE household_id = p_household_id AND category = old_name;
+
+    UPDATE public.households
+    SET freezer_extensions = CASE
+        WHEN new_name IS NULL THEN freezer_extensions - old_name
+        ELSE jsonb_build_object(new_name, freezer_extensions->old_name) || (freezer_extensions - old_name)
+    END
+    WHERE id = p_household_id AND freezer_extensions ? old_name;
+
+    UPDATE public.reminder_rules
+    SET category_lead_days = CASE
+        WHEN new_name IS NULL THEN category_lead_days - old_name
+        ELSE jsonb_build_object(new_name, category_lead_days->old_name) || (category_lead_days - old_name)
+    END
+    WHERE category_lead_days ? old_name
+      AND user_id IN (SELECT user_id FROM public.household_members WHERE household_id = p_household_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.move_category_references(UUID, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Renaming a category renames it everywhere; deleting one leaves its items uncategorized
+CREATE OR REPLACE FUNCTION public.cascade_category_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        PERFORM public.move_category_references(OLD.household_id, OLD.name, NULL);
+        RETURN OLD;
+    END IF;
+
+    IF NEW.name IS DISTINCT FROM OLD.name THEN
+        PERFORM public.move_category_references(NEW.household_id, OLD.name, NEW.name);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS cascade_categories_change ON categories;
+CREATE TRIGGER cascade_categories_change
+    AFTER UPDATE OF name OR DELETE ON categories
+    FOR EACH ROW EXECUTE FUNCTION public.cascade_category_change();
+
+-- Merge one category into another: its items move over, then it is deleted
+CREATE OR REPLACE FUNCTION public.merge_categories(source_id UUID, target_id UUID)
+RETURNS VOID AS $$
+DECLARE
+    source public.categories;
+    target public.categories;
+BEGIN
+    SELECT * INTO source FROM public.categories WHERE id = source_id;
+    SELECT * INTO target FROM public.categories WHERE id = target_id;
+
+    IF source.id IS NULL OR target.id IS NULL OR source.household_id <> target.household_id OR source.id = target.id THEN
+        RAISE EXCEPTION 'Choose two different categories of the same household';
+    END IF;
+    IF COALESCE(public.household_role(source.household_id), '') NOT IN ('owner', 'editor') THEN
+        RAISE EXCEPTION 'Only owners and editors can merge categories';
+    END IF;
+
+    PERFORM public.move_category_references(source.household_id, source.name, target.name);
+    DELETE FROM public.categories WHERE id = source.id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- New households start with the usual categories
+CREATE OR REPLACE FUNCTION public.create_default_categories()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO public.categories (household_id, name, color, icon, soon_days, warning_days)
+    VALUES
+        (NEW.id, 'Dairy', '#60a5fa', '🥛', 2, 5),
+        (NEW.id, 'Vegetables', '#22c55e', '🥕', 2, 5),
+        (NEW.id, 'Fruits', '#f97316', '🍎', 2, 5),
+        (NEW.id, 'Meat', '#ef4444', '🥩', 1, 3),
+        (NEW.id, 'Pantry', '#eab308', '🥫', 14, 60),
+        (NEW.id, 'Beverages', '#06b6d4', '🥤', 7, 30),
+        (NEW.id, 'Medicine', '#a855f7', '💊', 30, 90),
+        (NEW.id, 'Other', '#94a3b8', '📦', 7, 30);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS create_household_categories ON households;
+CREATE TRIGGER create_household_categories
+    AFTER INSERT ON households
+    FOR EACH ROW EXECUTE FUNCTION public.create_default_categories();
+
+-- Existing households get the same defaults, plus any other category their items already use
+INSERT INTO categories (household_id, name, color, icon, soon_days, warning_days)
+SELECT households.id, defaults.name, defaults.color, defaults.icon, defaults.soon_days, defaults.warning_days
+FROM households
+CROSS JOIN (VALUES
+    ('Dairy', '#60a5fa', '🥛', 2, 5),
+    ('Vegetables', '#22c55e', '🥕', 2, 5),
+    ('Fruits', '#f97316', '🍎', 2, 5),
+    ('Meat', '#ef4444', '🥩', 1, 3),
+    ('Pantry', '#eab308', '🥫', 14, 60),
+    ('Beverages', '#06b6d4', '🥤', 7, 30),
+    ('Medicine', '#a855f7', '💊', 30, 90),
+    ('Other', '#94a3b8', '📦', 7, 30)
+) AS defaults (name, color, icon, soon_days, warning_days)
+WHERE NOT EXISTS (SELECT 1 FROM categories WHERE categories.household_id = households.id);
+
+INSERT INTO categories (household_id, name)
+SELECT DISTINCT household_id, category
+FROM expiry_items
+WHERE category IS NOT NULL AND trim(category) <> ''
+ON CONFLICT (household_id, name) DO NOTHING;
+
+-- Tags and Smart Collections
+-- Items carry any number of free-form tags ("baby", "travel kit"). A smart
+-- collection is a household's saved query over its items, such as
+-- "tag:baby AND expires < 14d", listed in the dashboard sidebar.
+-- Queries are evaluated in the browser, so they are stored as written.
+ALTER TABLE expiry_items ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_expiry_items_tags ON expiry_items USING GIN (tags);
+
+CREATE TABLE IF NOT EXISTS smart_collections (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    household_id UUID REFERENCES households(id) ON DELETE CASCADE NOT NULL,
+    name TEXT NOT NULL CHECK (length(trim(name)) > 0),
+    query TEXT NOT NULL CHECK (length(trim(query)) > 0),
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (household_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_smart_collections_household_id ON smart_collections(household_id);
+
+ALTER TABLE smart_collections ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Household members can view collections"
+    ON smart_collections FOR SELECT
+    USING (public.household_role(household_id) IS NOT NULL);
+
+CREATE POLICY "Household editors can add collections"
+    ON smart_collections FOR INSERT
+    WITH CHECK (public.household_role(household_id) IN ('owner', 'editor'));
+
+CREATE POLICY "Household editors can update collections"
+    ON smart_collections FOR UPDATE
+    USING (public.household_role(household_id) IN ('owner', 'editor'))
+    WITH CHECK (public.household_role(household_id) IN ('owner', 'editor'));
+
+CREATE POLICY "Household editors can delete collections"
+    ON smart_collections FOR DELETE
+    USING (public.household_role(household_id) IN ('owner', 'editor'));
+
+-- Email Digests
+-- One row per user who has set up the daily or weekly email of expired and
+-- soon-expiring items, sent by the send-expiry-digest function at their
+-- reminder delivery time. last_sent_on is the user's local date of the last
+-- scheduled digest, claimed before sending so each day is sent once.
+-- The unsubscribe token is the key of the link in every email.
+CREATE TABLE IF NOT EXISTS email_digests (
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE PRIMARY KEY,
+    frequency TEXT NOT NULL DEFAULT 'off' CHECK (frequency IN ('off', 'daily', 'weekly')),
+    weekday INTEGER NOT NULL DEFAULT 1 CHECK (weekday BETWEEN 0 AND 6),
+    days_ahead INTEGER NOT NULL DEFAULT 7 CHECK (days_ahead BETWEEN 1 AND 60),
+    unsubscribe_token TEXT NOT NULL UNIQUE
+        DEFAULT replace(uuid_generate_v4()::text || uuid_generate_v4()::text, '-', ''),
+    last_sent_on DATE,
+    last_sent_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE email_digests ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own email digest"
+    ON email_digests FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own email digest"
+    ON email_digests FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own email digest"
+    ON email_digests FOR UPDATE
+    USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_email_digests_updated_at
+    BEFORE UPDATE ON email_digests
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Email Digest Schedule
+-- Note: Enable the pg_cron and pg_net extensions and deploy the
+-- send-expiry-digest function first, then uncomment and run:
+
+/*
+SELECT cron.schedule(
+    'send-expiry-digest',
+    '15 * * * *',
+    $$
+    SELECT net.http_post(
+        url := 'https://<project-ref>.supabase.co/functions/v1/send-expiry-digest',
+        headers := jsonb_build_object('Authorization', 'Bearer <service-role-key>')
+    );
+    $$
+);
+*/
+
+-- Webhooks
+-- A household owner registers URLs that receive item events as signed JSON:
+-- item.created, item.updated and item.deleted (moved to the Trash, or deleted
+-- outright) from a trigger, item.expiring (inside the category's "soon" window)
+-- and item.expired from queue_expiry_webhooks. Each event becomes a row in
+-- webhook_deliveries, which the deliver-webhooks function sends and retries.
+
+-- Whether a webhook URL is http(s) to a public host: not localhost or another
+-- local name, and not a loopback, private, link-local (cloud metadata) or
+-- reserved address. URL parsers also read hosts with a numeric last label as
+-- IPv4, in hex, octal or shortened forms, so only plain dotted ones are let
+-- through. The deliver-webhooks function checks resolved names before sending.
+CREATE OR REPLACE FUNCTION public.is_public_webhook_url(url TEXT)
+RETURNS BOOLEAN AS $$
+DECLARE
+    host TEXT := lower(substring(url FROM '^https?://(?:[^/?#@]*@)?(\[[^]]*\]|[^/?#:]*)'));
+    address INET;
+BEGIN
+    host := rtrim(btrim(host, '[]'), '.');
+    IF host IS NULL OR host = '' OR host ~ '(^|\.)(localhost|local|internal|home\.arpa)$' THEN
+        RETURN FALSE;
+    END IF;
+
+    IF host !~ ':' AND host !~ '(^|\.)(0x[0-9a-f]*|[0-9]+)$' THEN
+        RETURN TRUE;
+    END IF;
+    IF host !~ ':' AND host !~ '^(0|[1-9][0-9]{0,2})(\.(0|[1-9][0-9]{0,2})){3}$' THEN
+        RETURN FALSE;
+    END IF;
+
+    BEGIN
+        address := host::INET;
+    EXCEPTION WHEN invalid_text_representation THEN
+        RETURN FALSE;
+    END;
+
+    RETURN NOT address <<= ANY (ARRAY[
+        '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16',
+        '172.16.0.0/12', '192.0.0.0/24', '192.168.0.0/16', '198.18.0.0/15', '224.0.0.0/3',
+        '::/96', '::ffff:0:0/96', '64:ff9b::/96', 'fc00::/7', 'fe80::/10', 'ff00::/8'
+    ]::INET[]);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+CREATE TABLE IF NOT EXISTS webhooks (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    household_id UUID REFERENCES households(id) ON DELETE CASCADE NOT NULL,
+    url TEXT NOT NULL CHECK (public.is_public_webhook_url(url)),
+    secret TEXT NOT NULL CHECK (length(secret) >= 16),
+    events TEXT[] NOT NULL CHECK (
+        cardinality(events) > 0 AND
+        events <@ ARRAY['item.created', 'item.updated', 'item.deleted', 'item.expiring', 'item.expired']
+    ),
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_household_id ON webhooks(household_id);
+
+ALTER TABLE webhooks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Household owners can view webhooks"
+    ON webhooks FOR SELECT
+    USING (public.household_role(household_id) = 'owner');
+
+CREATE POLICY "Household owners can add webhooks"
+    ON webhooks FOR INSERT
+    WITH CHECK (public.household_role(household_id) = 'owner');
+
+CREATE POLICY "Household owners can update webhooks"
+    ON webhooks FOR UPDATE
+    USING (public.household_role(household_id) = 'owner')
+    WITH CHECK (public.household_role(household_id) = 'owner');
+
+CREATE POLICY "Household owners can delete webhooks"
+    ON webhooks FOR DELETE
+    USING (public.household_role(household_id) = 'owner');
+
+-- One row per attempt to deliver an event, with the last response status.
+-- dedupe_key stops the scheduled expiry events from being queued twice.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    webhook_id UUID REFERENCES webhooks(id) ON DELETE CASCADE NOT NULL,
+    household_id UUID REFERENCES households(id) ON DELETE CASCADE NOT NULL,
+    event TEXT NOT NULL,
+    item_id UUID,
+    payload JSONB NOT NULL,
+    dedupe_key TEXT,
+    redelivery_of UUID REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_attempt_at TIMESTAMP WITH TIME ZONE,
+    response_status INTEGER,
+    error TEXT,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (webhook_id, dedupe_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Household owners can view webhook deliveries"
+    ON webhook_deliveries FOR SELECT
+    USING (public.household_role(household_id) = 'owner');
+
+-- Queue item.created, item.updated and item.deleted for the household's webhooks.
+-- Purging an item from the Trash sends nothing: item.deleted went out when it was trashed.
+CREATE OR REPLACE FUNCTION public.queue_item_webhooks()
+RETURNS TRIGGER AS $$
+DECLARE
+    event_name TEXT;
+    item JSONB;
+    payload JSONB;
+    diff JSONB;
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        event_name := 'item.created';
+        item := to_jsonb(NEW);
+    ELSIF TG_OP = 'DELETE' THEN
+        IF OLD.deleted_at IS NOT NULL THEN
+            RETURN NULL;
+        END IF;
+        event_name := 'item.deleted';
+        item := to_jsonb(OLD);
+    ELSIF OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN
+        event_name := 'item.deleted';
+        item := to_jsonb(NEW);
+    ELSIF OLD.deleted_at IS NOT NULL AND NEW.deleted_at IS NOT NULL THEN
+        RETURN NULL;
+    ELSE
+        SELECT COALESCE(jsonb_object_agg(after.key, jsonb_build_object('old', before.value, 'new', after.value)), '{}'::jsonb)
+        INTO diff
+        FROM jsonb_each(to_jsonb(NEW)) AS after
+        JOIN jsonb_each(to_jsonb(OLD)) AS before ON before.key = after.key
+        WHERE after.value IS DISTINCT FROM before.value
+          AND after.key NOT IN ('updated_at', 'updated_by', 'effective_expiry_date');
+
+        IF diff = '{}'::jsonb THEN
+            RETURN NULL;
+        END IF;
+        event_name := 'item.updated';
+        item := to_jsonb(NEW);
+    END IF;
+
+    payload := jsonb_build_object(
+        'event', event_name,
+        'occurred_at', NOW(),
+        'household_id', item->'household_id',
+        'item', item
+    );
+    IF diff IS NOT NULL THEN
+        payload := payload || jsonb_build_object('changes', diff);
+    END IF;
+
+    INSERT INTO public.webhook_deliveries (webhook_id, household_id, event, item_id, payload)
+    SELECT hook.id, hook.household_id, event_name, (item->>'id')::uuid, payload
+    FROM public.webhooks AS hook
+    WHERE hook.household_id = (item->>'household_id')::uuid
+      AND hook.active
+      AND event_name = ANY(hook.events);
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS queue_expiry_items_webhooks ON expiry_items;
+CREATE TRIGGER queue_expiry_items_webhooks
+    AFTER INSERT OR UPDATE OR DELETE ON expiry_items
+    FOR EACH ROW EXECUTE FUNCTION public.queue_item_webhooks();
+
+-- Queue item.expiring for items inside their category's "soon" window (7 days
+-- without a category) and item.expired for items that expired since the webhook
+-- was added. "Today" is read in the time zone of the owner who added it.
+-- Each event is queued once per item and expiry date. Returns how many were queued.
+CREATE OR REPLACE FUNCTION public.queue_expiry_webhooks()
+RETURNS INTEGER AS $$
+DECLARE
+    queued INTEGER;
+BEGIN
+    WITH hooks AS (
+        SELECT
+            hook.id,
+            hook.household_id,
+            hook.events,
+            (NOW() AT TIME ZONE COALESCE(profile.timezone, 'UTC'))::date AS today,
+            (hook.created_at AT TIME ZONE COALESCE(profile.timezone, 'UTC'))::date AS since
+        FROM public.webhooks AS hook
+        LEFT JOIN public.profiles AS profile ON profile.id = hook.created_by
+        WHERE hook.active
+          AND hook.events && ARRAY['item.expiring', 'item.expired']
+    ),
+    due AS (
+        SELECT
+            hooks.id AS webhook_id,
+            hooks.household_id,
+            hooks.events,
+            CASE WHEN item.effective_expiry_date < hooks.today THEN 'item.expired' ELSE 'item.expiring' END AS event_name,
+            item.id AS item_id,
+            item.effective_expiry_date,
+            item.effective_expiry_date - hooks.today AS days_left,
+            to_jsonb(item) AS item
+        FROM hooks
+        JOIN public.expiry_items AS item ON item.household_id = hooks.household_id
+        LEFT JOIN public.categories AS category
+            ON category.household_id = item.household_id AND category.name = item.category
+        WHERE item.status = 'active'
+          AND item.deleted_at IS NULL
+          AND (
+              (item.effective_expiry_date < hooks.today AND item.effective_expiry_date >= hooks.since)
+              OR item.effective_expiry_date BETWEEN hooks.today AND hooks.today + COALESCE(category.soon_days, 7)
+          )
+    )
+    INSERT INTO public.webhook_deliveries (webhook_id, household_id, event, item_id, payload, dedupe_key)
+    SELECT
+        webhook_id,
+        household_id,
+        event_name,
+        item_id,
+        jsonb_build_object(
+            'event', event_name,
+            'occurred_at', NOW(),
+            'household_id', household_id,
+            'item', item,
+            'expires_on', effective_expiry_date,
+            'days_left', days_left
+        ),
+        event_name || ':' || item_id || ':' || effective_expiry_date
+    FROM due
+    WHERE event_name = ANY(events)
+    ON CONFLICT (webhook_id, dedupe_key) DO NOTHING;
+
+    GET DIAGNOSTICS queued = ROW_COUNT;
+    RETURN queued;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Hand out due deliveries to the deliver-webhooks function. Claimed rows are
+-- pushed five minutes ahead, so an overlapping run skips them and a run that
+-- dies part-way leaves them to be tried again.
+CREATE OR REPLACE FUNCTION public.claim_webhook_deliveries(batch_size INTEGER DEFAULT 50)
+RETURNS TABLE (id UUID, event TEXT, payload JSONB, attempts INTEGER, url TEXT, secret TEXT) AS $$
+    UPDATE public.webhook_deliveries AS delivery
+    SET next_attempt_at = NOW() + INTERVAL '5 minutes'
+    FROM public.webhooks AS hook
+    WHERE hook.id = delivery.webhook_id
+      AND delivery.id IN (
+          SELECT pending.id
+          FROM public.webhook_deliveries AS pending
+          JOIN public.webhooks AS pending_hook ON pending_hook.id = pending.webhook_id
+          WHERE pending.status = 'pending'
+            AND pending.next_attempt_at <= NOW()
+            AND pending_hook.active
+          ORDER BY pending.next_attempt_at
+          LIMIT batch_size
+          FOR UPDATE OF pending SKIP LOCKED
+      )
+    RETURNING delivery.id, delivery.event, delivery.payload, delivery.attempts, hook.url, hook.secret;
+$$ LANGUAGE sql SECURITY DEFINER SET search_path = public;
+
+-- Only the server functions queue and claim deliveries
+REVOKE EXECUTE ON FUNCTION public.queue_expiry_webhooks() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.claim_webhook_deliveries(INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Send a delivery's payload again as a new delivery, keeping the original in the log
+CREATE OR REPLACE FUNCTION public.redeliver_webhook(delivery_id UUID)
+RETURNS UUID AS $$
+DECLARE
+    original public.webhook_deliveries;
+    copy_id UUID;
+BEGIN
+    SELECT * INTO original FROM public.webhook_deliveries WHERE id = delivery_id;
+
+    IF original.id IS NULL OR public.household_role(original.household_id) IS DISTINCT FROM 'owner' THEN
+        RAISE EXCEPTION 'Only household owners can redeliver webhooks';
+    END IF;
+
+    INSERT INTO public.webhook_deliveries (webhook_id, household_id, event, item_id, payload, redelivery_of)
+    VALUES (original.webhook_id, original.household_id, original.event, original.item_id, original.payload, original.id)
+    RETURNING id INTO copy_id;
+
+    RETURN copy_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Webhook Delivery Schedule
+-- Note: Enable the pg_cron and pg_net extensions and deploy the
+-- deliver-webhooks function first, then uncomment and run:
+
+/*
+SELECT cron.schedule(
+    'deliver-webhooks',
+    '* * * * *',
+    $$
+    SELECT net.http_post(
+        url := 'https://<project-ref>.supabase.co/functions/v1/deliver-webhooks',
+        headers := jsonb_build_object('Authorization', 'Bearer <service-role-key>')
+    );
+    $$
+);
+*/
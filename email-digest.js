@@ -0,0 +1,46 @@
+// Email Digest - daily or weekly emails of expiring items, sent by the send-expiry-digest Edge Function
+import { supabase } from './config.js';
+import { DEFAULT_DIGEST } from './supabase/functions/_shared/digest.js';
+
+/**
+ * How often the digest can be sent
+ */
+export const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+/**
+ * A user's digest settings with when it was last sent, or the defaults if they never saved any
+ */
+export async function loadDigestSettings(userId) {
+    const { data, error } = await supabase
+        .from('email_digests')
+        .select('frequency, weekday, days_ahead, last_sent_at, last_error')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data || { ...DEFAULT_DIGEST, last_sent_at: null, last_error: null };
+}
+
+/**
+ * Save how often the digest is sent and how far ahead it looks
+ */
+export async function saveDigestSettings(userId, { frequency, weekday, days_ahead }) {
+    const { error } = await supabase
+        .from('email_digests')
+        .upsert({ user_id: userId, frequency, weekday, days_ahead }, { onConflict: 'user_id' });
+
+    if (error) throw error;
+}
+
+/**
+ * Email the signed-in user their digest now, whatever the schedule.
+ * Resolves with the time it was sent.
+ */
+export async function sendTestDigest() {
+    const { data, error } = await supabase.functions.invoke('send-expiry-digest', {
+        body: { test: true }
+    });
+
+    if (error) throw error;
+    return data.sent_at;
+}
@@ -0,0 +1,255 @@
+// Household Management - shared inventories with owner/editor/viewer roles
+import { supabase } from './config.js';
+import { isNetworkError } from './item-store.js';
+import { t } from './i18n.js';
+
+const HOUSEHOLD_CACHE_KEY = 'expiryTracker.activeHousehold';
+
+/**
+ * Roles that can add, edit and delete items
+ */
+export const EDITOR_ROLES = ['owner', 'editor'];
+
+/**
+ * Check whether a role can change items
+ */
+export function canEdit(role) {
+    return EDITOR_ROLES.includes(role);
+}
+
+/**
+ * Load the user's active household with their role and its members.
+ * The last copy is kept in localStorage so the dashboard still opens offline.
+ * Returns { id, name, freezer_extensions, trash_retention_days, role, members: Map of userId -> { role, name, avatar_url } }
+ */
+export async function loadActiveHousehold(userId) {
+    const cacheKey = `${HOUSEHOLD_CACHE_KEY}.${userId}`;
+
+    try {
+        const household = await fetchActiveHousehold(userId);
+        localStorage.setItem(cacheKey, JSON.stringify({ ...household, members: [...household.members] }));
+        return household;
+    } catch (error) {
+        const cached = localStorage.getItem(cacheKey);
+        if (!isNetworkError(error) || !cached) throw error;
+
+        const household = JSON.parse(cached);
+        return { ...household, members: new Map(household.members) };
+    }
+}
+
+async function fetchActiveHousehold(userId) {
+    const { data: profile, error: profileError } = await supabase
+        .from('profiles')
+        .select('active_household_id')
+        .eq('id', userId)
+        .single();
+
+    if (profileError) throw profileError;
+
+    let household = profile.active_household_id ? await fetchHousehold(profile.active_household_id) : null;
+
+    // Fall back to any household the user still belongs to: none is active yet,
+    // or the user was removed from the active one and can no longer read it
+    if (!household) {
+        const households = await listHouseholds(userId);
+        if (households.length === 0) throw new Error(t('household.noHousehold'));
+        household = await fetchHousehold(households[0].id);
+        await switchHousehold(userId, household.id);
+    }
+
+    const members = await listMembers(household.id);
+
+    return {
+        ...household,
+        role: members.get(userId)?.role || 'viewer',
+        members
+    };
+}
+
+// A household's settings, or null when the user can't read it
+async function fetchHousehold(householdId) {
+    const { data, error } = await supabase
+        .from('households')
+        .select('id, name, freezer_extensions, trash_retention_days')
+        .eq('id', householdId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * List the members of a household keyed by user id
+ */
+export async function listMembers(householdId) {
+    const { data: rows, error } = await supabase
+        .from('household_members')
+        .select('user_id, role')
+        .eq('household_id', householdId);
+
+    if (error) throw error;
+
+    const { data: profiles, error: profilesError } = await supabase
+        .from('profiles')
+        .select('id, name, avatar_url')
+        .in('id', rows.map(row => row.user_id));
+
+    if (profilesError) throw profilesError;
+
+    const profilesById = new Map(profiles.map(profile => [profile.id, profile]));
+
+    return new Map(rows.map(row => [row.user_id, {
+        role: row.role,
+        name: profilesById.get(row.user_id)?.name || t('household.member'),
+        avatar_url: profilesById.get(row.user_id)?.avatar_url || null
+    }]));
+}
+
+/**
+ * List every household the user belongs to, with their role in each
+ */
+export async function listHouseholds(userId) {
+    const { data, error } = await supabase
+        .from('household_members')
+        .select('role, households (id, name)')
+        .eq('user_id', userId);
+
+    if (error) throw error;
+
+    return data.map(row => ({ ...row.households, role: row.role }));
+}
+
+/**
+ * Make a household the one the dashboard shows
+ */
+export async function switchHousehold(userId, householdId) {
+    const { error } = await supabase
+        .from('profiles')
+        .update({ active_household_id: householdId })
+        .eq('id', userId);
+
+    if (error) throw error;
+}
+
+/**
+ * Create a new household owned by the signed-in user and switch to it
+ */
+export async function createHousehold(name) {
+    const { data, error } = await supabase.rpc('create_household', { household_name: name });
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Rename a household (owners only)
+ */
+export async function renameHousehold(householdId, name) {
+    const { error } = await supabase
+        .from('households')
+        .update({ name })
+        .eq('id', householdId);
+
+    if (error) throw error;
+}
+
+/**
+ * Set how many days deleted items stay in the Trash (owners only)
+ */
+export async function setTrashRetention(householdId, days) {
+    const { error } = await supabase
+        .from('households')
+        .update({ trash_retention_days: days })
+        .eq('id', householdId);
+
+    if (error) throw error;
+}
+
+/**
+ * Invite someone by email
+ */
+export async function inviteMember(householdId, userId, email, role) {
+    const { error } = await supabase
+        .from('household_invites')
+        .insert({ household_id: householdId, email: email.toLowerCase(), role, invited_by: userId });
+
+    if (error) {
+        if (error.code === '23505') throw new Error(t('household.alreadyInvited', { email }));
+        throw error;
+    }
+}
+
+/**
+ * List the invites still waiting on a household
+ */
+export async function listHouseholdInvites(householdId) {
+    const { data, error } = await supabase
+        .from('household_invites')
+        .select('id, email, role')
+        .eq('household_id', householdId)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * List invites sent to the signed-in user's email address
+ */
+export async function listMyInvites(email) {
+    const { data, error } = await supabase
+        .from('household_invites')
+        .select('id, role, households (name)')
+        .eq('email', email.toLowerCase());
+
+    if (error) throw error;
+    return data.map(invite => ({ id: invite.id, role: invite.role, householdName: invite.households.name }));
+}
+
+/**
+ * Accept an invite; the household becomes the active one
+ */
+export async function acceptInvite(inviteId) {
+    const { error } = await supabase.rpc('accept_household_invite', { invite_id: inviteId });
+
+    if (error) throw error;
+}
+
+/**
+ * Cancel (owner) or decline (invitee) an invite
+ */
+export async function deleteInvite(inviteId) {
+    const { error } = await supabase
+        .from('household_invites')
+        .delete()
+        .eq('id', inviteId);
+
+    if (error) throw error;
+}
+
+/**
+ * Change a member's role (owners only)
+ */
+export async function updateMemberRole(householdId, userId, role) {
+    const { error } = await supabase
+        .from('household_members')
+        .update({ role })
+        .eq('household_id', householdId)
+        .eq('user_id', userId);
+
+    if (error) throw error;
+}
+
+/**
+ * Remove a member, or leave when userId is the signed-in user
+ */
+export async function removeMember(householdId, userId) {
+    const { error } = await supabase
+        .from('household_members')
+        .delete()
+        .eq('household_id', householdId)
+        .eq('user_id', userId);
+
+    if (error) throw error;
+}
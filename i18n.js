@@ -0,0 +1,115 @@
+// Localization - message catalogs, plurals and locale-aware number formatting
+import en from './locales/en.js';
+import hi from './locales/hi.js';
+import es from './locales/es.js';
+
+const LANGUAGE_STORAGE_KEY = 'expiryTracker.language';
+
+/**
+ * Languages offered in the picker, in their own script
+ */
+export const LANGUAGES = {
+    en: 'English',
+    hi: 'हिन्दी',
+    es: 'Español'
+};
+
+/**
+ * Default language for messages missing from a catalog
+ */
+export const DEFAULT_LANGUAGE = 'en';
+
+const CATALOGS = { en, hi, es };
+
+// Region used to format dates and numbers for each language
+const LOCALES = {
+    en: 'en-US',
+    hi: 'hi-IN',
+    es: 'es-ES'
+};
+
+/**
+ * The language the app is shown in: the one saved on the profile,
+ * else the browser's if there is a catalog for it
+ */
+export function getLanguage() {
+    const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (saved in CATALOGS) return saved;
+
+    const browser = (navigator.language || '').split('-')[0];
+    return browser in CATALOGS ? browser : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Remember the profile's language on this device
+ */
+export function setLanguage(language) {
+    if (language in CATALOGS) {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    } else {
+        localStorage.removeItem(LANGUAGE_STORAGE_KEY);
+    }
+}
+
+/**
+ * BCP 47 locale for Intl formatting, e.g. "hi-IN"
+ */
+export function getLocale() {
+    return LOCALES[getLanguage()];
+}
+
+/**
+ * Format a number with the locale's digit grouping and decimal mark
+ */
+export function formatNumber(value, options) {
+    return new Intl.NumberFormat(getLocale(), options).format(value);
+}
+
+/**
+ * Check whether the catalogs have a message for a key
+ */
+export function hasMessage(key) {
+    return key in CATALOGS[getLanguage()] || key in CATALOGS[DEFAULT_LANGUAGE];
+}
+
+// Pick the plural form for a count, e.g. { one: '{count} day', other: '{count} days' }
+function pluralForm(forms, count) {
+    const category = new Intl.PluralRules(getLocale()).select(count);
+    return forms[category] ?? forms.other;
+}
+
+/**
+ * Translate a message key, filling {placeholders} from params.
+ * Messages with plural forms are chosen by params.count; numbers are formatted for the locale.
+ * Falls back to English, then to the key itself.
+ */
+export function t(key, params = {}) {
+    const message = CATALOGS[getLanguage()][key] ?? CATALOGS[DEFAULT_LANGUAGE][key] ?? key;
+    const text = typeof message === 'object' ? pluralForm(message, params.count) : message;
+
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (!(name in params)) return placeholder;
+        return typeof params[name] === 'number' ? formatNumber(params[name]) : params[name];
+    });
+}
+
+/**
+ * Translate static markup: data-i18n sets the text, data-i18n-placeholder,
+ * data-i18n-title and data-i18n-aria-label set those attributes
+ */
+export function translatePage(root = document) {
+    document.documentElement.lang = getLanguage();
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    });
+}
@@ -0,0 +1,144 @@
+// Item Filters - search, category/expiry chips and date range
+import { daysUntilExpiry, isActiveItem, isTrashedItem } from './utils.js';
+import { effectiveExpiryDate } from './supabase/functions/_shared/reminders.js';
+import { expiryThresholds } from './categories.js';
+import { COLLECTION_FILTER_PREFIX, findCollection, matchesCollection } from './smart-collections.js';
+
+const FILTER_STORAGE_KEY = 'expiryTracker.filters';
+
+/**
+ * Expiry window chips. Windows do not overlap, so several can be combined.
+ */
+export const EXPIRY_WINDOWS = [
+    { value: 'expired', matches: days => days < 0 },
+    { value: 'today', matches: days => days === 0 },
+    { value: 'week', matches: days => days >= 1 && days <= 7 },
+    { value: 'month', matches: days => days >= 8 && days <= 30 },
+    { value: 'later', matches: days => days > 30 }
+];
+
+/**
+ * Filter state with nothing selected
+ */
+export function createDefaultFilters() {
+    return {
+        sidebar: 'all',
+        location: '',
+        search: '',
+        categories: [],
+        windows: [],
+        expiresFrom: '',
+        expiresTo: '',
+        minQuantity: '',
+        maxQuantity: ''
+    };
+}
+
+/**
+ * Check whether any filter besides the sidebar and location is narrowing the list
+ */
+export function hasActiveFilters(filters) {
+    return Boolean(
+        filters.search.trim() ||
+        filters.categories.length ||
+        filters.windows.length ||
+        filters.expiresFrom ||
+        filters.expiresTo ||
+        filters.minQuantity !== '' ||
+        filters.maxQuantity !== ''
+    );
+}
+
+/**
+ * Apply one of the sidebar filters: all, soon (within the category's "soon" window), expired
+ * and smart collections ("collection:<id>") show active items; archive shows consumed,
+ * discarded and donated ones; trash shows deleted items, which every other filter leaves out
+ */
+export function applySidebarFilter(items, sidebar) {
+    if (sidebar === 'trash') {
+        return items.filter(isTrashedItem);
+    }
+
+    const keptItems = items.filter(item => !isTrashedItem(item));
+
+    if (sidebar === 'archive') {
+        return keptItems.filter(item => !isActiveItem(item));
+    }
+
+    const activeItems = keptItems.filter(isActiveItem);
+
+    if (sidebar === 'soon') {
+        return activeItems.filter(item => {
+            const days = daysUntilExpiry(effectiveExpiryDate(item));
+            return days >= 0 && days <= expiryThresholds(item.category).soon_days;
+        });
+    }
+
+    if (sidebar === 'expired') {
+        return activeItems.filter(item => daysUntilExpiry(effectiveExpiryDate(item)) < 0);
+    }
+
+    if (sidebar.startsWith(COLLECTION_FILTER_PREFIX)) {
+        const collection = findCollection(sidebar.slice(COLLECTION_FILTER_PREFIX.length));
+        return collection ? activeItems.filter(item => matchesCollection(collection, item)) : [];
+    }
+
+    return activeItems;
+}
+
+/**
+ * Apply the location, search, chips, date and quantity ranges (everything except the sidebar filter).
+ * Chips in the same group are OR-ed; the groups are AND-ed together.
+ */
+export function applyFilters(items, filters) {
+    const query = filters.search.trim().toLowerCase();
+    const windows = EXPIRY_WINDOWS.filter(window => filters.windows.includes(window.value));
+
+    return items.filter(item => {
+        if (filters.location && item.location_id !== filters.location) return false;
+
+        if (query) {
+            const haystack = [item.name, item.notes, item.category, ...(item.tags || [])].filter(Boolean).join(' ').toLowerCase();
+            if (!haystack.includes(query)) return false;
+        }
+
+        if (filters.categories.length && !filters.categories.includes(item.category || '')) {
+            return false;
+        }
+
+        const expiryDate = effectiveExpiryDate(item);
+
+        if (windows.length) {
+            const days = daysUntilExpiry(expiryDate);
+            if (!windows.some(window => window.matches(days))) return false;
+        }
+
+        if (filters.expiresFrom && expiryDate < filters.expiresFrom) return false;
+        if (filters.expiresTo && expiryDate > filters.expiresTo) return false;
+
+        const quantity = item.quantity ?? 1;
+        if (filters.minQuantity !== '' && quantity < Number(filters.minQuantity)) return false;
+        if (filters.maxQuantity !== '' && quantity > Number(filters.maxQuantity)) return false;
+
+        return true;
+    });
+}
+
+/**
+ * Load the saved filter state for a user
+ */
+export function loadFilters(userId) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(`${FILTER_STORAGE_KEY}.${userId}`));
+        return { ...createDefaultFilters(), ...saved };
+    } catch {
+        return createDefaultFilters();
+    }
+}
+
+/**
+ * Save the filter state so it survives a reload
+ */
+export function saveFilters(userId, filters) {
+    localStorage.setItem(`${FILTER_STORAGE_KEY}.${userId}`, JSON.stringify(filters));
+}
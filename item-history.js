@@ -0,0 +1,81 @@
+// Item History - field-level changes recorded by the database trigger, and reverting to an earlier version
+import { supabase } from './config.js';
+import { t } from './i18n.js';
+
+/**
+ * Recorded columns shown in the timeline, in display order; labels are the history.field.* messages.
+ * Other recorded columns (such as status_changed_at) are only used when reverting.
+ */
+export const HISTORY_FIELDS = [
+    'name',
+    'category',
+    'expiry_date',
+    'quantity',
+    'lots',
+    'location_id',
+    'original_expiry_date',
+    'opened_at',
+    'use_within_days',
+    'min_quantity',
+    'unit_price',
+    'currency',
+    'notes',
+    'tags',
+    'image_url',
+    'status',
+    'deleted_at'
+];
+
+/**
+ * An item's history, newest first
+ */
+export async function loadItemHistory(itemId) {
+    const { data, error } = await supabase
+        .from('item_history')
+        .select('id, action, changes, changed_by, changed_at')
+        .eq('item_id', itemId)
+        .order('changed_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Labelled changes of a history entry, in HISTORY_FIELDS order.
+ * A single-lot change is already told by its expiry date and quantity, so it is left out.
+ */
+export function describeChanges(entry) {
+    const changes = entry.changes || {};
+    const singleLot = ['old', 'new'].every(side => (changes.lots?.[side] || []).length <= 1);
+
+    return HISTORY_FIELDS
+        .filter(field => field in changes)
+        .filter(field => field !== 'lots' || !singleLot || !('expiry_date' in changes || 'quantity' in changes))
+        .map(field => ({ field, label: t(`history.field.${field}`), ...changes[field] }));
+}
+
+/**
+ * Changes that put an item back the way it was right after a history entry.
+ * Walks back through every later entry, newest first, taking the values they replaced.
+ * Returns null if the item already matches that version.
+ */
+export function versionChanges(item, history, entryId) {
+    const index = history.findIndex(entry => entry.id === entryId);
+    if (index < 0) return null;
+
+    const version = {};
+    history.slice(0, index).forEach(entry => {
+        Object.entries(entry.changes || {}).forEach(([field, change]) => {
+            version[field] = change.old;
+        });
+    });
+
+    const changes = {};
+    Object.entries(version)
+        .filter(([field, value]) => JSON.stringify(value) !== JSON.stringify(item[field] ?? null))
+        .forEach(([field, value]) => {
+            changes[field] = value;
+        });
+
+    return Object.keys(changes).length ? changes : null;
+}
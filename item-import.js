@@ -0,0 +1,263 @@
+// Item Import - row validation, duplicate detection and JSON backups
+
+import { ITEM_STATUSES, CURRENCIES } from './utils.js';
+import { t } from './i18n.js';
+import { createLot, lotChanges } from './lots.js';
+import { parseTags } from './tags.js';
+
+const BACKUP_VERSION = 1;
+
+/**
+ * What to do with an imported row that looks like an item already in the list
+ */
+export const DUPLICATE_STRATEGIES = ['skip', 'overwrite', 'keep'];
+
+/**
+ * Check that a YYYY-MM-DD string is a real calendar date
+ */
+function isValidIsoDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Read a price written with either decimal separator, ignoring currency
+ * symbols: "$3.50", "3,50 €", "1,234.50" and "1.234,50". A dot or comma
+ * followed by one or two digits at the end is the decimal separator; the
+ * other one may group thousands. Returns NaN for anything else, including
+ * "1,234" and "1.234", which read differently in different countries.
+ */
+function parsePrice(value) {
+    const match = value.replace(/[^\d.,-]/g, '').match(/^(-?)([\d.,]*?)(?:([.,])(\d{1,2}))?$/);
+    if (!match) return NaN;
+
+    const [, sign, whole, decimalSeparator, fraction = '0'] = match;
+    const groupSeparators = new Set(whole.match(/[.,]/g));
+
+    if (groupSeparators.size) {
+        const groups = whole.split(/[.,]/);
+        const grouped = groupSeparators.size === 1 && !groupSeparators.has(decimalSeparator) &&
+            /^\d{1,3}$/.test(groups[0]) && groups.slice(1).every(group => /^\d{3}$/.test(group));
+
+        if (!grouped || (!decimalSeparator && groups.length === 2)) return NaN;
+    }
+
+    const digits = whole.replace(/[.,]/g, '');
+    if (!digits && !decimalSeparator) return NaN;
+
+    return Number(`${sign}${digits || '0'}.${fraction}`);
+}
+
+/**
+ * Clean up one imported row and list what is wrong with it.
+ * Returns { item, errors: [{ field, message }] }
+ */
+export function validateRow(raw) {
+    const errors = [];
+    const text = value => (value === null || value === undefined ? '' : String(value).trim());
+
+    const name = text(raw.name);
+    if (!name) errors.push({ field: 'name', message: t('import.error.nameMissing') });
+
+    // Accept full timestamps from other tools by keeping just the date part
+    const expiryDate = text(raw.expiry_date).split('T')[0];
+    if (!expiryDate) {
+        errors.push({ field: 'expiry_date', message: t('import.error.expiryMissing') });
+    } else if (!isValidIsoDate(expiryDate)) {
+        errors.push({ field: 'expiry_date', message: t('import.error.expiry', { value: text(raw.expiry_date) }) });
+    }
+
+    let quantity = 1;
+    if (text(raw.quantity) !== '') {
+        quantity = Number(text(raw.quantity));
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            errors.push({ field: 'quantity', message: t('import.error.quantity', { value: text(raw.quantity) }) });
+        }
+    }
+
+    // Backups carry lots; the item's quantity and expiry date then come from them
+    let lots = [];
+    if (Array.isArray(raw.lots) && raw.lots.length) {
+        const validLot = lot => isValidIsoDate(text(lot?.expiry_date)) &&
+            Number.isInteger(Number(lot.quantity)) && Number(lot.quantity) >= 1;
+
+        if (raw.lots.every(validLot)) {
+            lots = raw.lots.map(lot => createLot(Number(lot.quantity), text(lot.expiry_date)));
+        } else {
+            errors.push({ field: 'lots', message: t('import.error.lots') });
+        }
+    }
+
+    // Opened date and "use within" days are optional
+    const openedAt = text(raw.opened_at).split('T')[0] || null;
+    if (openedAt && !isValidIsoDate(openedAt)) {
+        errors.push({ field: 'opened_at', message: t('import.error.openedAt', { value: text(raw.opened_at) }) });
+    }
+
+    let useWithinDays = null;
+    if (text(raw.use_within_days) !== '') {
+        useWithinDays = Number(text(raw.use_within_days));
+        if (!Number.isInteger(useWithinDays) || useWithinDays < 1) {
+            errors.push({ field: 'use_within_days', message: t('import.error.useWithin', { value: text(raw.use_within_days) }) });
+        }
+    }
+
+    // Price is optional; a currency is required alongside it
+    let unitPrice = null;
+    let currency = null;
+    if (text(raw.unit_price) !== '') {
+        // Backups hold plain numbers; spreadsheets hold text in the writer's format
+        unitPrice = typeof raw.unit_price === 'number' ? raw.unit_price : parsePrice(text(raw.unit_price));
+        currency = text(raw.currency).toUpperCase() || CURRENCIES[0];
+
+        if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+            errors.push({ field: 'unit_price', message: t('import.error.price', { value: text(raw.unit_price) }) });
+        }
+        if (!/^[A-Z]{3}$/.test(currency)) {
+            errors.push({ field: 'currency', message: t('import.error.currency', { value: text(raw.currency) }) });
+        }
+    }
+
+    // Backups keep archived items; everything else imports as active
+    const status = text(raw.status) || 'active';
+    if (status !== 'active' && !ITEM_STATUSES.includes(status)) {
+        errors.push({ field: 'status', message: t('import.error.status', { value: status }) });
+    }
+
+    return {
+        item: {
+            name,
+            category: text(raw.category) || null,
+            quantity,
+            expiry_date: expiryDate,
+            lots,
+            ...(lots.length ? lotChanges(lots) : {}),
+            opened_at: openedAt,
+            use_within_days: useWithinDays,
+            notes: text(raw.notes) || null,
+            tags: parseTags(raw.tags),
+            unit_price: unitPrice,
+            currency,
+            status,
+            status_changed_at: status === 'active' ? null : text(raw.status_changed_at) || new Date().toISOString()
+        },
+        errors
+    };
+}
+
+/**
+ * Key used to spot likely duplicates: same name (ignoring case) and expiry date
+ */
+function duplicateKey(item) {
+    return `${item.name.trim().toLowerCase()}|${item.expiry_date}`;
+}
+
+/**
+ * Validate every row and flag likely duplicates, either of an existing item
+ * or of an earlier row in the same file.
+ * Returns [{ row, item, errors, duplicateOf, duplicateRow }]
+ */
+export function reviewImport(rawRows, existingItems) {
+    const existingByKey = new Map(existingItems.map(item => [duplicateKey(item), item]));
+    const rowByKey = new Map();
+
+    return rawRows.map((raw, index) => {
+        const { item, errors } = validateRow(raw);
+        const entry = { row: index + 1, item, errors, duplicateOf: null, duplicateRow: null };
+        if (errors.length) return entry;
+
+        const key = duplicateKey(item);
+        entry.duplicateOf = existingByKey.get(key) || null;
+        if (!entry.duplicateOf && rowByKey.has(key)) entry.duplicateRow = rowByKey.get(key);
+        if (!rowByKey.has(key)) rowByKey.set(key, entry.row);
+
+        return entry;
+    });
+}
+
+/**
+ * Decide what the import will write under a duplicate strategy.
+ * Returns { add: [item], update: [{ id, item }], skipped, invalid }
+ */
+export function planImport(entries, strategy) {
+    const plan = { add: [], update: [], skipped: 0, invalid: 0 };
+    const plannedByRow = new Map();
+
+    entries.forEach(entry => {
+        if (entry.errors.length) {
+            plan.invalid++;
+            return;
+        }
+
+        const isDuplicate = entry.duplicateOf || entry.duplicateRow;
+
+        if (isDuplicate && strategy === 'skip') {
+            plan.skipped++;
+            return;
+        }
+
+        if (isDuplicate && strategy === 'overwrite') {
+            if (entry.duplicateOf) {
+                const update = { id: entry.duplicateOf.id, item: entry.item };
+                plan.update.push(update);
+                plannedByRow.set(entry.row, update);
+            } else {
+                // A later row in the file replaces the earlier one
+                plannedByRow.get(entry.duplicateRow).item = entry.item;
+                plan.skipped++;
+            }
+            return;
+        }
+
+        const addition = { item: entry.item };
+        plan.add.push(addition);
+        plannedByRow.set(entry.row, addition);
+    });
+
+    return {
+        ...plan,
+        add: plan.add.map(addition => addition.item)
+    };
+}
+
+/**
+ * Read a JSON backup: the export format ({ items: [...] }) or a plain array
+ */
+export function parseJsonBackup(text) {
+    const data = JSON.parse(text);
+    const rows = Array.isArray(data) ? data : data?.items;
+
+    if (!Array.isArray(rows) || rows.some(row => typeof row !== 'object' || row === null)) {
+        throw new Error(t('import.notBackup'));
+    }
+
+    return rows;
+}
+
+/**
+ * Build a JSON backup that parseJsonBackup can read back
+ */
+export function buildJsonBackup(items, householdName) {
+    return JSON.stringify({
+        app: 'ExpiryTracker',
+        version: BACKUP_VERSION,
+        exported_at: new Date().toISOString(),
+        household: householdName,
+        items: items.map(item => ({
+            name: item.name,
+            category: item.category,
+            quantity: item.quantity,
+            expiry_date: item.expiry_date,
+            lots: item.lots,
+            opened_at: item.opened_at,
+            use_within_days: item.use_within_days,
+            notes: item.notes,
+            tags: item.tags,
+            unit_price: item.unit_price,
+            currency: item.currency,
+            status: item.status,
+            status_changed_at: item.status_changed_at
+        }))
+    }, null, 2);
+}
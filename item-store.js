@@ -0,0 +1,326 @@
+// Offline-first Item Store - IndexedDB cache with a queued mutation outbox
+import { supabase } from './config.js';
+import { effectiveExpiryDate } from './supabase/functions/_shared/reminders.js';
+
+const DB_NAME = 'expiry-tracker';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+let flushPromise = null;
+
+/**
+ * Open (and create on first use) the IndexedDB database.
+ * "items" holds the last server-confirmed rows, "outbox" the local
+ * adds, edits and deletes that still have to be sent, in order.
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('items', { keyPath: 'id' });
+                db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run a callback against an object store inside a transaction.
+ * Resolves with the result of the request the callback returns, if any.
+ */
+async function withStore(storeName, mode, callback) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = callback(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Check whether an error means the server could not be reached
+ */
+export function isNetworkError(error) {
+    if (!navigator.onLine) return true;
+    return /Failed to fetch|NetworkError|Load failed/i.test(error?.message || '');
+}
+
+/**
+ * Ids of the items an outbox entry changes; bulk entries change several
+ */
+function entryItemIds(entry) {
+    return entry.itemIds || [entry.itemId];
+}
+
+/**
+ * Get the mutations still waiting in the outbox, oldest first
+ */
+export async function getOutbox(userId) {
+    const entries = await withStore('outbox', 'readonly', store => store.getAll());
+    return entries.filter(entry => entry.userId === userId);
+}
+
+/**
+ * Get a household's items to display: the cached server rows with
+ * outbox mutations applied on top. Items whose delete the server rejected
+ * stay visible, so the failed delete can be retried or discarded.
+ */
+export async function getItems(userId, householdId) {
+    const cached = await withStore('items', 'readonly', store => store.getAll());
+    const outbox = (await getOutbox(userId)).filter(entry => entry.householdId === householdId);
+
+    const itemsById = new Map(
+        cached.filter(item => item.household_id === householdId).map(item => [item.id, item])
+    );
+
+    outbox.forEach(entry => {
+        const failed = entry.status === 'failed';
+
+        if (entry.type === 'insert') {
+            itemsById.set(entry.itemId, { ...entry.data });
+        } else if (entry.type === 'update' && itemsById.has(entry.itemId)) {
+            itemsById.set(entry.itemId, { ...itemsById.get(entry.itemId), ...entry.data });
+        } else if (entry.type === 'delete' && !failed) {
+            itemsById.delete(entry.itemId);
+        } else if (entry.type === 'bulk-update') {
+            entry.data.forEach(({ id, ...changes }) => {
+                if (itemsById.has(id)) itemsById.set(id, { ...itemsById.get(id), ...changes });
+            });
+        } else if (entry.type === 'bulk-delete' && !failed) {
+            entry.itemIds.forEach(id => itemsById.delete(id));
+        }
+    });
+
+    return [...itemsById.values()].sort((a, b) => effectiveExpiryDate(a).localeCompare(effectiveExpiryDate(b)));
+}
+
+/**
+ * Get the sync state of every item that has outbox entries.
+ * Returns a Map of itemId -> { state: 'pending' | 'failed', seq, error }
+ */
+export async function getSyncStates(userId) {
+    const outbox = await getOutbox(userId);
+    const states = new Map();
+
+    outbox.forEach(entry => {
+        entryItemIds(entry).forEach(itemId => {
+            const current = states.get(itemId);
+            if (current?.state === 'failed') return;
+            states.set(itemId, {
+                state: entry.status,
+                seq: entry.seq,
+                error: entry.error || null
+            });
+        });
+    });
+
+    return states;
+}
+
+/**
+ * Replace a household's cached rows with a fresh copy of its items. The
+ * rows of the user's other households are left alone.
+ */
+export async function refreshFromServer(householdId) {
+    const { data, error } = await supabase
+        .from('expiry_items')
+        .select('*')
+        .eq('household_id', householdId)
+        .order('expiry_date', { ascending: true });
+
+    if (error) throw error;
+
+    await withStore('items', 'readwrite', store => {
+        store.openCursor().onsuccess = event => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                data.forEach(item => store.put(item));
+                return;
+            }
+            if (cursor.value.household_id === householdId) cursor.delete();
+            cursor.continue();
+        };
+    });
+}
+
+/**
+ * Queue a new item for a household. A client-side id is assigned so
+ * later edits and deletes made while offline can refer to it.
+ */
+export async function addItem(userId, householdId, data) {
+    const itemId = data.id || crypto.randomUUID();
+    await queueMutation(userId, householdId, 'insert', itemId, {
+        ...data,
+        id: itemId,
+        user_id: userId,
+        household_id: householdId
+    });
+    return itemId;
+}
+
+/**
+ * Queue changes to an existing item
+ */
+export async function updateItem(userId, householdId, itemId, changes) {
+    await queueMutation(userId, householdId, 'update', itemId, changes);
+}
+
+/**
+ * Queue the deletion of an item
+ */
+export async function removeItem(userId, householdId, itemId) {
+    await queueMutation(userId, householdId, 'delete', itemId, null);
+}
+
+/**
+ * Queue the same kind of change to several items as one mutation, sent
+ * to the server in a single request. Each change is { id, ...columns }.
+ */
+export async function bulkUpdateItems(userId, householdId, changes) {
+    await queueMutation(userId, householdId, 'bulk-update', changes.map(change => change.id), changes);
+}
+
+/**
+ * Queue the deletion of several items as one mutation
+ */
+export async function bulkRemoveItems(userId, householdId, itemIds) {
+    await queueMutation(userId, householdId, 'bulk-delete', itemIds, null);
+}
+
+// itemId is a list of ids for bulk mutations
+async function queueMutation(userId, householdId, type, itemId, data) {
+    await withStore('outbox', 'readwrite', store => store.add({
+        userId,
+        householdId,
+        type,
+        ...(Array.isArray(itemId) ? { itemIds: itemId } : { itemId }),
+        data,
+        status: 'pending',
+        error: null,
+        queuedAt: new Date().toISOString()
+    }));
+}
+
+/**
+ * Apply a realtime change from the server to the cache
+ */
+export async function applyRemoteChange(payload) {
+    const { eventType, new: newRecord, old: oldRecord } = payload;
+
+    await withStore('items', 'readwrite', store => {
+        if (eventType === 'DELETE') {
+            store.delete(oldRecord.id);
+        } else {
+            store.put(newRecord);
+        }
+    });
+}
+
+/**
+ * Replay pending outbox mutations in order.
+ * Stops at the first network error so order is preserved; mutations the
+ * server rejects are marked failed, and later mutations for the same item
+ * wait until the failed one is retried or discarded.
+ * Returns { synced, failed } counts for this run.
+ */
+export function flushOutbox(userId) {
+    if (!flushPromise) {
+        flushPromise = replayOutbox(userId).finally(() => {
+            flushPromise = null;
+        });
+    }
+    return flushPromise;
+}
+
+async function replayOutbox(userId) {
+    const result = { synced: 0, failed: 0 };
+    if (!navigator.onLine) return result;
+
+    const outbox = await getOutbox(userId);
+    const blockedItems = new Set(
+        outbox.filter(entry => entry.status === 'failed').flatMap(entryItemIds)
+    );
+
+    for (const entry of outbox) {
+        if (entry.status !== 'pending' || entryItemIds(entry).some(itemId => blockedItems.has(itemId))) continue;
+
+        try {
+            const rows = await sendMutation(entry);
+            await withStore('items', 'readwrite', store => {
+                if (entry.type === 'delete' || entry.type === 'bulk-delete') {
+                    entryItemIds(entry).forEach(itemId => store.delete(itemId));
+                } else if (rows) {
+                    [rows].flat().forEach(row => store.put(row));
+                }
+            });
+            await withStore('outbox', 'readwrite', store => store.delete(entry.seq));
+            result.synced++;
+        } catch (error) {
+            if (isNetworkError(error)) break;
+
+            console.error('Sync rejected:', error);
+            await withStore('outbox', 'readwrite', store => store.put({
+                ...entry,
+                status: 'failed',
+                error: error.message || 'Rejected by server'
+            }));
+            entryItemIds(entry).forEach(itemId => blockedItems.add(itemId));
+            result.failed++;
+        }
+    }
+
+    return result;
+}
+
+async function sendMutation(entry) {
+    let query;
+    if (entry.type === 'insert') {
+        // Upsert so a retried insert that already reached the server is harmless
+        query = supabase.from('expiry_items').upsert([entry.data]).select().single();
+    } else if (entry.type === 'update') {
+        query = supabase.from('expiry_items').update(entry.data).eq('id', entry.itemId).select().single();
+    } else if (entry.type === 'bulk-update') {
+        query = supabase.rpc('bulk_update_items', { changes: entry.data });
+    } else if (entry.type === 'bulk-delete') {
+        query = supabase.from('expiry_items').delete().in('id', entry.itemIds);
+    } else {
+        query = supabase.from('expiry_items').delete().eq('id', entry.itemId);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Mark a failed mutation as pending again so the next flush retries it
+ */
+export async function retryMutation(seq) {
+    const entry = await withStore('outbox', 'readonly', store => store.get(seq));
+    if (!entry) return;
+    await withStore('outbox', 'readwrite', store => store.put({ ...entry, status: 'pending', error: null }));
+}
+
+/**
+ * Drop a mutation from the outbox. Later mutations for the same items are
+ * dropped too, since they were made on top of the discarded change.
+ */
+export async function discardMutation(seq) {
+    const entry = await withStore('outbox', 'readonly', store => store.get(seq));
+    if (!entry) return;
+
+    const itemIds = entryItemIds(entry);
+    const outbox = await getOutbox(entry.userId);
+    await withStore('outbox', 'readwrite', store => {
+        outbox
+            .filter(other => other.seq >= seq && entryItemIds(other).some(itemId => itemIds.includes(itemId)))
+            .forEach(other => store.delete(other.seq));
+    });
+}
@@ -0,0 +1,690 @@
+// English messages - the default catalog every other language falls back to.
+// A message is a string, or plural forms chosen by Intl.PluralRules for {count}.
+export default {
+    'app.tagline': 'Track & Manage Expiry Dates',
+
+    'common.loading': 'Loading...',
+    'common.cancel': 'Cancel',
+    'common.close': 'Close',
+    'common.user': 'User',
+    'common.items': { one: '{count} item', other: '{count} items' },
+    'common.backToDashboard': 'Back to Dashboard',
+    'common.add': 'Add',
+    'common.save': 'Save',
+    'common.copy': 'Copy',
+    'common.rename': 'Rename',
+    'common.delete': 'Delete',
+    'common.remove': 'Remove',
+    'common.days': 'days',
+
+    'auth.welcomeBack': 'Welcome Back',
+    'auth.signInHint': 'Sign in to track your expiry dates',
+    'auth.createTitle': 'Create Account',
+    'auth.createHint': 'Start tracking your expiry dates today',
+    'auth.name': 'Full Name',
+    'auth.email': 'Email Address',
+    'auth.password': 'Password',
+    'auth.passwordPlaceholder': 'Enter your password',
+    'auth.newPasswordPlaceholder': 'Create a strong password',
+    'auth.confirmPassword': 'Confirm Password',
+    'auth.confirmPasswordPlaceholder': 'Re-enter your password',
+    'auth.rememberMe': 'Remember me',
+    'auth.forgotPassword': 'Forgot password?',
+    'auth.agreeTo': 'I agree to the',
+    'auth.terms': 'Terms & Conditions',
+    'auth.signIn': 'Sign In',
+    'auth.signUp': 'Sign up',
+    'auth.createAccount': 'Create Account',
+    'auth.noAccount': 'Don\'t have an account?',
+    'auth.haveAccount': 'Already have an account?',
+    'auth.signInLink': 'Sign in',
+    'auth.strength.weak': 'Weak',
+    'auth.strength.medium': 'Medium',
+    'auth.strength.strong': 'Strong',
+    'auth.invalidEmail': 'Please enter a valid email address',
+    'auth.nameMissing': 'Please enter your name',
+    'auth.passwordTooShort': 'Password must be at least {count} characters',
+    'auth.passwordMismatch': 'Passwords do not match',
+    'auth.verifyFirst': 'Please verify your email before logging in',
+    'auth.loginSuccess': 'Login successful!',
+    'auth.loginFailed': 'Invalid email or password',
+    'auth.accountCreated': 'Account created! Please check your email to verify your account.',
+    'auth.verificationSent': 'Verification email sent!',
+    'auth.signupFailed': 'Failed to create account',
+    'auth.loggedOut': 'Logged out successfully',
+    'auth.logoutFailed': 'Failed to logout',
+
+    'nav.all': 'All Items',
+    'nav.soon': 'Expiring Soon',
+    'nav.expired': 'Expired',
+    'nav.archive': 'Archive',
+    'nav.trash': 'Trash',
+    'nav.locations': 'Locations',
+    'nav.collections': 'Collections',
+
+    'menu.profile': 'Profile',
+    'menu.analytics': 'Waste Analytics',
+    'menu.shopping': 'Shopping List',
+    'menu.logout': 'Logout',
+
+    'header.title': 'My Items',
+    'header.import': 'Import',
+    'header.export': 'Export',
+    'header.addItem': 'Add Item',
+
+    'export.pdf': 'PDF report',
+    'export.csv': 'CSV spreadsheet',
+    'export.tsv': 'TSV spreadsheet',
+    'export.json': 'JSON backup',
+    'export.ics': 'Calendar (.ics)',
+    'export.spreadsheetDone': { one: 'Exported {count} item as {format}', other: 'Exported {count} items as {format}' },
+    'export.calendarDone': { one: 'Exported {count} expiry date as a calendar', other: 'Exported {count} expiry dates as a calendar' },
+    'export.calendarName': '{household} - Expiry Dates',
+    'export.jsonDone': { one: 'Exported {count} item as a JSON backup', other: 'Exported {count} items as a JSON backup' },
+
+    'filters.search': 'Search name, notes or category',
+    'filters.select': 'Select',
+    'filters.clear': 'Clear filters',
+    'filters.category': 'Category',
+    'filters.expires': 'Expires',
+    'filters.expiresBetween': 'Expires between',
+    'filters.and': 'and',
+    'filters.quantity': 'Quantity',
+    'filters.min': 'Min',
+    'filters.to': 'to',
+    'filters.max': 'Max',
+
+    'window.expired': 'Expired',
+    'window.today': 'Today',
+    'window.week': 'Next 7 days',
+    'window.month': '8-30 days',
+    'window.later': 'Later',
+
+    'category.Dairy': 'Dairy',
+    'category.Vegetables': 'Vegetables',
+    'category.Fruits': 'Fruits',
+    'category.Meat': 'Meat',
+    'category.Pantry': 'Pantry',
+    'category.Beverages': 'Beverages',
+    'category.Medicine': 'Medicine',
+    'category.Other': 'Other',
+
+    'itemStatus.active': 'Active',
+    'itemStatus.consumed': 'Consumed',
+    'itemStatus.discarded': 'Discarded',
+    'itemStatus.donated': 'Donated',
+
+    'expiry.expired': 'Expired',
+    'expiry.today': 'Expires Today',
+    'expiry.daysLeft': { one: '{count} day left', other: '{count} days left' },
+
+    'view.grid': 'Grid',
+    'view.gridTitle': 'Grid view',
+    'view.calendar': 'Calendar',
+    'view.calendarTitle': 'Calendar view',
+
+    'bulk.setCategory': 'Set category',
+    'bulk.shiftPlaceholder': '± days',
+    'bulk.shiftLabel': 'Days to shift',
+    'bulk.shift': 'Shift expiry',
+    'bulk.quantityPlaceholder': 'Qty',
+    'bulk.setQuantity': 'Set quantity',
+    'bulk.clear': 'Clear',
+    'bulk.restore': 'Restore',
+    'bulk.export': 'Export CSV',
+    'bulk.done': 'Done',
+    'bulk.delete': 'Delete',
+    'bulk.deleteForever': 'Delete forever',
+    'bulk.selected': '{count} selected',
+    'bulk.selectAll': 'Select all {count}',
+    'bulk.categorySet': 'Moved {items} to {category}',
+    'bulk.shiftInvalid': 'Enter a whole number of days, e.g. 3 or -2',
+    'bulk.shiftedLater': {
+        one: 'Moved the expiry dates of {items} {count} day later',
+        other: 'Moved the expiry dates of {items} {count} days later'
+    },
+    'bulk.shiftedEarlier': {
+        one: 'Moved the expiry dates of {items} {count} day earlier',
+        other: 'Moved the expiry dates of {items} {count} days earlier'
+    },
+    'bulk.quantityInvalid': 'Enter a quantity of at least 1',
+    'bulk.quantitySet': 'Set the quantity of {items} to {quantity}',
+    'bulk.trashed': 'Moved {items} to the Trash',
+    'bulk.restored': 'Restored {items}',
+    'bulk.deleted': 'Deleted {items}',
+
+    'calendar.previous': 'Previous',
+    'calendar.next': 'Next',
+    'calendar.today': 'Today',
+    'calendar.month': 'Month',
+    'calendar.week': 'Week',
+    'calendar.hint': 'Drag an item to another day to change its expiry date.',
+    'calendar.openedTitle': '{name} - opened; edit the item to change its dates',
+    'calendar.dragTitle': '{name} - drag to another day to change its expiry date',
+
+    'empty.addFirst': 'Add Your First Item',
+    'empty.title': 'No items yet',
+    'empty.message': 'Start tracking your expiry dates by adding your first item',
+    'empty.noMatchTitle': 'No matching items',
+    'empty.noMatchMessage': 'Try a different search or clear the filters',
+    'empty.trashTitle': 'Trash is empty',
+    'empty.trashMessage': {
+        one: 'Deleted items stay here for {count} day before they are removed for good',
+        other: 'Deleted items stay here for {count} days before they are removed for good'
+    },
+    'empty.archiveTitle': 'Nothing archived yet',
+    'empty.archiveMessage': 'Items you mark as consumed, discarded or donated are kept here',
+
+    'card.inTrash': 'In Trash',
+    'card.expires': 'Expires: {date}',
+    'card.printedDate': 'Printed date: {date}',
+    'card.quantity': 'Quantity: {count}',
+    'card.priceEach': '{price} each ({total} total)',
+    'card.history': 'History',
+    'card.restoreFromTrash': 'Restore from the Trash',
+    'card.deleteForever': 'Delete forever',
+    'card.useOne': 'Use one (oldest lot first)',
+    'card.freeze': 'Move to freezer',
+    'card.restoreActive': 'Restore to active items',
+    'card.edit': 'Edit',
+    'card.moveToTrash': 'Move to Trash',
+    'card.markConsumed': 'Mark as consumed',
+    'card.markDiscarded': 'Mark as discarded',
+    'card.markDonated': 'Mark as donated',
+    'card.deletedOn': 'Deleted {date}',
+    'card.purgeIn': { one: 'removed for good in {count} day', other: 'removed for good in {count} days' },
+    'card.purgeToday': 'removed for good today',
+    'card.purgeTomorrow': 'removed for good tomorrow',
+    'card.openedDaysAgo': { one: 'Opened {count} day ago', other: 'Opened {count} days ago' },
+    'card.openedToday': 'Opened today',
+    'card.openedYesterday': 'Opened yesterday',
+    'card.useWithin': { one: 'use within {count} day', other: 'use within {count} days' },
+    'card.addedBy': 'Added by {name}',
+    'card.editedBy': 'Edited by {name}',
+
+    'member.you': 'you',
+    'member.former': 'a former member',
+
+    'sync.failed': 'Sync failed',
+    'sync.retry': 'Retry',
+    'sync.discard': 'Discard',
+    'sync.pending': 'Pending sync',
+
+    'form.addTitle': 'Add New Item',
+    'form.editTitle': 'Edit Item',
+    'form.name': 'Item Name *',
+    'form.namePlaceholder': 'e.g., Milk, Bread',
+    'form.scan': 'Scan Barcode or QR Code',
+    'form.category': 'Category',
+    'form.selectCategory': 'Select Category',
+    'form.location': 'Location',
+    'form.noLocation': 'No location',
+    'form.quantity': 'Quantity',
+    'form.expiryDate': 'Expiry Date *',
+    'form.addLot': '+ Add Lot',
+    'form.removeLot': 'Remove lot',
+    'form.lotHint': 'Bought more on another day? Add a lot for each expiry date.',
+    'form.openedAt': 'Opened On',
+    'form.useWithin': 'Use Within (days once opened)',
+    'form.useWithinPlaceholder': 'e.g., 5',
+    'form.minQuantity': 'Minimum Quantity',
+    'form.optional': 'Optional',
+    'form.minQuantityHint': 'Goes on the shopping list when the quantity drops below this.',
+    'form.unitPrice': 'Unit Price',
+    'form.currency': 'Currency',
+    'form.notes': 'Notes',
+    'form.notesPlaceholder': 'Add any notes...',
+    'form.tags': 'Tags',
+    'form.tagsPlaceholder': 'Type a tag and press Enter',
+    'form.removeTag': 'Remove {tag}',
+    'form.image': 'Image',
+    'form.uploadImage': 'Upload Image',
+    'form.imageOffline': 'Images can only be uploaded while online',
+    'form.save': 'Save Item',
+
+    'scanner.typeBarcode': 'Or type the barcode number',
+    'scanner.lookUp': 'Look Up',
+    'scanner.hint': 'Point your camera at a barcode or QR code',
+    'scanner.noCamera': 'No camera available - type the barcode number instead',
+    'scanner.cameraFailed': 'Could not access the camera - type the barcode number instead',
+    'scanner.invalid': 'Not a valid product barcode',
+    'scanner.unknown': 'Unknown product - it will be remembered when you save',
+    'scanner.found': 'Found {name}',
+
+    'confirm.addAsLot': '{name} is already in your list. Add this as a new lot of it?',
+    'confirm.deleteForever': 'Delete {name} forever? This cannot be undone.',
+    'confirm.discardChange': 'Discard this unsynced change?',
+
+    'realtime.added': 'New item added',
+    'realtime.trashed': 'Item moved to the Trash',
+    'realtime.restored': 'Item restored from the Trash',
+    'realtime.updated': 'Item updated',
+    'realtime.deleted': 'Item deleted',
+
+    'toast.householdLoadFailed': 'Failed to load your household',
+    'toast.offlineItems': 'You are offline - showing saved items',
+    'toast.itemsLoadFailed': 'Failed to load items',
+    'toast.syncFailed': { one: '{count} change could not be synced', other: '{count} changes could not be synced' },
+    'toast.itemGone': 'That item is no longer in your list',
+    'toast.savedOffline': 'Saved offline - will sync when you reconnect',
+    'toast.saved': '{name} saved',
+    'toast.saveFailed': 'Failed to save item',
+    'toast.restored': '{name} restored',
+    'toast.marked.consumed': '{name} marked as consumed',
+    'toast.marked.discarded': '{name} marked as discarded',
+    'toast.marked.donated': '{name} marked as donated',
+    'toast.updateFailed': 'Failed to update item',
+    'toast.usedOne': 'Used 1 {name} from the lot expiring {date}',
+    'toast.frozen': '{name} moved to {freezer} - now good until {date}',
+    'toast.frozenNoExtension': '{name} moved to {freezer}; its category has no freezer extension',
+    'toast.rescheduled': '{name} now expires {date}',
+    'toast.trashed': '{name} moved to the Trash',
+    'toast.deleteFailed': 'Failed to delete item',
+    'toast.restoreFailed': 'Failed to restore item',
+    'toast.undo': 'Undo',
+    'toast.undone': 'Undone',
+    'toast.undoFailed': 'Failed to undo',
+    'toast.bulkUpdateFailed': 'Failed to update items',
+    'toast.bulkDeleteFailed': 'Failed to delete items',
+
+    'history.title': 'History',
+    'history.titleFor': 'History of {name}',
+    'history.loadFailed': 'Failed to load history',
+    'history.offline': 'History is only available online',
+    'history.empty': 'No changes recorded yet',
+    'history.addedBy': 'Added by {name}',
+    'history.changedBy': 'Changed by {name}',
+    'history.addedAutomatically': 'Added automatically',
+    'history.changedAutomatically': 'Changed automatically',
+    'history.revert': 'Revert to this version',
+    'history.inTrash': 'In the Trash',
+    'history.notInTrash': 'Not in the Trash',
+    'history.none': 'none',
+    'history.removedLocation': 'a removed location',
+    'history.photo': 'a photo',
+    'history.alreadyMatches': '{name} already matches this version',
+    'history.reverted': '{name} reverted',
+    'history.revertFailed': 'Failed to revert item',
+    'history.field.name': 'Name',
+    'history.field.category': 'Category',
+    'history.field.expiry_date': 'Expiry date',
+    'history.field.quantity': 'Quantity',
+    'history.field.lots': 'Lots',
+    'history.field.location_id': 'Location',
+    'history.field.original_expiry_date': 'Printed date',
+    'history.field.opened_at': 'Opened',
+    'history.field.use_within_days': 'Use within (days)',
+    'history.field.min_quantity': 'Minimum quantity',
+    'history.field.unit_price': 'Price',
+    'history.field.currency': 'Currency',
+    'history.field.notes': 'Notes',
+    'history.field.tags': 'Tags',
+    'history.field.image_url': 'Photo',
+    'history.field.status': 'Status',
+    'history.field.deleted_at': 'Trash',
+
+    'collections.new': 'New Collection',
+    'collections.edit': 'Edit Collection',
+    'collections.name': 'Name',
+    'collections.namePlaceholder': 'e.g., Baby essentials',
+    'collections.query': 'Query',
+    'collections.help': 'Combine tag:, category:, location:, name:, is:opened, is:frozen, is:expired, expires < 14d and quantity >= 2 with AND, OR, NOT and parentheses.',
+    'collections.save': 'Save Collection',
+    'collections.delete': 'Delete',
+    'collections.matching': { one: 'Matches {count} item', other: 'Matches {count} items' },
+    'collections.saved': '{name} saved',
+    'collections.saveFailed': 'Failed to save collection',
+    'collections.confirmDelete': 'Delete the collection {name}? Its items are not touched.',
+    'collections.deleted': '{name} deleted',
+    'collections.deleteFailed': 'Failed to delete collection',
+    'collections.errorUnexpected': 'Unexpected "{token}"',
+    'collections.errorField': 'Unknown field "{field}:"',
+    'collections.errorValue': '{field}: needs a value',
+    'collections.errorFlag': 'is: can be opened, frozen or expired, not "{value}"',
+    'collections.errorOperator': '{field} needs <, <=, >, >= or =',
+    'collections.errorNumber': '{field} needs a number',
+    'collections.errorEnd': 'The query ends too early',
+    'collections.errorParenthesis': 'A parenthesis is not closed',
+    'collections.errorEmpty': 'Enter a query',
+    'collections.errorDuplicate': 'There is already a collection called {name}',
+    'pdf.subtitle': 'Expiry Date Management System',
+    'pdf.generatedOn': 'Generated on: {date}',
+    'pdf.userInfo': 'User Information',
+    'pdf.name': 'Name: {name}',
+    'pdf.email': 'Email: {email}',
+    'pdf.household': 'Household: {household}',
+    'pdf.itemsList': 'Items List',
+    'pdf.itemName': 'Item Name',
+    'pdf.category': 'Category',
+    'pdf.qty': 'Qty',
+    'pdf.expiryDate': 'Expiry Date',
+    'pdf.status': 'Status',
+    'pdf.cost': 'Cost',
+    'pdf.expired': 'Expired',
+    'pdf.today': 'Today',
+    'pdf.days': { one: '{count} day', other: '{count} days' },
+    'pdf.opened': '{date} (opened)',
+    'pdf.summary': 'Summary',
+    'pdf.items': 'Items',
+    'pdf.inventoryValue': 'Inventory value',
+    'pdf.expiringWeek': 'Expiring within 7 days',
+    'pdf.expiredValue': 'Value of expired items',
+    'pdf.page': 'Page {page} of {count}',
+    'pdf.footer': 'ExpiryTracker - Track your expiry dates efficiently',
+    'pdf.done': 'PDF exported successfully',
+    'pdf.failed': 'Failed to export PDF',
+    'pdf.fontMissing': 'The PDF font for this language could not be loaded - some text may not print',
+
+    'role.owner': 'Owner',
+    'role.editor': 'Editor',
+    'role.viewer': 'Viewer',
+
+    'profile.title': 'Profile Settings',
+    'profile.avatarHint': 'Click the camera icon to change your avatar',
+    'profile.personal': 'Personal Information',
+    'profile.name': 'Full Name',
+    'profile.namePlaceholder': 'Enter your name',
+    'profile.email': 'Email Address',
+    'profile.emailHint': 'Email cannot be changed',
+    'profile.timezone': 'Time Zone',
+    'profile.timezoneHint': 'Decides when an item\'s expiry day starts and when reminders arrive',
+    'profile.language': 'Language',
+    'profile.languageHint': 'Used for the dashboard, dates, numbers and the PDF report',
+    'profile.notifications': 'Notifications',
+    'profile.push': 'Push Notifications',
+    'profile.pushHint': 'Get notified about expiring items',
+    'profile.reminders': 'Reminder Rules',
+    'profile.leadDays': 'Remind Me (days before expiry)',
+    'profile.leadDaysPlaceholder': 'e.g., 7, 3, 0',
+    'profile.leadDaysHint': 'Separate with commas. 0 means on the expiry day.',
+    'profile.categoryOverrides': 'Category Overrides',
+    'profile.addCategoryRule': 'Add Category Rule',
+    'profile.ruleDaysPlaceholder': 'e.g., 30, 14, 7',
+    'profile.deliveryTime': 'Delivery Time',
+    'profile.quietStart': 'Quiet Hours From',
+    'profile.quietEnd': 'Quiet Hours Until',
+    'profile.quietHint': 'No reminders are sent during quiet hours. Leave empty to turn them off.',
+    'profile.calendarFeed': 'Calendar Feed',
+    'profile.feedUrl': 'Subscription Link',
+    'profile.feedPlaceholder': 'No link yet',
+    'profile.feedHint': 'Subscribe to this link in Google Calendar, Apple Calendar or Outlook to see your expiry dates, with your reminder lead days as alarms. Anyone with the link can see your items; reset it to stop an old link working.',
+    'profile.feedCreate': 'Create Link',
+    'profile.feedReset': 'Reset Link',
+    'profile.feedTurnOff': 'Turn Off',
+    'profile.digest': 'Email Digest',
+    'profile.digestSend': 'Send',
+    'profile.digestWeekday': 'On',
+    'profile.digestDaysAhead': 'List Items Expiring Within (days)',
+    'profile.digestHint': 'Expired items and items expiring today are always listed, grouped by category. The digest goes out at your reminder delivery time and is skipped when there is nothing to list.',
+    'profile.digestTest': 'Send Test Digest',
+    'profile.saveChanges': 'Save Changes',
+    'profile.statistics': 'Statistics',
+    'profile.activeItems': 'Active Items',
+    'profile.expiringSoon': 'Expiring Soon',
+    'profile.expired': 'Expired',
+    'profile.inventoryValue': 'Inventory Value',
+    'profile.expiringValue': 'Expiring This Week',
+    'profile.lostValue': 'Lost to Expiry',
+    'profile.analyticsLink': 'View waste analytics',
+    'profile.loadFailed': 'Failed to load profile',
+    'profile.feedConfirmReset': 'Reset the calendar link? Calendars subscribed to the old link will stop updating.',
+    'profile.feedResetDone': 'Calendar link reset',
+    'profile.feedCreated': 'Calendar link created',
+    'profile.feedFailed': 'Failed to update the calendar link',
+    'profile.feedConfirmTurnOff': 'Turn off the calendar link? Subscribed calendars will stop updating.',
+    'profile.feedTurnedOff': 'Calendar link turned off',
+    'profile.feedCopied': 'Calendar link copied',
+    'profile.feedCopyManually': 'Copy the selected link to subscribe',
+    'profile.digestLoadFailed': 'Failed to load the digest settings',
+    'profile.digestLastError': 'The last digest could not be sent: {error}',
+    'profile.digestLastSent': 'Last sent {date}',
+    'profile.digestNotSent': 'No digest sent yet',
+    'profile.digestDaysInvalid': 'The digest can look ahead 1 to 60 days',
+    'profile.digestTestSent': 'Test digest sent to {email}',
+    'profile.digestTestFailed': 'Failed to send the test digest',
+    'profile.leadDaysInvalid': 'Reminder days must be whole numbers between 0 and 365',
+    'profile.ruleIncomplete': 'Each category rule needs a category and valid reminder days',
+    'profile.ruleDuplicate': '{category} has more than one rule',
+    'profile.quietIncomplete': 'Set both a start and an end for quiet hours',
+    'profile.avatarUpdated': 'Avatar updated successfully',
+    'profile.avatarFailed': 'Failed to upload avatar',
+    'profile.nameMissing': 'Please enter your name',
+    'profile.saved': 'Profile updated successfully',
+    'profile.saveFailed': 'Failed to save profile',
+    'profile.notificationsDenied': 'Notification permission denied',
+    'profile.pushEnabled': 'Notifications enabled on this device',
+    'profile.pushWhileOpen': 'Notifications enabled while the app is open',
+    'profile.pushOff': 'Push reminders turned off for this device',
+    'profile.notificationsGranted': 'Notifications are enabled',
+    'profile.notificationsBlocked': 'Notifications are blocked. Please enable them in your browser settings.',
+    'profile.notificationsDefault': 'Enable notifications to get alerts about expiring items',
+
+    'digest.off': 'Off',
+    'digest.daily': 'Daily',
+    'digest.weekly': 'Weekly',
+
+    'household.title': 'Household',
+    'household.active': 'Active Household',
+    'household.name': 'Household Name',
+    'household.namePlaceholder': 'e.g., Home',
+    'household.members': 'Members',
+    'household.invite': 'Invite by Email',
+    'household.inviteButton': 'Invite',
+    'household.myInvites': 'Invitations for You',
+    'household.locations': 'Storage Locations',
+    'household.locationPlaceholder': 'e.g., Garage Fridge',
+    'household.freezer': 'Freezer',
+    'household.categories': 'Categories',
+    'household.categoriesHint': 'An item\'s badge turns "soon" and then "warning" this many days before it expires. Renaming or merging a category updates every item in it.',
+    'household.categoryPlaceholder': 'e.g., Baby Food',
+    'household.freezerExtension': 'Freezer Extension',
+    'household.freezerExtensionHint': 'Days added to an item\'s expiry date when it is moved to a freezer. Leave empty to keep the printed date.',
+    'household.saveExtensions': 'Save Extensions',
+    'household.trash': 'Trash',
+    'household.trashHint': 'Deleted items are removed for good after this many days.',
+    'household.webhooks': 'Webhooks',
+    'household.webhooksHint': 'Item events are sent to these URLs as JSON, signed with the webhook\'s secret. Failed deliveries are retried up to 8 times over about two hours.',
+    'household.webhookSecretPlaceholder': 'Signing secret (optional)',
+    'household.addWebhook': 'Add Webhook',
+    'household.new': 'New Household',
+    'household.leave': 'Leave Household',
+    'household.option': '{name} ({role})',
+    'household.pendingInvite': '{role} · pending',
+    'household.join': 'Join',
+    'household.decline': 'Decline',
+    'household.categoryIcon': 'Icon',
+    'household.categoryColor': 'Color',
+    'household.soon': 'Soon',
+    'household.warning': 'Warning',
+    'household.mergeInto': 'Merge into...',
+    'household.windows': 'soon {soon} · warning {warning} days',
+    'household.detailsFailed': 'Failed to load household details',
+    'household.windowsInvalid': 'Enter whole numbers of days from 1 to 3650',
+    'household.windowsOrder': 'The warning window cannot be shorter than the soon window',
+    'household.roleUpdated': 'Role updated',
+    'household.confirmRemove': 'Remove this member from the household?',
+    'household.memberRemoved': 'Member removed',
+    'household.renameLocationPrompt': 'New name for this location',
+    'household.locationRenamed': 'Location renamed',
+    'household.confirmDeleteLocation': 'Delete {name}? Items stored there will have no location.',
+    'household.locationDeleted': 'Location deleted',
+    'household.windowsSaved': 'Badge windows saved',
+    'household.renameCategoryPrompt': 'New name for this category',
+    'household.categoryRenamed': 'Renamed to {name}; its items were updated',
+    'household.confirmMerge': 'Move every item of this category to {name} and delete it?',
+    'household.merged': 'Merged into {name}',
+    'household.confirmDeleteCategory': 'Delete {name}? Its items will have no category.',
+    'household.categoryDeleted': 'Category deleted',
+    'household.joined': 'You joined the household',
+    'household.updateFailed': 'Failed to update household',
+    'household.emailInvalid': 'Please enter a valid email address',
+    'household.inviteSent': 'Invite sent to {email}. They can join from their profile page.',
+    'household.inviteFailed': 'Failed to send invite',
+    'household.added': '{name} added',
+    'household.locationAddFailed': 'Failed to add location',
+    'household.categoryAddFailed': 'Failed to add category',
+    'household.extensionInvalid': '{category}: enter a whole number of days up to 3650',
+    'household.extensionsSaved': 'Freezer extensions saved',
+    'household.extensionsFailed': 'Failed to save freezer extensions',
+    'household.retentionInvalid': 'Enter a whole number of days from 1 to 365',
+    'household.retentionSaved': 'Trash retention saved',
+    'household.retentionFailed': 'Failed to save trash retention',
+    'household.switchFailed': 'Failed to switch household',
+    'household.nameMissing': 'Please enter a household name',
+    'household.renamed': 'Household renamed',
+    'household.renameFailed': 'Failed to rename household',
+    'household.newPrompt': 'Name of the new household',
+    'household.createFailed': 'Failed to create household',
+    'household.lastOwner': 'Make another member an owner before you leave',
+    'household.confirmLeave': 'Leave {name}? You will lose access to its items.',
+    'household.leaveFailed': 'Failed to leave household',
+    'household.noHousehold': 'You are not a member of any household',
+    'household.member': 'Member',
+    'household.alreadyInvited': '{email} has already been invited',
+    'household.locationExists': 'There is already a location called {name}',
+    'household.categoryExists': 'There is already a category called {name}',
+
+    'webhook.event.item.created': 'Item added',
+    'webhook.event.item.updated': 'Item changed',
+    'webhook.event.item.deleted': 'Item deleted',
+    'webhook.event.item.expiring': 'Item expiring soon',
+    'webhook.event.item.expired': 'Item expired',
+    'webhook.active': 'Active',
+    'webhook.copySecret': 'Copy Secret',
+    'webhook.deliveries': 'Deliveries',
+    'webhook.status.pending': 'pending',
+    'webhook.status.delivered': 'delivered',
+    'webhook.status.failed': 'failed',
+    'webhook.status.retrying': 'retrying',
+    'webhook.redelivery': '{event} (redelivery)',
+    'webhook.noResponse': 'No response',
+    'webhook.attempts': { one: '{count} attempt', other: '{count} attempts' },
+    'webhook.nextTry': 'next try {time}',
+    'webhook.redeliver': 'Redeliver',
+    'webhook.noDeliveries': 'No deliveries yet',
+    'webhook.turnedOn': 'Webhook turned on',
+    'webhook.paused': 'Webhook paused',
+    'webhook.secretCopied': 'Signing secret copied',
+    'webhook.redeliveryQueued': 'Redelivery queued, it is sent within a minute',
+    'webhook.confirmDelete': 'Delete this webhook and its delivery log?',
+    'webhook.deleted': 'Webhook deleted',
+    'webhook.updateFailed': 'Failed to update webhook',
+    'webhook.added': 'Webhook added',
+    'webhook.addedWithSecret': 'Webhook added. Copy its secret to check signatures.',
+    'webhook.addFailed': 'Failed to add webhook',
+    'webhook.urlInvalid': 'Enter a URL starting with http:// or https://',
+    'webhook.urlPrivate': 'Webhooks can only be sent to public addresses, not to localhost or a private network',
+    'webhook.noEvents': 'Choose at least one event',
+    'webhook.secretTooShort': 'The signing secret must be at least {count} characters',
+
+    'shopping.namePlaceholder': 'Add an item, e.g. Eggs',
+    'shopping.emptyTitle': 'Nothing to buy',
+    'shopping.emptyMessage': 'Items you use up, throw away or let expire are added here automatically, as are items that drop below their minimum quantity.',
+    'shopping.bought': 'Bought - add it to your items',
+    'shopping.remove': 'Remove from list',
+    'shopping.addedOn': 'Added {date}',
+    'shopping.source.manual': 'Added by hand',
+    'shopping.source.used_up': 'Used up',
+    'shopping.source.expired': 'Expired',
+    'shopping.source.low_stock': 'Running low',
+    'shopping.loadFailed': 'Failed to load the shopping list',
+    'shopping.addFailed': 'Failed to add to the shopping list',
+    'shopping.updateFailed': 'Failed to update the shopping list',
+    'shopping.alreadyListed': '{name} is already on the list',
+
+    'analytics.range.3': 'Last 3 months',
+    'analytics.range.6': 'Last 6 months',
+    'analytics.range.12': 'Last 12 months',
+    'analytics.range.all': 'All time',
+    'analytics.range.custom': 'Custom range',
+    'analytics.used': 'Items used',
+    'analytics.wasted': 'Items wasted',
+    'analytics.wasteRate': 'Waste rate',
+    'analytics.averageDays': 'Avg. days left when used',
+    'analytics.monthlyTitle': 'Used vs. Wasted by Month',
+    'analytics.monthlyCaption': 'Consumed and donated items count as used; discarded items and items left past their expiry date count as wasted.',
+    'analytics.trendTitle': 'Waste Rate Trend',
+    'analytics.categoriesTitle': 'Most Wasted Categories',
+    'analytics.categoriesCaption': 'Items wasted in each category',
+    'analytics.seriesUsed': 'Used',
+    'analytics.seriesWasted': 'Wasted',
+    'analytics.seriesTrend': 'Trend',
+    'analytics.uncategorized': 'Uncategorized',
+    'analytics.noWaste': 'No wasted items in this period',
+    'analytics.trendNone': 'Mark items as consumed, discarded or donated for at least two months to see a trend',
+    'analytics.trendBetter': {
+        one: 'Improving: the waste rate fell about {count} point over this period',
+        other: 'Improving: the waste rate fell about {count} points over this period'
+    },
+    'analytics.trendWorse': {
+        one: 'Getting worse: the waste rate rose about {count} point over this period',
+        other: 'Getting worse: the waste rate rose about {count} points over this period'
+    },
+    'analytics.trendSteady': 'Holding steady over this period',
+    'analytics.loadFailed': 'Failed to load analytics',
+    'analytics.rangeInvalid': 'The start date must be before the end date',
+
+    'import.title': 'Import Items',
+    'import.delimiter': 'Delimiter',
+    'import.dateFormat': 'Date format',
+    'import.hasHeader': 'First row contains column names',
+    'import.mapColumns': 'Map columns',
+    'import.preview': 'Preview',
+    'import.review': 'Review Import',
+    'import.duplicates': 'Duplicates (same name and expiry date)',
+    'import.back': 'Back',
+    'import.confirm': 'Import',
+    'import.field.name': 'Name',
+    'import.field.category': 'Category',
+    'import.field.quantity': 'Quantity',
+    'import.field.expiry_date': 'Expiry Date',
+    'import.field.notes': 'Notes',
+    'import.field.tags': 'Tags',
+    'import.field.unit_price': 'Unit Price',
+    'import.field.currency': 'Currency',
+    'import.separator.comma': 'Comma',
+    'import.separator.tab': 'Tab',
+    'import.separator.semicolon': 'Semicolon',
+    'import.order.DMY': 'DD/MM/YYYY',
+    'import.order.MDY': 'MM/DD/YYYY',
+    'import.strategy.skip': 'Skip duplicates',
+    'import.strategy.overwrite': 'Overwrite existing items',
+    'import.strategy.keep': 'Keep both',
+    'import.column': 'Column {number}',
+    'import.notImported': 'Not imported',
+    'import.chooseDateFormat': 'Choose date format',
+    'import.dateAmbiguous': 'These dates could be day-first or month-first. Choose the order used in this file.',
+    'import.dateDetected': 'Detected from the file',
+    'import.invalid': 'Invalid',
+    'import.showing': 'Showing {shown} of {count} rows',
+    'import.mapRequired': 'Map the Name and Expiry Date columns first',
+    'import.dateFormatRequired': 'Choose the date format used in this file',
+    'import.rows': { one: '{count} row', other: '{count} rows' },
+    'import.withErrors': '{count} with errors',
+    'import.likelyDuplicates': { one: '{count} likely duplicate', other: '{count} likely duplicates' },
+    'import.plan': '{add} to add, {update} to overwrite, {skip} to skip',
+    'import.row': 'Row',
+    'import.qty': 'Qty',
+    'import.status': 'Status',
+    'import.submit': { one: 'Import {count} item', other: 'Import {count} items' },
+    'import.duplicateOfItem': 'Duplicate of an existing item',
+    'import.duplicateOfRow': 'Duplicate of row {row}',
+    'import.ready': 'Ready',
+    'import.doneNew': 'Imported {count} new',
+    'import.doneOverwrote': 'overwrote {count}',
+    'import.doneSkipped': 'skipped {count} duplicates',
+    'import.doneInvalid': 'left out {count} rows with errors',
+    'import.failed': 'Failed to import data',
+    'import.notJson': 'The file is not valid JSON',
+    'import.notBackup': 'The file is not an ExpiryTracker backup',
+    'import.error.nameMissing': 'Name is missing',
+    'import.error.expiryMissing': 'Expiry date is missing',
+    'import.error.expiry': '"{value}" is not a valid expiry date',
+    'import.error.quantity': '"{value}" is not a valid quantity',
+    'import.error.lots': 'A lot has an invalid quantity or expiry date',
+    'import.error.openedAt': '"{value}" is not a valid opened date',
+    'import.error.useWithin': '"{value}" is not a valid number of days',
+    'import.error.price': '"{value}" is not a valid price',
+    'import.error.currency': '"{value}" is not a currency code',
+    'import.error.status': '"{value}" is not a valid status'
+};
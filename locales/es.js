@@ -0,0 +1,695 @@
+// Spanish messages. Keys missing here fall back to the English catalog.
+export default {
+    'app.tagline': 'Controla y gestiona las fechas de caducidad',
+
+    'common.loading': 'Cargando...',
+    'common.cancel': 'Cancelar',
+    'common.close': 'Cerrar',
+    'common.user': 'Usuario',
+    'common.items': { one: '{count} artículo', other: '{count} artículos' },
+    'common.backToDashboard': 'Volver al panel',
+    'common.add': 'Añadir',
+    'common.save': 'Guardar',
+    'common.copy': 'Copiar',
+    'common.rename': 'Renombrar',
+    'common.delete': 'Eliminar',
+    'common.remove': 'Quitar',
+    'common.days': 'días',
+
+    'auth.welcomeBack': 'Bienvenido de nuevo',
+    'auth.signInHint': 'Inicia sesión para controlar tus fechas de caducidad',
+    'auth.createTitle': 'Crear cuenta',
+    'auth.createHint': 'Empieza hoy a controlar tus fechas de caducidad',
+    'auth.name': 'Nombre completo',
+    'auth.email': 'Correo electrónico',
+    'auth.password': 'Contraseña',
+    'auth.passwordPlaceholder': 'Escribe tu contraseña',
+    'auth.newPasswordPlaceholder': 'Crea una contraseña segura',
+    'auth.confirmPassword': 'Confirmar contraseña',
+    'auth.confirmPasswordPlaceholder': 'Vuelve a escribir tu contraseña',
+    'auth.rememberMe': 'Recordarme',
+    'auth.forgotPassword': '¿Has olvidado tu contraseña?',
+    'auth.agreeTo': 'Acepto los',
+    'auth.terms': 'Términos y condiciones',
+    'auth.signIn': 'Iniciar sesión',
+    'auth.signUp': 'Regístrate',
+    'auth.createAccount': 'Crear cuenta',
+    'auth.noAccount': '¿No tienes cuenta?',
+    'auth.haveAccount': '¿Ya tienes cuenta?',
+    'auth.signInLink': 'Inicia sesión',
+    'auth.strength.weak': 'Débil',
+    'auth.strength.medium': 'Media',
+    'auth.strength.strong': 'Fuerte',
+    'auth.invalidEmail': 'Escribe un correo electrónico válido',
+    'auth.nameMissing': 'Escribe tu nombre',
+    'auth.passwordTooShort': 'La contraseña debe tener al menos {count} caracteres',
+    'auth.passwordMismatch': 'Las contraseñas no coinciden',
+    'auth.verifyFirst': 'Verifica tu correo electrónico antes de iniciar sesión',
+    'auth.loginSuccess': '¡Sesión iniciada!',
+    'auth.loginFailed': 'Correo electrónico o contraseña incorrectos',
+    'auth.accountCreated': '¡Cuenta creada! Revisa tu correo electrónico para verificar tu cuenta.',
+    'auth.verificationSent': '¡Correo de verificación enviado!',
+    'auth.signupFailed': 'No se pudo crear la cuenta',
+    'auth.loggedOut': 'Sesión cerrada',
+    'auth.logoutFailed': 'No se pudo cerrar la sesión',
+
+    'nav.all': 'Todos los artículos',
+    'nav.soon': 'Caducan pronto',
+    'nav.expired': 'Caducados',
+    'nav.archive': 'Archivo',
+    'nav.trash': 'Papelera',
+    'nav.locations': 'Ubicaciones',
+    'nav.collections': 'Colecciones',
+
+    'menu.profile': 'Perfil',
+    'menu.analytics': 'Análisis de desperdicio',
+    'menu.shopping': 'Lista de la compra',
+    'menu.logout': 'Cerrar sesión',
+
+    'header.title': 'Mis artículos',
+    'header.import': 'Importar',
+    'header.export': 'Exportar',
+    'header.addItem': 'Añadir artículo',
+
+    'export.pdf': 'Informe PDF',
+    'export.csv': 'Hoja de cálculo CSV',
+    'export.tsv': 'Hoja de cálculo TSV',
+    'export.json': 'Copia de seguridad JSON',
+    'export.ics': 'Calendario (.ics)',
+    'export.spreadsheetDone': { one: '{count} artículo exportado como {format}', other: '{count} artículos exportados como {format}' },
+    'export.calendarDone': {
+        one: '{count} fecha de caducidad exportada como calendario',
+        other: '{count} fechas de caducidad exportadas como calendario'
+    },
+    'export.calendarName': '{household} - Fechas de caducidad',
+    'export.jsonDone': {
+        one: '{count} artículo exportado como copia de seguridad JSON',
+        other: '{count} artículos exportados como copia de seguridad JSON'
+    },
+
+    'filters.search': 'Buscar por nombre, notas o categoría',
+    'filters.select': 'Seleccionar',
+    'filters.clear': 'Quitar filtros',
+    'filters.category': 'Categoría',
+    'filters.expires': 'Caduca',
+    'filters.expiresBetween': 'Caduca entre',
+    'filters.and': 'y',
+    'filters.quantity': 'Cantidad',
+    'filters.min': 'Mín.',
+    'filters.to': 'a',
+    'filters.max': 'Máx.',
+
+    'window.expired': 'Caducados',
+    'window.today': 'Hoy',
+    'window.week': 'Próximos 7 días',
+    'window.month': '8-30 días',
+    'window.later': 'Más adelante',
+
+    'category.Dairy': 'Lácteos',
+    'category.Vegetables': 'Verduras',
+    'category.Fruits': 'Frutas',
+    'category.Meat': 'Carne',
+    'category.Pantry': 'Despensa',
+    'category.Beverages': 'Bebidas',
+    'category.Medicine': 'Medicamentos',
+    'category.Other': 'Otros',
+
+    'itemStatus.active': 'Activo',
+    'itemStatus.consumed': 'Consumido',
+    'itemStatus.discarded': 'Desechado',
+    'itemStatus.donated': 'Donado',
+
+    'expiry.expired': 'Caducado',
+    'expiry.today': 'Caduca hoy',
+    'expiry.daysLeft': { one: 'Queda {count} día', other: 'Quedan {count} días' },
+
+    'view.grid': 'Cuadrícula',
+    'view.gridTitle': 'Vista de cuadrícula',
+    'view.calendar': 'Calendario',
+    'view.calendarTitle': 'Vista de calendario',
+
+    'bulk.setCategory': 'Cambiar categoría',
+    'bulk.shiftPlaceholder': '± días',
+    'bulk.shiftLabel': 'Días que mover',
+    'bulk.shift': 'Mover caducidad',
+    'bulk.quantityPlaceholder': 'Cant.',
+    'bulk.setQuantity': 'Cambiar cantidad',
+    'bulk.clear': 'Limpiar',
+    'bulk.restore': 'Restaurar',
+    'bulk.export': 'Exportar CSV',
+    'bulk.done': 'Listo',
+    'bulk.delete': 'Eliminar',
+    'bulk.deleteForever': 'Eliminar para siempre',
+    'bulk.selected': { one: '{count} seleccionado', other: '{count} seleccionados' },
+    'bulk.selectAll': 'Seleccionar los {count}',
+    'bulk.categorySet': '{items} movidos a {category}',
+    'bulk.shiftInvalid': 'Introduce un número entero de días, p. ej. 3 o -2',
+    'bulk.shiftedLater': {
+        one: 'Caducidad de {items} retrasada {count} día',
+        other: 'Caducidad de {items} retrasada {count} días'
+    },
+    'bulk.shiftedEarlier': {
+        one: 'Caducidad de {items} adelantada {count} día',
+        other: 'Caducidad de {items} adelantada {count} días'
+    },
+    'bulk.quantityInvalid': 'Introduce una cantidad de al menos 1',
+    'bulk.quantitySet': 'Cantidad de {items} cambiada a {quantity}',
+    'bulk.trashed': '{items} movidos a la Papelera',
+    'bulk.restored': '{items} restaurados',
+    'bulk.deleted': '{items} eliminados',
+
+    'calendar.previous': 'Anterior',
+    'calendar.next': 'Siguiente',
+    'calendar.today': 'Hoy',
+    'calendar.month': 'Mes',
+    'calendar.week': 'Semana',
+    'calendar.hint': 'Arrastra un artículo a otro día para cambiar su fecha de caducidad.',
+    'calendar.openedTitle': '{name} - abierto; edita el artículo para cambiar sus fechas',
+    'calendar.dragTitle': '{name} - arrástralo a otro día para cambiar su fecha de caducidad',
+
+    'empty.addFirst': 'Añade tu primer artículo',
+    'empty.title': 'Aún no hay artículos',
+    'empty.message': 'Empieza a controlar tus fechas de caducidad añadiendo tu primer artículo',
+    'empty.noMatchTitle': 'Ningún artículo coincide',
+    'empty.noMatchMessage': 'Prueba otra búsqueda o quita los filtros',
+    'empty.trashTitle': 'La Papelera está vacía',
+    'empty.trashMessage': {
+        one: 'Los artículos eliminados se quedan aquí {count} día antes de borrarse definitivamente',
+        other: 'Los artículos eliminados se quedan aquí {count} días antes de borrarse definitivamente'
+    },
+    'empty.archiveTitle': 'Aún no hay nada archivado',
+    'empty.archiveMessage': 'Aquí se guardan los artículos que marcas como consumidos, desechados o donados',
+
+    'card.inTrash': 'En la Papelera',
+    'card.expires': 'Caduca: {date}',
+    'card.printedDate': 'Fecha impresa: {date}',
+    'card.quantity': 'Cantidad: {count}',
+    'card.priceEach': '{price} cada uno ({total} en total)',
+    'card.history': 'Historial',
+    'card.restoreFromTrash': 'Restaurar de la Papelera',
+    'card.deleteForever': 'Eliminar para siempre',
+    'card.useOne': 'Usar uno (primero el lote más antiguo)',
+    'card.freeze': 'Mover al congelador',
+    'card.restoreActive': 'Devolver a los artículos activos',
+    'card.edit': 'Editar',
+    'card.moveToTrash': 'Mover a la Papelera',
+    'card.markConsumed': 'Marcar como consumido',
+    'card.markDiscarded': 'Marcar como desechado',
+    'card.markDonated': 'Marcar como donado',
+    'card.deletedOn': 'Eliminado el {date}',
+    'card.purgeIn': { one: 'se borrará definitivamente en {count} día', other: 'se borrará definitivamente en {count} días' },
+    'card.purgeToday': 'se borrará definitivamente hoy',
+    'card.purgeTomorrow': 'se borrará definitivamente mañana',
+    'card.openedDaysAgo': { one: 'Abierto hace {count} día', other: 'Abierto hace {count} días' },
+    'card.openedToday': 'Abierto hoy',
+    'card.openedYesterday': 'Abierto ayer',
+    'card.useWithin': { one: 'usar en {count} día', other: 'usar en {count} días' },
+    'card.addedBy': 'Añadido por {name}',
+    'card.editedBy': 'Editado por {name}',
+
+    'member.you': 'ti',
+    'member.former': 'un antiguo miembro',
+
+    'sync.failed': 'Error de sincronización',
+    'sync.retry': 'Reintentar',
+    'sync.discard': 'Descartar',
+    'sync.pending': 'Pendiente de sincronizar',
+
+    'form.addTitle': 'Añadir artículo',
+    'form.editTitle': 'Editar artículo',
+    'form.name': 'Nombre del artículo *',
+    'form.namePlaceholder': 'p. ej., leche, pan',
+    'form.scan': 'Escanear código de barras o QR',
+    'form.category': 'Categoría',
+    'form.selectCategory': 'Elige una categoría',
+    'form.location': 'Ubicación',
+    'form.noLocation': 'Sin ubicación',
+    'form.quantity': 'Cantidad',
+    'form.expiryDate': 'Fecha de caducidad *',
+    'form.addLot': '+ Añadir lote',
+    'form.removeLot': 'Quitar lote',
+    'form.lotHint': '¿Compraste más otro día? Añade un lote por cada fecha de caducidad.',
+    'form.openedAt': 'Abierto el',
+    'form.useWithin': 'Usar en (días tras abrirlo)',
+    'form.useWithinPlaceholder': 'p. ej., 5',
+    'form.minQuantity': 'Cantidad mínima',
+    'form.optional': 'Opcional',
+    'form.minQuantityHint': 'Pasa a la lista de la compra cuando la cantidad baja de esta cifra.',
+    'form.unitPrice': 'Precio unitario',
+    'form.currency': 'Moneda',
+    'form.notes': 'Notas',
+    'form.notesPlaceholder': 'Añade notas...',
+    'form.tags': 'Etiquetas',
+    'form.tagsPlaceholder': 'Escribe una etiqueta y pulsa Enter',
+    'form.removeTag': 'Quitar {tag}',
+    'form.image': 'Imagen',
+    'form.uploadImage': 'Subir imagen',
+    'form.imageOffline': 'Las imágenes solo se pueden subir con conexión',
+    'form.save': 'Guardar artículo',
+
+    'scanner.typeBarcode': 'O escribe el número del código de barras',
+    'scanner.lookUp': 'Buscar',
+    'scanner.hint': 'Apunta la cámara a un código de barras o QR',
+    'scanner.noCamera': 'No hay cámara disponible: escribe el número del código de barras',
+    'scanner.cameraFailed': 'No se pudo acceder a la cámara: escribe el número del código de barras',
+    'scanner.invalid': 'No es un código de barras de producto válido',
+    'scanner.unknown': 'Producto desconocido: se recordará al guardar',
+    'scanner.found': 'Encontrado: {name}',
+
+    'confirm.addAsLot': '{name} ya está en tu lista. ¿Añadirlo como un lote nuevo?',
+    'confirm.deleteForever': '¿Eliminar {name} para siempre? No se puede deshacer.',
+    'confirm.discardChange': '¿Descartar este cambio sin sincronizar?',
+
+    'realtime.added': 'Se añadió un artículo',
+    'realtime.trashed': 'Se movió un artículo a la Papelera',
+    'realtime.restored': 'Se restauró un artículo de la Papelera',
+    'realtime.updated': 'Se actualizó un artículo',
+    'realtime.deleted': 'Se eliminó un artículo',
+
+    'toast.householdLoadFailed': 'No se pudo cargar tu hogar',
+    'toast.offlineItems': 'Sin conexión: se muestran los artículos guardados',
+    'toast.itemsLoadFailed': 'No se pudieron cargar los artículos',
+    'toast.syncFailed': { one: 'No se pudo sincronizar {count} cambio', other: 'No se pudieron sincronizar {count} cambios' },
+    'toast.itemGone': 'Ese artículo ya no está en tu lista',
+    'toast.savedOffline': 'Guardado sin conexión: se sincronizará al volver a conectarte',
+    'toast.saved': '{name} guardado',
+    'toast.saveFailed': 'No se pudo guardar el artículo',
+    'toast.restored': '{name} restaurado',
+    'toast.marked.consumed': '{name} marcado como consumido',
+    'toast.marked.discarded': '{name} marcado como desechado',
+    'toast.marked.donated': '{name} marcado como donado',
+    'toast.updateFailed': 'No se pudo actualizar el artículo',
+    'toast.usedOne': 'Usado 1 de {name} del lote que caduca el {date}',
+    'toast.frozen': '{name} movido a {freezer}: ahora dura hasta el {date}',
+    'toast.frozenNoExtension': '{name} movido a {freezer}; su categoría no tiene ampliación de congelador',
+    'toast.rescheduled': '{name} caduca ahora el {date}',
+    'toast.trashed': '{name} movido a la Papelera',
+    'toast.deleteFailed': 'No se pudo eliminar el artículo',
+    'toast.restoreFailed': 'No se pudo restaurar el artículo',
+    'toast.undo': 'Deshacer',
+    'toast.undone': 'Deshecho',
+    'toast.undoFailed': 'No se pudo deshacer',
+    'toast.bulkUpdateFailed': 'No se pudieron actualizar los artículos',
+    'toast.bulkDeleteFailed': 'No se pudieron eliminar los artículos',
+
+    'history.title': 'Historial',
+    'history.titleFor': 'Historial de {name}',
+    'history.loadFailed': 'No se pudo cargar el historial',
+    'history.offline': 'El historial solo está disponible con conexión',
+    'history.empty': 'Aún no hay cambios registrados',
+    'history.addedBy': 'Añadido por {name}',
+    'history.changedBy': 'Cambiado por {name}',
+    'history.addedAutomatically': 'Añadido automáticamente',
+    'history.changedAutomatically': 'Cambiado automáticamente',
+    'history.revert': 'Volver a esta versión',
+    'history.inTrash': 'En la Papelera',
+    'history.notInTrash': 'Fuera de la Papelera',
+    'history.none': 'nada',
+    'history.removedLocation': 'una ubicación eliminada',
+    'history.photo': 'una foto',
+    'history.alreadyMatches': '{name} ya coincide con esta versión',
+    'history.reverted': '{name} ha vuelto a la versión anterior',
+    'history.revertFailed': 'No se pudo volver a la versión',
+    'history.field.name': 'Nombre',
+    'history.field.category': 'Categoría',
+    'history.field.expiry_date': 'Fecha de caducidad',
+    'history.field.quantity': 'Cantidad',
+    'history.field.lots': 'Lotes',
+    'history.field.location_id': 'Ubicación',
+    'history.field.original_expiry_date': 'Fecha impresa',
+    'history.field.opened_at': 'Abierto',
+    'history.field.use_within_days': 'Usar en (días)',
+    'history.field.min_quantity': 'Cantidad mínima',
+    'history.field.unit_price': 'Precio',
+    'history.field.currency': 'Moneda',
+    'history.field.notes': 'Notas',
+    'history.field.tags': 'Etiquetas',
+    'history.field.image_url': 'Foto',
+    'history.field.status': 'Estado',
+    'history.field.deleted_at': 'Papelera',
+
+    'collections.new': 'Nueva colección',
+    'collections.edit': 'Editar colección',
+    'collections.name': 'Nombre',
+    'collections.namePlaceholder': 'p. ej., Cosas del bebé',
+    'collections.query': 'Consulta',
+    'collections.help': 'Combina tag:, category:, location:, name:, is:opened, is:frozen, is:expired, expires < 14d y quantity >= 2 con AND, OR, NOT y paréntesis.',
+    'collections.save': 'Guardar colección',
+    'collections.delete': 'Eliminar',
+    'collections.matching': { one: 'Coincide {count} artículo', other: 'Coinciden {count} artículos' },
+    'collections.saved': '{name} guardada',
+    'collections.saveFailed': 'No se pudo guardar la colección',
+    'collections.confirmDelete': '¿Eliminar la colección {name}? Sus artículos no se modifican.',
+    'collections.deleted': '{name} eliminada',
+    'collections.deleteFailed': 'No se pudo eliminar la colección',
+    'collections.errorUnexpected': '"{token}" inesperado',
+    'collections.errorField': 'Campo desconocido "{field}:"',
+    'collections.errorValue': '{field}: necesita un valor',
+    'collections.errorFlag': 'is: puede ser opened, frozen o expired, no "{value}"',
+    'collections.errorOperator': '{field} necesita <, <=, >, >= o =',
+    'collections.errorNumber': '{field} necesita un número',
+    'collections.errorEnd': 'La consulta termina antes de tiempo',
+    'collections.errorParenthesis': 'Falta cerrar un paréntesis',
+    'collections.errorEmpty': 'Escribe una consulta',
+    'collections.errorDuplicate': 'Ya existe una colección llamada {name}',
+    'pdf.subtitle': 'Sistema de gestión de fechas de caducidad',
+    'pdf.generatedOn': 'Generado el: {date}',
+    'pdf.userInfo': 'Datos del usuario',
+    'pdf.name': 'Nombre: {name}',
+    'pdf.email': 'Correo: {email}',
+    'pdf.household': 'Hogar: {household}',
+    'pdf.itemsList': 'Lista de artículos',
+    'pdf.itemName': 'Artículo',
+    'pdf.category': 'Categoría',
+    'pdf.qty': 'Cant.',
+    'pdf.expiryDate': 'Caducidad',
+    'pdf.status': 'Estado',
+    'pdf.cost': 'Coste',
+    'pdf.expired': 'Caducado',
+    'pdf.today': 'Hoy',
+    'pdf.days': { one: '{count} día', other: '{count} días' },
+    'pdf.opened': '{date} (abierto)',
+    'pdf.summary': 'Resumen',
+    'pdf.items': 'Artículos',
+    'pdf.inventoryValue': 'Valor del inventario',
+    'pdf.expiringWeek': 'Caducan en 7 días',
+    'pdf.expiredValue': 'Valor de lo caducado',
+    'pdf.page': 'Página {page} de {count}',
+    'pdf.footer': 'ExpiryTracker - Controla tus fechas de caducidad fácilmente',
+    'pdf.done': 'PDF exportado correctamente',
+    'pdf.failed': 'No se pudo exportar el PDF',
+    'pdf.fontMissing': 'La fuente del PDF para este idioma no se pudo cargar: puede que parte del texto no se imprima',
+
+    'role.owner': 'Propietario',
+    'role.editor': 'Editor',
+    'role.viewer': 'Lector',
+
+    'profile.title': 'Ajustes del perfil',
+    'profile.avatarHint': 'Haz clic en el icono de la cámara para cambiar tu avatar',
+    'profile.personal': 'Información personal',
+    'profile.name': 'Nombre completo',
+    'profile.namePlaceholder': 'Escribe tu nombre',
+    'profile.email': 'Correo electrónico',
+    'profile.emailHint': 'El correo no se puede cambiar',
+    'profile.timezone': 'Zona horaria',
+    'profile.timezoneHint': 'Decide cuándo empieza el día de caducidad de un artículo y cuándo llegan los recordatorios',
+    'profile.language': 'Idioma',
+    'profile.languageHint': 'Se usa en el panel, las fechas, los números y el informe PDF',
+    'profile.notifications': 'Notificaciones',
+    'profile.push': 'Notificaciones push',
+    'profile.pushHint': 'Recibe avisos de los artículos que caducan',
+    'profile.reminders': 'Reglas de recordatorio',
+    'profile.leadDays': 'Avisarme (días antes de la caducidad)',
+    'profile.leadDaysPlaceholder': 'p. ej., 7, 3, 0',
+    'profile.leadDaysHint': 'Sepáralos con comas. 0 significa el mismo día de la caducidad.',
+    'profile.categoryOverrides': 'Reglas por categoría',
+    'profile.addCategoryRule': 'Añadir regla de categoría',
+    'profile.ruleDaysPlaceholder': 'p. ej., 30, 14, 7',
+    'profile.deliveryTime': 'Hora de envío',
+    'profile.quietStart': 'Horas de silencio desde',
+    'profile.quietEnd': 'Horas de silencio hasta',
+    'profile.quietHint': 'No se envían recordatorios durante las horas de silencio. Déjalo vacío para desactivarlas.',
+    'profile.calendarFeed': 'Calendario suscrito',
+    'profile.feedUrl': 'Enlace de suscripción',
+    'profile.feedPlaceholder': 'Todavía no hay enlace',
+    'profile.feedHint': 'Suscríbete a este enlace en Google Calendar, Apple Calendar u Outlook para ver tus fechas de caducidad, con los días de aviso como alarmas. Cualquiera con el enlace puede ver tus artículos; restablécelo para que un enlace antiguo deje de funcionar.',
+    'profile.feedCreate': 'Crear enlace',
+    'profile.feedReset': 'Restablecer enlace',
+    'profile.feedTurnOff': 'Desactivar',
+    'profile.digest': 'Resumen por correo',
+    'profile.digestSend': 'Enviar',
+    'profile.digestWeekday': 'El',
+    'profile.digestDaysAhead': 'Incluir artículos que caducan en (días)',
+    'profile.digestHint': 'Los artículos caducados y los que caducan hoy siempre se incluyen, agrupados por categoría. El resumen se envía a tu hora de recordatorio y se omite si no hay nada que incluir.',
+    'profile.digestTest': 'Enviar resumen de prueba',
+    'profile.saveChanges': 'Guardar cambios',
+    'profile.statistics': 'Estadísticas',
+    'profile.activeItems': 'Artículos activos',
+    'profile.expiringSoon': 'Caducan pronto',
+    'profile.expired': 'Caducados',
+    'profile.inventoryValue': 'Valor del inventario',
+    'profile.expiringValue': 'Caducan esta semana',
+    'profile.lostValue': 'Perdido por caducidad',
+    'profile.analyticsLink': 'Ver análisis de desperdicio',
+    'profile.loadFailed': 'No se pudo cargar el perfil',
+    'profile.feedConfirmReset': '¿Restablecer el enlace del calendario? Los calendarios suscritos al enlace antiguo dejarán de actualizarse.',
+    'profile.feedResetDone': 'Enlace del calendario restablecido',
+    'profile.feedCreated': 'Enlace del calendario creado',
+    'profile.feedFailed': 'No se pudo actualizar el enlace del calendario',
+    'profile.feedConfirmTurnOff': '¿Desactivar el enlace del calendario? Los calendarios suscritos dejarán de actualizarse.',
+    'profile.feedTurnedOff': 'Enlace del calendario desactivado',
+    'profile.feedCopied': 'Enlace del calendario copiado',
+    'profile.feedCopyManually': 'Copia el enlace seleccionado para suscribirte',
+    'profile.digestLoadFailed': 'No se pudieron cargar los ajustes del resumen',
+    'profile.digestLastError': 'No se pudo enviar el último resumen: {error}',
+    'profile.digestLastSent': 'Último envío: {date}',
+    'profile.digestNotSent': 'Todavía no se ha enviado ningún resumen',
+    'profile.digestDaysInvalid': 'El resumen puede abarcar de 1 a 60 días',
+    'profile.digestTestSent': 'Resumen de prueba enviado a {email}',
+    'profile.digestTestFailed': 'No se pudo enviar el resumen de prueba',
+    'profile.leadDaysInvalid': 'Los días de aviso deben ser números enteros entre 0 y 365',
+    'profile.ruleIncomplete': 'Cada regla de categoría necesita una categoría y días de aviso válidos',
+    'profile.ruleDuplicate': '{category} tiene más de una regla',
+    'profile.quietIncomplete': 'Indica el inicio y el fin de las horas de silencio',
+    'profile.avatarUpdated': 'Avatar actualizado correctamente',
+    'profile.avatarFailed': 'No se pudo subir el avatar',
+    'profile.nameMissing': 'Escribe tu nombre',
+    'profile.saved': 'Perfil actualizado correctamente',
+    'profile.saveFailed': 'No se pudo guardar el perfil',
+    'profile.notificationsDenied': 'Permiso de notificaciones denegado',
+    'profile.pushEnabled': 'Notificaciones activadas en este dispositivo',
+    'profile.pushWhileOpen': 'Notificaciones activadas mientras la aplicación esté abierta',
+    'profile.pushOff': 'Recordatorios push desactivados en este dispositivo',
+    'profile.notificationsGranted': 'Las notificaciones están activadas',
+    'profile.notificationsBlocked': 'Las notificaciones están bloqueadas. Actívalas en los ajustes del navegador.',
+    'profile.notificationsDefault': 'Activa las notificaciones para recibir avisos de los artículos que caducan',
+
+    'digest.off': 'Desactivado',
+    'digest.daily': 'Diario',
+    'digest.weekly': 'Semanal',
+
+    'household.title': 'Hogar',
+    'household.active': 'Hogar activo',
+    'household.name': 'Nombre del hogar',
+    'household.namePlaceholder': 'p. ej., Casa',
+    'household.members': 'Miembros',
+    'household.invite': 'Invitar por correo',
+    'household.inviteButton': 'Invitar',
+    'household.myInvites': 'Invitaciones para ti',
+    'household.locations': 'Ubicaciones',
+    'household.locationPlaceholder': 'p. ej., Nevera del garaje',
+    'household.freezer': 'Congelador',
+    'household.categories': 'Categorías',
+    'household.categoriesHint': 'La etiqueta de un artículo pasa a "pronto" y luego a "aviso" este número de días antes de caducar. Renombrar o combinar una categoría actualiza todos sus artículos.',
+    'household.categoryPlaceholder': 'p. ej., Comida de bebé',
+    'household.freezerExtension': 'Ampliación en el congelador',
+    'household.freezerExtensionHint': 'Días que se suman a la fecha de caducidad al pasar un artículo al congelador. Déjalo vacío para mantener la fecha impresa.',
+    'household.saveExtensions': 'Guardar ampliaciones',
+    'household.trash': 'Papelera',
+    'household.trashHint': 'Los artículos eliminados se borran definitivamente tras este número de días.',
+    'household.webhooks': 'Webhooks',
+    'household.webhooksHint': 'Los eventos de los artículos se envían a estas URL en JSON, firmados con el secreto del webhook. Las entregas fallidas se reintentan hasta 8 veces durante unas dos horas.',
+    'household.webhookSecretPlaceholder': 'Secreto de firma (opcional)',
+    'household.addWebhook': 'Añadir webhook',
+    'household.new': 'Nuevo hogar',
+    'household.leave': 'Salir del hogar',
+    'household.option': '{name} ({role})',
+    'household.pendingInvite': '{role} · pendiente',
+    'household.join': 'Unirse',
+    'household.decline': 'Rechazar',
+    'household.categoryIcon': 'Icono',
+    'household.categoryColor': 'Color',
+    'household.soon': 'Pronto',
+    'household.warning': 'Aviso',
+    'household.mergeInto': 'Combinar con...',
+    'household.windows': 'pronto {soon} · aviso {warning} días',
+    'household.detailsFailed': 'No se pudieron cargar los datos del hogar',
+    'household.windowsInvalid': 'Escribe números enteros de días entre 1 y 3650',
+    'household.windowsOrder': 'El plazo de aviso no puede ser más corto que el de pronto',
+    'household.roleUpdated': 'Rol actualizado',
+    'household.confirmRemove': '¿Quitar a este miembro del hogar?',
+    'household.memberRemoved': 'Miembro quitado',
+    'household.renameLocationPrompt': 'Nuevo nombre para esta ubicación',
+    'household.locationRenamed': 'Ubicación renombrada',
+    'household.confirmDeleteLocation': '¿Eliminar {name}? Los artículos guardados allí se quedarán sin ubicación.',
+    'household.locationDeleted': 'Ubicación eliminada',
+    'household.windowsSaved': 'Plazos de la etiqueta guardados',
+    'household.renameCategoryPrompt': 'Nuevo nombre para esta categoría',
+    'household.categoryRenamed': 'Renombrada a {name}; se actualizaron sus artículos',
+    'household.confirmMerge': '¿Mover todos los artículos de esta categoría a {name} y eliminarla?',
+    'household.merged': 'Combinada con {name}',
+    'household.confirmDeleteCategory': '¿Eliminar {name}? Sus artículos se quedarán sin categoría.',
+    'household.categoryDeleted': 'Categoría eliminada',
+    'household.joined': 'Te has unido al hogar',
+    'household.updateFailed': 'No se pudo actualizar el hogar',
+    'household.emailInvalid': 'Escribe un correo electrónico válido',
+    'household.inviteSent': 'Invitación enviada a {email}. Puede unirse desde su página de perfil.',
+    'household.inviteFailed': 'No se pudo enviar la invitación',
+    'household.added': '{name} añadido',
+    'household.locationAddFailed': 'No se pudo añadir la ubicación',
+    'household.categoryAddFailed': 'No se pudo añadir la categoría',
+    'household.extensionInvalid': '{category}: escribe un número entero de días hasta 3650',
+    'household.extensionsSaved': 'Ampliaciones del congelador guardadas',
+    'household.extensionsFailed': 'No se pudieron guardar las ampliaciones del congelador',
+    'household.retentionInvalid': 'Escribe un número entero de días entre 1 y 365',
+    'household.retentionSaved': 'Plazo de la papelera guardado',
+    'household.retentionFailed': 'No se pudo guardar el plazo de la papelera',
+    'household.switchFailed': 'No se pudo cambiar de hogar',
+    'household.nameMissing': 'Escribe un nombre para el hogar',
+    'household.renamed': 'Hogar renombrado',
+    'household.renameFailed': 'No se pudo renombrar el hogar',
+    'household.newPrompt': 'Nombre del nuevo hogar',
+    'household.createFailed': 'No se pudo crear el hogar',
+    'household.lastOwner': 'Haz propietario a otro miembro antes de salir',
+    'household.confirmLeave': '¿Salir de {name}? Perderás el acceso a sus artículos.',
+    'household.leaveFailed': 'No se pudo salir del hogar',
+    'household.noHousehold': 'No eres miembro de ningún hogar',
+    'household.member': 'Miembro',
+    'household.alreadyInvited': '{email} ya tiene una invitación',
+    'household.locationExists': 'Ya hay una ubicación llamada {name}',
+    'household.categoryExists': 'Ya hay una categoría llamada {name}',
+
+    'webhook.event.item.created': 'Artículo añadido',
+    'webhook.event.item.updated': 'Artículo modificado',
+    'webhook.event.item.deleted': 'Artículo eliminado',
+    'webhook.event.item.expiring': 'Artículo a punto de caducar',
+    'webhook.event.item.expired': 'Artículo caducado',
+    'webhook.active': 'Activo',
+    'webhook.copySecret': 'Copiar secreto',
+    'webhook.deliveries': 'Entregas',
+    'webhook.status.pending': 'pendiente',
+    'webhook.status.delivered': 'entregado',
+    'webhook.status.failed': 'fallido',
+    'webhook.status.retrying': 'reintentando',
+    'webhook.redelivery': '{event} (reenvío)',
+    'webhook.noResponse': 'Sin respuesta',
+    'webhook.attempts': { one: '{count} intento', other: '{count} intentos' },
+    'webhook.nextTry': 'próximo intento {time}',
+    'webhook.redeliver': 'Reenviar',
+    'webhook.noDeliveries': 'Todavía no hay entregas',
+    'webhook.turnedOn': 'Webhook activado',
+    'webhook.paused': 'Webhook en pausa',
+    'webhook.secretCopied': 'Secreto de firma copiado',
+    'webhook.redeliveryQueued': 'Reenvío en cola, se envía en menos de un minuto',
+    'webhook.confirmDelete': '¿Eliminar este webhook y su registro de entregas?',
+    'webhook.deleted': 'Webhook eliminado',
+    'webhook.updateFailed': 'No se pudo actualizar el webhook',
+    'webhook.added': 'Webhook añadido',
+    'webhook.addedWithSecret': 'Webhook añadido. Copia su secreto para comprobar las firmas.',
+    'webhook.addFailed': 'No se pudo añadir el webhook',
+    'webhook.urlInvalid': 'Escribe una URL que empiece por http:// o https://',
+    'webhook.urlPrivate': 'Los webhooks solo se pueden enviar a direcciones públicas, no a localhost ni a una red privada',
+    'webhook.noEvents': 'Elige al menos un evento',
+    'webhook.secretTooShort': 'El secreto de firma debe tener al menos {count} caracteres',
+
+    'shopping.namePlaceholder': 'Añade un artículo, p. ej. Huevos',
+    'shopping.emptyTitle': 'Nada que comprar',
+    'shopping.emptyMessage': 'Los artículos que se acaban, se tiran o caducan se añaden aquí automáticamente, igual que los que bajan de su cantidad mínima.',
+    'shopping.bought': 'Comprado: añádelo a tus artículos',
+    'shopping.remove': 'Quitar de la lista',
+    'shopping.addedOn': 'Añadido el {date}',
+    'shopping.source.manual': 'Añadido a mano',
+    'shopping.source.used_up': 'Agotado',
+    'shopping.source.expired': 'Caducado',
+    'shopping.source.low_stock': 'Queda poco',
+    'shopping.loadFailed': 'No se pudo cargar la lista de la compra',
+    'shopping.addFailed': 'No se pudo añadir a la lista de la compra',
+    'shopping.updateFailed': 'No se pudo actualizar la lista de la compra',
+    'shopping.alreadyListed': '{name} ya está en la lista',
+
+    'analytics.range.3': 'Últimos 3 meses',
+    'analytics.range.6': 'Últimos 6 meses',
+    'analytics.range.12': 'Últimos 12 meses',
+    'analytics.range.all': 'Todo',
+    'analytics.range.custom': 'Periodo personalizado',
+    'analytics.used': 'Artículos aprovechados',
+    'analytics.wasted': 'Artículos desperdiciados',
+    'analytics.wasteRate': 'Tasa de desperdicio',
+    'analytics.averageDays': 'Media de días restantes al usarlos',
+    'analytics.monthlyTitle': 'Aprovechado y desperdiciado por mes',
+    'analytics.monthlyCaption': 'Los artículos consumidos y donados cuentan como aprovechados; los tirados y los que pasan de su fecha de caducidad cuentan como desperdiciados.',
+    'analytics.trendTitle': 'Tendencia de la tasa de desperdicio',
+    'analytics.categoriesTitle': 'Categorías más desperdiciadas',
+    'analytics.categoriesCaption': 'Artículos desperdiciados en cada categoría',
+    'analytics.seriesUsed': 'Aprovechado',
+    'analytics.seriesWasted': 'Desperdiciado',
+    'analytics.seriesTrend': 'Tendencia',
+    'analytics.uncategorized': 'Sin categoría',
+    'analytics.noWaste': 'No se desperdició nada en este periodo',
+    'analytics.trendNone': 'Marca artículos como consumidos, tirados o donados durante al menos dos meses para ver una tendencia',
+    'analytics.trendBetter': {
+        one: 'Mejorando: la tasa de desperdicio bajó unos {count} punto en este periodo',
+        other: 'Mejorando: la tasa de desperdicio bajó unos {count} puntos en este periodo'
+    },
+    'analytics.trendWorse': {
+        one: 'Empeorando: la tasa de desperdicio subió unos {count} punto en este periodo',
+        other: 'Empeorando: la tasa de desperdicio subió unos {count} puntos en este periodo'
+    },
+    'analytics.trendSteady': 'Estable en este periodo',
+    'analytics.loadFailed': 'No se pudo cargar el análisis',
+    'analytics.rangeInvalid': 'La fecha de inicio debe ser anterior a la de fin',
+
+    'import.title': 'Importar artículos',
+    'import.delimiter': 'Separador',
+    'import.dateFormat': 'Formato de fecha',
+    'import.hasHeader': 'La primera fila contiene los nombres de las columnas',
+    'import.mapColumns': 'Asignar columnas',
+    'import.preview': 'Vista previa',
+    'import.review': 'Revisar importación',
+    'import.duplicates': 'Duplicados (mismo nombre y fecha de caducidad)',
+    'import.back': 'Atrás',
+    'import.confirm': 'Importar',
+    'import.field.name': 'Nombre',
+    'import.field.category': 'Categoría',
+    'import.field.quantity': 'Cantidad',
+    'import.field.expiry_date': 'Fecha de caducidad',
+    'import.field.notes': 'Notas',
+    'import.field.tags': 'Etiquetas',
+    'import.field.unit_price': 'Precio unitario',
+    'import.field.currency': 'Moneda',
+    'import.separator.comma': 'Coma',
+    'import.separator.tab': 'Tabulador',
+    'import.separator.semicolon': 'Punto y coma',
+    'import.order.DMY': 'DD/MM/AAAA',
+    'import.order.MDY': 'MM/DD/AAAA',
+    'import.strategy.skip': 'Omitir duplicados',
+    'import.strategy.overwrite': 'Sobrescribir los artículos existentes',
+    'import.strategy.keep': 'Conservar ambos',
+    'import.column': 'Columna {number}',
+    'import.notImported': 'No se importa',
+    'import.chooseDateFormat': 'Elige el formato de fecha',
+    'import.dateAmbiguous': 'Estas fechas pueden empezar por el día o por el mes. Elige el orden que usa este archivo.',
+    'import.dateDetected': 'Detectado en el archivo',
+    'import.invalid': 'No válido',
+    'import.showing': 'Mostrando {shown} de {count} filas',
+    'import.mapRequired': 'Asigna primero las columnas Nombre y Fecha de caducidad',
+    'import.dateFormatRequired': 'Elige el formato de fecha que usa este archivo',
+    'import.rows': { one: '{count} fila', other: '{count} filas' },
+    'import.withErrors': '{count} con errores',
+    'import.likelyDuplicates': { one: '{count} posible duplicado', other: '{count} posibles duplicados' },
+    'import.plan': '{add} para añadir, {update} para sobrescribir, {skip} para omitir',
+    'import.row': 'Fila',
+    'import.qty': 'Cant.',
+    'import.status': 'Estado',
+    'import.submit': { one: 'Importar {count} artículo', other: 'Importar {count} artículos' },
+    'import.duplicateOfItem': 'Duplicado de un artículo existente',
+    'import.duplicateOfRow': 'Duplicado de la fila {row}',
+    'import.ready': 'Listo',
+    'import.doneNew': '{count} nuevos importados',
+    'import.doneOverwrote': '{count} sobrescritos',
+    'import.doneSkipped': '{count} duplicados omitidos',
+    'import.doneInvalid': '{count} filas con errores descartadas',
+    'import.failed': 'No se pudieron importar los datos',
+    'import.notJson': 'El archivo no es un JSON válido',
+    'import.notBackup': 'El archivo no es una copia de seguridad de ExpiryTracker',
+    'import.error.nameMissing': 'Falta el nombre',
+    'import.error.expiryMissing': 'Falta la fecha de caducidad',
+    'import.error.expiry': '"{value}" no es una fecha de caducidad válida',
+    'import.error.quantity': '"{value}" no es una cantidad válida',
+    'import.error.lots': 'Un lote tiene una cantidad o fecha de caducidad no válida',
+    'import.error.openedAt': '"{value}" no es una fecha de apertura válida',
+    'import.error.useWithin': '"{value}" no es un número de días válido',
+    'import.error.price': '"{value}" no es un precio válido',
+    'import.error.currency': '"{value}" no es un código de moneda',
+    'import.error.status': '"{value}" no es un estado válido'
+};
@@ -0,0 +1,674 @@
+// Hindi messages. Keys missing here fall back to the English catalog.
+export default {
+    'app.tagline': 'समाप्ति तिथियों पर नज़र रखें और उन्हें संभालें',
+
+    'common.loading': 'लोड हो रहा है...',
+    'common.cancel': 'रद्द करें',
+    'common.close': 'बंद करें',
+    'common.user': 'उपयोगकर्ता',
+    'common.items': { one: '{count} आइटम', other: '{count} आइटम' },
+    'common.backToDashboard': 'डैशबोर्ड पर वापस जाएँ',
+    'common.add': 'जोड़ें',
+    'common.save': 'सहेजें',
+    'common.copy': 'कॉपी करें',
+    'common.rename': 'नाम बदलें',
+    'common.delete': 'हटाएँ',
+    'common.remove': 'निकालें',
+    'common.days': 'दिन',
+
+    'auth.welcomeBack': 'फिर से स्वागत है',
+    'auth.signInHint': 'अपनी समाप्ति तिथियाँ ट्रैक करने के लिए साइन इन करें',
+    'auth.createTitle': 'खाता बनाएँ',
+    'auth.createHint': 'आज से अपनी समाप्ति तिथियाँ ट्रैक करना शुरू करें',
+    'auth.name': 'पूरा नाम',
+    'auth.email': 'ईमेल पता',
+    'auth.password': 'पासवर्ड',
+    'auth.passwordPlaceholder': 'अपना पासवर्ड लिखें',
+    'auth.newPasswordPlaceholder': 'एक मज़बूत पासवर्ड बनाएँ',
+    'auth.confirmPassword': 'पासवर्ड की पुष्टि करें',
+    'auth.confirmPasswordPlaceholder': 'पासवर्ड फिर से लिखें',
+    'auth.rememberMe': 'मुझे याद रखें',
+    'auth.forgotPassword': 'पासवर्ड भूल गए?',
+    'auth.agreeTo': 'मैं इनसे सहमत हूँ:',
+    'auth.terms': 'नियम और शर्तें',
+    'auth.signIn': 'साइन इन करें',
+    'auth.signUp': 'साइन अप करें',
+    'auth.createAccount': 'खाता बनाएँ',
+    'auth.noAccount': 'खाता नहीं है?',
+    'auth.haveAccount': 'पहले से खाता है?',
+    'auth.signInLink': 'साइन इन करें',
+    'auth.strength.weak': 'कमज़ोर',
+    'auth.strength.medium': 'मध्यम',
+    'auth.strength.strong': 'मज़बूत',
+    'auth.invalidEmail': 'कृपया मान्य ईमेल पता लिखें',
+    'auth.nameMissing': 'कृपया अपना नाम लिखें',
+    'auth.passwordTooShort': 'पासवर्ड कम से कम {count} अक्षरों का होना चाहिए',
+    'auth.passwordMismatch': 'पासवर्ड मेल नहीं खाते',
+    'auth.verifyFirst': 'लॉग इन करने से पहले कृपया अपना ईमेल सत्यापित करें',
+    'auth.loginSuccess': 'लॉग इन हो गया!',
+    'auth.loginFailed': 'ईमेल या पासवर्ड गलत है',
+    'auth.accountCreated': 'खाता बन गया! अपना खाता सत्यापित करने के लिए कृपया अपना ईमेल देखें।',
+    'auth.verificationSent': 'सत्यापन ईमेल भेजा गया!',
+    'auth.signupFailed': 'खाता नहीं बन सका',
+    'auth.loggedOut': 'लॉग आउट हो गया',
+    'auth.logoutFailed': 'लॉग आउट नहीं हो सका',
+
+    'nav.all': 'सभी आइटम',
+    'nav.soon': 'जल्द समाप्त होने वाले',
+    'nav.expired': 'समाप्त',
+    'nav.archive': 'संग्रह',
+    'nav.trash': 'ट्रैश',
+    'nav.locations': 'स्थान',
+    'nav.collections': 'संग्रह',
+
+    'menu.profile': 'प्रोफ़ाइल',
+    'menu.analytics': 'बर्बादी विश्लेषण',
+    'menu.shopping': 'ख़रीदारी सूची',
+    'menu.logout': 'लॉग आउट',
+
+    'header.title': 'मेरे आइटम',
+    'header.import': 'आयात करें',
+    'header.export': 'निर्यात करें',
+    'header.addItem': 'आइटम जोड़ें',
+
+    'export.pdf': 'PDF रिपोर्ट',
+    'export.csv': 'CSV स्प्रेडशीट',
+    'export.tsv': 'TSV स्प्रेडशीट',
+    'export.json': 'JSON बैकअप',
+    'export.ics': 'कैलेंडर (.ics)',
+    'export.spreadsheetDone': '{count} आइटम {format} के रूप में निर्यात किए गए',
+    'export.calendarDone': '{count} समाप्ति तिथियाँ कैलेंडर के रूप में निर्यात की गईं',
+    'export.calendarName': '{household} - समाप्ति तिथियाँ',
+    'export.jsonDone': '{count} आइटम JSON बैकअप के रूप में निर्यात किए गए',
+
+    'filters.search': 'नाम, नोट या श्रेणी खोजें',
+    'filters.select': 'चुनें',
+    'filters.clear': 'फ़िल्टर हटाएँ',
+    'filters.category': 'श्रेणी',
+    'filters.expires': 'समाप्ति',
+    'filters.expiresBetween': 'इनके बीच समाप्त',
+    'filters.and': 'और',
+    'filters.quantity': 'मात्रा',
+    'filters.min': 'न्यूनतम',
+    'filters.to': 'से',
+    'filters.max': 'अधिकतम',
+
+    'window.expired': 'समाप्त',
+    'window.today': 'आज',
+    'window.week': 'अगले 7 दिन',
+    'window.month': '8-30 दिन',
+    'window.later': 'बाद में',
+
+    'category.Dairy': 'डेयरी',
+    'category.Vegetables': 'सब्ज़ियाँ',
+    'category.Fruits': 'फल',
+    'category.Meat': 'मांस',
+    'category.Pantry': 'भंडार',
+    'category.Beverages': 'पेय',
+    'category.Medicine': 'दवाइयाँ',
+    'category.Other': 'अन्य',
+
+    'itemStatus.active': 'सक्रिय',
+    'itemStatus.consumed': 'उपयोग किया',
+    'itemStatus.discarded': 'फेंका गया',
+    'itemStatus.donated': 'दान किया',
+
+    'expiry.expired': 'समाप्त',
+    'expiry.today': 'आज समाप्त',
+    'expiry.daysLeft': { one: '{count} दिन बाकी', other: '{count} दिन बाकी' },
+
+    'view.grid': 'ग्रिड',
+    'view.gridTitle': 'ग्रिड दृश्य',
+    'view.calendar': 'कैलेंडर',
+    'view.calendarTitle': 'कैलेंडर दृश्य',
+
+    'bulk.setCategory': 'श्रेणी बदलें',
+    'bulk.shiftPlaceholder': '± दिन',
+    'bulk.shiftLabel': 'खिसकाने के दिन',
+    'bulk.shift': 'समाप्ति खिसकाएँ',
+    'bulk.quantityPlaceholder': 'मात्रा',
+    'bulk.setQuantity': 'मात्रा बदलें',
+    'bulk.clear': 'साफ़ करें',
+    'bulk.restore': 'वापस लाएँ',
+    'bulk.export': 'CSV निर्यात करें',
+    'bulk.done': 'हो गया',
+    'bulk.delete': 'हटाएँ',
+    'bulk.deleteForever': 'हमेशा के लिए हटाएँ',
+    'bulk.selected': '{count} चुने गए',
+    'bulk.selectAll': 'सभी {count} चुनें',
+    'bulk.categorySet': '{items} {category} में ले जाए गए',
+    'bulk.shiftInvalid': 'दिनों की पूरी संख्या लिखें, जैसे 3 या -2',
+    'bulk.shiftedLater': '{items} की समाप्ति तिथियाँ {count} दिन आगे की गईं',
+    'bulk.shiftedEarlier': '{items} की समाप्ति तिथियाँ {count} दिन पहले की गईं',
+    'bulk.quantityInvalid': 'कम से कम 1 की मात्रा लिखें',
+    'bulk.quantitySet': '{items} की मात्रा {quantity} की गई',
+    'bulk.trashed': '{items} ट्रैश में भेजे गए',
+    'bulk.restored': '{items} वापस लाए गए',
+    'bulk.deleted': '{items} हटाए गए',
+
+    'calendar.previous': 'पिछला',
+    'calendar.next': 'अगला',
+    'calendar.today': 'आज',
+    'calendar.month': 'महीना',
+    'calendar.week': 'सप्ताह',
+    'calendar.hint': 'समाप्ति तिथि बदलने के लिए आइटम को दूसरे दिन पर खींचें।',
+    'calendar.openedTitle': '{name} - खुला हुआ; तिथियाँ बदलने के लिए आइटम संपादित करें',
+    'calendar.dragTitle': '{name} - समाप्ति तिथि बदलने के लिए दूसरे दिन पर खींचें',
+
+    'empty.addFirst': 'अपना पहला आइटम जोड़ें',
+    'empty.title': 'अभी कोई आइटम नहीं',
+    'empty.message': 'अपना पहला आइटम जोड़कर समाप्ति तिथियों पर नज़र रखना शुरू करें',
+    'empty.noMatchTitle': 'कोई मिलता-जुलता आइटम नहीं',
+    'empty.noMatchMessage': 'कुछ और खोजें या फ़िल्टर हटाएँ',
+    'empty.trashTitle': 'ट्रैश ख़ाली है',
+    'empty.trashMessage': 'हटाए गए आइटम हमेशा के लिए मिटने से पहले {count} दिन यहाँ रहते हैं',
+    'empty.archiveTitle': 'अभी कुछ संग्रहित नहीं',
+    'empty.archiveMessage': 'जिन आइटम को आप उपयोग किया, फेंका गया या दान किया चिह्नित करते हैं, वे यहाँ रहते हैं',
+
+    'card.inTrash': 'ट्रैश में',
+    'card.expires': 'समाप्ति: {date}',
+    'card.printedDate': 'छपी तिथि: {date}',
+    'card.quantity': 'मात्रा: {count}',
+    'card.priceEach': '{price} प्रति नग (कुल {total})',
+    'card.history': 'इतिहास',
+    'card.restoreFromTrash': 'ट्रैश से वापस लाएँ',
+    'card.deleteForever': 'हमेशा के लिए हटाएँ',
+    'card.useOne': 'एक उपयोग करें (सबसे पुराना लॉट पहले)',
+    'card.freeze': 'फ़्रीज़र में रखें',
+    'card.restoreActive': 'सक्रिय आइटम में वापस लाएँ',
+    'card.edit': 'संपादित करें',
+    'card.moveToTrash': 'ट्रैश में भेजें',
+    'card.markConsumed': 'उपयोग किया चिह्नित करें',
+    'card.markDiscarded': 'फेंका गया चिह्नित करें',
+    'card.markDonated': 'दान किया चिह्नित करें',
+    'card.deletedOn': '{date} को हटाया गया',
+    'card.purgeIn': '{count} दिन में हमेशा के लिए मिट जाएगा',
+    'card.purgeToday': 'आज हमेशा के लिए मिट जाएगा',
+    'card.purgeTomorrow': 'कल हमेशा के लिए मिट जाएगा',
+    'card.openedDaysAgo': '{count} दिन पहले खोला गया',
+    'card.openedToday': 'आज खोला गया',
+    'card.openedYesterday': 'कल खोला गया',
+    'card.useWithin': '{count} दिन में उपयोग करें',
+    'card.addedBy': '{name} ने जोड़ा',
+    'card.editedBy': '{name} ने संपादित किया',
+
+    'member.you': 'आप',
+    'member.former': 'एक पूर्व सदस्य',
+
+    'sync.failed': 'सिंक विफल',
+    'sync.retry': 'फिर से कोशिश करें',
+    'sync.discard': 'छोड़ें',
+    'sync.pending': 'सिंक बाकी',
+
+    'form.addTitle': 'नया आइटम जोड़ें',
+    'form.editTitle': 'आइटम संपादित करें',
+    'form.name': 'आइटम का नाम *',
+    'form.namePlaceholder': 'जैसे, दूध, ब्रेड',
+    'form.scan': 'बारकोड या QR कोड स्कैन करें',
+    'form.category': 'श्रेणी',
+    'form.selectCategory': 'श्रेणी चुनें',
+    'form.location': 'स्थान',
+    'form.noLocation': 'कोई स्थान नहीं',
+    'form.quantity': 'मात्रा',
+    'form.expiryDate': 'समाप्ति तिथि *',
+    'form.addLot': '+ लॉट जोड़ें',
+    'form.removeLot': 'लॉट हटाएँ',
+    'form.lotHint': 'किसी और दिन और ख़रीदा? हर समाप्ति तिथि के लिए एक लॉट जोड़ें।',
+    'form.openedAt': 'खोलने की तिथि',
+    'form.useWithin': 'इतने दिन में उपयोग करें (खोलने के बाद)',
+    'form.useWithinPlaceholder': 'जैसे, 5',
+    'form.minQuantity': 'न्यूनतम मात्रा',
+    'form.optional': 'वैकल्पिक',
+    'form.minQuantityHint': 'मात्रा इससे कम होने पर ख़रीदारी सूची में जुड़ जाता है।',
+    'form.unitPrice': 'इकाई मूल्य',
+    'form.currency': 'मुद्रा',
+    'form.notes': 'नोट',
+    'form.notesPlaceholder': 'कोई नोट जोड़ें...',
+    'form.tags': 'टैग',
+    'form.tagsPlaceholder': 'टैग लिखें और Enter दबाएँ',
+    'form.removeTag': '{tag} हटाएँ',
+    'form.image': 'चित्र',
+    'form.uploadImage': 'चित्र अपलोड करें',
+    'form.imageOffline': 'चित्र केवल ऑनलाइन होने पर अपलोड हो सकते हैं',
+    'form.save': 'आइटम सहेजें',
+
+    'scanner.typeBarcode': 'या बारकोड संख्या लिखें',
+    'scanner.lookUp': 'खोजें',
+    'scanner.hint': 'कैमरा बारकोड या QR कोड की ओर करें',
+    'scanner.noCamera': 'कोई कैमरा उपलब्ध नहीं - बारकोड संख्या लिखें',
+    'scanner.cameraFailed': 'कैमरा नहीं खुल सका - बारकोड संख्या लिखें',
+    'scanner.invalid': 'यह मान्य उत्पाद बारकोड नहीं है',
+    'scanner.unknown': 'अज्ञात उत्पाद - सहेजने पर याद रखा जाएगा',
+    'scanner.found': '{name} मिला',
+
+    'confirm.addAsLot': '{name} पहले से आपकी सूची में है। क्या इसे नए लॉट के रूप में जोड़ें?',
+    'confirm.deleteForever': '{name} को हमेशा के लिए हटाएँ? यह वापस नहीं होगा।',
+    'confirm.discardChange': 'यह बिना सिंक हुआ बदलाव छोड़ दें?',
+
+    'realtime.added': 'नया आइटम जोड़ा गया',
+    'realtime.trashed': 'आइटम ट्रैश में भेजा गया',
+    'realtime.restored': 'आइटम ट्रैश से वापस लाया गया',
+    'realtime.updated': 'आइटम अपडेट हुआ',
+    'realtime.deleted': 'आइटम हटाया गया',
+
+    'toast.householdLoadFailed': 'आपका घर लोड नहीं हो सका',
+    'toast.offlineItems': 'आप ऑफ़लाइन हैं - सहेजे गए आइटम दिख रहे हैं',
+    'toast.itemsLoadFailed': 'आइटम लोड नहीं हो सके',
+    'toast.syncFailed': '{count} बदलाव सिंक नहीं हो सके',
+    'toast.itemGone': 'वह आइटम अब आपकी सूची में नहीं है',
+    'toast.savedOffline': 'ऑफ़लाइन सहेजा गया - फिर से जुड़ने पर सिंक होगा',
+    'toast.saved': '{name} सहेजा गया',
+    'toast.saveFailed': 'आइटम सहेजा नहीं जा सका',
+    'toast.restored': '{name} वापस लाया गया',
+    'toast.marked.consumed': '{name} उपयोग किया चिह्नित हुआ',
+    'toast.marked.discarded': '{name} फेंका गया चिह्नित हुआ',
+    'toast.marked.donated': '{name} दान किया चिह्नित हुआ',
+    'toast.updateFailed': 'आइटम अपडेट नहीं हो सका',
+    'toast.usedOne': '{date} को समाप्त होने वाले लॉट से 1 {name} उपयोग किया',
+    'toast.frozen': '{name} {freezer} में रखा गया - अब {date} तक ठीक है',
+    'toast.frozenNoExtension': '{name} {freezer} में रखा गया; इसकी श्रेणी में फ़्रीज़र से अवधि नहीं बढ़ती',
+    'toast.rescheduled': '{name} अब {date} को समाप्त होगा',
+    'toast.trashed': '{name} ट्रैश में भेजा गया',
+    'toast.deleteFailed': 'आइटम हटाया नहीं जा सका',
+    'toast.restoreFailed': 'आइटम वापस नहीं लाया जा सका',
+    'toast.undo': 'पूर्ववत करें',
+    'toast.undone': 'पूर्ववत किया गया',
+    'toast.undoFailed': 'पूर्ववत नहीं हो सका',
+    'toast.bulkUpdateFailed': 'आइटम अपडेट नहीं हो सके',
+    'toast.bulkDeleteFailed': 'आइटम हटाए नहीं जा सके',
+
+    'history.title': 'इतिहास',
+    'history.titleFor': '{name} का इतिहास',
+    'history.loadFailed': 'इतिहास लोड नहीं हो सका',
+    'history.offline': 'इतिहास केवल ऑनलाइन उपलब्ध है',
+    'history.empty': 'अभी कोई बदलाव दर्ज नहीं',
+    'history.addedBy': '{name} ने जोड़ा',
+    'history.changedBy': '{name} ने बदला',
+    'history.addedAutomatically': 'अपने-आप जोड़ा गया',
+    'history.changedAutomatically': 'अपने-आप बदला गया',
+    'history.revert': 'इस संस्करण पर लौटें',
+    'history.inTrash': 'ट्रैश में',
+    'history.notInTrash': 'ट्रैश में नहीं',
+    'history.none': 'कुछ नहीं',
+    'history.removedLocation': 'एक हटाया गया स्थान',
+    'history.photo': 'एक फ़ोटो',
+    'history.alreadyMatches': '{name} पहले से इस संस्करण जैसा है',
+    'history.reverted': '{name} पिछले संस्करण पर लौटाया गया',
+    'history.revertFailed': 'आइटम पिछले संस्करण पर नहीं लौट सका',
+    'history.field.name': 'नाम',
+    'history.field.category': 'श्रेणी',
+    'history.field.expiry_date': 'समाप्ति तिथि',
+    'history.field.quantity': 'मात्रा',
+    'history.field.lots': 'लॉट',
+    'history.field.location_id': 'स्थान',
+    'history.field.original_expiry_date': 'छपी तिथि',
+    'history.field.opened_at': 'खोला गया',
+    'history.field.use_within_days': 'इतने दिन में उपयोग करें',
+    'history.field.min_quantity': 'न्यूनतम मात्रा',
+    'history.field.unit_price': 'मूल्य',
+    'history.field.currency': 'मुद्रा',
+    'history.field.notes': 'नोट',
+    'history.field.tags': 'टैग',
+    'history.field.image_url': 'फ़ोटो',
+    'history.field.status': 'स्थिति',
+    'history.field.deleted_at': 'ट्रैश',
+
+    'collections.new': 'नया संग्रह',
+    'collections.edit': 'संग्रह बदलें',
+    'collections.name': 'नाम',
+    'collections.namePlaceholder': 'जैसे, शिशु का सामान',
+    'collections.query': 'क्वेरी',
+    'collections.help': 'tag:, category:, location:, name:, is:opened, is:frozen, is:expired, expires < 14d और quantity >= 2 को AND, OR, NOT और कोष्ठकों से जोड़ें।',
+    'collections.save': 'संग्रह सहेजें',
+    'collections.delete': 'हटाएँ',
+    'collections.matching': { one: '{count} आइटम मिला', other: '{count} आइटम मिले' },
+    'collections.saved': '{name} सहेजा गया',
+    'collections.saveFailed': 'संग्रह सहेजने में विफल',
+    'collections.confirmDelete': 'संग्रह {name} हटाएँ? इसके आइटम नहीं बदलेंगे।',
+    'collections.deleted': '{name} हटाया गया',
+    'collections.deleteFailed': 'संग्रह हटाने में विफल',
+    'collections.errorUnexpected': 'अनपेक्षित "{token}"',
+    'collections.errorField': 'अज्ञात फ़ील्ड "{field}:"',
+    'collections.errorValue': '{field}: के लिए मान चाहिए',
+    'collections.errorFlag': 'is: के मान opened, frozen या expired हो सकते हैं, "{value}" नहीं',
+    'collections.errorOperator': '{field} के लिए <, <=, >, >= या = चाहिए',
+    'collections.errorNumber': '{field} के लिए संख्या चाहिए',
+    'collections.errorEnd': 'क्वेरी अधूरी है',
+    'collections.errorParenthesis': 'एक कोष्ठक बंद नहीं है',
+    'collections.errorEmpty': 'क्वेरी लिखें',
+    'collections.errorDuplicate': '{name} नाम का संग्रह पहले से है',
+    'pdf.subtitle': 'समाप्ति तिथि प्रबंधन प्रणाली',
+    'pdf.generatedOn': 'बनाया गया: {date}',
+    'pdf.userInfo': 'उपयोगकर्ता जानकारी',
+    'pdf.name': 'नाम: {name}',
+    'pdf.email': 'ईमेल: {email}',
+    'pdf.household': 'घर: {household}',
+    'pdf.itemsList': 'आइटम सूची',
+    'pdf.itemName': 'आइटम का नाम',
+    'pdf.category': 'श्रेणी',
+    'pdf.qty': 'मात्रा',
+    'pdf.expiryDate': 'समाप्ति तिथि',
+    'pdf.status': 'स्थिति',
+    'pdf.cost': 'लागत',
+    'pdf.expired': 'समाप्त',
+    'pdf.today': 'आज',
+    'pdf.days': { one: '{count} दिन', other: '{count} दिन' },
+    'pdf.opened': '{date} (खुला हुआ)',
+    'pdf.summary': 'सारांश',
+    'pdf.items': 'आइटम',
+    'pdf.inventoryValue': 'भंडार का मूल्य',
+    'pdf.expiringWeek': '7 दिन में समाप्त होने वाले',
+    'pdf.expiredValue': 'समाप्त आइटम का मूल्य',
+    'pdf.page': 'पृष्ठ {page} / {count}',
+    'pdf.footer': 'ExpiryTracker - समाप्ति तिथियों पर आसानी से नज़र रखें',
+    'pdf.done': 'PDF निर्यात हो गया',
+    'pdf.failed': 'PDF निर्यात नहीं हो सका',
+    'pdf.fontMissing': 'इस भाषा का PDF फ़ॉन्ट लोड नहीं हो सका - कुछ पाठ नहीं छप सकता',
+
+    'role.owner': 'स्वामी',
+    'role.editor': 'संपादक',
+    'role.viewer': 'दर्शक',
+
+    'profile.title': 'प्रोफ़ाइल सेटिंग्स',
+    'profile.avatarHint': 'अवतार बदलने के लिए कैमरा आइकन पर क्लिक करें',
+    'profile.personal': 'व्यक्तिगत जानकारी',
+    'profile.name': 'पूरा नाम',
+    'profile.namePlaceholder': 'अपना नाम लिखें',
+    'profile.email': 'ईमेल पता',
+    'profile.emailHint': 'ईमेल बदला नहीं जा सकता',
+    'profile.timezone': 'समय क्षेत्र',
+    'profile.timezoneHint': 'इससे तय होता है कि आइटम का समाप्ति दिन कब शुरू होता है और रिमाइंडर कब आते हैं',
+    'profile.language': 'भाषा',
+    'profile.languageHint': 'डैशबोर्ड, तिथियों, संख्याओं और PDF रिपोर्ट के लिए',
+    'profile.notifications': 'सूचनाएँ',
+    'profile.push': 'पुश सूचनाएँ',
+    'profile.pushHint': 'समाप्त होने वाले आइटम की सूचना पाएँ',
+    'profile.reminders': 'रिमाइंडर नियम',
+    'profile.leadDays': 'मुझे याद दिलाएँ (समाप्ति से इतने दिन पहले)',
+    'profile.leadDaysPlaceholder': 'जैसे, 7, 3, 0',
+    'profile.leadDaysHint': 'अल्पविराम से अलग करें। 0 का अर्थ है समाप्ति के दिन।',
+    'profile.categoryOverrides': 'श्रेणी के अनुसार नियम',
+    'profile.addCategoryRule': 'श्रेणी नियम जोड़ें',
+    'profile.ruleDaysPlaceholder': 'जैसे, 30, 14, 7',
+    'profile.deliveryTime': 'भेजने का समय',
+    'profile.quietStart': 'शांत समय शुरू',
+    'profile.quietEnd': 'शांत समय समाप्त',
+    'profile.quietHint': 'शांत समय में कोई रिमाइंडर नहीं भेजा जाता। बंद करने के लिए खाली छोड़ें।',
+    'profile.calendarFeed': 'कैलेंडर फ़ीड',
+    'profile.feedUrl': 'सदस्यता लिंक',
+    'profile.feedPlaceholder': 'अभी कोई लिंक नहीं',
+    'profile.feedHint': 'अपनी समाप्ति तिथियाँ देखने के लिए Google Calendar, Apple Calendar या Outlook में इस लिंक की सदस्यता लें; रिमाइंडर के दिन अलार्म के रूप में दिखते हैं। लिंक वाला कोई भी व्यक्ति आपके आइटम देख सकता है; पुराना लिंक बंद करने के लिए इसे रीसेट करें।',
+    'profile.feedCreate': 'लिंक बनाएँ',
+    'profile.feedReset': 'लिंक रीसेट करें',
+    'profile.feedTurnOff': 'बंद करें',
+    'profile.digest': 'ईमेल सारांश',
+    'profile.digestSend': 'भेजें',
+    'profile.digestWeekday': 'किस दिन',
+    'profile.digestDaysAhead': 'इतने दिनों में समाप्त होने वाले आइटम दिखाएँ',
+    'profile.digestHint': 'समाप्त हो चुके और आज समाप्त होने वाले आइटम हमेशा श्रेणी के अनुसार दिखाए जाते हैं। सारांश आपके रिमाइंडर के समय भेजा जाता है और दिखाने को कुछ न हो तो नहीं भेजा जाता।',
+    'profile.digestTest': 'परीक्षण सारांश भेजें',
+    'profile.saveChanges': 'बदलाव सहेजें',
+    'profile.statistics': 'आँकड़े',
+    'profile.activeItems': 'सक्रिय आइटम',
+    'profile.expiringSoon': 'जल्द समाप्त होने वाले',
+    'profile.expired': 'समाप्त',
+    'profile.inventoryValue': 'भंडार का मूल्य',
+    'profile.expiringValue': 'इस सप्ताह समाप्त होने वाले',
+    'profile.lostValue': 'समाप्ति से हुआ नुकसान',
+    'profile.analyticsLink': 'बर्बादी विश्लेषण देखें',
+    'profile.loadFailed': 'प्रोफ़ाइल लोड नहीं हो सकी',
+    'profile.feedConfirmReset': 'कैलेंडर लिंक रीसेट करें? पुराने लिंक से जुड़े कैलेंडर अपडेट होना बंद हो जाएँगे।',
+    'profile.feedResetDone': 'कैलेंडर लिंक रीसेट किया गया',
+    'profile.feedCreated': 'कैलेंडर लिंक बनाया गया',
+    'profile.feedFailed': 'कैलेंडर लिंक अपडेट नहीं हो सका',
+    'profile.feedConfirmTurnOff': 'कैलेंडर लिंक बंद करें? जुड़े हुए कैलेंडर अपडेट होना बंद हो जाएँगे।',
+    'profile.feedTurnedOff': 'कैलेंडर लिंक बंद किया गया',
+    'profile.feedCopied': 'कैलेंडर लिंक कॉपी किया गया',
+    'profile.feedCopyManually': 'सदस्यता के लिए चुना गया लिंक कॉपी करें',
+    'profile.digestLoadFailed': 'सारांश की सेटिंग्स लोड नहीं हो सकीं',
+    'profile.digestLastError': 'पिछला सारांश नहीं भेजा जा सका: {error}',
+    'profile.digestLastSent': 'पिछली बार {date} को भेजा गया',
+    'profile.digestNotSent': 'अभी तक कोई सारांश नहीं भेजा गया',
+    'profile.digestDaysInvalid': 'सारांश 1 से 60 दिन आगे तक देख सकता है',
+    'profile.digestTestSent': 'परीक्षण सारांश {email} पर भेजा गया',
+    'profile.digestTestFailed': 'परीक्षण सारांश नहीं भेजा जा सका',
+    'profile.leadDaysInvalid': 'रिमाइंडर के दिन 0 से 365 के बीच पूर्ण संख्याएँ होने चाहिए',
+    'profile.ruleIncomplete': 'हर श्रेणी नियम में एक श्रेणी और मान्य रिमाइंडर दिन होने चाहिए',
+    'profile.ruleDuplicate': '{category} के एक से अधिक नियम हैं',
+    'profile.quietIncomplete': 'शांत समय की शुरुआत और अंत दोनों सेट करें',
+    'profile.avatarUpdated': 'अवतार अपडेट किया गया',
+    'profile.avatarFailed': 'अवतार अपलोड नहीं हो सका',
+    'profile.nameMissing': 'कृपया अपना नाम लिखें',
+    'profile.saved': 'प्रोफ़ाइल अपडेट की गई',
+    'profile.saveFailed': 'प्रोफ़ाइल सहेजी नहीं जा सकी',
+    'profile.notificationsDenied': 'सूचना की अनुमति नहीं दी गई',
+    'profile.pushEnabled': 'इस डिवाइस पर सूचनाएँ चालू की गईं',
+    'profile.pushWhileOpen': 'ऐप खुला रहने तक सूचनाएँ चालू हैं',
+    'profile.pushOff': 'इस डिवाइस के लिए पुश रिमाइंडर बंद किए गए',
+    'profile.notificationsGranted': 'सूचनाएँ चालू हैं',
+    'profile.notificationsBlocked': 'सूचनाएँ अवरुद्ध हैं। कृपया उन्हें अपने ब्राउज़र की सेटिंग्स में चालू करें।',
+    'profile.notificationsDefault': 'समाप्त होने वाले आइटम की चेतावनी पाने के लिए सूचनाएँ चालू करें',
+
+    'digest.off': 'बंद',
+    'digest.daily': 'रोज़',
+    'digest.weekly': 'साप्ताहिक',
+
+    'household.title': 'परिवार',
+    'household.active': 'सक्रिय परिवार',
+    'household.name': 'परिवार का नाम',
+    'household.namePlaceholder': 'जैसे, घर',
+    'household.members': 'सदस्य',
+    'household.invite': 'ईमेल से आमंत्रित करें',
+    'household.inviteButton': 'आमंत्रित करें',
+    'household.myInvites': 'आपके लिए आमंत्रण',
+    'household.locations': 'रखने के स्थान',
+    'household.locationPlaceholder': 'जैसे, गैराज का फ्रिज',
+    'household.freezer': 'फ़्रीज़र',
+    'household.categories': 'श्रेणियाँ',
+    'household.categoriesHint': 'समाप्ति से इतने दिन पहले आइटम का बैज पहले "जल्द" और फिर "चेतावनी" हो जाता है। किसी श्रेणी का नाम बदलने या उसे मिलाने से उसके सभी आइटम अपडेट हो जाते हैं।',
+    'household.categoryPlaceholder': 'जैसे, शिशु आहार',
+    'household.freezerExtension': 'फ़्रीज़र में बढ़ी अवधि',
+    'household.freezerExtensionHint': 'फ़्रीज़र में रखने पर आइटम की समाप्ति तिथि में इतने दिन जोड़े जाते हैं। छपी हुई तिथि रखने के लिए खाली छोड़ें।',
+    'household.saveExtensions': 'अवधि सहेजें',
+    'household.trash': 'ट्रैश',
+    'household.trashHint': 'हटाए गए आइटम इतने दिनों बाद हमेशा के लिए हटा दिए जाते हैं।',
+    'household.webhooks': 'वेबहुक',
+    'household.webhooksHint': 'आइटम की घटनाएँ JSON के रूप में इन URL पर भेजी जाती हैं, वेबहुक के सीक्रेट से हस्ताक्षरित। विफल डिलीवरी लगभग दो घंटे में 8 बार तक दोबारा भेजी जाती है।',
+    'household.webhookSecretPlaceholder': 'हस्ताक्षर सीक्रेट (वैकल्पिक)',
+    'household.addWebhook': 'वेबहुक जोड़ें',
+    'household.new': 'नया परिवार',
+    'household.leave': 'परिवार छोड़ें',
+    'household.option': '{name} ({role})',
+    'household.pendingInvite': '{role} · लंबित',
+    'household.join': 'शामिल हों',
+    'household.decline': 'अस्वीकार करें',
+    'household.categoryIcon': 'आइकन',
+    'household.categoryColor': 'रंग',
+    'household.soon': 'जल्द',
+    'household.warning': 'चेतावनी',
+    'household.mergeInto': 'इसमें मिलाएँ...',
+    'household.windows': 'जल्द {soon} · चेतावनी {warning} दिन',
+    'household.detailsFailed': 'परिवार का विवरण लोड नहीं हो सका',
+    'household.windowsInvalid': '1 से 3650 तक दिनों की पूर्ण संख्याएँ लिखें',
+    'household.windowsOrder': 'चेतावनी की अवधि "जल्द" की अवधि से छोटी नहीं हो सकती',
+    'household.roleUpdated': 'भूमिका अपडेट की गई',
+    'household.confirmRemove': 'इस सदस्य को परिवार से निकालें?',
+    'household.memberRemoved': 'सदस्य निकाला गया',
+    'household.renameLocationPrompt': 'इस स्थान का नया नाम',
+    'household.locationRenamed': 'स्थान का नाम बदला गया',
+    'household.confirmDeleteLocation': '{name} हटाएँ? वहाँ रखे आइटम का कोई स्थान नहीं रहेगा।',
+    'household.locationDeleted': 'स्थान हटाया गया',
+    'household.windowsSaved': 'बैज की अवधि सहेजी गई',
+    'household.renameCategoryPrompt': 'इस श्रेणी का नया नाम',
+    'household.categoryRenamed': 'नाम बदलकर {name} किया गया; इसके आइटम अपडेट किए गए',
+    'household.confirmMerge': 'इस श्रेणी के सभी आइटम {name} में ले जाकर इसे हटाएँ?',
+    'household.merged': '{name} में मिलाया गया',
+    'household.confirmDeleteCategory': '{name} हटाएँ? इसके आइटम की कोई श्रेणी नहीं रहेगी।',
+    'household.categoryDeleted': 'श्रेणी हटाई गई',
+    'household.joined': 'आप परिवार में शामिल हो गए',
+    'household.updateFailed': 'परिवार अपडेट नहीं हो सका',
+    'household.emailInvalid': 'कृपया मान्य ईमेल पता लिखें',
+    'household.inviteSent': '{email} को आमंत्रण भेजा गया। वे अपने प्रोफ़ाइल पेज से शामिल हो सकते हैं।',
+    'household.inviteFailed': 'आमंत्रण नहीं भेजा जा सका',
+    'household.added': '{name} जोड़ा गया',
+    'household.locationAddFailed': 'स्थान नहीं जोड़ा जा सका',
+    'household.categoryAddFailed': 'श्रेणी नहीं जोड़ी जा सकी',
+    'household.extensionInvalid': '{category}: 3650 तक दिनों की पूर्ण संख्या लिखें',
+    'household.extensionsSaved': 'फ़्रीज़र की अवधि सहेजी गई',
+    'household.extensionsFailed': 'फ़्रीज़र की अवधि सहेजी नहीं जा सकी',
+    'household.retentionInvalid': '1 से 365 तक दिनों की पूर्ण संख्या लिखें',
+    'household.retentionSaved': 'ट्रैश की अवधि सहेजी गई',
+    'household.retentionFailed': 'ट्रैश की अवधि सहेजी नहीं जा सकी',
+    'household.switchFailed': 'परिवार बदला नहीं जा सका',
+    'household.nameMissing': 'कृपया परिवार का नाम लिखें',
+    'household.renamed': 'परिवार का नाम बदला गया',
+    'household.renameFailed': 'परिवार का नाम बदला नहीं जा सका',
+    'household.newPrompt': 'नए परिवार का नाम',
+    'household.createFailed': 'परिवार नहीं बनाया जा सका',
+    'household.lastOwner': 'छोड़ने से पहले किसी और सदस्य को स्वामी बनाएँ',
+    'household.confirmLeave': '{name} छोड़ें? आप इसके आइटम नहीं देख पाएँगे।',
+    'household.leaveFailed': 'परिवार छोड़ा नहीं जा सका',
+    'household.noHousehold': 'आप किसी परिवार के सदस्य नहीं हैं',
+    'household.member': 'सदस्य',
+    'household.alreadyInvited': '{email} को पहले ही आमंत्रित किया जा चुका है',
+    'household.locationExists': '{name} नाम का स्थान पहले से है',
+    'household.categoryExists': '{name} नाम की श्रेणी पहले से है',
+
+    'webhook.event.item.created': 'आइटम जोड़ा गया',
+    'webhook.event.item.updated': 'आइटम बदला गया',
+    'webhook.event.item.deleted': 'आइटम हटाया गया',
+    'webhook.event.item.expiring': 'आइटम जल्द समाप्त होने वाला',
+    'webhook.event.item.expired': 'आइटम समाप्त',
+    'webhook.active': 'सक्रिय',
+    'webhook.copySecret': 'सीक्रेट कॉपी करें',
+    'webhook.deliveries': 'डिलीवरी',
+    'webhook.status.pending': 'लंबित',
+    'webhook.status.delivered': 'पहुँचा',
+    'webhook.status.failed': 'विफल',
+    'webhook.status.retrying': 'दोबारा प्रयास',
+    'webhook.redelivery': '{event} (दोबारा भेजा गया)',
+    'webhook.noResponse': 'कोई जवाब नहीं',
+    'webhook.attempts': '{count} प्रयास',
+    'webhook.nextTry': 'अगला प्रयास {time}',
+    'webhook.redeliver': 'दोबारा भेजें',
+    'webhook.noDeliveries': 'अभी तक कोई डिलीवरी नहीं',
+    'webhook.turnedOn': 'वेबहुक चालू किया गया',
+    'webhook.paused': 'वेबहुक रोका गया',
+    'webhook.secretCopied': 'हस्ताक्षर सीक्रेट कॉपी किया गया',
+    'webhook.redeliveryQueued': 'दोबारा भेजना कतार में है, यह एक मिनट में भेजा जाएगा',
+    'webhook.confirmDelete': 'यह वेबहुक और इसका डिलीवरी लॉग हटाएँ?',
+    'webhook.deleted': 'वेबहुक हटाया गया',
+    'webhook.updateFailed': 'वेबहुक अपडेट नहीं हो सका',
+    'webhook.added': 'वेबहुक जोड़ा गया',
+    'webhook.addedWithSecret': 'वेबहुक जोड़ा गया। हस्ताक्षर जाँचने के लिए इसका सीक्रेट कॉपी करें।',
+    'webhook.addFailed': 'वेबहुक नहीं जोड़ा जा सका',
+    'webhook.urlInvalid': 'http:// या https:// से शुरू होने वाला URL लिखें',
+    'webhook.urlPrivate': 'वेबहुक केवल सार्वजनिक पतों पर भेजे जा सकते हैं, localhost या निजी नेटवर्क पर नहीं',
+    'webhook.noEvents': 'कम से कम एक घटना चुनें',
+    'webhook.secretTooShort': 'हस्ताक्षर सीक्रेट में कम से कम {count} अक्षर होने चाहिए',
+
+    'shopping.namePlaceholder': 'आइटम जोड़ें, जैसे अंडे',
+    'shopping.emptyTitle': 'ख़रीदने को कुछ नहीं',
+    'shopping.emptyMessage': 'जो आइटम आप इस्तेमाल कर लेते हैं, फेंक देते हैं या समाप्त हो जाते हैं, वे अपने आप यहाँ जुड़ जाते हैं, और वे भी जिनकी मात्रा न्यूनतम से कम हो जाती है।',
+    'shopping.bought': 'ख़रीद लिया - इसे अपने आइटम में जोड़ें',
+    'shopping.remove': 'सूची से निकालें',
+    'shopping.addedOn': '{date} को जोड़ा गया',
+    'shopping.source.manual': 'हाथ से जोड़ा गया',
+    'shopping.source.used_up': 'इस्तेमाल हो गया',
+    'shopping.source.expired': 'समाप्त',
+    'shopping.source.low_stock': 'कम बचा है',
+    'shopping.loadFailed': 'ख़रीदारी सूची लोड नहीं हो सकी',
+    'shopping.addFailed': 'ख़रीदारी सूची में नहीं जोड़ा जा सका',
+    'shopping.updateFailed': 'ख़रीदारी सूची अपडेट नहीं हो सकी',
+    'shopping.alreadyListed': '{name} पहले से सूची में है',
+
+    'analytics.range.3': 'पिछले 3 महीने',
+    'analytics.range.6': 'पिछले 6 महीने',
+    'analytics.range.12': 'पिछले 12 महीने',
+    'analytics.range.all': 'पूरा समय',
+    'analytics.range.custom': 'अपनी अवधि',
+    'analytics.used': 'इस्तेमाल हुए आइटम',
+    'analytics.wasted': 'बर्बाद हुए आइटम',
+    'analytics.wasteRate': 'बर्बादी दर',
+    'analytics.averageDays': 'इस्तेमाल के समय औसतन बचे दिन',
+    'analytics.monthlyTitle': 'महीने के अनुसार इस्तेमाल बनाम बर्बादी',
+    'analytics.monthlyCaption': 'उपभोग किए और दान किए गए आइटम इस्तेमाल में गिने जाते हैं; फेंके गए और समाप्ति तिथि के बाद छूटे आइटम बर्बादी में गिने जाते हैं।',
+    'analytics.trendTitle': 'बर्बादी दर का रुझान',
+    'analytics.categoriesTitle': 'सबसे ज़्यादा बर्बादी वाली श्रेणियाँ',
+    'analytics.categoriesCaption': 'हर श्रेणी में बर्बाद हुए आइटम',
+    'analytics.seriesUsed': 'इस्तेमाल',
+    'analytics.seriesWasted': 'बर्बाद',
+    'analytics.seriesTrend': 'रुझान',
+    'analytics.uncategorized': 'बिना श्रेणी',
+    'analytics.noWaste': 'इस अवधि में कोई आइटम बर्बाद नहीं हुआ',
+    'analytics.trendNone': 'रुझान देखने के लिए कम से कम दो महीने तक आइटम को उपभोग, फेंका या दान किया गया चिह्नित करें',
+    'analytics.trendBetter': 'सुधार: इस अवधि में बर्बादी दर लगभग {count} अंक घटी',
+    'analytics.trendWorse': 'बिगड़ रहा है: इस अवधि में बर्बादी दर लगभग {count} अंक बढ़ी',
+    'analytics.trendSteady': 'इस अवधि में स्थिर',
+    'analytics.loadFailed': 'विश्लेषण लोड नहीं हो सका',
+    'analytics.rangeInvalid': 'शुरुआती तिथि अंतिम तिथि से पहले होनी चाहिए',
+
+    'import.title': 'आइटम आयात करें',
+    'import.delimiter': 'विभाजक',
+    'import.dateFormat': 'तिथि प्रारूप',
+    'import.hasHeader': 'पहली पंक्ति में कॉलम के नाम हैं',
+    'import.mapColumns': 'कॉलम मिलाएँ',
+    'import.preview': 'पूर्वावलोकन',
+    'import.review': 'आयात की जाँच करें',
+    'import.duplicates': 'डुप्लिकेट (एक ही नाम और समाप्ति तिथि)',
+    'import.back': 'पीछे',
+    'import.confirm': 'आयात करें',
+    'import.field.name': 'नाम',
+    'import.field.category': 'श्रेणी',
+    'import.field.quantity': 'मात्रा',
+    'import.field.expiry_date': 'समाप्ति तिथि',
+    'import.field.notes': 'नोट',
+    'import.field.tags': 'टैग',
+    'import.field.unit_price': 'इकाई मूल्य',
+    'import.field.currency': 'मुद्रा',
+    'import.separator.comma': 'अल्पविराम',
+    'import.separator.tab': 'टैब',
+    'import.separator.semicolon': 'अर्धविराम',
+    'import.order.DMY': 'DD/MM/YYYY (दिन पहले)',
+    'import.order.MDY': 'MM/DD/YYYY (महीना पहले)',
+    'import.strategy.skip': 'डुप्लिकेट छोड़ें',
+    'import.strategy.overwrite': 'मौजूदा आइटम बदलें',
+    'import.strategy.keep': 'दोनों रखें',
+    'import.column': 'कॉलम {number}',
+    'import.notImported': 'आयात नहीं होगा',
+    'import.chooseDateFormat': 'तिथि प्रारूप चुनें',
+    'import.dateAmbiguous': 'इन तिथियों में दिन या महीना कोई भी पहले हो सकता है। इस फ़ाइल में इस्तेमाल क्रम चुनें।',
+    'import.dateDetected': 'फ़ाइल से पहचाना गया',
+    'import.invalid': 'अमान्य',
+    'import.showing': '{count} में से {shown} पंक्तियाँ दिखाई जा रही हैं',
+    'import.mapRequired': 'पहले नाम और समाप्ति तिथि के कॉलम मिलाएँ',
+    'import.dateFormatRequired': 'इस फ़ाइल में इस्तेमाल तिथि प्रारूप चुनें',
+    'import.rows': '{count} पंक्तियाँ',
+    'import.withErrors': '{count} में त्रुटियाँ',
+    'import.likelyDuplicates': '{count} संभावित डुप्लिकेट',
+    'import.plan': '{add} जोड़े जाएँगे, {update} बदले जाएँगे, {skip} छोड़े जाएँगे',
+    'import.row': 'पंक्ति',
+    'import.qty': 'मात्रा',
+    'import.status': 'स्थिति',
+    'import.submit': '{count} आइटम आयात करें',
+    'import.duplicateOfItem': 'मौजूदा आइटम का डुप्लिकेट',
+    'import.duplicateOfRow': 'पंक्ति {row} का डुप्लिकेट',
+    'import.ready': 'तैयार',
+    'import.doneNew': '{count} नए आयात किए गए',
+    'import.doneOverwrote': '{count} बदले गए',
+    'import.doneSkipped': '{count} डुप्लिकेट छोड़े गए',
+    'import.doneInvalid': 'त्रुटियों वाली {count} पंक्तियाँ छोड़ी गईं',
+    'import.failed': 'डेटा आयात नहीं हो सका',
+    'import.notJson': 'यह फ़ाइल मान्य JSON नहीं है',
+    'import.notBackup': 'यह फ़ाइल ExpiryTracker बैकअप नहीं है',
+    'import.error.nameMissing': 'नाम नहीं है',
+    'import.error.expiryMissing': 'समाप्ति तिथि नहीं है',
+    'import.error.expiry': '"{value}" मान्य समाप्ति तिथि नहीं है',
+    'import.error.quantity': '"{value}" मान्य मात्रा नहीं है',
+    'import.error.lots': 'किसी लॉट की मात्रा या समाप्ति तिथि अमान्य है',
+    'import.error.openedAt': '"{value}" मान्य खोलने की तिथि नहीं है',
+    'import.error.useWithin': '"{value}" दिनों की मान्य संख्या नहीं है',
+    'import.error.price': '"{value}" मान्य मूल्य नहीं है',
+    'import.error.currency': '"{value}" मुद्रा कोड नहीं है',
+    'import.error.status': '"{value}" मान्य स्थिति नहीं है'
+};
@@ -0,0 +1,98 @@
+// Item Lots - one product bought on different days, each lot with its own quantity and expiry
+import { addDays } from './supabase/functions/_shared/dates.js';
+
+function compareLots(a, b) {
+    return a.expiry_date.localeCompare(b.expiry_date);
+}
+
+/**
+ * An item's lots, earliest expiry first.
+ * Items saved before lots existed are treated as a single lot.
+ */
+export function getLots(item) {
+    if (!item.lots?.length) {
+        return [{ id: item.id, quantity: item.quantity || 1, expiry_date: item.expiry_date }];
+    }
+    return [...item.lots].sort(compareLots);
+}
+
+/**
+ * A new lot with its own id
+ */
+export function createLot(quantity, expiryDate) {
+    return { id: crypto.randomUUID(), quantity, expiry_date: expiryDate };
+}
+
+/**
+ * Item changes that store a set of lots. The item's own expiry date and
+ * quantity mirror the earliest lot and the total, so filters, reminders
+ * and reports keep working without knowing about lots.
+ */
+export function lotChanges(lots) {
+    const sorted = [...lots].sort(compareLots);
+    return {
+        lots: sorted,
+        expiry_date: sorted[0].expiry_date,
+        quantity: sorted.reduce((sum, lot) => sum + lot.quantity, 0)
+    };
+}
+
+/**
+ * Add lots to an existing set; a lot with the same expiry date as one
+ * already there is added to it rather than kept separately
+ */
+export function mergeLots(lots, newLots) {
+    const merged = lots.map(lot => ({ ...lot }));
+
+    newLots.forEach(newLot => {
+        const match = merged.find(lot => lot.expiry_date === newLot.expiry_date);
+        if (match) {
+            match.quantity += newLot.quantity;
+        } else {
+            merged.push({ ...newLot });
+        }
+    });
+
+    return merged.sort(compareLots);
+}
+
+/**
+ * Use up units first-expired-first-out: the earliest lot is emptied
+ * before the next one is touched.
+ * Returns { lots: what is left, used: [{ expiry_date, quantity }] }
+ */
+export function consumeFefo(lots, amount = 1) {
+    let remaining = amount;
+    const left = [];
+    const used = [];
+
+    [...lots].sort(compareLots).forEach(lot => {
+        const take = Math.min(lot.quantity, remaining);
+        remaining -= take;
+
+        if (take > 0) used.push({ expiry_date: lot.expiry_date, quantity: take });
+        if (lot.quantity > take) left.push({ ...lot, quantity: lot.quantity - take });
+    });
+
+    return { lots: left, used };
+}
+
+/**
+ * Move every lot's expiry date by a number of days (negative moves it earlier)
+ */
+export function shiftLots(lots, days) {
+    return lots.map(lot => ({ ...lot, expiry_date: addDays(lot.expiry_date, days) }));
+}
+
+/**
+ * Change the total quantity of a set of lots. Units are taken away from
+ * the earliest lots first; extra units are added to the latest lot.
+ */
+export function setLotQuantity(lots, quantity) {
+    const total = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    if (quantity < total) return consumeFefo(lots, total - quantity).lots;
+
+    const sorted = [...lots].sort(compareLots).map(lot => ({ ...lot }));
+    sorted[sorted.length - 1].quantity += quantity - total;
+    return sorted;
+}
@@ -1,8 +1,20 @@
 // Browser Notification System
-import { supabase } from './config.js';
-import { daysUntilExpiry } from './utils.js';
+import { supabase, VAPID_PUBLIC_KEY } from './config.js';
+import { getTimeZone } from './utils.js';
+import { getLanguage } from './i18n.js';
+import {
+    resolveRules,
+    isDeliveryDue,
+    findDueReminders,
+    buildPushPayload,
+    effectiveExpiryDate
+} from './supabase/functions/_shared/reminders.js';
+import { localTimeParts } from './supabase/functions/_shared/dates.js';
+
+const SHOWN_REMINDERS_KEY = 'expiryTracker.shownReminders';
 
 let notificationPermission = 'default';
+let serviceWorkerRegistration = null;
 
 /**
  * Request notification permission
@@ -27,6 +39,115 @@ export async function requestNotificationPermission() {
     return false;
 }
 
+/**
+ * Register the service worker that receives push reminders
+ */
+export async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return null;
+
+    if (!serviceWorkerRegistration) {
+        try {
+            serviceWorkerRegistration = await navigator.serviceWorker.register('sw.js');
+        } catch (error) {
+            console.error('Error registering service worker:', error);
+            return null;
+        }
+    }
+    return serviceWorkerRegistration;
+}
+
+/**
+ * Check whether this browser can receive Web Push reminders
+ */
+export function isPushSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window;
+}
+
+/**
+ * Subscribe this device to push reminders and store the subscription.
+ * Returns true when the device is subscribed.
+ */
+export async function subscribeToPush() {
+    if (!isPushSupported() || Notification.permission !== 'granted') return false;
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) return false;
+
+        const registration = await registerServiceWorker();
+        if (!registration) return false;
+
+        let subscription = await registration.pushManager.getSubscription();
+        if (!subscription) {
+            subscription = await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY)
+            });
+        }
+
+        const { endpoint, keys } = subscription.toJSON();
+        const { error } = await supabase
+            .from('push_subscriptions')
+            .upsert({
+                user_id: user.id,
+                endpoint,
+                p256dh: keys.p256dh,
+                auth: keys.auth,
+                user_agent: navigator.userAgent
+            }, { onConflict: 'endpoint' });
+
+        if (error) throw error;
+        return true;
+    } catch (error) {
+        console.error('Error subscribing to push:', error);
+        return false;
+    }
+}
+
+/**
+ * Remove this device's push subscription
+ */
+export async function unsubscribeFromPush() {
+    if (!isPushSupported()) return;
+
+    try {
+        const registration = await registerServiceWorker();
+        const subscription = await registration?.pushManager.getSubscription();
+        if (!subscription) return;
+
+        const { error } = await supabase
+            .from('push_subscriptions')
+            .delete()
+            .eq('endpoint', subscription.endpoint);
+
+        if (error) throw error;
+        await subscription.unsubscribe();
+    } catch (error) {
+        console.error('Error unsubscribing from push:', error);
+    }
+}
+
+/**
+ * Check whether this device has an active push subscription
+ */
+export async function hasPushSubscription() {
+    if (!isPushSupported()) return false;
+
+    const registration = await registerServiceWorker();
+    const subscription = await registration?.pushManager.getSubscription();
+    return Boolean(subscription);
+}
+
+/**
+ * Convert a base64url VAPID key to the format pushManager expects
+ */
+function urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    const rawData = atob(base64);
+    return Uint8Array.from(rawData, char => char.charCodeAt(0));
+}
+
 /**
  * Show browser notification
  */
@@ -36,59 +157,117 @@ export function showNotification(title, options = {}) {
     }
 
     const defaultOptions = {
-        icon: '/icon.png',
-        badge: '/badge.png',
+        icon: 'images/logo.png',
+        badge: 'images/logo.png',
         vibrate: [200, 100, 200],
         ...options
     };
 
+    // Go through the service worker when possible so clicks open the item
+    if (serviceWorkerRegistration) {
+        serviceWorkerRegistration.showNotification(title, defaultOptions);
+        return;
+    }
+
     new Notification(title, defaultOptions);
 }
 
 /**
- * Check for expiring items and send notifications
+ * Load a user's reminder rules, falling back to the defaults
+ */
+export async function loadReminderRules(userId) {
+    try {
+        const { data, error } = await supabase
+            .from('reminder_rules')
+            .select('*')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return resolveRules(data);
+    } catch (error) {
+        console.error('Error loading reminder rules:', error);
+        return resolveRules(null);
+    }
+}
+
+/**
+ * Save a user's reminder rules
+ */
+export async function saveReminderRules(userId, rules) {
+    const { error } = await supabase
+        .from('reminder_rules')
+        .upsert({ user_id: userId, ...rules }, { onConflict: 'user_id' });
+
+    if (error) throw error;
+}
+
+// Same key as a reminder_log row: one reminder per item, expiry date and lead time
+function reminderKey(itemId, expiryDate, daysBefore) {
+    return `${itemId}|${expiryDate}|${daysBefore}`;
+}
+
+// Reminders this device has shown, kept until their expiry date has passed
+function loadShownReminders(userId) {
+    try {
+        return JSON.parse(localStorage.getItem(`${SHOWN_REMINDERS_KEY}.${userId}`)) || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Show the reminders that are due, like the server's push would: from the
+ * delivery time on, outside quiet hours, both in the user's time zone. Each
+ * reminder is shown once, and not at all if the server already pushed it.
  */
 export async function checkExpiringItems() {
     try {
         const { data: { user } } = await supabase.auth.getUser();
         if (!user) return;
 
+        const rules = await loadReminderRules(user.id);
+        const local = localTimeParts(new Date(), getTimeZone());
+        if (!isDeliveryDue(rules, local.minutes)) return;
+
+        // RLS limits this to the items of every household the user belongs to
         const { data: items, error } = await supabase
             .from('expiry_items')
             .select('*')
-            .eq('user_id', user.id);
+            .eq('status', 'active')
+            .is('deleted_at', null);
 
         if (error) throw error;
 
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-
-        items.forEach(item => {
-            const days = daysUntilExpiry(item.expiry_date);
-
-            // Notify for items expiring today
-            if (days === 0) {
-                showNotification('Item Expiring Today!', {
-                    body: `${item.name} expires today!`,
-                    tag: `expiry-${item.id}`,
-                    requireInteraction: true
-                });
-            }
-            // Notify for items expiring in 3 days
-            else if (days === 3) {
-                showNotification('Item Expiring Soon', {
-                    body: `${item.name} expires in 3 days`,
-                    tag: `expiry-${item.id}`
-                });
-            }
-            // Notify for items expiring in 7 days
-            else if (days === 7) {
-                showNotification('Upcoming Expiry', {
-                    body: `${item.name} expires in 1 week`,
-                    tag: `expiry-${item.id}`
-                });
-            }
+        const { data: pushed, error: logError } = await supabase
+            .from('reminder_log')
+            .select('item_id, expiry_date, days_before')
+            .eq('user_id', user.id)
+            .gte('expiry_date', local.date);
+
+        if (logError) throw logError;
+
+        const shown = loadShownReminders(user.id).filter(key => key.split('|')[1] >= local.date);
+        const seen = new Set([
+            ...shown,
+            ...pushed.map(row => reminderKey(row.item_id, row.expiry_date, row.days_before))
+        ]);
+
+        findDueReminders(items, local.date, rules).forEach(({ item, daysBefore }) => {
+            const key = reminderKey(item.id, effectiveExpiryDate(item), daysBefore);
+            if (seen.has(key)) return;
+
+            const { title, body, tag, requireInteraction } = buildPushPayload(item, daysBefore, getLanguage());
+            showNotification(title, {
+                body,
+                tag,
+                requireInteraction: requireInteraction || false,
+                data: { itemId: item.id }
+            });
+            shown.push(key);
         });
+
+        localStorage.setItem(`${SHOWN_REMINDERS_KEY}.${user.id}`, JSON.stringify(shown));
     } catch (error) {
         console.error('Error checking expiring items:', error);
     }
@@ -101,37 +280,17 @@ export async function initNotifications() {
     const granted = await requestNotificationPermission();
 
     if (granted) {
-        // Check immediately
-        await checkExpiringItems();
-
-        // Check every 6 hours
-        setInterval(checkExpiringItems, 6 * 60 * 60 * 1000);
+        await registerServiceWorker();
 
-        // Check daily at 9 AM
-        scheduleDailyCheck();
-    }
-}
+        // With a push subscription the server sends reminders, even with the tab closed.
+        // Devices subscribe from the profile page; here the stored row is kept fresh.
+        if (await hasPushSubscription() && await subscribeToPush()) return;
 
-/**
- * Schedule daily notification check at 9 AM
- */
-function scheduleDailyCheck() {
-    const now = new Date();
-    const scheduledTime = new Date();
-    scheduledTime.setHours(9, 0, 0, 0);
-
-    // If 9 AM has passed today, schedule for tomorrow
-    if (now > scheduledTime) {
-        scheduledTime.setDate(scheduledTime.getDate() + 1);
+        // Otherwise check while the page is open, now and then every hour like the
+        // server; reminders wait for the delivery time and are shown once
+        await checkExpiringItems();
+        setInterval(checkExpiringItems, 60 * 60 * 1000);
     }
-
-    const timeUntilCheck = scheduledTime - now;
-
-    setTimeout(() => {
-        checkExpiringItems();
-        // Repeat daily
-        setInterval(checkExpiringItems, 24 * 60 * 60 * 1000);
-    }, timeUntilCheck);
 }
 
 /**
@@ -0,0 +1,170 @@
+// Product Lookup - Barcode to product details
+import { supabase } from './config.js';
+import { todayDate } from './utils.js';
+import { addDays, daysBetween } from './supabase/functions/_shared/dates.js';
+
+const LEARNED_STORAGE_KEY = 'expiryTracker.learnedProducts';
+
+/**
+ * Typical shelf life (in days) used to suggest an expiry date per category
+ */
+export const CATEGORY_SHELF_LIFE = {
+    Dairy: 7,
+    Vegetables: 7,
+    Fruits: 7,
+    Meat: 3,
+    Pantry: 180,
+    Beverages: 180,
+    Medicine: 365,
+    Other: 30
+};
+
+/**
+ * Built-in products keyed by GTIN-13
+ */
+const PRODUCT_TABLE = {
+    '5449000000996': { name: 'Coca-Cola 330ml', category: 'Beverages', shelfLifeDays: 270 },
+    '3017620422003': { name: 'Nutella 400g', category: 'Pantry', shelfLifeDays: 365 },
+    '0737628064502': { name: 'Stir-Fry Rice Noodles', category: 'Pantry', shelfLifeDays: 540 }
+};
+
+// Codes saved by the signed-in user, cached per user so people sharing a browser
+// don't see each other's products
+let learnedProducts = {};
+
+/**
+ * Validate the GS1 check digit of an 8, 12, 13 or 14 digit code
+ */
+export function isValidGtin(code) {
+    if (!/^(\d{8}|\d{12,14})$/.test(code)) return false;
+
+    const digits = code.split('').map(Number);
+    const checkDigit = digits.pop();
+    const sum = digits
+        .reverse()
+        .reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+
+    return (10 - (sum % 10)) % 10 === checkDigit;
+}
+
+/**
+ * Normalize a scanned or typed code to a GTIN-13 lookup key.
+ * Accepts EAN-13, UPC-A, GTIN-14 with a zero indicator, GS1 Digital Link
+ * URLs and GS1 element strings such as "(01)05449000000996".
+ * Returns null if no valid GTIN can be found.
+ */
+export function normalizeBarcode(rawCode) {
+    if (!rawCode) return null;
+
+    let code = String(rawCode).trim();
+
+    const digitalLink = code.match(/\/01\/(\d{8,14})/);
+    const elementString = code.match(/^\(?01\)?(\d{14})/);
+    if (digitalLink) {
+        code = digitalLink[1];
+    } else if (elementString) {
+        code = elementString[1];
+    } else {
+        code = code.replace(/[\s-]/g, '');
+    }
+
+    if (!isValidGtin(code)) return null;
+
+    if (code.length === 14) {
+        if (!code.startsWith('0')) return null;
+        return code.slice(1);
+    }
+
+    return code.padStart(13, '0');
+}
+
+/**
+ * Look up a product by its normalized GTIN.
+ * Codes the user has saved before take priority over the built-in table.
+ */
+export function lookupProduct(gtin) {
+    if (learnedProducts[gtin]) {
+        return { ...learnedProducts[gtin], source: 'learned' };
+    }
+    if (PRODUCT_TABLE[gtin]) {
+        return { ...PRODUCT_TABLE[gtin], source: 'builtin' };
+    }
+    return null;
+}
+
+/**
+ * Suggest an expiry date (YYYY-MM-DD) for a looked-up product
+ */
+export function suggestExpiryDate(product) {
+    const days = product.shelfLifeDays ?? CATEGORY_SHELF_LIFE[product.category];
+    if (days == null) return '';
+
+    return addDays(todayDate(), days);
+}
+
+/**
+ * Load the user's cached codes, then the ones they have saved on other devices
+ */
+export async function syncLearnedProducts(userId) {
+    // Older versions kept one cache for everyone on this browser
+    localStorage.removeItem(LEARNED_STORAGE_KEY);
+    learnedProducts = readLearnedProducts(userId);
+
+    try {
+        const { data, error } = await supabase
+            .from('barcode_products')
+            .select('gtin, name, category, shelf_life_days')
+            .eq('user_id', userId);
+
+        if (error) throw error;
+
+        data.forEach(row => {
+            learnedProducts[row.gtin] = {
+                name: row.name,
+                category: row.category,
+                shelfLifeDays: row.shelf_life_days
+            };
+        });
+        writeLearnedProducts(userId);
+    } catch (error) {
+        console.error('Error loading saved barcodes:', error);
+    }
+}
+
+/**
+ * Remember a product for a barcode so the next scan is instant
+ */
+export async function rememberProduct(userId, gtin, { name, category, expiryDate }) {
+    const shelfLifeDays = Math.max(0, daysBetween(todayDate(), expiryDate));
+
+    learnedProducts[gtin] = { name, category, shelfLifeDays };
+    writeLearnedProducts(userId);
+
+    try {
+        const { error } = await supabase
+            .from('barcode_products')
+            .upsert({
+                user_id: userId,
+                gtin,
+                name,
+                category: category || null,
+                shelf_life_days: shelfLifeDays
+            }, { onConflict: 'user_id,gtin' });
+
+        if (error) throw error;
+    } catch (error) {
+        console.error('Error saving barcode:', error);
+    }
+}
+
+function readLearnedProducts(userId) {
+    try {
+        return JSON.parse(localStorage.getItem(`${LEARNED_STORAGE_KEY}.${userId}`)) || {};
+    } catch {
+        return {};
+    }
+}
+
+function writeLearnedProducts(userId) {
+    localStorage.setItem(`${LEARNED_STORAGE_KEY}.${userId}`, JSON.stringify(learnedProducts));
+}
@@ -1,11 +1,82 @@
 // Profile Management
 import { supabase } from './config.js';
 import { requireAuth } from './auth.js';
-import { compressImage, showToast, generateUniqueFilename, daysUntilExpiry } from './utils.js';
-import { requestNotificationPermission, getNotificationStatus } from './notifications.js';
+import {
+    compressImage,
+    showToast,
+    generateUniqueFilename,
+    daysUntilExpiry,
+    escapeHtml,
+    isActiveItem,
+    totalValue,
+    formatTotals,
+    isValidEmail,
+    deviceTimeZone,
+    setTimeZone,
+    categoryLabel,
+    formatDate
+} from './utils.js';
+import { LANGUAGES, t, getLanguage, setLanguage, getLocale, translatePage } from './i18n.js';
+import {
+    CATEGORY_ICONS,
+    loadCategories,
+    categoryNames,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+    mergeCategories
+} from './categories.js';
+import {
+    requestNotificationPermission,
+    getNotificationStatus,
+    isPushSupported,
+    hasPushSubscription,
+    subscribeToPush,
+    unsubscribeFromPush,
+    loadReminderRules,
+    saveReminderRules
+} from './notifications.js';
+import { parseLeadDays, effectiveExpiryDate } from './supabase/functions/_shared/reminders.js';
+import {
+    loadActiveHousehold,
+    listHouseholds,
+    switchHousehold,
+    createHousehold,
+    renameHousehold,
+    inviteMember,
+    listHouseholdInvites,
+    listMyInvites,
+    acceptInvite,
+    deleteInvite,
+    updateMemberRole,
+    removeMember,
+    setTrashRetention,
+    canEdit
+} from './household.js';
+import {
+    DEFAULT_FREEZER_EXTENSIONS,
+    loadLocations,
+    createLocation,
+    updateLocation,
+    deleteLocation,
+    saveFreezerExtensions
+} from './storage-locations.js';
+import { calendarFeedUrl, loadCalendarFeed, resetCalendarFeed, deleteCalendarFeed } from './calendar-feed.js';
+import { DIGEST_FREQUENCIES, loadDigestSettings, saveDigestSettings, sendTestDigest } from './email-digest.js';
+import {
+    loadWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    loadDeliveries,
+    redeliverWebhook
+} from './webhooks.js';
+import { WEBHOOK_EVENTS } from './supabase/functions/_shared/webhooks.js';
+import { addDays } from './supabase/functions/_shared/dates.js';
 
 let currentUser = null;
 let currentProfile = null;
+let household = null;
 let realtimeChannel = null;
 
 // Initialize Profile Page
@@ -17,7 +88,28 @@ async function init() {
     document.querySelector('.profile-container').style.display = 'block';
 
     await loadProfile();
+    translatePage();
+    await loadCalendarFeedSettings();
+    await loadDigest();
+
+    try {
+        household = await loadActiveHousehold(currentUser.id);
+    } catch (error) {
+        console.error('Error loading household:', error);
+        showToast(t('toast.householdLoadFailed'), 'error');
+        return;
+    }
+
+    // Category overrides in the reminder rules offer the household's categories
+    try {
+        await loadCategories(household.id);
+    } catch (error) {
+        console.error('Error loading categories:', error);
+    }
+    await loadReminderSettings();
+
     await loadStats();
+    await renderHousehold();
     setupRealtimeSync();
     setupEventListeners();
     updateNotificationStatus();
@@ -39,6 +131,10 @@ async function loadProfile() {
         // Populate form
         document.getElementById('profileName').value = profile.name || '';
         document.getElementById('profileEmail').value = currentUser.email;
+        renderTimeZoneOptions(profile.timezone || deviceTimeZone());
+        setTimeZone(profile.timezone);
+        setLanguage(profile.language);
+        renderLanguageOptions(getLanguage());
 
         // Set avatar
         const avatarEl = document.getElementById('avatarPreview');
@@ -50,12 +146,245 @@ async function loadProfile() {
 
         // Set notification preference
         const notificationStatus = getNotificationStatus();
-        document.getElementById('notificationsEnabled').checked = notificationStatus === 'granted';
+        document.getElementById('notificationsEnabled').checked = notificationStatus === 'granted' &&
+            (!isPushSupported() || await hasPushSubscription());
 
     } catch (error) {
         console.error('Error loading profile:', error);
-        showToast('Failed to load profile', 'error');
+        showToast(t('profile.loadFailed'), 'error');
+    }
+}
+
+// Fill the time zone picker, keeping the selected zone even if this browser does not list it
+function renderTimeZoneOptions(selected) {
+    const zones = Intl.supportedValuesOf('timeZone');
+    if (!zones.includes(selected)) zones.unshift(selected);
+
+    document.getElementById('profileTimezone').innerHTML = zones.map(zone => `
+        <option value="${zone}" ${zone === selected ? 'selected' : ''}>${zone.replace(/_/g, ' ')}</option>
+    `).join('');
+}
+
+// Fill the language picker; each language is named in its own script
+function renderLanguageOptions(selected) {
+    document.getElementById('profileLanguage').innerHTML = Object.entries(LANGUAGES).map(([code, name]) => `
+        <option value="${code}" ${code === selected ? 'selected' : ''}>${name}</option>
+    `).join('');
+}
+
+// Load Reminder Rules into the editor
+async function loadReminderSettings() {
+    const rules = await loadReminderRules(currentUser.id);
+
+    document.getElementById('reminderLeadDays').value = rules.lead_days.join(', ');
+    document.getElementById('reminderDeliveryTime').value = rules.delivery_time.slice(0, 5);
+    document.getElementById('quietStart').value = rules.quiet_start?.slice(0, 5) || '';
+    document.getElementById('quietEnd').value = rules.quiet_end?.slice(0, 5) || '';
+
+    document.getElementById('categoryRules').innerHTML = '';
+    Object.entries(rules.category_lead_days).forEach(([category, days]) => {
+        addCategoryRule(category, days);
+    });
+}
+
+// Load the calendar feed link
+async function loadCalendarFeedSettings() {
+    try {
+        renderCalendarFeed(await loadCalendarFeed(currentUser.id));
+    } catch (error) {
+        console.error('Error loading calendar feed:', error);
+        renderCalendarFeed(null);
+    }
+}
+
+// Show the feed link and the buttons that apply to it
+function renderCalendarFeed(token) {
+    document.getElementById('calendarFeedUrl').value = token ? calendarFeedUrl(token) : '';
+    document.getElementById('copyCalendarFeedBtn').disabled = !token;
+    document.getElementById('resetCalendarFeedBtn').textContent = t(token ? 'profile.feedReset' : 'profile.feedCreate');
+    document.getElementById('deleteCalendarFeedBtn').style.display = token ? '' : 'none';
+}
+
+// Create the feed link, or replace it so the old one stops working
+async function handleResetCalendarFeed() {
+    const hadLink = Boolean(document.getElementById('calendarFeedUrl').value);
+    if (hadLink && !confirm(t('profile.feedConfirmReset'))) return;
+
+    try {
+        renderCalendarFeed(await resetCalendarFeed(currentUser.id));
+        showToast(t(hadLink ? 'profile.feedResetDone' : 'profile.feedCreated'), 'success');
+    } catch (error) {
+        console.error('Error resetting calendar feed:', error);
+        showToast(t('profile.feedFailed'), 'error');
+    }
+}
+
+// Turn the feed off
+async function handleDeleteCalendarFeed() {
+    if (!confirm(t('profile.feedConfirmTurnOff'))) return;
+
+    try {
+        await deleteCalendarFeed(currentUser.id);
+        renderCalendarFeed(null);
+        showToast(t('profile.feedTurnedOff'), 'success');
+    } catch (error) {
+        console.error('Error deleting calendar feed:', error);
+        showToast(t('profile.feedFailed'), 'error');
+    }
+}
+
+// Copy the feed link
+async function handleCopyCalendarFeed() {
+    try {
+        await navigator.clipboard.writeText(document.getElementById('calendarFeedUrl').value);
+        showToast(t('profile.feedCopied'), 'success');
+    } catch (error) {
+        console.error('Error copying calendar link:', error);
+        document.getElementById('calendarFeedUrl').select();
+        showToast(t('profile.feedCopyManually'), 'info');
+    }
+}
+
+// Load the email digest settings and when it was last sent
+async function loadDigest() {
+    let digest;
+    try {
+        digest = await loadDigestSettings(currentUser.id);
+    } catch (error) {
+        console.error('Error loading email digest:', error);
+        document.getElementById('digestStatus').textContent = t('profile.digestLoadFailed');
+        document.getElementById('testDigestBtn').disabled = true;
+        return;
     }
+
+    document.getElementById('digestFrequency').innerHTML = DIGEST_FREQUENCIES.map(frequency => `
+        <option value="${frequency}" ${frequency === digest.frequency ? 'selected' : ''}>${t(`digest.${frequency}`)}</option>
+    `).join('');
+
+    // Monday first; 2024-01-07 was a Sunday, weekday 0
+    document.getElementById('digestWeekday').innerHTML = [1, 2, 3, 4, 5, 6, 0].map(day => `
+        <option value="${day}" ${day === digest.weekday ? 'selected' : ''}>${formatDate(addDays('2024-01-07', day), { weekday: 'long' })}</option>
+    `).join('');
+
+    document.getElementById('digestDaysAhead').value = digest.days_ahead;
+    toggleDigestWeekday();
+    renderDigestStatus(digest);
+}
+
+// The weekday only matters for a weekly digest
+function toggleDigestWeekday() {
+    document.getElementById('digestWeekdayGroup').style.display =
+        document.getElementById('digestFrequency').value === 'weekly' ? '' : 'none';
+}
+
+// When the digest was last sent, or why the last one failed
+function renderDigestStatus({ last_sent_at: lastSentAt, last_error: lastError }) {
+    const status = document.getElementById('digestStatus');
+    status.classList.toggle('error', Boolean(lastError));
+
+    if (lastError) status.textContent = t('profile.digestLastError', { error: lastError });
+    else if (lastSentAt) status.textContent = t('profile.digestLastSent', { date: new Date(lastSentAt).toLocaleString(getLocale()) });
+    else status.textContent = t('profile.digestNotSent');
+}
+
+// Read the digest settings from the form; null if they could not be loaded
+function collectDigestSettings() {
+    if (!document.getElementById('digestFrequency').value) return null;
+
+    const daysAhead = Number(document.getElementById('digestDaysAhead').value);
+    if (!Number.isInteger(daysAhead) || daysAhead < 1 || daysAhead > 60) {
+        throw new Error(t('profile.digestDaysInvalid'));
+    }
+
+    return {
+        frequency: document.getElementById('digestFrequency').value,
+        weekday: Number(document.getElementById('digestWeekday').value),
+        days_ahead: daysAhead
+    };
+}
+
+// Email a digest now with the saved settings, to check it arrives
+async function handleTestDigest() {
+    const button = document.getElementById('testDigestBtn');
+    button.classList.add('loading');
+    button.disabled = true;
+
+    try {
+        const sentAt = await sendTestDigest();
+        renderDigestStatus({ last_sent_at: sentAt, last_error: null });
+        showToast(t('profile.digestTestSent', { email: currentUser.email }), 'success');
+    } catch (error) {
+        console.error('Error sending test digest:', error);
+        showToast(t('profile.digestTestFailed'), 'error');
+    } finally {
+        button.classList.remove('loading');
+        button.disabled = false;
+    }
+}
+
+// Add a per-category lead time row
+function addCategoryRule(category = '', days = []) {
+    const row = document.createElement('div');
+    row.className = 'category-rule';
+    row.innerHTML = `
+        <select class="rule-category">
+            <option value="">${t('form.selectCategory')}</option>
+            ${[...new Set([...categoryNames(), category].filter(Boolean))].map(name => `
+                <option value="${escapeHtml(name)}">${escapeHtml(categoryLabel(name))}</option>
+            `).join('')}
+        </select>
+        <input type="text" class="rule-days" placeholder="${t('profile.ruleDaysPlaceholder')}">
+        <button type="button" class="remove-rule-btn" title="${t('common.remove')}">
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="18" y1="6" x2="6" y2="18"/>
+                <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+        </button>
+    `;
+
+    row.querySelector('.rule-category').value = category;
+    row.querySelector('.rule-days').value = days.join(', ');
+    row.querySelector('.remove-rule-btn').addEventListener('click', () => row.remove());
+
+    document.getElementById('categoryRules').appendChild(row);
+}
+
+// Read and validate the reminder rules editor
+function collectReminderRules() {
+    const leadDays = parseLeadDays(document.getElementById('reminderLeadDays').value);
+    if (!leadDays) {
+        throw new Error(t('profile.leadDaysInvalid'));
+    }
+
+    const categoryLeadDays = {};
+    document.querySelectorAll('.category-rule').forEach(row => {
+        const category = row.querySelector('.rule-category').value;
+        const daysText = row.querySelector('.rule-days').value;
+        if (!category && !daysText.trim()) return;
+
+        const days = parseLeadDays(daysText);
+        if (!category || !days) {
+            throw new Error(t('profile.ruleIncomplete'));
+        }
+        if (categoryLeadDays[category]) {
+            throw new Error(t('profile.ruleDuplicate', { category: categoryLabel(category) }));
+        }
+        categoryLeadDays[category] = days;
+    });
+
+    const quietStart = document.getElementById('quietStart').value;
+    const quietEnd = document.getElementById('quietEnd').value;
+    if (Boolean(quietStart) !== Boolean(quietEnd)) {
+        throw new Error(t('profile.quietIncomplete'));
+    }
+
+    return {
+        lead_days: leadDays,
+        category_lead_days: categoryLeadDays,
+        delivery_time: document.getElementById('reminderDeliveryTime').value || '09:00',
+        quiet_start: quietStart || null,
+        quiet_end: quietEnd || null
+    };
 }
 
 // Setup Real-time Synchronization
@@ -68,7 +397,7 @@ function setupRealtimeSync() {
                 event: '*',
                 schema: 'public',
                 table: 'expiry_items',
-                filter: `user_id=eq.${currentUser.id}`
+                filter: `household_id=eq.${household.id}`
             },
             (payload) => {
                 // Update stats in real-time whenever items change
@@ -84,26 +413,555 @@ async function loadStats() {
         const { data: items, error } = await supabase
             .from('expiry_items')
             .select('*')
-            .eq('user_id', currentUser.id);
+            .eq('household_id', household.id)
+            .is('deleted_at', null);
 
         if (error) throw error;
 
-        const totalItems = items.length;
-        const expiringSoon = items.filter(item => {
-            const days = daysUntilExpiry(item.expiry_date);
+        // Counts cover active items; money lost also includes discarded ones
+        const activeItems = items.filter(isActiveItem);
+        const expiringSoon = activeItems.filter(item => {
+            const days = daysUntilExpiry(effectiveExpiryDate(item));
             return days >= 0 && days <= 7;
-        }).length;
-        const expiredItems = items.filter(item => daysUntilExpiry(item.expiry_date) < 0).length;
+        });
+        const expiredItems = activeItems.filter(item => daysUntilExpiry(effectiveExpiryDate(item)) < 0);
+        const lostItems = [...expiredItems, ...items.filter(item => item.status === 'discarded')];
 
-        document.getElementById('totalItems').textContent = totalItems;
-        document.getElementById('expiringSoon').textContent = expiringSoon;
-        document.getElementById('expiredItems').textContent = expiredItems;
+        document.getElementById('totalItems').textContent = activeItems.length;
+        document.getElementById('expiringSoon').textContent = expiringSoon.length;
+        document.getElementById('expiredItems').textContent = expiredItems.length;
+
+        document.getElementById('inventoryValue').textContent = formatTotals(totalValue(activeItems));
+        document.getElementById('expiringValue').textContent = formatTotals(totalValue(expiringSoon));
+        document.getElementById('lostValue').textContent = formatTotals(totalValue(lostItems));
 
     } catch (error) {
         console.error('Error loading stats:', error);
     }
 }
 
+// Render Household Card
+async function renderHousehold() {
+    const isOwner = household.role === 'owner';
+
+    try {
+        const households = await listHouseholds(currentUser.id);
+        document.getElementById('householdSelect').innerHTML = households.map(option => `
+            <option value="${option.id}" ${option.id === household.id ? 'selected' : ''}>
+                ${escapeHtml(t('household.option', { name: option.name, role: t(`role.${option.role}`) }))}
+            </option>
+        `).join('');
+        document.getElementById('leaveHouseholdBtn').disabled = households.length < 2;
+
+        document.getElementById('householdName').value = household.name;
+        document.getElementById('householdRenameGroup').style.display = isOwner ? '' : 'none';
+        document.getElementById('householdInviteSection').style.display = isOwner ? '' : 'none';
+        document.getElementById('trashRetentionSection').style.display = isOwner ? '' : 'none';
+        document.getElementById('trashRetentionDays').value = household.trash_retention_days;
+        document.getElementById('webhookSection').style.display = isOwner ? '' : 'none';
+
+        renderMembers(isOwner);
+
+        if (isOwner) {
+            const invites = await listHouseholdInvites(household.id);
+            document.getElementById('pendingInviteList').innerHTML = invites.map(invite => `
+                <li class="member-item">
+                    <span class="member-name">${escapeHtml(invite.email)}</span>
+                    <span class="member-role">${t('household.pendingInvite', { role: t(`role.${invite.role}`) })}</span>
+                    <button type="button" class="btn btn-secondary btn-sm cancel-invite-btn" data-invite-id="${invite.id}">${t('common.cancel')}</button>
+                </li>
+            `).join('');
+
+            await renderWebhooks();
+        }
+
+        const myInvites = await listMyInvites(currentUser.email);
+        document.getElementById('myInvitesSection').style.display = myInvites.length ? '' : 'none';
+        document.getElementById('myInviteList').innerHTML = myInvites.map(invite => `
+            <li class="member-item">
+                <span class="member-name">${escapeHtml(invite.householdName)}</span>
+                <span class="member-role">${t(`role.${invite.role}`)}</span>
+                <button type="button" class="btn btn-primary btn-sm accept-invite-btn" data-invite-id="${invite.id}">${t('household.join')}</button>
+                <button type="button" class="btn btn-secondary btn-sm decline-invite-btn" data-invite-id="${invite.id}">${t('household.decline')}</button>
+            </li>
+        `).join('');
+
+        await renderCategories();
+        await renderLocations();
+    } catch (error) {
+        console.error('Error loading household:', error);
+        showToast(t('household.detailsFailed'), 'error');
+    }
+}
+
+// Render Storage Locations and the freezer extension editor
+async function renderLocations() {
+    const isEditor = canEdit(household.role);
+    const locations = await loadLocations(household.id);
+
+    document.getElementById('locationList').innerHTML = locations.map(location => `
+        <li class="member-item">
+            <span class="member-name">${escapeHtml(location.name)}</span>
+            ${isEditor ? `
+            <label class="checkbox-inline">
+                <input type="checkbox" class="location-freezer-toggle" data-location-id="${location.id}" ${location.is_freezer ? 'checked' : ''}>
+                ${t('household.freezer')}
+            </label>
+            <button type="button" class="btn btn-secondary btn-sm rename-location-btn" data-location-id="${location.id}"
+                data-name="${escapeHtml(location.name)}">${t('common.rename')}</button>
+            <button type="button" class="btn btn-secondary btn-sm delete-location-btn" data-location-id="${location.id}"
+                data-name="${escapeHtml(location.name)}">${t('common.delete')}</button>
+            ` : `<span class="member-role">${location.is_freezer ? t('household.freezer') : ''}</span>`}
+        </li>
+    `).join('');
+    document.getElementById('locationForm').style.display = isEditor ? '' : 'none';
+
+    const extensions = household.freezer_extensions || DEFAULT_FREEZER_EXTENSIONS;
+    document.getElementById('freezerExtensionSection').style.display = household.role === 'owner' ? '' : 'none';
+    document.getElementById('freezerExtensions').innerHTML = categoryNames().map(category => `
+        <label class="freezer-extension">
+            <span>${escapeHtml(categoryLabel(category))}</span>
+            <input type="number" min="0" max="3650" data-category="${escapeHtml(category)}" value="${extensions[category] ?? ''}">
+            <span>${t('common.days')}</span>
+        </label>
+    `).join('');
+}
+
+// Render the household's categories: editors can change the icon, color and
+// badge windows in place, and rename, merge or delete a category
+async function renderCategories() {
+    const isEditor = canEdit(household.role);
+    const categories = await loadCategories(household.id);
+
+    document.getElementById('categoryList').innerHTML = categories.map(category => `
+        <li class="member-item category-item" data-category-id="${category.id}">
+            ${isEditor ? `
+            <select class="household-select category-icon-select" aria-label="${t('household.categoryIcon')}">
+                ${[...new Set([category.icon, ...CATEGORY_ICONS])].map(icon => `
+                    <option value="${escapeHtml(icon)}" ${icon === category.icon ? 'selected' : ''}>${escapeHtml(icon)}</option>
+                `).join('')}
+            </select>
+            <input type="color" class="category-color-input" value="${category.color}" aria-label="${t('household.categoryColor')}">
+            <span class="member-name">${escapeHtml(categoryLabel(category.name))}</span>
+            <label class="category-window">${t('household.soon')} <input type="number" class="category-soon-input" min="1" max="3650" value="${category.soon_days}"></label>
+            <label class="category-window">${t('household.warning')} <input type="number" class="category-warning-input" min="1" max="3650" value="${category.warning_days}"></label>
+            <button type="button" class="btn btn-secondary btn-sm rename-category-btn" data-name="${escapeHtml(category.name)}">${t('common.rename')}</button>
+            ${categories.length > 1 ? `
+            <select class="household-select merge-category-select" aria-label="${t('household.mergeInto')}">
+                <option value="">${t('household.mergeInto')}</option>
+                ${categories.filter(other => other.id !== category.id).map(other => `
+                    <option value="${other.id}">${escapeHtml(categoryLabel(other.name))}</option>
+                `).join('')}
+            </select>
+            ` : ''}
+            <button type="button" class="btn btn-secondary btn-sm delete-category-btn" data-name="${escapeHtml(category.name)}">${t('common.delete')}</button>
+            ` : `
+            <span class="category-swatch" style="background: ${category.color}">${escapeHtml(category.icon)}</span>
+            <span class="member-name">${escapeHtml(categoryLabel(category.name))}</span>
+            <span class="member-role">${t('household.windows', { soon: category.soon_days, warning: category.warning_days })}</span>
+            `}
+        </li>
+    `).join('');
+    document.getElementById('categoryForm').style.display = isEditor ? '' : 'none';
+}
+
+// Badge windows entered on a category row, or an error message
+function readCategoryWindows(row) {
+    const soonDays = Number(row.querySelector('.category-soon-input').value);
+    const warningDays = Number(row.querySelector('.category-warning-input').value);
+
+    if (![soonDays, warningDays].every(days => Number.isInteger(days) && days >= 1 && days <= 3650)) {
+        throw new Error(t('household.windowsInvalid'));
+    }
+    if (warningDays < soonDays) {
+        throw new Error(t('household.windowsOrder'));
+    }
+    return { soon_days: soonDays, warning_days: warningDays };
+}
+
+// Event checkboxes, all ticked by default
+function webhookEventCheckboxes(selected = WEBHOOK_EVENTS) {
+    return WEBHOOK_EVENTS.map(event => `
+        <label class="checkbox-inline">
+            <input type="checkbox" value="${event}" ${selected.includes(event) ? 'checked' : ''}>
+            ${t(`webhook.event.${event}`)}
+        </label>
+    `).join('');
+}
+
+// Render the household's webhooks; a delivery log loads when it is opened
+async function renderWebhooks() {
+    const webhooks = await loadWebhooks(household.id);
+
+    document.getElementById('webhookList').innerHTML = webhooks.map(webhook => `
+        <li class="member-item webhook-item" data-webhook-id="${webhook.id}">
+            <span class="member-name webhook-url" title="${escapeHtml(webhook.url)}">${escapeHtml(webhook.url)}</span>
+            <label class="checkbox-inline">
+                <input type="checkbox" class="webhook-active-toggle" ${webhook.active ? 'checked' : ''}> ${t('webhook.active')}
+            </label>
+            <button type="button" class="btn btn-secondary btn-sm copy-webhook-secret-btn"
+                data-secret="${escapeHtml(webhook.secret)}">${t('webhook.copySecret')}</button>
+            <button type="button" class="btn btn-secondary btn-sm webhook-log-btn">${t('webhook.deliveries')}</button>
+            <button type="button" class="btn btn-secondary btn-sm delete-webhook-btn">${t('common.delete')}</button>
+            <div class="webhook-events">${webhookEventCheckboxes(webhook.events)}</div>
+            <ul class="webhook-log" hidden></ul>
+        </li>
+    `).join('');
+}
+
+// Render a webhook's latest deliveries with their response codes
+async function renderDeliveryLog(row) {
+    const deliveries = await loadDeliveries(row.dataset.webhookId);
+    const log = row.querySelector('.webhook-log');
+
+    log.innerHTML = deliveries.map(delivery => {
+        const retrying = delivery.status === 'pending' && delivery.attempts > 0;
+        const when = new Date(delivery.last_attempt_at || delivery.created_at).toLocaleString(getLocale());
+
+        return `
+            <li class="webhook-log-entry">
+                <span class="delivery-status ${delivery.status}">${t(`webhook.status.${retrying ? 'retrying' : delivery.status}`)}</span>
+                <span class="member-name">${delivery.redelivery_of ? t('webhook.redelivery', { event: delivery.event }) : delivery.event}</span>
+                <span>${delivery.response_status ? `HTTP ${delivery.response_status}` : t('webhook.noResponse')}</span>
+                <span>${t('webhook.attempts', { count: delivery.attempts })}</span>
+                <span>${when}</span>
+                ${retrying ? `<span>${t('webhook.nextTry', { time: new Date(delivery.next_attempt_at).toLocaleTimeString(getLocale()) })}</span>` : ''}
+                <button type="button" class="btn btn-secondary btn-sm redeliver-btn" data-delivery-id="${delivery.id}">${t('webhook.redeliver')}</button>
+                ${delivery.error ? `<span class="webhook-log-error">${escapeHtml(delivery.error)}</span>` : ''}
+            </li>
+        `;
+    }).join('') || `<li class="webhook-log-entry">${t('webhook.noDeliveries')}</li>`;
+}
+
+// Handle clicks and changes on the webhook list
+async function handleWebhookAction(e) {
+    const target = e.target;
+    const row = target.closest('.webhook-item');
+    if (!row) return;
+
+    const webhookId = row.dataset.webhookId;
+
+    try {
+        if (target.matches('.webhook-active-toggle') && e.type === 'change') {
+            await updateWebhook(webhookId, { active: target.checked });
+            showToast(t(target.checked ? 'webhook.turnedOn' : 'webhook.paused'), 'success');
+        } else if (target.matches('.webhook-events input') && e.type === 'change') {
+            const events = [...row.querySelectorAll('.webhook-events input:checked')].map(input => input.value);
+            try {
+                await updateWebhook(webhookId, { events });
+            } catch (error) {
+                target.checked = true;
+                throw error;
+            }
+        } else if (target.matches('.copy-webhook-secret-btn')) {
+            await navigator.clipboard.writeText(target.dataset.secret);
+            showToast(t('webhook.secretCopied'), 'success');
+        } else if (target.matches('.webhook-log-btn')) {
+            const log = row.querySelector('.webhook-log');
+            if (log.hidden) await renderDeliveryLog(row);
+            log.hidden = !log.hidden;
+        } else if (target.matches('.redeliver-btn')) {
+            await redeliverWebhook(target.dataset.deliveryId);
+            showToast(t('webhook.redeliveryQueued'), 'success');
+            await renderDeliveryLog(row);
+        } else if (target.matches('.delete-webhook-btn')) {
+            if (!confirm(t('webhook.confirmDelete'))) return;
+            await deleteWebhook(webhookId);
+            showToast(t('webhook.deleted'), 'success');
+            await renderWebhooks();
+        }
+    } catch (error) {
+        console.error('Error updating webhook:', error);
+        showToast(error.message || t('webhook.updateFailed'), 'error');
+    }
+}
+
+// Register a webhook URL
+async function handleAddWebhook(e) {
+    e.preventDefault();
+
+    const url = document.getElementById('webhookUrl').value.trim();
+    const secret = document.getElementById('webhookSecret').value.trim();
+    const events = [...document.querySelectorAll('#webhookEvents input:checked')].map(input => input.value);
+
+    try {
+        await createWebhook(household.id, currentUser.id, { url, events, secret });
+        document.getElementById('webhookForm').reset();
+        showToast(t(secret ? 'webhook.added' : 'webhook.addedWithSecret'), 'success');
+        await renderWebhooks();
+    } catch (error) {
+        console.error('Error adding webhook:', error);
+        showToast(error.message || t('webhook.addFailed'), 'error');
+    }
+}
+
+// Render Household Members
+function renderMembers(isOwner) {
+    const rows = [...household.members.entries()].map(([userId, member]) => {
+        const avatar = member.avatar_url ||
+            `https://ui-avatars.com/api/?name=${encodeURIComponent(member.name)}&background=667eea&color=fff`;
+        const isSelf = userId === currentUser.id;
+
+        const roleControl = isOwner && !isSelf ? `
+            <select class="household-select member-role-select" data-user-id="${userId}">
+                ${['owner', 'editor', 'viewer'].map(role => `
+                    <option value="${role}" ${role === member.role ? 'selected' : ''}>${t(`role.${role}`)}</option>
+                `).join('')}
+            </select>
+            <button type="button" class="btn btn-secondary btn-sm remove-member-btn" data-user-id="${userId}">${t('common.remove')}</button>
+        ` : `<span class="member-role">${t(`role.${member.role}`)}</span>`;
+
+        return `
+            <li class="member-item">
+                <img src="${avatar}" alt="">
+                <span class="member-name">${escapeHtml(member.name)}${isSelf ? ` (${t('member.you')})` : ''}</span>
+                ${roleControl}
+            </li>
+        `;
+    });
+
+    document.getElementById('memberList').innerHTML = rows.join('');
+}
+
+// Handle clicks and changes inside the household card
+async function handleHouseholdAction(e) {
+    const target = e.target;
+
+    try {
+        if (target.matches('.member-role-select') && e.type === 'change') {
+            await updateMemberRole(household.id, target.dataset.userId, target.value);
+            showToast(t('household.roleUpdated'), 'success');
+        } else if (target.matches('.remove-member-btn')) {
+            if (!confirm(t('household.confirmRemove'))) return;
+            await removeMember(household.id, target.dataset.userId);
+            showToast(t('household.memberRemoved'), 'success');
+        } else if (target.matches('.cancel-invite-btn') || target.matches('.decline-invite-btn')) {
+            await deleteInvite(target.dataset.inviteId);
+        } else if (target.matches('.location-freezer-toggle') && e.type === 'change') {
+            await updateLocation(target.dataset.locationId, { is_freezer: target.checked });
+        } else if (target.matches('.rename-location-btn')) {
+            const name = prompt(t('household.renameLocationPrompt'), target.dataset.name);
+            if (!name?.trim() || name.trim() === target.dataset.name) return;
+            await updateLocation(target.dataset.locationId, { name: name.trim() });
+            showToast(t('household.locationRenamed'), 'success');
+        } else if (target.matches('.delete-location-btn')) {
+            if (!confirm(t('household.confirmDeleteLocation', { name: target.dataset.name }))) return;
+            await deleteLocation(target.dataset.locationId);
+            showToast(t('household.locationDeleted'), 'success');
+        } else if (target.matches('.category-icon-select') && e.type === 'change') {
+            await updateCategory(target.closest('.category-item').dataset.categoryId, { icon: target.value });
+        } else if (target.matches('.category-color-input') && e.type === 'change') {
+            await updateCategory(target.closest('.category-item').dataset.categoryId, { color: target.value });
+        } else if (target.matches('.category-soon-input, .category-warning-input') && e.type === 'change') {
+            const row = target.closest('.category-item');
+            await updateCategory(row.dataset.categoryId, readCategoryWindows(row));
+            showToast(t('household.windowsSaved'), 'success');
+        } else if (target.matches('.rename-category-btn')) {
+            const name = prompt(t('household.renameCategoryPrompt'), target.dataset.name);
+            if (!name?.trim() || name.trim() === target.dataset.name) return;
+            await updateCategory(target.closest('.category-item').dataset.categoryId, { name: name.trim() });
+            showToast(t('household.categoryRenamed', { name: name.trim() }), 'success');
+        } else if (target.matches('.merge-category-select') && e.type === 'change') {
+            if (!target.value) return;
+            const into = target.selectedOptions[0].textContent.trim();
+            if (!confirm(t('household.confirmMerge', { name: into }))) {
+                target.value = '';
+                return;
+            }
+            await mergeCategories(target.closest('.category-item').dataset.categoryId, target.value);
+            showToast(t('household.merged', { name: into }), 'success');
+        } else if (target.matches('.delete-category-btn')) {
+            if (!confirm(t('household.confirmDeleteCategory', { name: categoryLabel(target.dataset.name) }))) return;
+            await deleteCategory(target.closest('.category-item').dataset.categoryId);
+            showToast(t('household.categoryDeleted'), 'success');
+        } else if (target.matches('.accept-invite-btn')) {
+            await acceptInvite(target.dataset.inviteId);
+            showToast(t('household.joined'), 'success');
+            window.location.reload();
+            return;
+        } else {
+            return;
+        }
+
+        household = await loadActiveHousehold(currentUser.id);
+        await renderHousehold();
+    } catch (error) {
+        console.error('Error updating household:', error);
+        showToast(error.message || t('household.updateFailed'), 'error');
+    }
+}
+
+// Send a household invite
+async function handleInvite(e) {
+    e.preventDefault();
+
+    const email = document.getElementById('inviteEmail').value.trim();
+    const role = document.getElementById('inviteRole').value;
+
+    if (!isValidEmail(email)) {
+        showToast(t('household.emailInvalid'), 'error');
+        return;
+    }
+
+    try {
+        await inviteMember(household.id, currentUser.id, email, role);
+        document.getElementById('inviteForm').reset();
+        showToast(t('household.inviteSent', { email }), 'success');
+        await renderHousehold();
+    } catch (error) {
+        console.error('Error inviting member:', error);
+        showToast(error.message || t('household.inviteFailed'), 'error');
+    }
+}
+
+// Add a storage location
+async function handleAddLocation(e) {
+    e.preventDefault();
+
+    const name = document.getElementById('locationName').value.trim();
+    const isFreezer = document.getElementById('locationIsFreezer').checked;
+    if (!name) return;
+
+    try {
+        await createLocation(household.id, name, isFreezer);
+        document.getElementById('locationForm').reset();
+        showToast(t('household.added', { name }), 'success');
+        await renderLocations();
+    } catch (error) {
+        console.error('Error adding location:', error);
+        showToast(error.message || t('household.locationAddFailed'), 'error');
+    }
+}
+
+// Add a category with the default look and badge windows
+async function handleAddCategory(e) {
+    e.preventDefault();
+
+    const name = document.getElementById('categoryName').value.trim();
+    if (!name) return;
+
+    try {
+        await createCategory(household.id, { name });
+        document.getElementById('categoryForm').reset();
+        showToast(t('household.added', { name }), 'success');
+        await renderCategories();
+        await renderLocations();
+    } catch (error) {
+        console.error('Error adding category:', error);
+        showToast(error.message || t('household.categoryAddFailed'), 'error');
+    }
+}
+
+// Save the per-category freezer extensions
+async function handleSaveFreezerExtensions() {
+    const extensions = {};
+
+    for (const input of document.querySelectorAll('#freezerExtensions input')) {
+        if (input.value === '') continue;
+
+        const days = Number(input.value);
+        if (!Number.isInteger(days) || days < 0 || days > 3650) {
+            showToast(t('household.extensionInvalid', { category: categoryLabel(input.dataset.category) }), 'error');
+            return;
+        }
+        extensions[input.dataset.category] = days;
+    }
+
+    try {
+        await saveFreezerExtensions(household.id, extensions);
+        household.freezer_extensions = extensions;
+        showToast(t('household.extensionsSaved'), 'success');
+    } catch (error) {
+        console.error('Error saving freezer extensions:', error);
+        showToast(t('household.extensionsFailed'), 'error');
+    }
+}
+
+// Save how long deleted items stay in the Trash
+async function handleSaveTrashRetention() {
+    const days = Number(document.getElementById('trashRetentionDays').value);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+        showToast(t('household.retentionInvalid'), 'error');
+        return;
+    }
+
+    try {
+        await setTrashRetention(household.id, days);
+        household.trash_retention_days = days;
+        showToast(t('household.retentionSaved'), 'success');
+    } catch (error) {
+        console.error('Error saving trash retention:', error);
+        showToast(t('household.retentionFailed'), 'error');
+    }
+}
+
+// Switch the active household
+async function handleHouseholdSwitch(e) {
+    try {
+        await switchHousehold(currentUser.id, e.target.value);
+        window.location.reload();
+    } catch (error) {
+        console.error('Error switching household:', error);
+        showToast(t('household.switchFailed'), 'error');
+    }
+}
+
+// Rename the active household
+async function handleHouseholdRename() {
+    const name = document.getElementById('householdName').value.trim();
+    if (!name) {
+        showToast(t('household.nameMissing'), 'error');
+        return;
+    }
+
+    try {
+        await renameHousehold(household.id, name);
+        household.name = name;
+        showToast(t('household.renamed'), 'success');
+        await renderHousehold();
+    } catch (error) {
+        console.error('Error renaming household:', error);
+        showToast(t('household.renameFailed'), 'error');
+    }
+}
+
+// Create a new household and switch to it
+async function handleCreateHousehold() {
+    const name = prompt(t('household.newPrompt'));
+    if (!name?.trim()) return;
+
+    try {
+        await createHousehold(name.trim());
+        window.location.reload();
+    } catch (error) {
+        console.error('Error creating household:', error);
+        showToast(t('household.createFailed'), 'error');
+    }
+}
+
+// Leave the active household and switch to another one
+async function handleLeaveHousehold() {
+    const owners = [...household.members.values()].filter(member => member.role === 'owner');
+    if (household.role === 'owner' && owners.length === 1 && household.members.size > 1) {
+        showToast(t('household.lastOwner'), 'error');
+        return;
+    }
+
+    if (!confirm(t('household.confirmLeave', { name: household.name }))) return;
+
+    try {
+        const households = await listHouseholds(currentUser.id);
+        const next = households.find(option => option.id !== household.id);
+
+        await removeMember(household.id, currentUser.id);
+        await switchHousehold(currentUser.id, next.id);
+        window.location.reload();
+    } catch (error) {
+        console.error('Error leaving household:', error);
+        showToast(t('household.leaveFailed'), 'error');
+    }
+}
+
 // Setup Event Listeners
 function setupEventListeners() {
     // Avatar upload
@@ -118,6 +976,39 @@ function setupEventListeners() {
 
     // Notification toggle
     document.getElementById('notificationsEnabled').addEventListener('change', handleNotificationToggle);
+
+    // Reminder rules
+    document.getElementById('addCategoryRuleBtn').addEventListener('click', () => addCategoryRule());
+
+    // Calendar feed
+    document.getElementById('copyCalendarFeedBtn').addEventListener('click', handleCopyCalendarFeed);
+    document.getElementById('resetCalendarFeedBtn').addEventListener('click', handleResetCalendarFeed);
+    document.getElementById('deleteCalendarFeedBtn').addEventListener('click', handleDeleteCalendarFeed);
+
+    // Email digest
+    document.getElementById('digestFrequency').addEventListener('change', toggleDigestWeekday);
+    document.getElementById('testDigestBtn').addEventListener('click', handleTestDigest);
+
+    // Household
+    const householdCard = document.querySelector('.household-card');
+    householdCard.addEventListener('click', handleHouseholdAction);
+    householdCard.addEventListener('change', handleHouseholdAction);
+    document.getElementById('householdSelect').addEventListener('change', handleHouseholdSwitch);
+    document.getElementById('renameHouseholdBtn').addEventListener('click', handleHouseholdRename);
+    document.getElementById('inviteForm').addEventListener('submit', handleInvite);
+    document.getElementById('createHouseholdBtn').addEventListener('click', handleCreateHousehold);
+    document.getElementById('leaveHouseholdBtn').addEventListener('click', handleLeaveHousehold);
+    document.getElementById('locationForm').addEventListener('submit', handleAddLocation);
+    document.getElementById('categoryForm').addEventListener('submit', handleAddCategory);
+    document.getElementById('saveFreezerExtensionsBtn').addEventListener('click', handleSaveFreezerExtensions);
+    document.getElementById('saveTrashRetentionBtn').addEventListener('click', handleSaveTrashRetention);
+
+    // Webhooks
+    const webhookList = document.getElementById('webhookList');
+    webhookList.addEventListener('click', handleWebhookAction);
+    webhookList.addEventListener('change', handleWebhookAction);
+    document.getElementById('webhookEvents').innerHTML = webhookEventCheckboxes();
+    document.getElementById('webhookForm').addEventListener('submit', handleAddWebhook);
 }
 
 // Handle Avatar Upload
@@ -170,11 +1061,11 @@ async function handleAvatarUpload(e) {
         if (updateError) throw updateError;
 
         currentProfile.avatar_url = publicUrl;
-        showToast('Avatar updated successfully', 'success');
+        showToast(t('profile.avatarUpdated'), 'success');
 
     } catch (error) {
         console.error('Error uploading avatar:', error);
-        showToast('Failed to upload avatar', 'error');
+        showToast(t('profile.avatarFailed'), 'error');
     }
 }
 
@@ -190,22 +1081,44 @@ async function saveProfile(e) {
         const name = document.getElementById('profileName').value.trim();
 
         if (!name) {
-            showToast('Please enter your name', 'error');
+            showToast(t('profile.nameMissing'), 'error');
             return;
         }
 
+        let reminderRules;
+        let digestSettings;
+        try {
+            reminderRules = collectReminderRules();
+            digestSettings = collectDigestSettings();
+        } catch (validationError) {
+            showToast(validationError.message, 'error');
+            return;
+        }
+
+        const timezone = document.getElementById('profileTimezone').value;
+        const language = document.getElementById('profileLanguage').value;
+
         const { error } = await supabase
             .from('profiles')
-            .update({ name })
+            .update({ name, timezone, language })
             .eq('id', currentUser.id);
 
         if (error) throw error;
 
-        showToast('Profile updated successfully', 'success');
+        // Counts of expiring items depend on which day it is in the chosen zone
+        setTimeZone(timezone);
+        setLanguage(language);
+        translatePage();
+        loadStats();
+
+        await saveReminderRules(currentUser.id, reminderRules);
+        if (digestSettings) await saveDigestSettings(currentUser.id, digestSettings);
+
+        showToast(t('profile.saved'), 'success');
 
     } catch (error) {
         console.error('Error saving profile:', error);
-        showToast('Failed to save profile', 'error');
+        showToast(t('profile.saveFailed'), 'error');
     } finally {
         saveBtn.classList.remove('loading');
         saveBtn.disabled = false;
@@ -218,10 +1131,17 @@ async function handleNotificationToggle(e) {
         const granted = await requestNotificationPermission();
         if (!granted) {
             e.target.checked = false;
-            showToast('Notification permission denied', 'error');
+            showToast(t('profile.notificationsDenied'), 'error');
         } else {
-            showToast('Notifications enabled', 'success');
+            const subscribed = await subscribeToPush();
+            showToast(
+                t(subscribed ? 'profile.pushEnabled' : 'profile.pushWhileOpen'),
+                'success'
+            );
         }
+    } else {
+        await unsubscribeFromPush();
+        showToast(t('profile.pushOff'), 'info');
     }
     updateNotificationStatus();
 }
@@ -237,7 +1157,7 @@ function updateNotificationStatus() {
                 <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <polyline points="20 6 9 17 4 12"/>
                 </svg>
-                Notifications are enabled
+                ${t('profile.notificationsGranted')}
             </div>
         `;
     } else if (status === 'denied') {
@@ -248,7 +1168,7 @@ function updateNotificationStatus() {
                     <line x1="15" y1="9" x2="9" y2="15"/>
                     <line x1="9" y1="9" x2="15" y2="15"/>
                 </svg>
-                Notifications are blocked. Please enable them in your browser settings.
+                ${t('profile.notificationsBlocked')}
             </div>
         `;
     } else {
@@ -259,7 +1179,7 @@ function updateNotificationStatus() {
                     <line x1="12" y1="16" x2="12" y2="12"/>
                     <line x1="12" y1="8" x2="12.01" y2="8"/>
                 </svg>
-                Enable notifications to get alerts about expiring items
+                ${t('profile.notificationsDefault')}
             </div>
         `;
     }
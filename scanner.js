@@ -0,0 +1,63 @@
+// Barcode & QR Scanner - camera decoding via html5-qrcode
+
+let activeScanner = null;
+
+/**
+ * Check whether camera scanning is possible in this browser
+ */
+export function isCameraScanSupported() {
+    return Boolean(window.Html5Qrcode && navigator.mediaDevices?.getUserMedia);
+}
+
+/**
+ * Start decoding EAN-13, UPC-A and QR codes from the camera into the given element.
+ * Calls onDecode with the raw decoded text; the camera stops once it returns
+ * true and keeps looking for another code otherwise.
+ */
+export async function startScanner(elementId, onDecode) {
+    if (!isCameraScanSupported()) {
+        throw new Error('Camera scanning is not supported in this browser');
+    }
+
+    await stopScanner();
+
+    const { Html5Qrcode, Html5QrcodeSupportedFormats } = window;
+    activeScanner = new Html5Qrcode(elementId, {
+        formatsToSupport: [
+            Html5QrcodeSupportedFormats.EAN_13,
+            Html5QrcodeSupportedFormats.UPC_A,
+            Html5QrcodeSupportedFormats.QR_CODE
+        ],
+        verbose: false
+    });
+
+    let decoded = false;
+    await activeScanner.start(
+        { facingMode: 'environment' },
+        { fps: 10, qrbox: { width: 250, height: 150 } },
+        async (decodedText) => {
+            if (decoded || !onDecode(decodedText)) return;
+            decoded = true;
+            await stopScanner();
+        }
+    );
+}
+
+/**
+ * Stop the camera if a scan is in progress
+ */
+export async function stopScanner() {
+    if (!activeScanner) return;
+
+    const scanner = activeScanner;
+    activeScanner = null;
+
+    try {
+        if (scanner.isScanning) {
+            await scanner.stop();
+        }
+        scanner.clear();
+    } catch (error) {
+        console.error('Error stopping scanner:', error);
+    }
+}
@@ -0,0 +1,67 @@
+// Shopping List - restock entries added by hand or when tracked items run out
+import { supabase } from './config.js';
+import { t } from './i18n.js';
+
+/**
+ * Add expired items that have not been listed before.
+ * Returns the number of entries added.
+ */
+export async function addExpiredToShoppingList(householdId) {
+    const { data, error } = await supabase.rpc('add_expired_to_shopping_list', { hid: householdId });
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * List the entries still to buy, newest first
+ */
+export async function loadShoppingList(householdId) {
+    const { data, error } = await supabase
+        .from('shopping_list_items')
+        .select('*')
+        .eq('household_id', householdId)
+        .is('bought_at', null)
+        .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Add an entry by hand
+ */
+export async function addShoppingEntry(householdId, userId, { name, category, quantity }) {
+    const { error } = await supabase
+        .from('shopping_list_items')
+        .insert({ household_id: householdId, name, category, quantity, source: 'manual', added_by: userId });
+
+    if (error) {
+        if (error.code === '23505') throw new Error(t('shopping.alreadyListed', { name }));
+        throw error;
+    }
+}
+
+/**
+ * Tick an entry off as bought
+ */
+export async function markBought(entryId, userId) {
+    const { error } = await supabase
+        .from('shopping_list_items')
+        .update({ bought_at: new Date().toISOString(), bought_by: userId })
+        .eq('id', entryId);
+
+    if (error) throw error;
+}
+
+/**
+ * Remove an entry without buying it
+ */
+export async function removeShoppingEntry(entryId) {
+    const { error } = await supabase
+        .from('shopping_list_items')
+        .delete()
+        .eq('id', entryId);
+
+    if (error) throw error;
+}
@@ -0,0 +1,164 @@
+// Shopping List Page
+import { requireAuth } from './auth.js';
+import { showToast, escapeHtml, formatDate, categoryLabel } from './utils.js';
+import { t, translatePage } from './i18n.js';
+import { loadCategories } from './categories.js';
+import { loadActiveHousehold, canEdit } from './household.js';
+import {
+    addExpiredToShoppingList,
+    loadShoppingList,
+    addShoppingEntry,
+    markBought,
+    removeShoppingEntry
+} from './shopping-list.js';
+
+let currentUser = null;
+let household = null;
+let entries = [];
+
+// Initialize Shopping List Page
+async function init() {
+    currentUser = await requireAuth();
+    if (!currentUser) return;
+
+    translatePage();
+    document.querySelector('.shopping-container').style.display = 'block';
+
+    try {
+        household = await loadActiveHousehold(currentUser.id);
+    } catch (error) {
+        console.error('Error loading household:', error);
+        showToast(t('toast.householdLoadFailed'), 'error');
+        return;
+    }
+    document.getElementById('householdName').textContent = household.name;
+
+    let categories = [];
+    try {
+        categories = await loadCategories(household.id);
+    } catch (error) {
+        console.error('Error loading categories:', error);
+    }
+    document.getElementById('entryCategory').innerHTML = `
+        <option value="">${t('filters.category')}</option>
+        ${categories.map(category => `
+            <option value="${escapeHtml(category.name)}">${escapeHtml(categoryLabel(category.name))}</option>
+        `).join('')}
+    `;
+    document.getElementById('shoppingForm').style.display = canEdit(household.role) ? '' : 'none';
+
+    setupEventListeners();
+
+    try {
+        await addExpiredToShoppingList(household.id);
+    } catch (error) {
+        console.error('Error adding expired items:', error);
+    }
+    await loadEntries();
+}
+
+// Load the entries still to buy
+async function loadEntries() {
+    try {
+        entries = await loadShoppingList(household.id);
+        renderEntries();
+    } catch (error) {
+        console.error('Error loading shopping list:', error);
+        showToast(t('shopping.loadFailed'), 'error');
+    }
+}
+
+// Render Shopping List
+function renderEntries() {
+    const editable = canEdit(household.role);
+
+    document.getElementById('shoppingEmpty').style.display = entries.length ? 'none' : 'block';
+    document.getElementById('shoppingList').innerHTML = entries.map(entry => `
+        <li class="shopping-entry" data-entry-id="${entry.id}">
+            ${editable ? `
+            <button class="bought-btn" title="${t('shopping.bought')}">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
+                    <polyline points="20 6 9 17 4 12"/>
+                </svg>
+            </button>
+            ` : ''}
+            <div class="shopping-info">
+                <span class="shopping-name">${entry.quantity > 1 ? `${entry.quantity} × ` : ''}${escapeHtml(entry.name)}</span>
+                <span class="shopping-meta">
+                    ${entry.category ? `${escapeHtml(categoryLabel(entry.category))} · ` : ''}${t('shopping.addedOn', { date: formatDate(entry.created_at) })}
+                </span>
+            </div>
+            <span class="source-tag source-${entry.source}">${t(`shopping.source.${entry.source}`)}</span>
+            ${editable ? `
+            <button class="btn-icon remove-entry-btn" title="${t('shopping.remove')}">
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="6" x2="6" y2="18"/>
+                    <line x1="6" y1="6" x2="18" y2="18"/>
+                </svg>
+            </button>
+            ` : ''}
+        </li>
+    `).join('');
+}
+
+// Add an entry by hand
+async function handleAddEntry(e) {
+    e.preventDefault();
+
+    const name = document.getElementById('entryName').value.trim();
+    if (!name) return;
+
+    try {
+        await addShoppingEntry(household.id, currentUser.id, {
+            name,
+            category: document.getElementById('entryCategory').value || null,
+            quantity: parseInt(document.getElementById('entryQuantity').value) || 1
+        });
+        document.getElementById('shoppingForm').reset();
+        await loadEntries();
+    } catch (error) {
+        console.error('Error adding to shopping list:', error);
+        showToast(error.message || t('shopping.addFailed'), 'error');
+    }
+}
+
+// Tick an entry off and open the add-item form for it on the dashboard
+async function handleBought(entry) {
+    try {
+        await markBought(entry.id, currentUser.id);
+
+        const params = new URLSearchParams({ restock: '1', name: entry.name, quantity: entry.quantity });
+        if (entry.category) params.set('category', entry.category);
+        window.location.href = `dashboard.html?${params}`;
+    } catch (error) {
+        console.error('Error ticking off entry:', error);
+        showToast(t('shopping.updateFailed'), 'error');
+    }
+}
+
+// Remove an entry without buying it
+async function handleRemove(entry) {
+    try {
+        await removeShoppingEntry(entry.id);
+        await loadEntries();
+    } catch (error) {
+        console.error('Error removing entry:', error);
+        showToast(t('shopping.updateFailed'), 'error');
+    }
+}
+
+// Setup Event Listeners
+function setupEventListeners() {
+    document.getElementById('shoppingForm').addEventListener('submit', handleAddEntry);
+
+    document.getElementById('shoppingList').addEventListener('click', (e) => {
+        const row = e.target.closest('.shopping-entry');
+        const entry = row && entries.find(candidate => candidate.id === row.dataset.entryId);
+        if (!entry) return;
+
+        if (e.target.closest('.bought-btn')) handleBought(entry);
+        else if (e.target.closest('.remove-entry-btn')) handleRemove(entry);
+    });
+}
+
+init();
@@ -0,0 +1,275 @@
+// Smart Collections - saved item queries such as "tag:baby AND expires < 14d", shown in the sidebar
+import { supabase } from './config.js';
+import { isNetworkError } from './item-store.js';
+import { daysUntilExpiry } from './utils.js';
+import { t } from './i18n.js';
+import { effectiveExpiryDate } from './supabase/functions/_shared/reminders.js';
+import { normalizeTag } from './tags.js';
+
+const COLLECTION_CACHE_KEY = 'expiryTracker.collections';
+
+/**
+ * Prefix of the sidebar filter value for a collection, e.g. "collection:<id>"
+ */
+export const COLLECTION_FILTER_PREFIX = 'collection:';
+
+// The household's collections as last loaded, each with its compiled query,
+// and what their location conditions are checked against
+let collections = [];
+let context = { locationOf: () => null };
+
+// Fields written as field:value
+const TEXT_FIELDS = ['tag', 'category', 'location', 'name', 'is'];
+
+// Values of is:
+const FLAGS = ['opened', 'frozen', 'expired'];
+
+// Fields compared with a number, e.g. "expires < 14d" or "quantity >= 2"
+const NUMBER_FIELDS = ['expires', 'quantity'];
+
+const COMPARE = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '=': (a, b) => a === b
+};
+
+// Operators, parentheses, field:"quoted value", field:value and bare words
+const TOKEN_PATTERN = /\s*(<=|>=|<|>|=|\(|\)|[a-z]+:"[^"]*"|[^\s()<>=]+)/giy;
+
+// Split a query into tokens, or throw if something cannot be read
+function tokenize(query) {
+    const tokens = [];
+    let end = 0;
+    TOKEN_PATTERN.lastIndex = 0;
+
+    let match;
+    while ((match = TOKEN_PATTERN.exec(query))) {
+        tokens.push(match[1]);
+        end = TOKEN_PATTERN.lastIndex;
+    }
+
+    const rest = query.slice(end).trim();
+    if (rest) throw new Error(t('collections.errorUnexpected', { token: rest }));
+    return tokens;
+}
+
+// Predicate for field:value
+function textCondition(token) {
+    const separator = token.indexOf(':');
+    const field = token.slice(0, separator).toLowerCase();
+    const value = token.slice(separator + 1).replace(/^"(.*)"$/, '$1').trim();
+
+    if (!TEXT_FIELDS.includes(field)) throw new Error(t('collections.errorField', { field }));
+    if (!value) throw new Error(t('collections.errorValue', { field }));
+
+    const lower = value.toLowerCase();
+
+    switch (field) {
+        case 'tag':
+            return item => (item.tags || []).includes(normalizeTag(value));
+        case 'category':
+            return item => (item.category || '').toLowerCase() === lower;
+        case 'location':
+            return (item, context) => context.locationOf(item)?.name.toLowerCase() === lower;
+        case 'name':
+            return item => item.name.toLowerCase().includes(lower);
+        default:
+            if (!FLAGS.includes(lower)) throw new Error(t('collections.errorFlag', { value }));
+            if (lower === 'opened') return item => Boolean(item.opened_at);
+            if (lower === 'frozen') return (item, context) => Boolean(context.locationOf(item)?.is_freezer);
+            return item => daysUntilExpiry(effectiveExpiryDate(item)) < 0;
+    }
+}
+
+// Predicate for "expires < 14d" or "quantity >= 2"
+function numberCondition(field, operator, value) {
+    if (!COMPARE[operator]) throw new Error(t('collections.errorOperator', { field }));
+
+    const match = field === 'expires' ? /^(-?\d+)d?$/i.exec(value || '') : /^(\d+)$/.exec(value || '');
+    if (!match) throw new Error(t('collections.errorNumber', { field }));
+
+    const limit = Number(match[1]);
+    const compare = COMPARE[operator];
+
+    if (field === 'expires') return item => compare(daysUntilExpiry(effectiveExpiryDate(item)), limit);
+    return item => compare(item.quantity || 1, limit);
+}
+
+/**
+ * Compile a query into a predicate (item, context) => boolean.
+ * Conditions are joined with AND (also implied by a space), OR and NOT, and grouped with parentheses:
+ * tag:baby, tag:"travel kit", category:Dairy, location:Freezer, name:milk,
+ * is:opened, is:frozen, is:expired, expires < 14d, quantity >= 2.
+ * The context gives locationOf(item). Throws an Error saying what is wrong.
+ */
+export function compileQuery(query) {
+    const tokens = tokenize(query);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isWord = (token, word) => token?.toUpperCase() === word;
+
+    function parseOr() {
+        let left = parseAnd();
+        while (isWord(peek(), 'OR')) {
+            position++;
+            const a = left;
+            const b = parseAnd();
+            left = (item, context) => a(item, context) || b(item, context);
+        }
+        return left;
+    }
+
+    function parseAnd() {
+        let left = parseNot();
+        while (peek() !== undefined && peek() !== ')' && !isWord(peek(), 'OR')) {
+            if (isWord(peek(), 'AND')) position++;
+            const a = left;
+            const b = parseNot();
+            left = (item, context) => a(item, context) && b(item, context);
+        }
+        return left;
+    }
+
+    function parseNot() {
+        if (isWord(peek(), 'NOT')) {
+            position++;
+            const inner = parseNot();
+            return (item, context) => !inner(item, context);
+        }
+        return parseCondition();
+    }
+
+    function parseCondition() {
+        const token = tokens[position++];
+
+        if (token === undefined) throw new Error(t('collections.errorEnd'));
+        if (token === '(') {
+            const inner = parseOr();
+            if (tokens[position++] !== ')') throw new Error(t('collections.errorParenthesis'));
+            return inner;
+        }
+        if (NUMBER_FIELDS.includes(token.toLowerCase())) {
+            const operator = tokens[position++];
+            const value = tokens[position++];
+            return numberCondition(token.toLowerCase(), operator, value);
+        }
+        if (/^[a-z]+:/i.test(token)) return textCondition(token);
+
+        throw new Error(t('collections.errorUnexpected', { token }));
+    }
+
+    if (!tokens.length) throw new Error(t('collections.errorEmpty'));
+
+    const predicate = parseOr();
+    if (position < tokens.length) throw new Error(t('collections.errorUnexpected', { token: tokens[position] }));
+    return predicate;
+}
+
+// A collection row with its compiled query; a query that no longer compiles matches nothing
+function withMatcher(collection) {
+    try {
+        return { ...collection, matches: compileQuery(collection.query), error: null };
+    } catch (error) {
+        return { ...collection, matches: () => false, error: error.message };
+    }
+}
+
+/**
+ * Load a household's collections, ordered by name. Location conditions
+ * are checked against the household's storage locations.
+ * The last copy is kept in localStorage so the sidebar still shows them offline.
+ */
+export async function loadCollections(householdId, locations = []) {
+    const cacheKey = `${COLLECTION_CACHE_KEY}.${householdId}`;
+    let rows;
+
+    try {
+        const { data, error } = await supabase
+            .from('smart_collections')
+            .select('id, name, query')
+            .eq('household_id', householdId)
+            .order('name', { ascending: true });
+
+        if (error) throw error;
+
+        localStorage.setItem(cacheKey, JSON.stringify(data));
+        rows = data;
+    } catch (error) {
+        const cached = localStorage.getItem(cacheKey);
+        if (!isNetworkError(error) || !cached) throw error;
+        rows = JSON.parse(cached);
+    }
+
+    const locationsById = new Map(locations.map(location => [location.id, location]));
+    context = { locationOf: item => locationsById.get(item.location_id) || null };
+    collections = rows.map(withMatcher);
+    return collections;
+}
+
+/**
+ * The loaded collections
+ */
+export function getCollections() {
+    return collections;
+}
+
+/**
+ * The loaded collection with an id, or null
+ */
+export function findCollection(collectionId) {
+    return collections.find(collection => collection.id === collectionId) || null;
+}
+
+/**
+ * Check whether an item belongs to a loaded collection
+ */
+export function matchesCollection(collection, item) {
+    return collection.matches(item, context);
+}
+
+// Supabase error for a duplicate name -> readable message
+function duplicateNameError(error, name) {
+    if (error.code === '23505') return new Error(t('collections.errorDuplicate', { name }));
+    return error;
+}
+
+/**
+ * Save a new collection for a household
+ */
+export async function createCollection(householdId, userId, { name, query }) {
+    const { data, error } = await supabase
+        .from('smart_collections')
+        .insert({ household_id: householdId, created_by: userId, name, query })
+        .select('id')
+        .single();
+
+    if (error) throw duplicateNameError(error, name);
+    return data.id;
+}
+
+/**
+ * Change a collection's name or query
+ */
+export async function updateCollection(collectionId, changes) {
+    const { error } = await supabase
+        .from('smart_collections')
+        .update(changes)
+        .eq('id', collectionId);
+
+    if (error) throw duplicateNameError(error, changes.name);
+}
+
+/**
+ * Delete a collection; its items are not touched
+ */
+export async function deleteCollection(collectionId) {
+    const { error } = await supabase
+        .from('smart_collections')
+        .delete()
+        .eq('id', collectionId);
+
+    if (error) throw error;
+}
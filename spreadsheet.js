@@ -0,0 +1,238 @@
+// Spreadsheet Import/Export - CSV/TSV parsing, column mapping and date formats
+
+/**
+ * Item fields a spreadsheet column can be mapped to
+ */
+export const ITEM_FIELDS = [
+    { key: 'name', required: true },
+    { key: 'category' },
+    { key: 'quantity' },
+    { key: 'expiry_date', required: true },
+    { key: 'notes' },
+    { key: 'tags' },
+    { key: 'unit_price' },
+    { key: 'currency' }
+];
+
+export const DELIMITERS = [
+    { value: ',', name: 'comma' },
+    { value: '\t', name: 'tab' },
+    { value: ';', name: 'semicolon' }
+];
+
+/**
+ * Day/month orders for dates that do not start with the year
+ */
+export const DATE_FORMATS = ['DMY', 'MDY'];
+
+// Header names recognised for each field when guessing the mapping
+const HEADER_ALIASES = {
+    name: ['name', 'item', 'item name', 'product', 'product name'],
+    category: ['category', 'type', 'group'],
+    quantity: ['quantity', 'qty', 'count', 'amount'],
+    expiry_date: ['expiry date', 'expiry', 'expires', 'expiration', 'expiration date', 'best before', 'use by'],
+    notes: ['notes', 'note', 'comments', 'comment', 'description'],
+    tags: ['tags', 'tag', 'labels', 'label'],
+    unit_price: ['unit price', 'price', 'cost', 'price each'],
+    currency: ['currency', 'currency code']
+};
+
+// 2024-03-31, 31/03/2024, 03-31-24, 31.03.2024
+const DATE_PATTERN = /^(\d{1,4})[./-](\d{1,2})[./-](\d{1,4})$/;
+
+// Text starting with one of these is run as a formula by Excel and Sheets
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * Keep exported text from being run as a formula: text that would be read
+ * as one gets a leading apostrophe, which spreadsheet apps show as plain text.
+ * Numbers are left alone.
+ */
+export function escapeFormula(value) {
+    if (typeof value !== 'string' || !FORMULA_PATTERN.test(value)) return value;
+    return `'${value}`;
+}
+
+/**
+ * Undo escapeFormula on an imported cell
+ */
+export function unescapeFormula(text) {
+    return text.startsWith("'") && FORMULA_PATTERN.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Parse delimited text into rows of cells.
+ * Handles quoted cells, doubled quotes and line breaks inside quotes.
+ */
+export function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    const source = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    row.push(cell);
+    rows.push(row);
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Guess the delimiter from the first few lines: the candidate that splits
+ * every line into the same number of columns (more than one) wins
+ */
+export function detectDelimiter(text) {
+    const sample = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 10).join('\n');
+
+    let best = { value: ',', columns: 1 };
+
+    DELIMITERS.forEach(({ value }) => {
+        const counts = parseDelimited(sample, value).map(row => row.length);
+        const consistent = counts.every(count => count === counts[0]);
+        if (consistent && counts[0] > best.columns) best = { value, columns: counts[0] };
+    });
+
+    return best.value;
+}
+
+/**
+ * Build delimited text, quoting cells that need it and escaping formulas
+ */
+export function toDelimited(rows, delimiter) {
+    return rows.map(row => row.map(value => {
+        const text = String(escapeFormula(value) ?? '');
+        return /["\r\n]/.test(text) || text.includes(delimiter)
+            ? `"${text.replace(/"/g, '""')}"`
+            : text;
+    }).join(delimiter)).join('\r\n');
+}
+
+/**
+ * Guess which column holds each item field from the header row.
+ * Returns { field: columnIndex } with -1 for fields that were not found.
+ */
+export function guessColumnMapping(headers) {
+    const normalized = headers.map(header => header.trim().toLowerCase().replace(/[_-]+/g, ' '));
+
+    return Object.fromEntries(ITEM_FIELDS.map(({ key }) => [
+        key,
+        normalized.findIndex(header => HEADER_ALIASES[key].includes(header))
+    ]));
+}
+
+/**
+ * Work out whether dates are day-first or month-first.
+ * Returns { format, ambiguous }: format is null when no date needs one,
+ * or when every date would read both ways (the user must choose).
+ */
+export function detectDateFormat(values) {
+    let needed = false;
+    let dayFirst = false;
+    let monthFirst = false;
+
+    values.forEach(value => {
+        const match = String(value).trim().match(DATE_PATTERN);
+        if (!match || match[1].length === 4) return;
+
+        needed = true;
+        if (Number(match[1]) > 12) dayFirst = true;
+        if (Number(match[2]) > 12) monthFirst = true;
+    });
+
+    if (!needed) return { format: null, ambiguous: false };
+    if (dayFirst !== monthFirst) return { format: dayFirst ? 'DMY' : 'MDY', ambiguous: false };
+    return { format: null, ambiguous: true };
+}
+
+/**
+ * Parse a spreadsheet date to YYYY-MM-DD.
+ * Year-first dates are always read as YYYY-MM-DD; others use dateFormat.
+ * Returns null if the value is not a real date.
+ */
+export function parseDate(value, dateFormat) {
+    const match = String(value).trim().match(DATE_PATTERN);
+    if (!match) return null;
+
+    const [, first, second, third] = match;
+    let year;
+    let month;
+    let day;
+
+    if (first.length === 4) {
+        [year, month, day] = [first, second, third];
+    } else if (dateFormat === 'DMY') {
+        [day, month, year] = [first, second, third];
+    } else if (dateFormat === 'MDY') {
+        [month, day, year] = [first, second, third];
+    } else {
+        return null;
+    }
+
+    if (year.length === 2) year = `20${year}`;
+    if (year.length !== 4) return null;
+
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null;
+
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Turn a spreadsheet row into raw item data using a column mapping.
+ * Dates that cannot be parsed are left as written so validation can report them.
+ * Formulas escaped on export are read back as written.
+ */
+export function mapRow(row, mapping, dateFormat) {
+    const cell = key => (mapping[key] >= 0 ? unescapeFormula((row[mapping[key]] ?? '').trim()) : '');
+
+    return {
+        name: cell('name'),
+        category: cell('category'),
+        quantity: cell('quantity'),
+        expiry_date: parseDate(cell('expiry_date'), dateFormat) || cell('expiry_date'),
+        notes: cell('notes'),
+        tags: cell('tags'),
+        unit_price: cell('unit_price'),
+        currency: cell('currency')
+    };
+}
+
+/**
+ * Items as spreadsheet rows, with a header row of field names.
+ * Tags share one cell, separated by commas.
+ */
+export function itemsToRows(items) {
+    const keys = ITEM_FIELDS.map(field => field.key);
+    const value = (item, key) => (Array.isArray(item[key]) ? item[key].join(', ') : item[key] ?? '');
+    return [keys, ...items.map(item => keys.map(key => value(item, key)))];
+}
@@ -0,0 +1,117 @@
+// Storage Locations - where a household keeps its items, and freezer-extended expiry dates
+import { supabase } from './config.js';
+import { isNetworkError } from './item-store.js';
+import { getLots, lotChanges, mergeLots, shiftLots } from './lots.js';
+import { t } from './i18n.js';
+
+const LOCATION_CACHE_KEY = 'expiryTracker.locations';
+
+/**
+ * Days a freezer adds to an item's expiry date, per category.
+ * Used until a household saves its own; categories left out are not extended.
+ */
+export const DEFAULT_FREEZER_EXTENSIONS = {
+    Dairy: 30,
+    Vegetables: 240,
+    Fruits: 240,
+    Meat: 90,
+    Pantry: 90,
+    Other: 30
+};
+
+/**
+ * Load a household's storage locations, oldest first.
+ * The last copy is kept in localStorage so the dashboard still opens offline.
+ */
+export async function loadLocations(householdId) {
+    const cacheKey = `${LOCATION_CACHE_KEY}.${householdId}`;
+
+    try {
+        const { data, error } = await supabase
+            .from('storage_locations')
+            .select('id, name, is_freezer')
+            .eq('household_id', householdId)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        localStorage.setItem(cacheKey, JSON.stringify(data));
+        return data;
+    } catch (error) {
+        const cached = localStorage.getItem(cacheKey);
+        if (!isNetworkError(error) || !cached) throw error;
+        return JSON.parse(cached);
+    }
+}
+
+/**
+ * Add a storage location to a household
+ */
+export async function createLocation(householdId, name, isFreezer) {
+    const { error } = await supabase
+        .from('storage_locations')
+        .insert({ household_id: householdId, name, is_freezer: isFreezer });
+
+    if (error) {
+        if (error.code === '23505') throw new Error(t('household.locationExists', { name }));
+        throw error;
+    }
+}
+
+/**
+ * Rename a storage location or change whether it is a freezer
+ */
+export async function updateLocation(locationId, changes) {
+    const { error } = await supabase
+        .from('storage_locations')
+        .update(changes)
+        .eq('id', locationId);
+
+    if (error) throw error;
+}
+
+/**
+ * Delete a storage location. Its items are kept without a location.
+ */
+export async function deleteLocation(locationId) {
+    const { error } = await supabase
+        .from('storage_locations')
+        .delete()
+        .eq('id', locationId);
+
+    if (error) throw error;
+}
+
+/**
+ * Save a household's per-category freezer extensions (owners only)
+ */
+export async function saveFreezerExtensions(householdId, extensions) {
+    const { error } = await supabase
+        .from('households')
+        .update({ freezer_extensions: extensions })
+        .eq('id', householdId);
+
+    if (error) throw error;
+}
+
+/**
+ * Days the freezer adds to an item of a category
+ */
+export function freezerExtensionDays(extensions, category) {
+    return (extensions || DEFAULT_FREEZER_EXTENSIONS)[category] ?? 0;
+}
+
+/**
+ * Item changes for moving an item into a freezer: every lot's expiry date
+ * is pushed back by the extension, and the printed date is remembered.
+ * An item that is already frozen keeps its first printed date.
+ */
+export function freezeChanges(item, freezerId, extensionDays) {
+    const lots = shiftLots(getLots(item), extensionDays);
+
+    return {
+        location_id: freezerId,
+        original_expiry_date: item.original_expiry_date || item.expiry_date,
+        ...lotChanges(mergeLots([], lots))
+    };
+}
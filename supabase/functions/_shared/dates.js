@@ -0,0 +1,96 @@
+// Date-only Arithmetic - calendar dates as YYYY-MM-DD strings, shared by the browser and the server functions.
+// An expiry date names a day, not an instant, so it is never handed to new Date() on its own:
+// "2026-03-01" parses as UTC midnight, which is still February 28th west of UTC.
+// "Today" and the calendar date of a timestamp are always read in an explicit time zone.
+
+/**
+ * Time zone used when a user has not chosen one
+ */
+export const DEFAULT_TIMEZONE = 'UTC';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check whether a value is a YYYY-MM-DD date with no time part
+ */
+export function isDateOnly(value) {
+    return typeof value === 'string' && DATE_ONLY.test(value);
+}
+
+/**
+ * Check whether a time zone name is known to Intl (e.g. "Asia/Kolkata")
+ */
+export function isValidTimeZone(timeZone) {
+    if (!timeZone) return false;
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Local date (YYYY-MM-DD) and minutes after midnight in a time zone
+ */
+export function localTimeParts(now, timeZone) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-CA', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        })
+            .formatToParts(now)
+            .map(({ type, value }) => [type, value])
+    );
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in a time zone
+ */
+export function todayIn(timeZone, now = new Date()) {
+    return localTimeParts(now, timeZone).date;
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) of a timestamp in a time zone.
+ * Date-only values are already a calendar date and are returned unchanged.
+ */
+export function toDateIn(value, timeZone) {
+    if (isDateOnly(value)) return value;
+    return localTimeParts(new Date(value), timeZone).date;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+export function addDays(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date to another
+ */
+export function daysBetween(fromDate, toDate) {
+    return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Format a YYYY-MM-DD date. It is formatted as a UTC day so no time zone can move it.
+ */
+export function formatDateOnly(date, options, locale = 'en-US') {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString(locale, { ...options, timeZone: 'UTC' });
+}
@@ -0,0 +1,157 @@
+// Email Digest - schedule checks and message building for the send-expiry-digest function
+import { effectiveExpiryDate, isDeliveryDue } from './reminders.js';
+import { daysBetween, formatDateOnly } from './dates.js';
+
+/**
+ * Settings used when a user has not saved their own
+ */
+export const DEFAULT_DIGEST = {
+    frequency: 'off',
+    weekday: 1,
+    days_ahead: 7
+};
+
+const NO_CATEGORY = 'Other';
+
+/**
+ * Day of the week of a YYYY-MM-DD date, 0 for Sunday
+ */
+export function weekdayOf(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Check whether a scheduled digest should go out at a local date and time:
+ * every day or only on the chosen weekday, in or after the hour of the
+ * user's reminder delivery time and outside quiet hours, and not yet sent that day
+ */
+export function isDigestDue(digest, rules, local) {
+    if (digest.frequency === 'off') return false;
+    if (digest.last_sent_on === local.date) return false;
+    if (digest.frequency === 'weekly' && weekdayOf(local.date) !== digest.weekday) return false;
+
+    return isDeliveryDue(rules, local.minutes);
+}
+
+/**
+ * Sort items into expired, expiring today and expiring within daysAhead days,
+ * each grouped by category, soonest first. Empty sections are left out.
+ * Returns [{ key, title, count, groups: [{ category, entries: [{ item, date, days }] }] }]
+ */
+export function groupDigestItems(items, today, daysAhead) {
+    const sections = [
+        { key: 'expired', title: 'Expired', entries: [] },
+        { key: 'today', title: 'Expiring today', entries: [] },
+        { key: 'upcoming', title: `Expiring in the next ${daysAhead} days`, entries: [] }
+    ];
+
+    items.forEach(item => {
+        const date = effectiveExpiryDate(item);
+        const days = daysBetween(today, date);
+        if (days > daysAhead) return;
+
+        const section = days < 0 ? sections[0] : days === 0 ? sections[1] : sections[2];
+        section.entries.push({ item, date, days });
+    });
+
+    return sections
+        .filter(section => section.entries.length)
+        .map(({ key, title, entries }) => {
+            entries.sort((a, b) => a.days - b.days || a.item.name.localeCompare(b.item.name));
+            const byCategory = Map.groupBy(entries, entry => entry.item.category || NO_CATEGORY);
+
+            return {
+                key,
+                title,
+                count: entries.length,
+                groups: [...byCategory]
+                    .sort(([a], [b]) => a.localeCompare(b))
+                    .map(([category, groupEntries]) => ({ category, entries: groupEntries }))
+            };
+        });
+}
+
+// "expired 3 days ago", "expires today", "expires tomorrow", "expires in 5 days"
+function describeWhen(days) {
+    if (days < -1) return `expired ${-days} days ago`;
+    if (days === -1) return 'expired yesterday';
+    if (days === 0) return 'expires today';
+    if (days === 1) return 'expires tomorrow';
+    return `expires in ${days} days`;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Subject line summing up the sections
+ */
+export function digestSubject(sections, daysAhead) {
+    if (!sections.length) return `ExpiryTracker: nothing expiring in the next ${daysAhead} days`;
+
+    const counts = {
+        expired: count => `${count} expired`,
+        today: count => `${count} expiring today`,
+        upcoming: count => `${count} in the next ${daysAhead} days`
+    };
+    return `ExpiryTracker: ${sections.map(section => counts[section.key](section.count)).join(', ')}`;
+}
+
+/**
+ * Build the digest email as { subject, text, html }.
+ * householdOf(item) names the item's household, or returns '' to leave it out.
+ */
+export function buildDigestEmail(sections, { daysAhead, unsubscribeUrl, appUrl, householdOf = () => '' }) {
+    const line = ({ item, date, days }) => {
+        const household = householdOf(item);
+        const quantity = item.quantity > 1 ? ` × ${item.quantity}` : '';
+        return {
+            name: `${item.name}${quantity}`,
+            detail: `${describeWhen(days)} (${formatDateOnly(date, { month: 'short', day: 'numeric' })})${household ? ` · ${household}` : ''}`
+        };
+    };
+
+    const intro = sections.length ? 'Here is what needs using up:' : `Nothing expires in the next ${daysAhead} days.`;
+
+    const textLines = [intro];
+    sections.forEach(section => {
+        textLines.push('', `${section.title} (${section.count})`);
+        section.groups.forEach(group => {
+            textLines.push(`  ${group.category}`);
+            group.entries.forEach(entry => {
+                const { name, detail } = line(entry);
+                textLines.push(`  - ${name}: ${detail}`);
+            });
+        });
+    });
+    textLines.push('');
+    if (appUrl) textLines.push(`Open ExpiryTracker: ${appUrl}`);
+    textLines.push(`Unsubscribe: ${unsubscribeUrl}`);
+
+    const html = `
+<div style="font-family: Arial, sans-serif; color: #1f2937; max-width: 560px;">
+    <p>${intro}</p>
+    ${sections.map(section => `
+    <h2 style="font-size: 16px; margin: 24px 0 8px;">${escapeHtml(section.title)} (${section.count})</h2>
+    ${section.groups.map(group => `
+    <h3 style="font-size: 13px; margin: 12px 0 4px; color: #6b7280; text-transform: uppercase;">${escapeHtml(group.category)}</h3>
+    <ul style="margin: 0; padding-left: 20px;">
+        ${group.entries.map(entry => {
+            const { name, detail } = line(entry);
+            return `<li><strong>${escapeHtml(name)}</strong> - ${escapeHtml(detail)}</li>`;
+        }).join('\n        ')}
+    </ul>`).join('')}`).join('')}
+    ${appUrl ? `<p style="margin-top: 24px;"><a href="${escapeHtml(appUrl)}">Open ExpiryTracker</a></p>` : ''}
+    <p style="margin-top: 24px; font-size: 12px; color: #6b7280;">
+        You get this email because you turned on the expiry digest.
+        <a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a>
+    </p>
+</div>`;
+
+    return { subject: digestSubject(sections, daysAhead), text: textLines.join('\n'), html };
+}
@@ -0,0 +1,127 @@
+// iCalendar Export - expiry dates as all-day events, shared by the dashboard download and the calendar-feed function
+import {
+    leadDaysFor,
+    timeToMinutes,
+    effectiveExpiryDate,
+    buildPushPayload
+} from './reminders.js';
+import { addDays } from './dates.js';
+import { translator } from './messages.js';
+
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape commas, semicolons, backslashes and newlines in a TEXT value
+ */
+export function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line so no line is longer than 75 octets.
+ * Continuation lines start with a space; multi-byte characters are never split.
+ */
+export function foldLine(line) {
+    const encoder = new TextEncoder();
+    const lines = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        const limit = lines.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+
+        if (octets + size > limit) {
+            lines.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    lines.push(current);
+
+    return lines.join('\r\n ');
+}
+
+/**
+ * Alarm trigger relative to the start of an all-day event:
+ * daysBefore days early, at the delivery time
+ */
+export function alarmTrigger(daysBefore, deliveryTime) {
+    const minutes = daysBefore * 24 * 60 - timeToMinutes(deliveryTime);
+    return minutes > 0 ? `-PT${minutes}M` : `PT${-minutes}M`;
+}
+
+// YYYY-MM-DD to an iCalendar DATE
+function formatIcalDate(date) {
+    return date.replace(/-/g, '');
+}
+
+// Date to an iCalendar UTC DATE-TIME
+function formatIcalTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// VEVENT lines for one item, with an alarm for each of its reminder lead days
+function buildEvent(item, rules, stamp, { language, categoryLabel }) {
+    const t = translator(language);
+    const date = effectiveExpiryDate(item);
+    const details = [
+        item.category && t('ical.category', { category: categoryLabel(item.category) }),
+        t('ical.quantity', { quantity: item.quantity }),
+        date !== item.expiry_date && t('ical.opened', { date: item.expiry_date }),
+        item.notes
+    ].filter(Boolean);
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${item.id}@expirytracker`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${formatIcalDate(date)}`,
+        `DTEND;VALUE=DATE:${formatIcalDate(addDays(date, 1))}`,
+        `SUMMARY:${escapeText(t('ical.summary', { name: item.name }))}`,
+        `DESCRIPTION:${escapeText(details.join('\n'))}`,
+        ...(item.category ? [`CATEGORIES:${escapeText(item.category)}`] : []),
+        'TRANSP:TRANSPARENT',
+        ...leadDaysFor(rules, item.category).flatMap(daysBefore => [
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escapeText(buildPushPayload(item, daysBefore, language).body)}`,
+            `TRIGGER:${alarmTrigger(daysBefore, rules.delivery_time)}`,
+            'END:VALARM'
+        ]),
+        'END:VEVENT'
+    ];
+}
+
+/**
+ * Build an iCalendar file with one all-day event per item on the date it
+ * has to be used by. Alarms follow the user's reminder lead days and delivery time.
+ * Event text is in the given language; categoryLabel can translate category names.
+ */
+export function buildCalendar(items, rules, {
+    name = 'ExpiryTracker',
+    now = new Date(),
+    language,
+    categoryLabel = category => category
+} = {}) {
+    const stamp = formatIcalTimestamp(now);
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//ExpiryTracker//Expiry Calendar//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...items.flatMap(item => buildEvent(item, rules, stamp, { language, categoryLabel })),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
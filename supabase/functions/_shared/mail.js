@@ -0,0 +1,74 @@
+// Mail Transports - how the server functions send email, picked with the MAIL_TRANSPORT secret
+import nodemailer from 'npm:nodemailer@6.9.16';
+
+// SMTP server, e.g. a provider's relay or a local sink such as Mailpit (SMTP_HOST=localhost SMTP_PORT=1025)
+function smtpTransport(env) {
+    const port = Number(env.get('SMTP_PORT') || 587);
+    const user = env.get('SMTP_USER');
+
+    const transporter = nodemailer.createTransport({
+        host: env.get('SMTP_HOST'),
+        port,
+        secure: port === 465,
+        auth: user ? { user, pass: env.get('SMTP_PASS') } : undefined
+    });
+
+    return {
+        async send(message) {
+            await transporter.sendMail(message);
+        }
+    };
+}
+
+// Resend's HTTP API, for hosts that block outgoing SMTP
+function resendTransport(env) {
+    const apiKey = env.get('RESEND_API_KEY');
+
+    return {
+        async send({ from, to, subject, text, html, headers }) {
+            const response = await fetch('https://api.resend.com/emails', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ from, to: [to], subject, text, html, headers })
+            });
+
+            if (!response.ok) throw new Error(`Resend answered ${response.status}: ${await response.text()}`);
+        }
+    };
+}
+
+// Print messages instead of sending them
+function logTransport() {
+    return {
+        async send({ to, subject, text }) {
+            console.log(`Email to ${to}: ${subject}\n${text}`);
+        }
+    };
+}
+
+const TRANSPORTS = {
+    smtp: smtpTransport,
+    resend: resendTransport,
+    log: logTransport
+};
+
+/**
+ * Mail transport chosen by MAIL_TRANSPORT (smtp, resend or log; smtp by default).
+ * Its send({ to, subject, text, html, headers }) resolves once the message is accepted
+ * and throws otherwise; the sender is MAIL_FROM.
+ */
+export function createTransport(env = Deno.env) {
+    const name = env.get('MAIL_TRANSPORT') || 'smtp';
+    const factory = TRANSPORTS[name];
+    if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+
+    const from = env.get('MAIL_FROM') || 'ExpiryTracker <no-reply@example.com>';
+    const transport = factory(env);
+
+    return {
+        send: message => transport.send({ from, ...message })
+    };
+}
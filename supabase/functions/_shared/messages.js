@@ -0,0 +1,103 @@
+// Server Messages - texts the Edge Functions show or send, and the reminders and calendar
+// events the app builds with them, in the languages of the app's picker
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Region used to format numbers and plurals for each language
+const LOCALES = {
+    en: 'en-US',
+    hi: 'hi-IN',
+    es: 'es-ES'
+};
+
+const MESSAGES = {
+    en: {
+        'unsubscribe.missingToken': 'Missing unsubscribe token',
+        'unsubscribe.invalid': 'This unsubscribe link is not valid',
+        'unsubscribe.confirm': 'Stop receiving the expiry digest by email?',
+        'unsubscribe.button': 'Unsubscribe',
+        'unsubscribe.done': 'You will no longer receive the expiry digest. You can turn it back on from your profile page.',
+        'unsubscribe.failed': 'Failed to unsubscribe, please try again',
+        'push.todayTitle': 'Item Expiring Today!',
+        'push.soonTitle': 'Item Expiring Soon',
+        'push.upcomingTitle': 'Upcoming Expiry',
+        'push.today': '{name} expires today!',
+        'push.tomorrow': '{name} expires tomorrow',
+        'push.week': '{name} expires in 1 week',
+        'push.days': { one: '{name} expires in {count} day', other: '{name} expires in {count} days' },
+        'ical.summary': '{name} expires',
+        'ical.category': 'Category: {category}',
+        'ical.quantity': 'Quantity: {quantity}',
+        'ical.opened': 'Opened - printed expiry date is {date}'
+    },
+    hi: {
+        'unsubscribe.missingToken': 'सदस्यता समाप्त करने का टोकन नहीं मिला',
+        'unsubscribe.invalid': 'सदस्यता समाप्त करने का यह लिंक मान्य नहीं है',
+        'unsubscribe.confirm': 'ईमेल से समाप्ति सारांश पाना बंद करें?',
+        'unsubscribe.button': 'सदस्यता समाप्त करें',
+        'unsubscribe.done': 'अब आपको समाप्ति सारांश नहीं मिलेगा। आप इसे अपने प्रोफ़ाइल पेज से फिर चालू कर सकते हैं।',
+        'unsubscribe.failed': 'सदस्यता समाप्त नहीं हो सकी, कृपया फिर कोशिश करें',
+        'push.todayTitle': 'आइटम आज समाप्त हो रहा है!',
+        'push.soonTitle': 'आइटम जल्द समाप्त होगा',
+        'push.upcomingTitle': 'आने वाली समाप्ति',
+        'push.today': '{name} आज समाप्त हो रहा है!',
+        'push.tomorrow': '{name} कल समाप्त होगा',
+        'push.week': '{name} 1 सप्ताह में समाप्त होगा',
+        'push.days': { one: '{name} {count} दिन में समाप्त होगा', other: '{name} {count} दिनों में समाप्त होगा' },
+        'ical.summary': '{name} की समाप्ति',
+        'ical.category': 'श्रेणी: {category}',
+        'ical.quantity': 'मात्रा: {quantity}',
+        'ical.opened': 'खोला गया - छपी हुई समाप्ति तिथि {date} है'
+    },
+    es: {
+        'unsubscribe.missingToken': 'Falta el token para darse de baja',
+        'unsubscribe.invalid': 'Este enlace para darse de baja no es válido',
+        'unsubscribe.confirm': '¿Dejar de recibir el resumen de caducidad por correo?',
+        'unsubscribe.button': 'Darse de baja',
+        'unsubscribe.done': 'Ya no recibirás el resumen de caducidad. Puedes volver a activarlo desde tu perfil.',
+        'unsubscribe.failed': 'No se pudo dar de baja, inténtalo de nuevo',
+        'push.todayTitle': '¡Un artículo caduca hoy!',
+        'push.soonTitle': 'Artículo a punto de caducar',
+        'push.upcomingTitle': 'Próxima caducidad',
+        'push.today': '¡{name} caduca hoy!',
+        'push.tomorrow': '{name} caduca mañana',
+        'push.week': '{name} caduca en 1 semana',
+        'push.days': { one: '{name} caduca en {count} día', other: '{name} caduca en {count} días' },
+        'ical.summary': '{name} caduca',
+        'ical.category': 'Categoría: {category}',
+        'ical.quantity': 'Cantidad: {quantity}',
+        'ical.opened': 'Abierto - la fecha de caducidad impresa es {date}'
+    }
+};
+
+/**
+ * A supported language: the one asked for, else the first of an
+ * Accept-Language header's that has messages, else English
+ */
+export function pickLanguage(language, acceptLanguage = '') {
+    if (language in MESSAGES) return language;
+
+    const accepted = acceptLanguage
+        .split(',')
+        .map(part => part.trim().split(/[-;]/)[0].toLowerCase())
+        .find(code => code in MESSAGES);
+
+    return accepted || DEFAULT_LANGUAGE;
+}
+
+/**
+ * A translate(key, params) function for a language, like t() in the app:
+ * {placeholders} are filled from params, messages with plural forms are
+ * chosen by params.count, and missing messages fall back to English
+ */
+export function translator(language) {
+    const code = pickLanguage(language);
+    const plurals = new Intl.PluralRules(LOCALES[code]);
+
+    return (key, params = {}) => {
+        const message = MESSAGES[code][key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+        const text = typeof message === 'object' ? message[plurals.select(params.count)] ?? message.other : message;
+
+        return text.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+    };
+}
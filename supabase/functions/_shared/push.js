@@ -0,0 +1,77 @@
+// Push Senders - how the server functions deliver Web Push, picked with the PUSH_TRANSPORT secret
+import webpush from 'npm:web-push@3.6.7';
+
+// The browser's push service, signed with the VAPID keys
+function webPushSender(env) {
+    webpush.setVapidDetails(
+        env.get('VAPID_SUBJECT') || 'mailto:admin@example.com',
+        env.get('VAPID_PUBLIC_KEY'),
+        env.get('VAPID_PRIVATE_KEY')
+    );
+
+    return {
+        async send(subscription, payload) {
+            await webpush.sendNotification(subscription, payload);
+        }
+    };
+}
+
+// A stand-in push service at PUSH_LOCAL_URL, e.g. a local request catcher
+// (PUSH_LOCAL_URL=http://localhost:8787). Each push is encrypted, and signed
+// when the VAPID keys are set, as for the browser's push service; only the
+// URL differs, and the subscription's endpoint goes along in X-Push-Endpoint.
+// A 404 or 410 answer removes the subscription, as it would in production.
+function localSender(env) {
+    const url = env.get('PUSH_LOCAL_URL') || 'http://localhost:8787';
+    const vapidDetails = env.get('VAPID_PUBLIC_KEY') ? {
+        subject: env.get('VAPID_SUBJECT') || 'mailto:admin@example.com',
+        publicKey: env.get('VAPID_PUBLIC_KEY'),
+        privateKey: env.get('VAPID_PRIVATE_KEY')
+    } : null;
+
+    return {
+        async send(subscription, payload) {
+            const { method, headers, body } = webpush.generateRequestDetails(subscription, payload, { vapidDetails });
+            delete headers['Content-Length'];
+
+            const response = await fetch(url, {
+                method,
+                headers: { ...headers, 'X-Push-Endpoint': subscription.endpoint },
+                body
+            });
+            await response.body?.cancel();
+
+            if (!response.ok) {
+                throw Object.assign(new Error(`The stand-in push service answered ${response.status}`), { statusCode: response.status });
+            }
+        }
+    };
+}
+
+// Print payloads instead of sending them, for testing without a push service
+function logSender() {
+    return {
+        async send(subscription, payload) {
+            console.log(`Push to ${subscription.endpoint}: ${payload}`);
+        }
+    };
+}
+
+const SENDERS = {
+    webpush: webPushSender,
+    local: localSender,
+    log: logSender
+};
+
+/**
+ * Push sender chosen by PUSH_TRANSPORT (webpush, local or log; webpush by default).
+ * Its send({ endpoint, keys }, payload) resolves once the push is accepted and
+ * throws otherwise; a rejected push has the push service's statusCode.
+ */
+export function createPushSender(env = Deno.env) {
+    const name = env.get('PUSH_TRANSPORT') || 'webpush';
+    const factory = SENDERS[name];
+    if (!factory) throw new Error(`Unknown PUSH_TRANSPORT "${name}"`);
+
+    return factory(env);
+}
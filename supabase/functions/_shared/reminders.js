@@ -0,0 +1,145 @@
+// Expiry Reminder Rules - shared by notifications.js and the scheduled server functions
+import { addDays, daysBetween } from './dates.js';
+import { translator } from './messages.js';
+
+/**
+ * Rules used when a user has not saved their own
+ */
+export const DEFAULT_RULES = {
+    lead_days: [7, 3, 0],
+    category_lead_days: {},
+    delivery_time: '09:00',
+    quiet_start: null,
+    quiet_end: null
+};
+
+/**
+ * Merge a saved reminder_rules row over the defaults
+ */
+export function resolveRules(row) {
+    if (!row) return { ...DEFAULT_RULES };
+
+    return {
+        lead_days: row.lead_days?.length ? row.lead_days : DEFAULT_RULES.lead_days,
+        category_lead_days: row.category_lead_days || {},
+        delivery_time: row.delivery_time || DEFAULT_RULES.delivery_time,
+        quiet_start: row.quiet_start || null,
+        quiet_end: row.quiet_end || null
+    };
+}
+
+/**
+ * Parse a list like "30, 14, 7" into unique lead days, largest first.
+ * Returns null if any entry is not a whole number of days from 0 to 365.
+ */
+export function parseLeadDays(text) {
+    const parts = String(text).split(/[\s,]+/).filter(Boolean);
+    if (parts.length === 0) return null;
+
+    const days = parts.map(Number);
+    if (days.some(day => !Number.isInteger(day) || day < 0 || day > 365)) return null;
+
+    return [...new Set(days)].sort((a, b) => b - a);
+}
+
+/**
+ * Lead days that apply to an item's category
+ */
+export function leadDaysFor(rules, category) {
+    return rules.category_lead_days[category] || rules.lead_days;
+}
+
+/**
+ * Largest lead time across a set of rules
+ */
+export function maxLeadDays(rules) {
+    return Math.max(
+        ...rules.lead_days,
+        ...Object.values(rules.category_lead_days).flat()
+    );
+}
+
+/**
+ * Convert "HH:MM" or "HH:MM:SS" to minutes after midnight
+ */
+export function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a local time of day falls inside the quiet hours.
+ * Quiet hours may wrap past midnight (e.g. 22:00 to 07:00).
+ */
+export function isQuietTime(rules, minutesOfDay) {
+    if (!rules.quiet_start || !rules.quiet_end) return false;
+
+    const start = timeToMinutes(rules.quiet_start);
+    const end = timeToMinutes(rules.quiet_end);
+
+    if (start === end) return false;
+    if (start < end) return minutesOfDay >= start && minutesOfDay < end;
+    return minutesOfDay >= start || minutesOfDay < end;
+}
+
+/**
+ * Check whether the hourly jobs may deliver at a local time of day: the
+ * delivery time falls in the hour this run belongs to or an earlier one,
+ * and it is outside quiet hours. Comparing whole hours lets a time such as
+ * 23:30 be reached by the day's last run, which starts before it.
+ */
+export function isDeliveryDue(rules, minutesOfDay) {
+    const hourEnd = (Math.floor(minutesOfDay / 60) + 1) * 60;
+    return timeToMinutes(rules.delivery_time) < hourEnd && !isQuietTime(rules, minutesOfDay);
+}
+
+/**
+ * The date an item really has to be used by: its printed expiry date,
+ * or sooner once it has been opened and must be used within a number of days
+ */
+export function effectiveExpiryDate(item) {
+    if (!item.opened_at || !item.use_within_days) return item.expiry_date;
+
+    const openedExpiry = addDays(item.opened_at, item.use_within_days);
+    return openedExpiry < item.expiry_date ? openedExpiry : item.expiry_date;
+}
+
+/**
+ * Find the items that are due a reminder on a given local date.
+ * Returns [{ item, daysBefore }]
+ */
+export function findDueReminders(items, today, rules) {
+    return items
+        .map(item => ({ item, daysBefore: daysBetween(today, effectiveExpiryDate(item)) }))
+        .filter(({ item, daysBefore }) => leadDaysFor(rules, item.category).includes(daysBefore));
+}
+
+/**
+ * Build the notification for an item that expires in daysBefore days,
+ * in a language of the app ('en', 'hi' or 'es'; English otherwise)
+ */
+export function buildPushPayload(item, daysBefore, language) {
+    const t = translator(language);
+    const { name } = item;
+
+    if (daysBefore === 0) {
+        return {
+            title: t('push.todayTitle'),
+            body: t('push.today', { name }),
+            tag: `expiry-${item.id}`,
+            itemId: item.id,
+            requireInteraction: true
+        };
+    }
+
+    let body = t('push.days', { name, count: daysBefore });
+    if (daysBefore === 1) body = t('push.tomorrow', { name });
+    else if (daysBefore === 7) body = t('push.week', { name });
+
+    return {
+        title: t(daysBefore <= 3 ? 'push.soonTitle' : 'push.upcomingTitle'),
+        body,
+        tag: `expiry-${item.id}`,
+        itemId: item.id
+    };
+}
@@ -0,0 +1,155 @@
+// Webhooks - events, retry schedule and request signing for the deliver-webhooks function
+
+/**
+ * Events a webhook can subscribe to
+ */
+export const WEBHOOK_EVENTS = ['item.created', 'item.updated', 'item.deleted', 'item.expiring', 'item.expired'];
+
+/**
+ * Attempts before a delivery is given up as failed
+ */
+export const MAX_ATTEMPTS = 8;
+
+const FIRST_RETRY_SECONDS = 60;
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+
+/**
+ * Seconds to wait after a failed attempt before the next one: 1 minute,
+ * doubling after every attempt, at most 6 hours
+ */
+export function retryDelaySeconds(attempt) {
+    return Math.min(FIRST_RETRY_SECONDS * 2 ** (attempt - 1), MAX_RETRY_SECONDS);
+}
+
+// Host names that never leave this machine or its network
+const LOCAL_HOSTNAME = /(^|\.)(localhost|local|internal|home\.arpa)$/;
+
+// IPv4 ranges that are not on the public internet: "this network", private,
+// carrier-grade NAT, loopback, link-local (cloud metadata), protocol
+// assignments, benchmarking, multicast and reserved
+const PRIVATE_IPV4_RANGES = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 3]
+];
+
+// [a, b, c, d] for a dotted IPv4 address, or null
+function ipv4Octets(address) {
+    const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(address);
+    if (!match) return null;
+    const octets = match.slice(1).map(Number);
+    return octets.every(octet => octet <= 255) ? octets : null;
+}
+
+function isPrivateIpv4(octets) {
+    const value = octets.reduce((sum, octet) => sum * 256 + octet, 0);
+    return PRIVATE_IPV4_RANGES.some(([start, bits]) => {
+        const size = 2 ** (32 - bits);
+        const first = ipv4Octets(start).reduce((sum, octet) => sum * 256 + octet, 0);
+        return value >= first && value < first + size;
+    });
+}
+
+// The eight 16-bit groups of an IPv6 address, or null
+function ipv6Groups(address) {
+    let text = address.toLowerCase();
+    const tail = /:(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+    if (tail) {
+        const octets = ipv4Octets(tail[1]);
+        if (!octets) return null;
+        text = `${text.slice(0, tail.index + 1)}${(octets[0] * 256 + octets[1]).toString(16)}:${(octets[2] * 256 + octets[3]).toString(16)}`;
+    }
+
+    const halves = text.split('::');
+    if (halves.length > 2) return null;
+    const parse = half => (half ? half.split(':') : []);
+    const head = parse(halves[0]);
+    const rest = halves.length === 2 ? parse(halves[1]) : [];
+    const missing = 8 - head.length - rest.length;
+    if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+    const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...rest];
+    if (!groups.every(group => /^[0-9a-f]{1,4}$/.test(group))) return null;
+    return groups.map(group => parseInt(group, 16));
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on
+ * the public internet. Anything that isn't a valid address counts as private.
+ */
+export function isPrivateAddress(address) {
+    const octets = ipv4Octets(address);
+    if (octets) return isPrivateIpv4(octets);
+
+    const groups = ipv6Groups(address);
+    if (!groups) return true;
+
+    const [first] = groups;
+    const embedsIpv4 = groups.slice(0, 5).every(group => group === 0) && (groups[5] === 0 || groups[5] === 0xffff);
+    if (embedsIpv4) {
+        // ::, ::1, and IPv4-mapped or -compatible addresses
+        return groups[6] === 0 || isPrivateIpv4([groups[6] >> 8, groups[6] & 255, groups[7] >> 8, groups[7] & 255]);
+    }
+    // NAT64, unique local, link-local and multicast
+    return (first === 0x64 && groups[1] === 0xff9b) ||
+        (first & 0xfe00) === 0xfc00 ||
+        (first & 0xffc0) === 0xfe80 ||
+        (first & 0xff00) === 0xff00;
+}
+
+/**
+ * Whether a webhook may be sent to this URL: http or https, to a host that
+ * isn't a local name or a private address. Names are only checked by
+ * pattern here; the deliver-webhooks function checks what they resolve to.
+ */
+export function isPublicWebhookUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return false;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+    if (!hostname || LOCAL_HOSTNAME.test(hostname)) return false;
+    // The URL parser has already turned numeric hosts into dotted or bracketed addresses
+    if (ipv4Octets(hostname) || hostname.includes(':')) return !isPrivateAddress(hostname);
+    return true;
+}
+
+function toHex(buffer) {
+    return [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret, as hex
+ */
+export async function signPayload(secret, timestamp, body) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    return toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`)));
+}
+
+/**
+ * Request headers for one delivery. The timestamp is in Unix seconds and is
+ * signed with the body, so a receiver can reject old or replayed requests.
+ */
+export async function deliveryHeaders(delivery, secret, body, now = new Date()) {
+    const timestamp = Math.floor(now.getTime() / 1000);
+
+    return {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ExpiryTracker-Webhooks',
+        'X-ExpiryTracker-Event': delivery.event,
+        'X-ExpiryTracker-Delivery': delivery.id,
+        'X-ExpiryTracker-Timestamp': String(timestamp),
+        'X-ExpiryTracker-Signature': `sha256=${await signPayload(secret, timestamp, body)}`
+    };
+}
@@ -0,0 +1,83 @@
+// Calendar Feed - serves a user's expiry dates as an iCalendar subscription
+// Deploy with --no-verify-jwt: calendar apps cannot send a login, the secret token is the key
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { resolveRules } from '../_shared/reminders.js';
+import { buildCalendar } from '../_shared/ical.js';
+
+const supabase = createClient(
+    Deno.env.get('SUPABASE_URL'),
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')
+);
+
+Deno.serve(async (request) => {
+    const token = new URL(request.url).searchParams.get('token');
+    if (!token) return new Response('Missing token', { status: 400 });
+
+    try {
+        const calendar = await buildFeed(token);
+        if (!calendar) return new Response('Calendar not found', { status: 404 });
+
+        return new Response(calendar, {
+            headers: {
+                'Content-Type': 'text/calendar; charset=utf-8',
+                'Content-Disposition': 'inline; filename="expiry-dates.ics"',
+                'Cache-Control': 'private, max-age=900'
+            }
+        });
+    } catch (error) {
+        console.error('Error building calendar feed:', error);
+        return new Response('Failed to build the calendar', { status: 500 });
+    }
+});
+
+/**
+ * Build the calendar for the owner of a feed token: the active items of
+ * every household they belong to, with alarms from their reminder rules,
+ * in their profile language.
+ * Returns null when the token is unknown.
+ */
+async function buildFeed(token) {
+    const { data: feed, error: feedError } = await supabase
+        .from('calendar_feeds')
+        .select('user_id')
+        .eq('token', token)
+        .maybeSingle();
+
+    if (feedError) throw feedError;
+    if (!feed) return null;
+
+    const { data: memberships, error: membersError } = await supabase
+        .from('household_members')
+        .select('household_id')
+        .eq('user_id', feed.user_id);
+
+    if (membersError) throw membersError;
+
+    const { data: items, error: itemsError } = await supabase
+        .from('expiry_items')
+        .select('id, name, category, quantity, notes, expiry_date, opened_at, use_within_days')
+        .eq('status', 'active')
+        .is('deleted_at', null)
+        .in('household_id', memberships.map(membership => membership.household_id))
+        .order('effective_expiry_date', { ascending: true });
+
+    if (itemsError) throw itemsError;
+
+    const { data: ruleRow, error: rulesError } = await supabase
+        .from('reminder_rules')
+        .select('*')
+        .eq('user_id', feed.user_id)
+        .maybeSingle();
+
+    if (rulesError) throw rulesError;
+
+    const { data: profile, error: profileError } = await supabase
+        .from('profiles')
+        .select('language')
+        .eq('id', feed.user_id)
+        .maybeSingle();
+
+    if (profileError) throw profileError;
+
+    return buildCalendar(items, resolveRules(ruleRow), { name: 'ExpiryTracker', language: profile?.language });
+}
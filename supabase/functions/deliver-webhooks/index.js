@@ -0,0 +1,110 @@
+// Deliver Webhooks - scheduled Edge Function that queues expiry events and POSTs pending
+// webhook deliveries, retrying failures with exponential backoff
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { MAX_ATTEMPTS, retryDelaySeconds, deliveryHeaders, isPublicWebhookUrl, isPrivateAddress } from '../_shared/webhooks.js';
+
+const supabase = createClient(
+    Deno.env.get('SUPABASE_URL'),
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')
+);
+
+const BATCH_SIZE = 50;
+const TIMEOUT_MS = 10000;
+
+Deno.serve(async () => {
+    try {
+        return Response.json(await deliverWebhooks());
+    } catch (error) {
+        console.error('Error delivering webhooks:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+});
+
+/**
+ * Queue today's item.expiring and item.expired events, then send every
+ * delivery that is due
+ */
+async function deliverWebhooks() {
+    const result = { queued: 0, delivered: 0, retrying: 0, failed: 0 };
+
+    const { data: queued, error: queueError } = await supabase.rpc('queue_expiry_webhooks');
+    if (queueError) throw queueError;
+    result.queued = queued;
+
+    const { data: deliveries, error } = await supabase.rpc('claim_webhook_deliveries', { batch_size: BATCH_SIZE });
+    if (error) throw error;
+
+    for (const delivery of deliveries) {
+        result[await attemptDelivery(delivery, new Date())]++;
+    }
+
+    return result;
+}
+
+/**
+ * Throw unless the URL's host is public and every address it resolves to is
+ * too, so a webhook can't reach this server, its network or cloud metadata
+ */
+async function checkDestination(url) {
+    if (!isPublicWebhookUrl(url)) throw new Error('The URL points at a private address');
+
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (hostname.includes(':') || /^[\d.]+$/.test(hostname)) return;
+
+    const lookups = await Promise.all(['A', 'AAAA'].map(type => Deno.resolveDns(hostname, type).catch(() => [])));
+    const addresses = lookups.flat();
+    if (!addresses.length) throw new Error(`Could not resolve ${hostname}`);
+    if (addresses.some(isPrivateAddress)) throw new Error(`${hostname} resolves to a private address`);
+}
+
+/**
+ * POST one delivery and log the response status. Any 2xx answer counts as
+ * delivered; anything else, redirects included, is retried later, until
+ * MAX_ATTEMPTS is reached. Response bodies are never stored.
+ * Returns 'delivered', 'retrying' or 'failed'.
+ */
+async function attemptDelivery(delivery, now) {
+    const body = JSON.stringify(delivery.payload);
+    const attempts = delivery.attempts + 1;
+    const update = { attempts, last_attempt_at: now.toISOString(), response_status: null, error: null };
+
+    try {
+        await checkDestination(delivery.url);
+
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: await deliveryHeaders(delivery, delivery.secret, body, now),
+            body,
+            // Redirects are not followed: they could lead anywhere, private hosts included
+            redirect: 'manual',
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+        await response.body?.cancel();
+
+        update.response_status = response.status;
+        if (!response.ok) update.error = `Answered with HTTP ${response.status}`;
+    } catch (error) {
+        update.error = error.name === 'TimeoutError' ? `No answer within ${TIMEOUT_MS / 1000} seconds` : error.message;
+    }
+
+    let outcome;
+    if (!update.error) {
+        outcome = 'delivered';
+        Object.assign(update, { status: 'delivered', delivered_at: now.toISOString() });
+    } else if (attempts >= MAX_ATTEMPTS) {
+        outcome = 'failed';
+        update.status = 'failed';
+    } else {
+        outcome = 'retrying';
+        update.next_attempt_at = new Date(now.getTime() + retryDelaySeconds(attempts) * 1000).toISOString();
+    }
+
+    const { error } = await supabase
+        .from('webhook_deliveries')
+        .update(update)
+        .eq('id', delivery.id);
+
+    if (error) console.error(`Could not log delivery ${delivery.id}:`, error);
+
+    return outcome;
+}
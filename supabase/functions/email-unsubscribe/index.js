@@ -0,0 +1,78 @@
+// Email Unsubscribe - turns off a user's expiry digest from the link in every digest email
+// Deploy with --no-verify-jwt: the link is opened without a login, the secret token is the key
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { pickLanguage, translator } from '../_shared/messages.js';
+
+const supabase = createClient(
+    Deno.env.get('SUPABASE_URL'),
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')
+);
+
+// GET is the link in the email and only asks for confirmation, since mail
+// scanners and link previews open links nobody clicked. POST is the page's
+// button and the one-click button mail apps show for List-Unsubscribe-Post.
+Deno.serve(async (request) => {
+    const token = new URL(request.url).searchParams.get('token');
+    const acceptLanguage = request.headers.get('Accept-Language') || '';
+
+    let language = pickLanguage(null, acceptLanguage);
+
+    if (!token) return page(language, 'unsubscribe.missingToken', 400);
+
+    try {
+        const { data: digest, error } = await supabase
+            .from('email_digests')
+            .select('user_id')
+            .eq('unsubscribe_token', token)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!digest) return page(language, 'unsubscribe.invalid', 404);
+
+        language = pickLanguage(await profileLanguage(digest.user_id), acceptLanguage);
+
+        if (request.method !== 'POST') return page(language, 'unsubscribe.confirm', 200, { confirm: true });
+
+        const { error: updateError } = await supabase
+            .from('email_digests')
+            .update({ frequency: 'off' })
+            .eq('user_id', digest.user_id);
+
+        if (updateError) throw updateError;
+
+        return page(language, 'unsubscribe.done');
+    } catch (error) {
+        console.error('Error unsubscribing:', error);
+        return page(language, 'unsubscribe.failed', 500);
+    }
+});
+
+// The language saved on the user's profile, or null
+async function profileLanguage(userId) {
+    const { data } = await supabase
+        .from('profiles')
+        .select('language')
+        .eq('id', userId)
+        .maybeSingle();
+
+    return data?.language || null;
+}
+
+// A minimal HTML page with one message, and the unsubscribe button when confirm is set.
+// The form posts back to the same URL, token included.
+function page(language, key, status = 200, { confirm = false } = {}) {
+    const t = translator(language);
+
+    return new Response(`<!DOCTYPE html>
+<html lang="${language}">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>ExpiryTracker</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 480px; margin: 48px auto; color: #1f2937;">
+    <h1 style="font-size: 20px;">ExpiryTracker</h1>
+    <p>${t(key)}</p>
+    ${confirm ? `<form method="post"><button type="submit" style="padding: 8px 16px; font-size: 14px;">${t('unsubscribe.button')}</button></form>` : ''}
+</body>
+</html>`, {
+        status,
+        headers: { 'Content-Type': 'text/html; charset=utf-8' }
+    });
+}
@@ -0,0 +1,218 @@
+// Send Expiry Digest - scheduled Edge Function that emails daily or weekly digests of expiring items.
+// A signed-in user can also ask it for a test digest from the profile page.
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { resolveRules } from '../_shared/reminders.js';
+import { DEFAULT_TIMEZONE, localTimeParts, addDays } from '../_shared/dates.js';
+import { isDigestDue, groupDigestItems, buildDigestEmail } from '../_shared/digest.js';
+import { createTransport } from '../_shared/mail.js';
+
+const supabase = createClient(
+    Deno.env.get('SUPABASE_URL'),
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')
+);
+
+const transport = createTransport();
+const APP_URL = Deno.env.get('APP_URL') || '';
+const UNSUBSCRIBE_URL = `${Deno.env.get('SUPABASE_URL')}/functions/v1/email-unsubscribe`;
+
+// The profile page calls the function from the browser
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type'
+};
+
+Deno.serve(async (request) => {
+    if (request.method === 'OPTIONS') return new Response('ok', { headers: CORS_HEADERS });
+
+    const body = await request.json().catch(() => ({}));
+
+    try {
+        if (body.test) {
+            const user = await requestUser(request);
+            if (!user) return Response.json({ error: 'Sign in to send a test digest' }, { status: 401, headers: CORS_HEADERS });
+
+            return Response.json(await sendTestDigest(user.id, new Date()), { headers: CORS_HEADERS });
+        }
+
+        return Response.json(await sendExpiryDigests(new Date()), { headers: CORS_HEADERS });
+    } catch (error) {
+        console.error('Error sending digests:', error);
+        return Response.json({ error: error.message }, { status: 500, headers: CORS_HEADERS });
+    }
+});
+
+// The user whose access token signed the request, or null
+async function requestUser(request) {
+    const token = request.headers.get('Authorization')?.replace(/^Bearer /, '');
+    if (!token) return null;
+
+    const { data, error } = await supabase.auth.getUser(token);
+    return error ? null : data.user;
+}
+
+/**
+ * Email every user whose digest is due at this hour in their time zone.
+ * Each digest claims its local date in last_sent_on before it is sent, so
+ * running the job every hour never sends one twice; a failed send gives
+ * the date back so the next run tries again.
+ */
+async function sendExpiryDigests(now) {
+    const result = { due: 0, sent: 0, empty: 0, failed: 0 };
+
+    const { data: digests, error } = await supabase
+        .from('email_digests')
+        .select('*')
+        .neq('frequency', 'off');
+
+    if (error) throw error;
+    if (digests.length === 0) return result;
+
+    const userIds = digests.map(digest => digest.user_id);
+
+    const { data: ruleRows, error: rulesError } = await supabase
+        .from('reminder_rules')
+        .select('*')
+        .in('user_id', userIds);
+
+    if (rulesError) throw rulesError;
+
+    const { data: profiles, error: profilesError } = await supabase
+        .from('profiles')
+        .select('id, timezone')
+        .in('id', userIds);
+
+    if (profilesError) throw profilesError;
+
+    const rulesByUser = new Map(ruleRows.map(row => [row.user_id, resolveRules(row)]));
+    const timeZones = new Map(profiles.map(profile => [profile.id, profile.timezone]));
+
+    for (const digest of digests) {
+        const rules = rulesByUser.get(digest.user_id) || resolveRules(null);
+        const local = localTimeParts(now, timeZones.get(digest.user_id) || DEFAULT_TIMEZONE);
+        if (!isDigestDue(digest, rules, local)) continue;
+
+        result.due++;
+
+        const { data: claimed, error: claimError } = await supabase
+            .from('email_digests')
+            .update({ last_sent_on: local.date })
+            .eq('user_id', digest.user_id)
+            .or(`last_sent_on.is.null,last_sent_on.lt.${local.date}`)
+            .select('user_id');
+
+        if (claimError) throw claimError;
+        if (claimed.length === 0) continue;
+
+        try {
+            const sent = await sendDigest(digest, local.date, now, { skipEmpty: true });
+            if (sent) result.sent++;
+            else result.empty++;
+        } catch (sendError) {
+            console.error(`Digest for ${digest.user_id} failed:`, sendError);
+            result.failed++;
+
+            await supabase
+                .from('email_digests')
+                .update({ last_sent_on: digest.last_sent_on, last_error: sendError.message })
+                .eq('user_id', digest.user_id);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Send a user their digest straight away, whatever their schedule,
+ * even when there is nothing to report. Someone who never saved digest
+ * settings gets a row with the defaults, so the email has a working unsubscribe link.
+ */
+async function sendTestDigest(userId, now) {
+    let { data: digest, error } = await supabase
+        .from('email_digests')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    if (!digest) {
+        ({ data: digest, error } = await supabase
+            .from('email_digests')
+            .insert({ user_id: userId })
+            .select('*')
+            .single());
+
+        if (error) throw error;
+    }
+
+    const { data: profile, error: profileError } = await supabase
+        .from('profiles')
+        .select('timezone')
+        .eq('id', userId)
+        .single();
+
+    if (profileError) throw profileError;
+
+    const today = localTimeParts(now, profile.timezone || DEFAULT_TIMEZONE).date;
+
+    await sendDigest(digest, today, now, { skipEmpty: false });
+    return { sent: 1, sent_at: now.toISOString() };
+}
+
+/**
+ * Email one user the active items of every household they belong to.
+ * Returns false without sending when there is nothing to report and skipEmpty is set.
+ */
+async function sendDigest(digest, today, now, { skipEmpty }) {
+    const { data: { user }, error: userError } = await supabase.auth.admin.getUserById(digest.user_id);
+    if (userError) throw userError;
+
+    const { data: memberships, error: membersError } = await supabase
+        .from('household_members')
+        .select('households (id, name)')
+        .eq('user_id', digest.user_id);
+
+    if (membersError) throw membersError;
+
+    const households = new Map(memberships.map(({ households }) => [households.id, households.name]));
+
+    const { data: items, error: itemsError } = await supabase
+        .from('expiry_items')
+        .select('id, household_id, name, category, quantity, expiry_date, opened_at, use_within_days')
+        .eq('status', 'active')
+        .is('deleted_at', null)
+        .in('household_id', [...households.keys()])
+        .lte('effective_expiry_date', addDays(today, digest.days_ahead));
+
+    if (itemsError) throw itemsError;
+
+    const sections = groupDigestItems(items, today, digest.days_ahead);
+    if (skipEmpty && sections.length === 0) return false;
+
+    const unsubscribeUrl = `${UNSUBSCRIBE_URL}?token=${digest.unsubscribe_token}`;
+
+    const email = buildDigestEmail(sections, {
+        daysAhead: digest.days_ahead,
+        unsubscribeUrl,
+        appUrl: APP_URL ? `${APP_URL}/dashboard.html` : '',
+        // Name the household only for members of more than one
+        householdOf: item => (households.size > 1 ? households.get(item.household_id) : '')
+    });
+
+    await transport.send({
+        to: user.email,
+        ...email,
+        // Lets mail apps offer their own one-click unsubscribe button
+        headers: {
+            'List-Unsubscribe': `<${unsubscribeUrl}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+    });
+
+    await supabase
+        .from('email_digests')
+        .update({ last_sent_at: now.toISOString(), last_error: null })
+        .eq('user_id', digest.user_id);
+
+    return true;
+}
@@ -0,0 +1,159 @@
+// Send Expiry Reminders - scheduled Edge Function that delivers Web Push reminders
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import {
+    resolveRules,
+    maxLeadDays,
+    isDeliveryDue,
+    findDueReminders,
+    buildPushPayload,
+    effectiveExpiryDate
+} from '../_shared/reminders.js';
+import { DEFAULT_TIMEZONE, localTimeParts, addDays } from '../_shared/dates.js';
+import { createPushSender } from '../_shared/push.js';
+
+const supabase = createClient(
+    Deno.env.get('SUPABASE_URL'),
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')
+);
+
+const pushSender = createPushSender();
+
+Deno.serve(async () => {
+    try {
+        const result = await sendExpiryReminders(new Date());
+        return Response.json(result);
+    } catch (error) {
+        console.error('Error sending reminders:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+});
+
+/**
+ * Work out which household items are due a reminder under each member's
+ * rules and push it to every device of that member. Each reminder is
+ * claimed in reminder_log first, so running the job every hour never
+ * sends duplicates; when no device could be reached the claim is given
+ * back so the next run tries again.
+ */
+async function sendExpiryReminders(now) {
+    const result = { due: 0, sent: 0, failed: 0, removed: 0 };
+
+    const { data: ruleRows, error: rulesError } = await supabase
+        .from('reminder_rules')
+        .select('*');
+
+    if (rulesError) throw rulesError;
+
+    const rulesByUser = new Map(ruleRows.map(row => [row.user_id, resolveRules(row)]));
+    const longestLead = Math.max(maxLeadDays(resolveRules(null)), ...[...rulesByUser.values()].map(maxLeadDays));
+
+    // Local dates differ by up to a day from UTC, so widen the window by one day each side
+    const todayUtc = now.toISOString().split('T')[0];
+    const { data: items, error } = await supabase
+        .from('expiry_items')
+        .select('id, household_id, name, category, expiry_date, opened_at, use_within_days')
+        .eq('status', 'active')
+        .is('deleted_at', null)
+        .gte('effective_expiry_date', addDays(todayUtc, -1))
+        .lte('effective_expiry_date', addDays(todayUtc, longestLead + 1));
+
+    if (error) throw error;
+    if (items.length === 0) return result;
+
+    const itemsByHousehold = Map.groupBy(items, item => item.household_id);
+
+    const { data: members, error: membersError } = await supabase
+        .from('household_members')
+        .select('household_id, user_id')
+        .in('household_id', [...itemsByHousehold.keys()]);
+
+    if (membersError) throw membersError;
+
+    const { data: profiles, error: profilesError } = await supabase
+        .from('profiles')
+        .select('id, timezone, language')
+        .in('id', [...new Set(members.map(member => member.user_id))]);
+
+    if (profilesError) throw profilesError;
+
+    const timeZones = new Map(profiles.map(profile => [profile.id, profile.timezone]));
+    const languages = new Map(profiles.map(profile => [profile.id, profile.language]));
+    const dueReminders = [];
+
+    members.forEach(({ household_id: householdId, user_id: userId }) => {
+        const rules = rulesByUser.get(userId) || resolveRules(null);
+        const local = localTimeParts(now, timeZones.get(userId) || DEFAULT_TIMEZONE);
+        if (!isDeliveryDue(rules, local.minutes)) return;
+
+        findDueReminders(itemsByHousehold.get(householdId), local.date, rules)
+            .forEach(reminder => dueReminders.push({ userId, ...reminder }));
+    });
+
+    result.due = dueReminders.length;
+    if (dueReminders.length === 0) return result;
+
+    const userIds = [...new Set(dueReminders.map(({ userId }) => userId))];
+    const { data: subscriptions, error: subscriptionError } = await supabase
+        .from('push_subscriptions')
+        .select('*')
+        .in('user_id', userIds);
+
+    if (subscriptionError) throw subscriptionError;
+
+    const removedDevices = new Set();
+
+    for (const { userId, item, daysBefore } of dueReminders) {
+        const devices = subscriptions.filter(subscription =>
+            subscription.user_id === userId && !removedDevices.has(subscription.id)
+        );
+        if (devices.length === 0) continue;
+
+        const { data: claimed, error: claimError } = await supabase
+            .from('reminder_log')
+            .upsert({
+                user_id: userId,
+                item_id: item.id,
+                expiry_date: effectiveExpiryDate(item),
+                days_before: daysBefore
+            }, { onConflict: 'user_id,item_id,expiry_date,days_before', ignoreDuplicates: true })
+            .select();
+
+        if (claimError) throw claimError;
+        if (claimed.length === 0) continue;
+
+        const payload = JSON.stringify(buildPushPayload(item, daysBefore, languages.get(userId)));
+        let delivered = false;
+
+        for (const device of devices) {
+            try {
+                await pushSender.send({
+                    endpoint: device.endpoint,
+                    keys: { p256dh: device.p256dh, auth: device.auth }
+                }, payload);
+                delivered = true;
+                result.sent++;
+            } catch (sendError) {
+                // 404/410 mean the browser dropped the subscription
+                if (sendError.statusCode === 404 || sendError.statusCode === 410) {
+                    await supabase.from('push_subscriptions').delete().eq('id', device.id);
+                    removedDevices.add(device.id);
+                    result.removed++;
+                } else {
+                    console.error(`Push to ${device.endpoint} failed:`, sendError);
+                    result.failed++;
+                }
+            }
+        }
+
+        if (!delivered) {
+            const { error: releaseError } = await supabase
+                .from('reminder_log')
+                .delete()
+                .eq('id', claimed[0].id);
+
+            if (releaseError) console.error(`Could not release reminder for ${item.id}:`, releaseError);
+        }
+    }
+
+    return result;
+}
@@ -0,0 +1,50 @@
+// Service Worker - Web Push expiry reminders
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+// Show a reminder sent by the send-expiry-reminders function
+self.addEventListener('push', (event) => {
+    const payload = event.data ? event.data.json() : {};
+
+    event.waitUntil(
+        self.registration.showNotification(payload.title || 'ExpiryTracker', {
+            body: payload.body,
+            tag: payload.tag,
+            icon: 'images/logo.png',
+            badge: 'images/logo.png',
+            vibrate: [200, 100, 200],
+            requireInteraction: payload.requireInteraction || false,
+            data: { itemId: payload.itemId || null }
+        })
+    );
+});
+
+// Open the dashboard at the item the notification is about
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+
+    const { itemId } = event.notification.data || {};
+    event.waitUntil(openItem(itemId));
+});
+
+async function openItem(itemId) {
+    const path = itemId ? `dashboard.html?item=${encodeURIComponent(itemId)}` : 'dashboard.html';
+    const url = new URL(path, self.registration.scope).href;
+
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const dashboard = windows.find(client => new URL(client.url).pathname.endsWith('/dashboard.html'));
+
+    if (dashboard) {
+        await dashboard.focus();
+        dashboard.postMessage({ type: 'open-item', itemId });
+        return;
+    }
+
+    await self.clients.openWindow(url);
+}
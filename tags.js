@@ -0,0 +1,32 @@
+// Item Tags - free-form labels such as "baby" or "travel kit"; an item can have any number
+
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Tidy a tag as typed: trimmed, lower case, single spaces, at most 40 characters.
+ * Returns '' for a tag with nothing left.
+ */
+export function normalizeTag(tag) {
+    return String(tag).trim().toLowerCase().replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Tags from a list or a comma/semicolon separated string, tidied and without duplicates
+ */
+export function parseTags(value) {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(/[,;]/);
+    return [...new Set(list.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Every tag used by a set of items, most used first, for autocomplete
+ */
+export function allTags(items) {
+    const counts = new Map();
+
+    items.forEach(item => {
+        (item.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+
+    return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([tag]) => tag);
+}
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    localTimeParts,
+    todayIn,
+    toDateIn,
+    addDays,
+    daysBetween,
+    formatDateOnly
+} from '../supabase/functions/_shared/dates.js';
+
+// Los Angeles (UTC-8, UTC-7 in summer) moves its clocks on 2026-03-08 and 2026-11-01.
+// Auckland (UTC+13, UTC+12 in winter) moves them back on 2026-04-05 and forward on 2026-09-27.
+const LOS_ANGELES = 'America/Los_Angeles';
+const AUCKLAND = 'Pacific/Auckland';
+
+test('todayIn turns over at local midnight on either side of UTC', () => {
+    const now = new Date('2026-03-01T02:00:00Z');
+
+    assert.equal(todayIn('UTC', now), '2026-03-01');
+    assert.equal(todayIn(LOS_ANGELES, now), '2026-02-28');
+    assert.equal(todayIn('Asia/Kolkata', now), '2026-03-01');
+    assert.equal(todayIn('Pacific/Kiritimati', new Date('2026-03-01T10:00:00Z')), '2026-03-02');
+});
+
+test('todayIn follows midnight across the spring-forward day in Los Angeles', () => {
+    // Midnight is 08:00 UTC in winter and 07:00 UTC once the clocks have gone forward
+    assert.equal(todayIn(LOS_ANGELES, new Date('2026-03-08T07:59:00Z')), '2026-03-07');
+    assert.equal(todayIn(LOS_ANGELES, new Date('2026-03-08T08:00:00Z')), '2026-03-08');
+    assert.equal(todayIn(LOS_ANGELES, new Date('2026-03-09T06:59:00Z')), '2026-03-08');
+    assert.equal(todayIn(LOS_ANGELES, new Date('2026-03-09T07:00:00Z')), '2026-03-09');
+});
+
+test('todayIn follows midnight across the fall-back day in Los Angeles', () => {
+    assert.equal(todayIn(LOS_ANGELES, new Date('2026-11-01T06:59:00Z')), '2026-10-31');
+    assert.equal(todayIn(LOS_ANGELES, new Date('2026-11-01T07:00:00Z')), '2026-11-01');
+    assert.equal(todayIn(LOS_ANGELES, new Date('2026-11-02T07:59:00Z')), '2026-11-01');
+    assert.equal(todayIn(LOS_ANGELES, new Date('2026-11-02T08:00:00Z')), '2026-11-02');
+});
+
+test('todayIn follows midnight across both clock changes in Auckland', () => {
+    // Midnight is 11:00 UTC the day before in summer and 12:00 UTC in winter
+    assert.equal(todayIn(AUCKLAND, new Date('2026-04-04T10:59:00Z')), '2026-04-04');
+    assert.equal(todayIn(AUCKLAND, new Date('2026-04-04T11:00:00Z')), '2026-04-05');
+    assert.equal(todayIn(AUCKLAND, new Date('2026-04-05T11:59:00Z')), '2026-04-05');
+    assert.equal(todayIn(AUCKLAND, new Date('2026-04-05T12:00:00Z')), '2026-04-06');
+
+    assert.equal(todayIn(AUCKLAND, new Date('2026-09-26T11:59:00Z')), '2026-09-26');
+    assert.equal(todayIn(AUCKLAND, new Date('2026-09-26T12:00:00Z')), '2026-09-27');
+    assert.equal(todayIn(AUCKLAND, new Date('2026-09-27T10:59:00Z')), '2026-09-27');
+    assert.equal(todayIn(AUCKLAND, new Date('2026-09-27T11:00:00Z')), '2026-09-28');
+});
+
+test('localTimeParts skips and repeats the hour the clocks change', () => {
+    assert.deepEqual(localTimeParts(new Date('2026-03-08T09:59:00Z'), LOS_ANGELES), { date: '2026-03-08', minutes: 119 });
+    assert.deepEqual(localTimeParts(new Date('2026-03-08T10:00:00Z'), LOS_ANGELES), { date: '2026-03-08', minutes: 180 });
+
+    assert.deepEqual(localTimeParts(new Date('2026-04-04T13:59:00Z'), AUCKLAND), { date: '2026-04-05', minutes: 179 });
+    assert.deepEqual(localTimeParts(new Date('2026-04-04T14:00:00Z'), AUCKLAND), { date: '2026-04-05', minutes: 120 });
+});
+
+test('toDateIn reads timestamps in the time zone and keeps date-only values', () => {
+    assert.equal(toDateIn('2026-03-01T02:00:00Z', LOS_ANGELES), '2026-02-28');
+    assert.equal(toDateIn('2026-03-01T02:00:00Z', AUCKLAND), '2026-03-01');
+    assert.equal(toDateIn('2026-02-28T11:30:00Z', AUCKLAND), '2026-03-01');
+    assert.equal(toDateIn('2026-03-08T07:30:00+00:00', LOS_ANGELES), '2026-03-07');
+    assert.equal(toDateIn('2026-04-04T23:00:00.000Z', AUCKLAND), '2026-04-05');
+
+    assert.equal(toDateIn('2026-03-01', LOS_ANGELES), '2026-03-01');
+    assert.equal(toDateIn('2026-03-01', AUCKLAND), '2026-03-01');
+});
+
+test('addDays counts calendar days across clock changes, month ends and leap days', () => {
+    assert.equal(addDays('2026-03-07', 1), '2026-03-08');
+    assert.equal(addDays('2026-03-08', 1), '2026-03-09');
+    assert.equal(addDays('2026-11-01', 1), '2026-11-02');
+    assert.equal(addDays('2026-04-05', -1), '2026-04-04');
+    assert.equal(addDays('2026-12-31', 1), '2027-01-01');
+    assert.equal(addDays('2028-02-28', 1), '2028-02-29');
+    assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+    assert.equal(addDays('2026-03-14', 0), '2026-03-14');
+});
+
+test('daysBetween counts whole days across clock changes', () => {
+    assert.equal(daysBetween('2026-03-07', '2026-03-09'), 2);
+    assert.equal(daysBetween('2026-10-31', '2026-11-02'), 2);
+    assert.equal(daysBetween('2026-04-04', '2026-04-06'), 2);
+    assert.equal(daysBetween('2026-09-26', '2026-09-28'), 2);
+    assert.equal(daysBetween('2026-03-09', '2026-03-07'), -2);
+    assert.equal(daysBetween('2028-02-28', '2028-03-01'), 2);
+    assert.equal(daysBetween('2026-03-14', '2026-03-14'), 0);
+});
+
+test('formatDateOnly shows the same day whatever the time zone', () => {
+    const options = { year: 'numeric', month: 'short', day: 'numeric' };
+
+    assert.equal(formatDateOnly('2026-03-01', options), 'Mar 1, 2026');
+    assert.equal(formatDateOnly('2026-03-08', options), 'Mar 8, 2026');
+    assert.equal(formatDateOnly('2026-04-05', options, 'en-GB'), '5 Apr 2026');
+    assert.equal(formatDateOnly('2026-03-01', { weekday: 'long' }), 'Sunday');
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRow } from '../item-import.js';
+
+// Error messages are translated; t() reads the language from localStorage, which Node lacks
+let language = 'en';
+globalThis.localStorage = { getItem: () => language, setItem() {}, removeItem() {} };
+
+const priced = unit_price => validateRow({ name: 'Milk', expiry_date: '2026-03-14', unit_price, currency: 'EUR' });
+
+test('validateRow reads decimal commas', () => {
+    assert.equal(priced('1,50').item.unit_price, 1.5);
+    assert.equal(priced('3,5 €').item.unit_price, 3.5);
+    assert.equal(priced('1.234,50').item.unit_price, 1234.5);
+    assert.equal(priced('1.234.567,8').item.unit_price, 1234567.8);
+});
+
+test('validateRow reads decimal dots and thousands commas', () => {
+    assert.equal(priced('$3.50').item.unit_price, 3.5);
+    assert.equal(priced('1,234.50').item.unit_price, 1234.5);
+    assert.equal(priced('1,234,567').item.unit_price, 1234567);
+    assert.equal(priced('12').item.unit_price, 12);
+    assert.equal(priced(2.25).item.unit_price, 2.25);
+});
+
+test('validateRow rejects prices that read differently in different countries', () => {
+    for (const value of ['1,234', '1.234', '1.234.50', '1,234,50', '1,23,456', 'free', '-2']) {
+        assert.deepEqual(priced(value).errors.map(error => error.field), ['unit_price'], value);
+    }
+});
+
+test('validateRow explains errors in the chosen language', () => {
+    language = 'es';
+    try {
+        assert.equal(priced('gratis').errors[0].message, '"gratis" no es un precio válido');
+    } finally {
+        language = 'en';
+    }
+});
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pickLanguage, translator } from '../supabase/functions/_shared/messages.js';
+
+test('pickLanguage prefers the profile language, then the browser\'s', () => {
+    assert.equal(pickLanguage('hi', 'es-ES,es;q=0.9'), 'hi');
+    assert.equal(pickLanguage(null, 'fr-FR, es;q=0.8, en;q=0.5'), 'es');
+    assert.equal(pickLanguage(null, 'fr-FR'), 'en');
+    assert.equal(pickLanguage('de'), 'en');
+});
+
+test('translator falls back to English and then to the key', () => {
+    assert.equal(translator('es')('unsubscribe.button'), 'Darse de baja');
+    assert.equal(translator('de')('unsubscribe.button'), 'Unsubscribe');
+    assert.equal(translator('en')('no.such.key'), 'no.such.key');
+});
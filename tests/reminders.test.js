@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveRules, isQuietTime, isDeliveryDue, buildPushPayload } from '../supabase/functions/_shared/reminders.js';
+import { isDigestDue } from '../supabase/functions/_shared/digest.js';
+
+const at = (hours, minutes = 0) => hours * 60 + minutes;
+
+test('isDeliveryDue waits for the hour of the delivery time', () => {
+    const rules = resolveRules({ delivery_time: '09:00' });
+
+    assert.equal(isDeliveryDue(rules, at(8)), false);
+    assert.equal(isDeliveryDue(rules, at(9)), true);
+    assert.equal(isDeliveryDue(rules, at(15)), true);
+});
+
+test('isDeliveryDue reaches a delivery time after the last hourly run', () => {
+    const rules = resolveRules({ delivery_time: '23:30' });
+
+    assert.equal(isDeliveryDue(rules, at(22)), false);
+    assert.equal(isDeliveryDue(rules, at(23)), true);
+});
+
+test('isDeliveryDue sends before quiet hours that last until midnight', () => {
+    const rules = resolveRules({ delivery_time: '21:15', quiet_start: '22:00', quiet_end: '00:00' });
+
+    assert.equal(isDeliveryDue(rules, at(21)), true);
+    assert.equal(isDeliveryDue(rules, at(22)), false);
+    assert.equal(isDeliveryDue(rules, at(23)), false);
+});
+
+test('isDeliveryDue holds reminders until quiet hours end', () => {
+    const rules = resolveRules({ delivery_time: '06:30', quiet_start: '22:00', quiet_end: '07:00' });
+
+    assert.equal(isQuietTime(rules, at(6)), true);
+    assert.equal(isDeliveryDue(rules, at(6)), false);
+    assert.equal(isDeliveryDue(rules, at(7)), true);
+});
+
+test('isDigestDue is reached by the last run of the day at a quarter past', () => {
+    const rules = resolveRules({ delivery_time: '23:45' });
+    const digest = { frequency: 'daily', weekday: 1, last_sent_on: '2026-03-01' };
+
+    assert.equal(isDigestDue(digest, rules, { date: '2026-03-02', minutes: at(22, 15) }), false);
+    assert.equal(isDigestDue(digest, rules, { date: '2026-03-02', minutes: at(23, 15) }), true);
+    assert.equal(isDigestDue({ ...digest, last_sent_on: '2026-03-02' }, rules, { date: '2026-03-02', minutes: at(23, 15) }), false);
+});
+
+test('buildPushPayload writes reminders in the user\'s language', () => {
+    const item = { id: 'milk', name: 'Milk' };
+
+    assert.equal(buildPushPayload(item, 3, 'es').body, 'Milk caduca en 3 días');
+    assert.equal(buildPushPayload(item, 1, 'hi').body, 'Milk कल समाप्त होगा');
+    assert.equal(buildPushPayload(item, 0, null).title, 'Item Expiring Today!');
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toDelimited, parseDelimited, guessColumnMapping, mapRow, itemsToRows } from '../spreadsheet.js';
+
+test('toDelimited escapes cells that would run as formulas', () => {
+    const text = toDelimited([['=HYPERLINK("http://example.com")', '+1', '-milk', '@SUM(A1)', 'Milk', 2]], ',');
+
+    assert.equal(text, `"'=HYPERLINK(""http://example.com"")",'+1,'-milk,'@SUM(A1),Milk,2`);
+});
+
+test('toDelimited leaves numbers alone, even negative ones', () => {
+    assert.equal(toDelimited([[-1, 3.5]], ','), '-1,3.5');
+});
+
+test('exported formulas are imported as they were written', () => {
+    const items = [{ name: '=1+2', category: '', quantity: 1, expiry_date: '2026-03-14', notes: '-half used', tags: ['@home'] }];
+
+    const [headers, row] = parseDelimited(toDelimited(itemsToRows(items), ','), ',');
+    const item = mapRow(row, guessColumnMapping(headers), null);
+
+    assert.equal(item.name, '=1+2');
+    assert.equal(item.notes, '-half used');
+    assert.equal(item.tags, '@home');
+});
+
+test('an apostrophe that is not escaping a formula is kept', () => {
+    const [headers, row] = parseDelimited("name,expiry date\n'Tis the season,2026-03-14", ',');
+
+    assert.equal(mapRow(row, guessColumnMapping(headers), null).name, "'Tis the season");
+});
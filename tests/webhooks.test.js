@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isPublicWebhookUrl, isPrivateAddress } from '../supabase/functions/_shared/webhooks.js';
+
+test('isPublicWebhookUrl accepts public http and https hosts', () => {
+    assert.equal(isPublicWebhookUrl('https://example.com/hooks/expiry'), true);
+    assert.equal(isPublicWebhookUrl('http://8.8.8.8:8080/'), true);
+    assert.equal(isPublicWebhookUrl('https://[2606:4700::1111]/'), true);
+});
+
+test('isPublicWebhookUrl refuses local names, private addresses and other schemes', () => {
+    for (const url of [
+        'http://localhost:3000/', 'http://api.localhost/', 'http://metadata.google.internal/', 'http://printer.local/',
+        'http://127.0.0.1/', 'http://10.0.0.5/', 'http://172.16.8.1/', 'http://192.168.1.10/', 'http://169.254.169.254/latest/meta-data',
+        'http://[::1]/', 'http://[fd12::1]/', 'http://[fe80::1]/', 'http://[::ffff:10.0.0.1]/',
+        'ftp://example.com/', 'not a url'
+    ]) {
+        assert.equal(isPublicWebhookUrl(url), false, url);
+    }
+});
+
+test('isPublicWebhookUrl refuses loopback written as a number', () => {
+    assert.equal(isPublicWebhookUrl('http://2130706433/'), false);
+    assert.equal(isPublicWebhookUrl('http://0x7f.1/'), false);
+    assert.equal(isPublicWebhookUrl('http://0/'), false);
+});
+
+test('isPrivateAddress checks resolved addresses', () => {
+    assert.equal(isPrivateAddress('93.184.215.14'), false);
+    assert.equal(isPrivateAddress('2606:2800:21f:cb07:6820:80da:af6b:8b2c'), false);
+    assert.equal(isPrivateAddress('100.64.0.1'), true);
+    assert.equal(isPrivateAddress('::'), true);
+    assert.equal(isPrivateAddress('::ffff:127.0.0.1'), true);
+    assert.equal(isPrivateAddress('not an address'), true);
+});
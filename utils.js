@@ -1,47 +1,179 @@
 // Utility Functions
+import {
+    DEFAULT_TIMEZONE,
+    isDateOnly,
+    isValidTimeZone,
+    todayIn,
+    toDateIn,
+    daysBetween,
+    formatDateOnly
+} from './supabase/functions/_shared/dates.js';
+import { t, getLocale, hasMessage } from './i18n.js';
+
+const TIMEZONE_STORAGE_KEY = 'expiryTracker.timezone';
 
 /**
- * Format date to readable string
+ * Days an item keeps once opened, per category, suggested when an opened date is entered
  */
-export function formatDate(date) {
-    if (!date) return '';
-    const d = new Date(date);
-    return d.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric'
+export const USE_WITHIN_DEFAULTS = {
+    Dairy: 5,
+    Vegetables: 3,
+    Fruits: 3,
+    Meat: 2,
+    Pantry: 30,
+    Beverages: 5,
+    Medicine: 28,
+    Other: 7
+};
+
+/**
+ * What happened to an item once it left the active list
+ */
+export const ITEM_STATUSES = ['consumed', 'discarded', 'donated'];
+
+/**
+ * Category name in the user's language; categories without a translation keep their name
+ */
+export function categoryLabel(category) {
+    return hasMessage(`category.${category}`) ? t(`category.${category}`) : category;
+}
+
+/**
+ * Item status ('active' or one of ITEM_STATUSES) in the user's language
+ */
+export function statusLabel(status) {
+    return t(`itemStatus.${status}`);
+}
+
+/**
+ * Check whether an item is still in the active list
+ */
+export function isActiveItem(item) {
+    return !item.status || item.status === 'active';
+}
+
+/**
+ * Check whether an item has been moved to the Trash
+ */
+export function isTrashedItem(item) {
+    return Boolean(item.deleted_at);
+}
+
+/**
+ * Currencies offered for item prices
+ */
+export const CURRENCIES = ['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD', 'JPY', 'CHF', 'CNY', 'MXN'];
+
+/**
+ * Format an amount of money, e.g. formatMoney(3.5, 'EUR') -> "€3.50".
+ * Pass currencyDisplay 'code' for "EUR 3.50" where symbols cannot be drawn.
+ */
+export function formatMoney(amount, currency, currencyDisplay = 'symbol') {
+    return new Intl.NumberFormat(getLocale(), { style: 'currency', currency, currencyDisplay }).format(amount);
+}
+
+/**
+ * Value of an item (unit price x quantity), or null if it has no price
+ */
+export function itemValue(item) {
+    if (item.unit_price === null || item.unit_price === undefined || !item.currency) return null;
+    return Number(item.unit_price) * (item.quantity || 1);
+}
+
+/**
+ * Total value of items for each currency. Items without a price are skipped.
+ * Returns a Map of currency -> total
+ */
+export function totalValue(items) {
+    const totals = new Map();
+
+    items.forEach(item => {
+        const value = itemValue(item);
+        if (value === null) return;
+        totals.set(item.currency, (totals.get(item.currency) || 0) + value);
     });
+
+    return totals;
+}
+
+/**
+ * Format per-currency totals, e.g. "$12.00 + €4.50", or "-" when nothing is priced
+ */
+export function formatTotals(totals, currencyDisplay = 'symbol') {
+    if (totals.size === 0) return '-';
+    return [...totals].map(([currency, total]) => formatMoney(total, currency, currencyDisplay)).join(' + ');
+}
+
+/**
+ * The device's time zone
+ */
+export function deviceTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Time zone dates are read in: the one saved on the profile, else the device's.
+ * Pages copy the profile's choice into localStorage so it is known before anything loads.
+ */
+export function getTimeZone() {
+    const saved = localStorage.getItem(TIMEZONE_STORAGE_KEY);
+    return isValidTimeZone(saved) ? saved : deviceTimeZone();
+}
+
+/**
+ * Remember the profile's time zone on this device
+ */
+export function setTimeZone(timeZone) {
+    if (isValidTimeZone(timeZone)) {
+        localStorage.setItem(TIMEZONE_STORAGE_KEY, timeZone);
+    } else {
+        localStorage.removeItem(TIMEZONE_STORAGE_KEY);
+    }
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in the user's time zone
+ */
+export function todayDate() {
+    return todayIn(getTimeZone());
+}
+
+/**
+ * Format a YYYY-MM-DD date, or the day of a timestamp in the user's time zone, for the user's locale
+ */
+export function formatDate(date, options = { year: 'numeric', month: 'short', day: 'numeric' }) {
+    if (!date) return '';
+    return formatDateOnly(isDateOnly(date) ? date : toDateIn(date, getTimeZone()), options, getLocale());
 }
 
 /**
  * Calculate days until expiry
  */
 export function daysUntilExpiry(expiryDate) {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const expiry = new Date(expiryDate);
-    expiry.setHours(0, 0, 0, 0);
-    const diffTime = expiry - today;
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    return diffDays;
+    return daysBetween(todayDate(), expiryDate);
 }
 
 /**
- * Get expiry status
+ * Badge windows for items whose category has none: "soon" within 7 days, "warning" within 30
+ */
+export const DEFAULT_EXPIRY_THRESHOLDS = { soon_days: 7, warning_days: 30 };
+
+/**
+ * Get expiry status, using the item category's badge windows
  */
-export function getExpiryStatus(expiryDate) {
+export function getExpiryStatus(expiryDate, thresholds = DEFAULT_EXPIRY_THRESHOLDS) {
     const days = daysUntilExpiry(expiryDate);
 
     if (days < 0) {
-        return { status: 'expired', label: 'Expired', class: 'status-expired' };
+        return { status: 'expired', label: t('expiry.expired'), class: 'status-expired' };
     } else if (days === 0) {
-        return { status: 'today', label: 'Expires Today', class: 'status-today' };
-    } else if (days <= 7) {
-        return { status: 'soon', label: `${days} days left`, class: 'status-soon' };
-    } else if (days <= 30) {
-        return { status: 'warning', label: `${days} days left`, class: 'status-warning' };
+        return { status: 'today', label: t('expiry.today'), class: 'status-today' };
+    } else if (days <= thresholds.soon_days) {
+        return { status: 'soon', label: t('expiry.daysLeft', { count: days }), class: 'status-soon' };
+    } else if (days <= thresholds.warning_days) {
+        return { status: 'warning', label: t('expiry.daysLeft', { count: days }), class: 'status-warning' };
     } else {
-        return { status: 'good', label: `${days} days left`, class: 'status-good' };
+        return { status: 'good', label: t('expiry.daysLeft', { count: days }), class: 'status-good' };
     }
 }
 
@@ -91,23 +223,47 @@ export async function compressImage(file, maxWidth = 800, quality = 0.8) {
 /**
  * Show toast notification
  */
-export function showToast(message, type = 'info') {
+export function showToast(message, type = 'info', action = null) {
     const toast = document.createElement('div');
     toast.className = `toast toast-${type}`;
     toast.textContent = message;
 
+    const dismiss = () => {
+        toast.classList.remove('show');
+        setTimeout(() => toast.remove(), 300);
+    };
+
+    // Optional button, e.g. { label: 'Undo', onClick }; the toast stays up longer to give time to click it
+    if (action) {
+        const button = document.createElement('button');
+        button.className = 'toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            dismiss();
+            action.onClick();
+        });
+        toast.appendChild(button);
+    }
+
     document.body.appendChild(toast);
 
     setTimeout(() => {
         toast.classList.add('show');
     }, 10);
 
-    setTimeout(() => {
-        toast.classList.remove('show');
-        setTimeout(() => {
-            document.body.removeChild(toast);
-        }, 300);
-    }, 3000);
+    setTimeout(dismiss, action ? 8000 : 3000);
+}
+
+/**
+ * Escape text for use inside HTML markup
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 /**
@@ -131,9 +287,9 @@ export function getPasswordStrength(password) {
     if (/[0-9]/.test(password)) strength++;
     if (/[^a-zA-Z0-9]/.test(password)) strength++;
 
-    if (strength <= 2) return { level: 'weak', label: 'Weak', class: 'strength-weak' };
-    if (strength <= 4) return { level: 'medium', label: 'Medium', class: 'strength-medium' };
-    return { level: 'strong', label: 'Strong', class: 'strength-strong' };
+    if (strength <= 2) return { level: 'weak', label: t('auth.strength.weak'), class: 'strength-weak' };
+    if (strength <= 4) return { level: 'medium', label: t('auth.strength.medium'), class: 'strength-medium' };
+    return { level: 'strong', label: t('auth.strength.strong'), class: 'strength-strong' };
 }
 
 /**
@@ -161,6 +317,18 @@ export function generateUniqueFilename(originalName) {
     return `${timestamp}_${randomString}.${extension}`;
 }
 
+/**
+ * Download text as a file
+ */
+export function downloadFile(content, filename, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Format file size
  */
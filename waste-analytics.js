@@ -0,0 +1,133 @@
+// Waste Analytics - monthly used vs. wasted totals, wasteful categories and trends
+import { isActiveItem, getTimeZone, formatDate } from './utils.js';
+import { t } from './i18n.js';
+import { effectiveExpiryDate } from './supabase/functions/_shared/reminders.js';
+import { daysBetween, toDateIn } from './supabase/functions/_shared/dates.js';
+
+/**
+ * YYYY-MM-DD for a date or timestamp in the user's time zone
+ */
+export function toLocalDate(value) {
+    return toDateIn(value, getTimeZone());
+}
+
+/**
+ * Work out what happened to an item and when.
+ * Consumed and donated items were used; discarded items, and active items
+ * left past their expiry date, were wasted. Returns null for items still in use.
+ */
+export function classifyItem(item, today) {
+    if (!isActiveItem(item)) {
+        return {
+            outcome: item.status === 'discarded' ? 'wasted' : 'used',
+            date: toLocalDate(item.status_changed_at || item.updated_at)
+        };
+    }
+
+    const expiryDate = effectiveExpiryDate(item);
+    if (expiryDate < today) {
+        return { outcome: 'wasted', date: expiryDate };
+    }
+
+    return null;
+}
+
+/**
+ * Every YYYY-MM month from one date to another, inclusive
+ */
+function monthsBetween(fromDate, toDate) {
+    const months = [];
+    let [year, month] = fromDate.split('-').map(Number);
+    const [endYear, endMonth] = toDate.split('-').map(Number);
+
+    while (year < endYear || (year === endYear && month <= endMonth)) {
+        months.push(`${year}-${String(month).padStart(2, '0')}`);
+        month++;
+        if (month > 12) {
+            month = 1;
+            year++;
+        }
+    }
+
+    return months;
+}
+
+/**
+ * Least-squares straight line through a series, ignoring null points.
+ * Returns the fitted value for every point, or null with fewer than two points.
+ */
+export function linearTrend(values) {
+    const points = values
+        .map((value, index) => ({ x: index, y: value }))
+        .filter(point => point.y !== null);
+
+    if (points.length < 2) return null;
+
+    const n = points.length;
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+    const covariance = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+    const variance = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+    const slope = covariance / variance;
+
+    return values.map((_, index) => meanY + slope * (index - meanX));
+}
+
+/**
+ * Build the waste report for items whose outcome falls inside a date range.
+ * range is { from, to } as YYYY-MM-DD; from may be null for all time.
+ */
+export function buildWasteReport(items, range, today = toLocalDate(new Date())) {
+    const outcomes = items
+        .map(item => ({ item, ...classifyItem(item, today) }))
+        .filter(({ outcome, date }) => outcome && date <= range.to && (!range.from || date >= range.from));
+
+    const firstDate = range.from || outcomes.reduce((first, { date }) => (date < first ? date : first), range.to);
+    const months = monthsBetween(firstDate, range.to).map(key => ({
+        key,
+        label: formatDate(`${key}-01`, { month: 'short', year: 'numeric' }),
+        used: 0,
+        wasted: 0,
+        wasteRate: null
+    }));
+    const monthsByKey = new Map(months.map(month => [month.key, month]));
+
+    const wastedByCategory = new Map();
+    const daysBeforeExpiry = [];
+
+    outcomes.forEach(({ item, outcome, date }) => {
+        const month = monthsByKey.get(date.slice(0, 7));
+        if (month) month[outcome]++;
+
+        if (outcome === 'wasted') {
+            const category = item.category || t('analytics.uncategorized');
+            wastedByCategory.set(category, (wastedByCategory.get(category) || 0) + 1);
+        } else {
+            daysBeforeExpiry.push(daysBetween(date, effectiveExpiryDate(item)));
+        }
+    });
+
+    months.forEach(month => {
+        const total = month.used + month.wasted;
+        month.wasteRate = total ? Math.round((month.wasted / total) * 100) : null;
+    });
+
+    const used = outcomes.filter(({ outcome }) => outcome === 'used').length;
+    const wasted = outcomes.length - used;
+
+    return {
+        months,
+        totals: {
+            used,
+            wasted,
+            wasteRate: outcomes.length ? Math.round((wasted / outcomes.length) * 100) : null
+        },
+        categories: [...wastedByCategory]
+            .map(([category, count]) => ({ category, wasted: count }))
+            .sort((a, b) => b.wasted - a.wasted),
+        averageDaysBeforeExpiry: daysBeforeExpiry.length
+            ? Math.round((daysBeforeExpiry.reduce((sum, days) => sum + days, 0) / daysBeforeExpiry.length) * 10) / 10
+            : null,
+        trend: linearTrend(months.map(month => month.wasteRate))
+    };
+}
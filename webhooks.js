@@ -0,0 +1,103 @@
+// Webhooks - household URLs that receive signed item events from the deliver-webhooks Edge Function
+import { supabase } from './config.js';
+import { isPublicWebhookUrl } from './supabase/functions/_shared/webhooks.js';
+import { t } from './i18n.js';
+
+const MIN_SECRET_LENGTH = 16;
+
+// 32 random bytes as hex
+function generateSecret() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * The household's webhooks, oldest first
+ */
+export async function loadWebhooks(householdId) {
+    const { data, error } = await supabase
+        .from('webhooks')
+        .select('*')
+        .eq('household_id', householdId)
+        .order('created_at');
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Register a webhook URL for some events. Without a secret of its own,
+ * one is generated. Returns the new webhook.
+ */
+export async function createWebhook(householdId, userId, { url, events, secret }) {
+    if (!/^https?:\/\/\S+$/.test(url)) throw new Error(t('webhook.urlInvalid'));
+    if (!isPublicWebhookUrl(url)) throw new Error(t('webhook.urlPrivate'));
+    if (!events.length) throw new Error(t('webhook.noEvents'));
+    if (secret && secret.length < MIN_SECRET_LENGTH) {
+        throw new Error(t('webhook.secretTooShort', { count: MIN_SECRET_LENGTH }));
+    }
+
+    const { data, error } = await supabase
+        .from('webhooks')
+        .insert({
+            household_id: householdId,
+            url,
+            events,
+            secret: secret || generateSecret(),
+            created_by: userId
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Change a webhook's events or turn it on and off
+ */
+export async function updateWebhook(webhookId, changes) {
+    if (changes.events && !changes.events.length) throw new Error(t('webhook.noEvents'));
+
+    const { error } = await supabase
+        .from('webhooks')
+        .update(changes)
+        .eq('id', webhookId);
+
+    if (error) throw error;
+}
+
+/**
+ * Remove a webhook and its delivery log
+ */
+export async function deleteWebhook(webhookId) {
+    const { error } = await supabase
+        .from('webhooks')
+        .delete()
+        .eq('id', webhookId);
+
+    if (error) throw error;
+}
+
+/**
+ * A webhook's most recent deliveries, newest first
+ */
+export async function loadDeliveries(webhookId, limit = 20) {
+    const { data, error } = await supabase
+        .from('webhook_deliveries')
+        .select('id, event, status, attempts, response_status, error, next_attempt_at, last_attempt_at, redelivery_of, created_at')
+        .eq('webhook_id', webhookId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Queue a delivery's payload to be sent again on the next run
+ */
+export async function redeliverWebhook(deliveryId) {
+    const { error } = await supabase.rpc('redeliver_webhook', { delivery_id: deliveryId });
+    if (error) throw error;
+}